@@ -28,7 +28,14 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parser middleware
-app.use(express.json());
+// Payment webhooks are signed over the exact bytes received, so keep them
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/v1/payments/webhook')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: false }));
 
 // Logging middleware
@@ -79,6 +86,18 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 // Import and use routes
 app.use('/api/v1', require('./routes/index'));
 
+// Serve public uploads (profile photos) from local storage.
+// Other uploads, like driver documents, are only served through authorized routes.
+const storageService = require('./services/storageService');
+const { UPLOAD_SETTINGS } = require('./utils/constants');
+
+storageService.PUBLIC_FOLDERS.forEach(folder => {
+  app.use(`${UPLOAD_SETTINGS.PUBLIC_URL}/${folder}`, express.static(path.join(storageService.getLocalDirectory(), folder), {
+    maxAge: '7d',
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+});
+
 // Serve static assets for admin panel in production
 if (process.env.NODE_ENV === 'production') {
   app.use('/admin', express.static(path.join(__dirname, 'admin/build')));
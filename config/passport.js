@@ -1,6 +1,7 @@
 const JwtStrategy = require('passport-jwt').Strategy;
 const ExtractJwt = require('passport-jwt').ExtractJwt;
 const User = require('../models/user');
+const Session = require('../models/session');
 const logger = require('../utils/logger');
 
 const options = {
@@ -8,21 +9,48 @@ const options = {
   secretOrKey: process.env.JWT_SECRET || 'your_jwt_secret'
 };
 
+/**
+ * Check a decoded access token against the user and its session
+ * @param {Object} jwt_payload - Decoded JWT payload
+ * @returns {Object} - { user, sessionId } if valid, { message } otherwise
+ */
+const authenticatePayload = async (jwt_payload) => {
+  const user = await User.findById(jwt_payload.id).select('-password');
+  
+  if (!user) {
+    return { message: 'Authentication failed. Please log in.' };
+  }
+  
+  if (!user.isActive) {
+    return { message: 'User account is deactivated' };
+  }
+
+  // Reject tokens issued before the last password change
+  if (user.changedPasswordAfter(jwt_payload.iat)) {
+    return { message: 'Password was changed. Please log in again.' };
+  }
+
+  // Access tokens are only valid while their session is active
+  const session = jwt_payload.sid && await Session.findById(jwt_payload.sid);
+
+  if (!session || !session.isActive() || session.user.toString() !== user.id) {
+    return { message: 'Session has expired or been revoked. Please log in again.' };
+  }
+  
+  return { user, sessionId: session.id };
+};
+
 module.exports = (passport) => {
   passport.use(
     new JwtStrategy(options, async (jwt_payload, done) => {
       try {
-        const user = await User.findById(jwt_payload.id).select('-password');
+        const { user, sessionId, message } = await authenticatePayload(jwt_payload);
         
         if (!user) {
-          return done(null, false);
-        }
-        
-        if (!user.isActive) {
-          return done(null, false, { message: 'User account is deactivated' });
+          return done(null, false, { message });
         }
         
-        return done(null, user);
+        return done(null, user, { sessionId });
       } catch (err) {
         logger.error('Error authenticating user:', err);
         return done(err, false);
@@ -30,3 +58,6 @@ module.exports = (passport) => {
     })
   );
 };
+
+module.exports.options = options;
+module.exports.authenticatePayload = authenticatePayload;
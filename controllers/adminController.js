@@ -2,10 +2,23 @@ const User = require('../models/user');
 const Ride = require('../models/ride');
 const Booking = require('../models/booking');
 const Rating = require('../models/rating');
-const Notification = require('../models/notification');
-const { getPaginationOptions, createPaginationResult } = require('../utils/helpers');
-const { NOTIFICATION_TYPES } = require('../utils/constants');
+const PromoCode = require('../models/promoCode');
+const PromoRedemption = require('../models/promoRedemption');
+const DriverDocument = require('../models/driverDocument');
+const Vehicle = require('../models/vehicle');
+const { getPaginationOptions, createPaginationResult, toCsv } = require('../utils/helpers');
+const {
+  NOTIFICATION_TYPES,
+  DRIVER_EARNING_CSV_COLUMNS,
+  PROMO_REDEMPTION_STATUS,
+  DRIVER_DOCUMENT_STATUS
+} = require('../utils/constants');
 const notificationController = require('./notificationController');
+const walletService = require('../services/walletService');
+const earningsService = require('../services/earningsService');
+const driverVerificationService = require('../services/driverVerificationService');
+const chatService = require('../services/chatService');
+const socketService = require('../services/socketService');
 
 /**
  * @desc    Get admin dashboard statistics
@@ -328,6 +341,10 @@ exports.updateUser = async (req, res, next) => {
         message: 'User not found'
       });
     }
+
+    if (!user.isActive) {
+      socketService.disconnectUser(user.id, 'User account is deactivated');
+    }
     
     // Notify user of changes
     await notificationController.createNotification({
@@ -371,6 +388,16 @@ exports.verifyDriverAccount = async (req, res, next) => {
         message: 'User is not a driver'
       });
     }
+
+    // Verification needs approved, current documents on file
+    const documents = await driverVerificationService.getStatus(user._id);
+
+    if (!documents.complete) {
+      return res.status(400).json({
+        success: false,
+        message: `Driver is missing approved documents: ${documents.missing.join(', ')}`
+      });
+    }
     
     // Mark driver as verified
     user.driverDetails.isVerified = true;
@@ -395,6 +422,364 @@ exports.verifyDriverAccount = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get the driver document review queue
+ * @route   GET /api/v1/admin/driver-documents
+ * @access  Private (Admin only)
+ */
+exports.getDriverDocuments = async (req, res, next) => {
+  try {
+    const paginationOptions = getPaginationOptions(req.query);
+    const { startIndex, limit } = paginationOptions;
+
+    const query = { status: req.query.status || DRIVER_DOCUMENT_STATUS.PENDING };
+    if (req.query.type) query.type = req.query.type;
+    if (req.query.driver) query.driver = req.query.driver;
+
+    // Oldest first, so documents are reviewed in the order they came in
+    const documents = await DriverDocument.find(query)
+      .sort({ createdAt: 1 })
+      .skip(startIndex)
+      .limit(limit)
+      .populate({
+        path: 'driver',
+        select: 'firstName lastName email phone driverDetails'
+      });
+
+    const total = await DriverDocument.countDocuments(query);
+    const pagination = createPaginationResult(paginationOptions, total);
+
+    res.status(200).json({
+      success: true,
+      count: documents.length,
+      pagination,
+      data: documents
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Approve a driver document
+ * @route   PUT /api/v1/admin/driver-documents/:id/approve
+ * @access  Private (Admin only)
+ */
+exports.approveDriverDocument = async (req, res, next) => {
+  await reviewDriverDocument(req, res, next, true);
+};
+
+/**
+ * @desc    Reject a driver document
+ * @route   PUT /api/v1/admin/driver-documents/:id/reject
+ * @access  Private (Admin only)
+ */
+exports.rejectDriverDocument = async (req, res, next) => {
+  await reviewDriverDocument(req, res, next, false);
+};
+
+/**
+ * @desc    Get vehicles, unverified ones by default
+ * @route   GET /api/v1/admin/vehicles
+ * @access  Private (Admin only)
+ */
+exports.getVehicles = async (req, res, next) => {
+  try {
+    const paginationOptions = getPaginationOptions(req.query);
+    const { startIndex, limit } = paginationOptions;
+
+    const query = {
+      isActive: true,
+      isVerified: req.query.isVerified === 'true'
+    };
+    if (req.query.owner) query.owner = req.query.owner;
+
+    const vehicles = await Vehicle.find(query)
+      .sort({ createdAt: 1 })
+      .skip(startIndex)
+      .limit(limit)
+      .populate({
+        path: 'owner',
+        select: 'firstName lastName email phone'
+      });
+
+    const total = await Vehicle.countDocuments(query);
+    const pagination = createPaginationResult(paginationOptions, total);
+
+    res.status(200).json({
+      success: true,
+      count: vehicles.length,
+      pagination,
+      data: vehicles
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Verify a vehicle
+ * @route   PUT /api/v1/admin/vehicles/:id/verify
+ * @access  Private (Admin only)
+ */
+exports.verifyVehicle = async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.findOneAndUpdate(
+      { _id: req.params.id, isActive: true },
+      {
+        isVerified: true,
+        verifiedBy: req.user.id,
+        verifiedAt: Date.now(),
+        updatedAt: Date.now()
+      },
+      { new: true }
+    );
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    await notificationController.createNotification({
+      recipient: vehicle.owner,
+      sender: req.user.id,
+      type: NOTIFICATION_TYPES.SYSTEM_NOTIFICATION,
+      title: 'Vehicle Verified',
+      message: `Your vehicle ${vehicle.licensePlate} has been verified and can now be used for rides.`,
+      relatedResource: {
+        resourceType: 'user',
+        resourceId: vehicle.owner
+      },
+      deliveryMethod: 'all'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Vehicle verified successfully',
+      data: vehicle
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Check a user's wallet balances against the ledger
+ * @route   GET /api/v1/admin/users/:id/wallet/reconcile
+ * @access  Private (Admin only)
+ */
+exports.reconcileWallet = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const result = await walletService.reconcile(user._id.toString());
+
+    res.status(200).json({
+      success: true,
+      message: result.reconciled ? 'Wallet matches the ledger' : 'Wallet does not match the ledger',
+      data: result
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get earnings of all drivers (for payout runs)
+ * @route   GET /api/v1/admin/earnings
+ * @access  Private (Admin only)
+ */
+exports.getDriverEarnings = async (req, res, next) => {
+  try {
+    const { from, to, format } = req.query;
+
+    if (format === 'csv') {
+      const { drivers } = await earningsService.getEarningsByDriver({ from, to });
+
+      res.header('Content-Type', 'text/csv');
+      res.attachment('driver-earnings.csv');
+      return res.status(200).send(toCsv(DRIVER_EARNING_CSV_COLUMNS, drivers));
+    }
+
+    const paginationOptions = getPaginationOptions(req.query);
+    const { startIndex, limit } = paginationOptions;
+
+    const { drivers, total } = await earningsService.getEarningsByDriver({ from, to, startIndex, limit });
+    const pagination = createPaginationResult(paginationOptions, total);
+
+    res.status(200).json({
+      success: true,
+      count: drivers.length,
+      pagination,
+      data: drivers
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Create a promo code
+ * @route   POST /api/v1/admin/promo-codes
+ * @access  Private (Admin only)
+ */
+exports.createPromoCode = async (req, res, next) => {
+  try {
+    const promoCode = await PromoCode.create({
+      ...pickPromoFields(req.body),
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: promoCode
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get all promo codes
+ * @route   GET /api/v1/admin/promo-codes
+ * @access  Private (Admin only)
+ */
+exports.getPromoCodes = async (req, res, next) => {
+  try {
+    const paginationOptions = getPaginationOptions(req.query);
+    const { startIndex, limit } = paginationOptions;
+
+    const query = {};
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+    if (req.query.search) query.code = { $regex: req.query.search, $options: 'i' };
+
+    const promoCodes = await PromoCode.find(query)
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    const total = await PromoCode.countDocuments(query);
+    const pagination = createPaginationResult(paginationOptions, total);
+
+    res.status(200).json({
+      success: true,
+      count: promoCodes.length,
+      pagination,
+      data: promoCodes
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a promo code with its redemption stats
+ * @route   GET /api/v1/admin/promo-codes/:id
+ * @access  Private (Admin only)
+ */
+exports.getPromoCode = async (req, res, next) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const [stats] = await PromoRedemption.aggregate([
+      { $match: { promoCode: promoCode._id, status: PROMO_REDEMPTION_STATUS.ACTIVE } },
+      { $group: { _id: null, redemptions: { $sum: 1 }, totalDiscount: { $sum: '$discount' }, users: { $addToSet: '$user' } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promoCode,
+        stats: {
+          redemptions: stats ? stats.redemptions : 0,
+          totalDiscount: stats ? Math.round(stats.totalDiscount * 100) / 100 : 0,
+          users: stats ? stats.users.length : 0
+        }
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update a promo code
+ * @route   PUT /api/v1/admin/promo-codes/:id
+ * @access  Private (Admin only)
+ */
+exports.updatePromoCode = async (req, res, next) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    // Applies to new bookings only, discounts already given are kept
+    promoCode.set(pickPromoFields(req.body));
+    await promoCode.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: promoCode
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Deactivate a promo code
+ * @route   DELETE /api/v1/admin/promo-codes/:id
+ * @access  Private (Admin only)
+ */
+exports.deletePromoCode = async (req, res, next) => {
+  try {
+    // Codes are kept for the bookings that used them
+    const promoCode = await PromoCode.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, updatedAt: Date.now() },
+      { new: true }
+    );
+
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Promo code deactivated successfully',
+      data: promoCode
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Get all rides (with filters)
  * @route   GET /api/v1/admin/rides
@@ -551,6 +936,45 @@ exports.getBookings = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get the chat of a booking for dispute handling
+ * @route   GET /api/v1/admin/bookings/:id/messages
+ * @access  Private (Admin only)
+ */
+exports.getBookingMessages = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .populate({ path: 'driver', select: 'firstName lastName email phone' })
+      .populate({ path: 'passenger', select: 'firstName lastName email phone' });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const paginationOptions = getPaginationOptions(req.query);
+    const { messages, total } = await chatService.getMessages(booking, paginationOptions);
+    const pagination = createPaginationResult(paginationOptions, total);
+
+    res.status(200).json({
+      success: true,
+      booking: {
+        _id: booking._id,
+        status: booking.status,
+        driver: booking.driver,
+        passenger: booking.passenger
+      },
+      count: messages.length,
+      pagination,
+      data: messages
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Send system notification to user(s)
  * @route   POST /api/v1/admin/notifications
@@ -652,3 +1076,70 @@ exports.sendNotification = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * Promo code fields an admin may set
+ */
+function pickPromoFields(body) {
+  const fields = [
+    'code',
+    'description',
+    'discountType',
+    'discountValue',
+    'maxDiscount',
+    'minFare',
+    'validFrom',
+    'validUntil',
+    'usageLimit',
+    'perUserLimit',
+    'firstRideOnly',
+    'isActive'
+  ];
+
+  return fields.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+    return data;
+  }, {});
+}
+
+/**
+ * Record an admin's decision on a pending driver document
+ */
+async function reviewDriverDocument(req, res, next, approved) {
+  try {
+    const document = await DriverDocument.findById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (document.status !== DRIVER_DOCUMENT_STATUS.PENDING) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot review a document with status: ${document.status}`
+      });
+    }
+
+    const result = await driverVerificationService.reviewDocument(document, req.user.id, approved, req.body.reason);
+
+    if (!result.document) {
+      return res.status(409).json({
+        success: false,
+        message: 'Document was modified by another request. Please refresh and try again.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: approved
+        ? `Document approved${result.verified ? ', driver is now verified' : ''}`
+        : 'Document rejected',
+      data: result.document
+    });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -1,11 +1,13 @@
 const User = require('../models/user');
+const EmailVerification = require('../models/emailVerification');
+const Session = require('../models/session');
 const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
 const logger = require('../utils/logger');
 const { filterUserData } = require('../utils/helpers');
 const emailService = require('../services/emailService');
 const otpService = require('../services/otpService');
+const referralService = require('../services/referralService');
+const socketService = require('../services/socketService');
 
 /**
  * @desc    Register a new user
@@ -14,7 +16,7 @@ const otpService = require('../services/otpService');
  */
 exports.register = async (req, res, next) => {
   try {
-    const { firstName, lastName, email, phone, password, role } = req.body;
+    const { firstName, lastName, email, phone, password, role, referralCode } = req.body;
 
     // Check if user already exists
     const userExists = await User.findOne({ 
@@ -40,44 +42,39 @@ exports.register = async (req, res, next) => {
       role: validRole
     });
 
-    // Generate email verification token
-    const verificationToken = crypto.randomBytes(20).toString('hex');
-    
-    // Generate OTP for phone verification
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    
-    // Store verification data (in a real app, store these securely)
-    // For this example, just log them
-    logger.info(`Verification token for ${email}: ${verificationToken}`);
-    logger.info(`OTP for ${phone}: ${otp}`);
-    
-    // Send verification email
+    // Credit the referral once the new user completes a ride
+    if (referralCode) {
+      try {
+        await referralService.applyReferralCode(user, referralCode);
+      } catch (err) {
+        logger.error('Error applying referral code:', err);
+      }
+    }
+
+    // Generate and send email verification token
     try {
-      await emailService.sendVerificationEmail(
-        email,
-        firstName,
-        `${process.env.BASE_URL}/api/v1/auth/verify-email/${verificationToken}`
-      );
+      await sendEmailVerification(user);
     } catch (err) {
       logger.error('Error sending verification email:', err);
       // Continue registration even if email fails
     }
     
-    // Send OTP via SMS
+    // Generate, store and send OTP for phone verification
     try {
-      await otpService.sendOTP(phone, otp);
+      await otpService.issueOTP(phone);
     } catch (err) {
       logger.error('Error sending OTP:', err);
       // Continue registration even if SMS fails
     }
 
-    // Create token
-    const token = user.getSignedJwtToken();
+    // Create session and tokens
+    const { token, refreshToken } = await createAuthTokens(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: filterUserData(user.toObject())
     });
   } catch (err) {
@@ -122,8 +119,8 @@ exports.login = async (req, res, next) => {
       });
     }
 
-    // Create token
-    const token = user.getSignedJwtToken();
+    // Create session and tokens
+    const { token, refreshToken } = await createAuthTokens(user, req);
 
     // Update FCM token if provided
     if (req.body.fcmToken) {
@@ -134,6 +131,7 @@ exports.login = async (req, res, next) => {
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
       user: filterUserData(user.toObject())
     });
   } catch (err) {
@@ -166,17 +164,35 @@ exports.getMe = async (req, res, next) => {
  */
 exports.verifyEmail = async (req, res, next) => {
   try {
-    const { token } = req.params;
+    const verification = await EmailVerification.findOne({
+      tokenHash: EmailVerification.hashToken(req.params.token),
+      expiresAt: { $gt: Date.now() }
+    });
+
+    if (!verification) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+
+    const user = await User.findById(verification.user);
+
+    // Token is only valid for the address it was issued to
+    if (!user || user.email !== verification.email) {
+      await verification.deleteOne();
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+
+    await User.findByIdAndUpdate(user._id, { isEmailVerified: true });
+
+    // Tokens are single use
+    await EmailVerification.deleteMany({ user: user._id });
 
-    // In a real app, find the user with this token from a verification model
-    // For now, just simulate success
-    
-    // Normally: const user = await EmailVerification.findOne({ token });
-    
-    // Update user's email verification status
-    // Placeholder: await User.findByIdAndUpdate(user.userId, { isEmailVerified: true });
-    
-    // For demo, just return success
     res.status(200).json({
       success: true,
       message: 'Email verified successfully'
@@ -186,6 +202,40 @@ exports.verifyEmail = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Resend email verification link
+ * @route   POST /api/v1/auth/resend-verification
+ * @access  Private
+ */
+exports.resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    try {
+      await sendEmailVerification(req.user);
+    } catch (err) {
+      logger.error('Error sending verification email:', err);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Email could not be sent'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Verify phone with OTP
  * @route   POST /api/v1/auth/verify-phone
@@ -195,8 +245,23 @@ exports.verifyPhone = async (req, res, next) => {
   try {
     const { otp } = req.body;
 
-    // In a real app, verify the OTP from a database/cache
-    // For now, just simulate success
+    if (req.user.isPhoneVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is already verified'
+      });
+    }
+
+    const result = await otpService.verifyOTP(req.user.phone, otp);
+
+    if (!result.success) {
+      return res.status(result.reason === 'locked' ? 429 : 400).json({
+        success: false,
+        message: result.message,
+        attemptsRemaining: result.attemptsRemaining,
+        retryAfter: result.retryAfter
+      });
+    }
     
     // Mark phone as verified
     await User.findByIdAndUpdate(req.user.id, { isPhoneVerified: true });
@@ -210,6 +275,40 @@ exports.verifyPhone = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Resend phone verification OTP
+ * @route   POST /api/v1/auth/resend-otp
+ * @access  Private
+ */
+exports.resendOTP = async (req, res, next) => {
+  try {
+    if (req.user.isPhoneVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is already verified'
+      });
+    }
+
+    const result = await otpService.issueOTP(req.user.phone);
+
+    if (!result.success) {
+      return res.status(429).json({
+        success: false,
+        message: result.message,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'OTP sent successfully',
+      expiresAt: result.expiryTime
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Forgot password
  * @route   POST /api/v1/auth/forgot-password
@@ -298,6 +397,10 @@ exports.resetPassword = async (req, res, next) => {
     user.resetPasswordExpire = undefined;
     await user.save();
 
+    // Sign out every device after a reset
+    await Session.revokeAllForUser(user._id, 'password_reset');
+    socketService.disconnectUser(user.id);
+
     // Send confirmation email
     try {
       await emailService.sendPasswordChangeConfirmation(
@@ -343,6 +446,10 @@ exports.updatePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every device, the current one gets a fresh session below
+    await Session.revokeAllForUser(user._id, 'password_changed');
+    socketService.disconnectUser(user.id);
+
     // Send confirmation email
     try {
       await emailService.sendPasswordChangeConfirmation(
@@ -354,13 +461,14 @@ exports.updatePassword = async (req, res, next) => {
       // Continue anyway
     }
 
-    // Return new token
-    const token = user.getSignedJwtToken();
+    // Return new tokens
+    const { token, refreshToken } = await createAuthTokens(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Password updated successfully',
-      token
+      token,
+      refreshToken
     });
   } catch (err) {
     next(err);
@@ -368,12 +476,19 @@ exports.updatePassword = async (req, res, next) => {
 };
 
 /**
- * @desc    Logout - clear cookies (if using cookie-based auth)
+ * @desc    Logout - revoke the current session
  * @route   GET /api/v1/auth/logout
  * @access  Private
  */
 exports.logout = async (req, res, next) => {
   try {
+    // Revoke the session the access token belongs to
+    await Session.findByIdAndUpdate(req.sessionId, {
+      revokedAt: Date.now(),
+      revokedReason: 'logout'
+    });
+    socketService.disconnectSession(req.sessionId);
+
     // If using FCM tokens, clear the token
     if (req.user.fcmToken) {
       await User.findByIdAndUpdate(req.user.id, { fcmToken: null });
@@ -390,3 +505,151 @@ exports.logout = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * @desc    Exchange a refresh token for new access and refresh tokens
+ * @route   POST /api/v1/auth/refresh
+ * @access  Public
+ */
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const parsed = Session.parseRefreshToken(req.body.refreshToken);
+    const session = parsed && await Session.findById(parsed.sessionId).select('+refreshTokenHash');
+
+    if (!session || !session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    // A rotated-out token being replayed means it leaked - kill the session
+    if (session.refreshTokenHash !== Session.hashToken(parsed.secret)) {
+      session.revokedAt = Date.now();
+      session.revokedReason = 'refresh_token_reuse';
+      await session.save();
+      socketService.disconnectSession(session.id);
+
+      logger.warn(`Refresh token reuse detected for session ${session.id}`);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    // Rotate the refresh token
+    const refreshToken = session.issueRefreshToken();
+    session.userAgent = req.get('user-agent') || session.userAgent;
+    session.ipAddress = req.ip;
+    await session.save();
+
+    res.status(200).json({
+      success: true,
+      token: user.getSignedJwtToken(session.id),
+      refreshToken
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get active sessions (devices) of the current user
+ * @route   GET /api/v1/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: Date.now() }
+    }).sort({ lastUsedAt: -1 });
+
+    const data = sessions.map(session => ({
+      ...session.toObject(),
+      isCurrent: session.id === req.sessionId
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Revoke a session (sign out a device)
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @access  Private
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    session.revokedAt = Date.now();
+    session.revokedReason = 'revoked_by_user';
+    await session.save();
+    socketService.disconnectSession(session.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Start a new session for the user and sign its tokens
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for device details)
+ * @returns {Object} - { token, refreshToken }
+ */
+async function createAuthTokens(user, req) {
+  const { session, refreshToken } = await Session.start(user, req);
+
+  return {
+    token: user.getSignedJwtToken(session.id),
+    refreshToken
+  };
+}
+
+/**
+ * Issue a new email verification token and email the link to the user
+ * @param {Object} user - User document
+ */
+async function sendEmailVerification(user) {
+  const verificationToken = await EmailVerification.generateToken(user);
+
+  await emailService.sendVerificationEmail(
+    user.email,
+    user.firstName,
+    `${process.env.BASE_URL}/api/v1/auth/verify-email/${verificationToken}`
+  );
+}
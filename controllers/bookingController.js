@@ -1,9 +1,19 @@
 const Booking = require('../models/booking');
 const Ride = require('../models/ride');
-const User = require('../models/user');
-const { BOOKING_STATUS, NOTIFICATION_TYPES } = require('../utils/constants');
-const { generateConfirmationCode, getPaginationOptions, createPaginationResult } = require('../utils/helpers');
+const { BOOKING_STATUS, NOTIFICATION_TYPES, SOCKET_EVENTS, PAYMENT_METHODS, PRICE_OFFER_STATUS } = require('../utils/constants');
+const { getPaginationOptions, createPaginationResult } = require('../utils/helpers');
 const notificationController = require('./notificationController');
+const seatService = require('../services/seatService');
+const rideSeriesService = require('../services/rideSeriesService');
+const fareService = require('../services/fareService');
+const paymentService = require('../services/paymentService');
+const walletService = require('../services/walletService');
+const promoService = require('../services/promoService');
+const cancellationService = require('../services/cancellationService');
+const waitlistService = require('../services/waitlistService');
+const negotiationService = require('../services/negotiationService');
+const bookingChangeService = require('../services/bookingChangeService');
+const socketService = require('../services/socketService');
 
 /**
  * @desc    Create a new booking
@@ -12,10 +22,29 @@ const notificationController = require('./notificationController');
  */
 exports.createBooking = async (req, res, next) => {
   try {
-    const { ride: rideId, seatsBooked, pickupPoint, dropoffPoint, passengerNotes } = req.body;
+    const {
+      ride: rideId,
+      occurrenceDate,
+      seatsBooked,
+      pickupPoint,
+      dropoffPoint,
+      passengerNotes,
+      paymentMethod,
+      paymentToken,
+      promoCode,
+      offeredPrice,
+      offerMessage
+    } = req.body;
+
+    if (paymentMethod === PAYMENT_METHODS.CARD && !paymentService.cardPaymentsEnabled()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Card payments are not enabled. Pay in cash or from your wallet.'
+      });
+    }
 
     // Find the ride
-    const ride = await Ride.findById(rideId);
+    let ride = await Ride.findById(rideId);
 
     if (!ride) {
       return res.status(404).json({
@@ -24,6 +53,27 @@ exports.createBooking = async (req, res, next) => {
       });
     }
 
+    // Book the trip of a recurring ride that runs on the requested date
+    if (occurrenceDate) {
+      const parentRide = await rideSeriesService.getSeriesParent(ride);
+
+      if (!parentRide) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ride is not part of a recurring series'
+        });
+      }
+
+      ride = await rideSeriesService.findOccurrenceOnDate(parentRide, occurrenceDate);
+
+      if (!ride) {
+        return res.status(404).json({
+          success: false,
+          message: 'This ride does not run on the requested date'
+        });
+      }
+    }
+
     // Check if user is trying to book their own ride
     if (ride.driver.toString() === req.user.id) {
       return res.status(400).json({
@@ -40,17 +90,35 @@ exports.createBooking = async (req, res, next) => {
       });
     }
 
+    // Price and seats depend on the part of the route being booked
+    const quote = fareService.quote(
+      ride,
+      pointCoordinates(pickupPoint),
+      pointCoordinates(dropoffPoint),
+      seatsBooked
+    );
+
+    if (!quote) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dropoff point must come after the pickup point along the route'
+      });
+    }
+
+    // Seats offered to other waitlisted passengers are kept for them
+    const seatsAvailable = Math.max(quote.seatsAvailable - await waitlistService.getOfferedSeats(ride._id, req.user.id), 0);
+
     // Check if there are enough seats available
-    if (ride.seatsAvailable < seatsBooked) {
+    if (seatsAvailable < seatsBooked) {
       return res.status(400).json({
         success: false,
-        message: `Only ${ride.seatsAvailable} seats available`
+        message: `Only ${seatsAvailable} seats available. You can join the waitlist for this ride.`
       });
     }
 
     // Check if user already has a booking for this ride
     const existingBooking = await Booking.findOne({
-      ride: rideId,
+      ride: ride._id,
       passenger: req.user.id,
       status: { $in: ['pending', 'approved'] }
     });
@@ -62,37 +130,189 @@ exports.createBooking = async (req, res, next) => {
       });
     }
 
-    // Calculate total price
-    const totalPrice = ride.pricePerSeat * seatsBooked;
+    // The passenger may offer their own price on rides that allow it
+    let negotiation = null;
+
+    if (offeredPrice !== undefined) {
+      if (promoCode) {
+        return res.status(400).json({
+          success: false,
+          message: 'Promo codes cannot be used with a price offer'
+        });
+      }
+
+      const opened = negotiationService.open(ride, quote, offeredPrice, offerMessage);
+
+      if (!opened.negotiation) {
+        return res.status(400).json({
+          success: false,
+          message: opened.message
+        });
+      }
+
+      negotiation = opened.negotiation;
+    }
+
+    // Apply the promo code, if any
+    let promo = null;
+
+    if (promoCode) {
+      promo = await promoService.evaluate(promoCode, req.user.id, quote.totalPrice);
+
+      if (!promo.success) {
+        return res.status(400).json({
+          success: false,
+          message: promo.message
+        });
+      }
+    }
+
+    const discount = promo ? promo.discount : 0;
+    const totalPrice = negotiation
+      ? Math.round(offeredPrice * seatsBooked * 100) / 100
+      : Math.round((quote.totalPrice - discount) * 100) / 100;
+
+    // Wallet bookings need the fare in the wallet before they are made
+    if (paymentMethod === PAYMENT_METHODS.WALLET) {
+      const balance = await walletService.getWallet(req.user.id);
+
+      if (balance.available < totalPrice) {
+        return res.status(402).json({
+          success: false,
+          message: 'Insufficient wallet balance'
+        });
+      }
+    }
 
     // Create booking
-    const booking = await Booking.create({
-      ride: rideId,
+    let booking = await Booking.create({
+      ride: ride._id,
       passenger: req.user.id,
       driver: ride.driver,
       seatsBooked,
       totalPrice,
+      promoCode: promo ? promo.promo.code : undefined,
+      discount,
+      segment: quote.segment,
       pickupPoint: pickupPoint || ride.source,
       dropoffPoint: dropoffPoint || ride.destination,
-      passengerNotes
+      passengerNotes,
+      paymentMethod: paymentMethod || PAYMENT_METHODS.CASH,
+      negotiation: negotiation || undefined
     });
 
+    if (promo) {
+      const redemption = await promoService.redeem(promo.promo, booking);
+
+      if (!redemption.success) {
+        await Booking.findByIdAndDelete(booking._id);
+
+        return res.status(400).json({
+          success: false,
+          message: redemption.message
+        });
+      }
+    }
+
+    // Card bookings are only kept once the fare is authorized
+    if (booking.paymentMethod === PAYMENT_METHODS.CARD) {
+      const payment = await paymentService.authorizeBooking(booking, paymentToken);
+
+      if (!payment.success) {
+        await promoService.releaseForBooking(booking);
+        await Booking.findByIdAndDelete(booking._id);
+
+        return res.status(402).json({
+          success: false,
+          message: `Payment could not be authorized: ${payment.message}`
+        });
+      }
+
+      booking.paymentId = payment.payment._id.toString();
+    }
+
+    // Instant booking skips driver approval when the passenger qualifies,
+    // unless the driver still has to answer a price offer
+    const instantBooking = ride.allowsInstantBookingFor(req.user);
+
+    if (instantBooking.allowed && !negotiation) {
+      const result = await approveAndHoldFare(booking);
+
+      if (!result.booking) {
+        // Seats or wallet funds ran out in the meantime - drop the booking entirely
+        await paymentService.voidBooking(booking);
+        await promoService.releaseForBooking(booking);
+        await Booking.findByIdAndDelete(booking._id);
+
+        return res.status(result.reason === 'funds' ? 402 : 400).json({
+          success: false,
+          message: result.reason === 'funds' ? result.message : 'Not enough seats available'
+        });
+      }
+
+      booking = result.booking;
+      await waitlistService.markBooked(booking);
+
+      // Let the driver know a seat was booked
+      await notificationController.createNotification({
+        recipient: ride.driver,
+        sender: req.user.id,
+        type: NOTIFICATION_TYPES.BOOKING_APPROVED,
+        title: 'New Instant Booking',
+        message: `${booking.seatsBooked} seat(s) were instantly booked on your ride from ${ride.source.address} to ${ride.destination.address}`,
+        relatedResource: {
+          resourceType: 'booking',
+          resourceId: booking._id
+        }
+      });
+
+      // Confirm the booking to the passenger
+      await notificationController.createNotification({
+        recipient: req.user.id,
+        type: NOTIFICATION_TYPES.BOOKING_APPROVED,
+        title: 'Booking Confirmed',
+        message: `Your booking for the ride from ${ride.source.address} to ${ride.destination.address} is confirmed.`,
+        relatedResource: {
+          resourceType: 'booking',
+          resourceId: booking._id
+        }
+      });
+
+      socketService.emitToUser(ride.driver, SOCKET_EVENTS.BOOKING_APPROVED, booking);
+      socketService.emitToRide(ride._id, SOCKET_EVENTS.RIDE_UPDATED, { rideId: ride._id, seatsAvailable: result.ride.seatsAvailable });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Booking confirmed',
+        data: booking
+      });
+    }
+
+    await waitlistService.markBooked(booking);
+
     // Notify driver of new booking request
     await notificationController.createNotification({
       recipient: ride.driver,
       sender: req.user.id,
       type: NOTIFICATION_TYPES.BOOKING_REQUEST,
-      title: 'New Booking Request',
-      message: `You have a new booking request for your ride from ${ride.source.address} to ${ride.destination.address}`,
+      title: negotiation ? 'New Booking Request With Price Offer' : 'New Booking Request',
+      message: `You have a new booking request for your ride from ${ride.source.address} to ${ride.destination.address}` +
+        (negotiation ? `. The passenger offers ${offeredPrice} per seat (listed at ${negotiation.listPricePerSeat}).` : ''),
       relatedResource: {
         resourceType: 'booking',
         resourceId: booking._id
       }
     });
 
+    socketService.emitToUser(ride.driver, SOCKET_EVENTS.BOOKING_REQUESTED, booking);
+
     res.status(201).json({
       success: true,
-      message: 'Booking created successfully, awaiting driver approval',
+      message: negotiation
+        ? 'Booking created with your price offer, awaiting the driver\'s answer'
+        : ride.instantBooking
+        ? `Booking created, awaiting driver approval. ${instantBooking.reason}`
+        : 'Booking created successfully, awaiting driver approval',
       data: booking
     });
   } catch (err) {
@@ -100,6 +320,239 @@ exports.createBooking = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Book every upcoming trip of a recurring ride
+ * @route   POST /api/v1/bookings/series
+ * @access  Private
+ */
+exports.createSeriesBooking = async (req, res, next) => {
+  try {
+    const {
+      ride: rideId,
+      seatsBooked,
+      pickupPoint,
+      dropoffPoint,
+      passengerNotes,
+      toDate,
+      paymentMethod,
+      paymentToken
+    } = req.body;
+
+    if (paymentMethod === PAYMENT_METHODS.CARD && !paymentService.cardPaymentsEnabled()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Card payments are not enabled. Pay in cash or from your wallet.'
+      });
+    }
+
+    const ride = await Ride.findById(rideId);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    // Check if user is trying to book their own ride
+    if (ride.driver.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot book your own ride'
+      });
+    }
+
+    const parentRide = await rideSeriesService.getSeriesParent(ride);
+
+    if (!parentRide) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ride is not part of a recurring series'
+      });
+    }
+
+    // Make sure the upcoming occurrences exist
+    await rideSeriesService.materializeOccurrences(parentRide);
+
+    const departureFilter = { $gt: new Date() };
+    if (toDate) {
+      departureFilter.$lte = new Date(toDate);
+    }
+
+    const rides = await rideSeriesService.getSeriesRides(parentRide, {
+      status: 'scheduled',
+      departureTime: departureFilter
+    });
+
+    // Check every trip before booking any, so a bad request books nothing
+    const planned = [];
+    const skipped = [];
+
+    for (const occurrence of rides) {
+      const existingBooking = await Booking.findOne({
+        ride: occurrence._id,
+        passenger: req.user.id,
+        status: { $in: ['pending', 'approved'] }
+      });
+
+      if (existingBooking) {
+        skipped.push({ ride: occurrence._id, departureTime: occurrence.departureTime, reason: 'Already booked' });
+        continue;
+      }
+
+      const quote = fareService.quote(
+        occurrence,
+        pointCoordinates(pickupPoint),
+        pointCoordinates(dropoffPoint),
+        seatsBooked
+      );
+
+      if (!quote) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dropoff point must come after the pickup point along the route'
+        });
+      }
+
+      // Seats offered to other waitlisted passengers are kept for them
+      const seatsAvailable = quote.seatsAvailable - await waitlistService.getOfferedSeats(occurrence._id, req.user.id);
+
+      if (seatsAvailable < seatsBooked) {
+        skipped.push({ ride: occurrence._id, departureTime: occurrence.departureTime, reason: 'Not enough seats' });
+        continue;
+      }
+
+      planned.push({ occurrence, quote });
+    }
+
+    if (!planned.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'No upcoming trips of this ride could be booked',
+        skipped
+      });
+    }
+
+    // Wallet bookings need the fare of every trip in the wallet
+    if (paymentMethod === PAYMENT_METHODS.WALLET) {
+      const balance = await walletService.getWallet(req.user.id);
+      const seriesTotal = planned.reduce((sum, { quote }) => sum + quote.totalPrice, 0);
+
+      if (balance.available < seriesTotal) {
+        return res.status(402).json({
+          success: false,
+          message: `Insufficient wallet balance: the ${planned.length} trips cost ${Math.round(seriesTotal * 100) / 100}`
+        });
+      }
+    }
+
+    // The series is booked as a whole: if any trip fails, undo the ones already made
+    const booked = [];
+    const seatsLeft = new Map();
+    let failure = null;
+
+    try {
+      for (const { occurrence, quote } of planned) {
+        let booking = await Booking.create({
+          ride: occurrence._id,
+          seriesRide: parentRide._id,
+          passenger: req.user.id,
+          driver: occurrence.driver,
+          seatsBooked,
+          totalPrice: quote.totalPrice,
+          segment: quote.segment,
+          pickupPoint: pickupPoint || occurrence.source,
+          dropoffPoint: dropoffPoint || occurrence.destination,
+          passengerNotes,
+          paymentMethod: paymentMethod || PAYMENT_METHODS.CASH
+        });
+
+        booked.push(booking);
+
+        // Each trip is authorized separately
+        if (booking.paymentMethod === PAYMENT_METHODS.CARD) {
+          const payment = await paymentService.authorizeBooking(booking, paymentToken);
+
+          if (!payment.success) {
+            failure = { status: 402, message: `Payment could not be authorized: ${payment.message}` };
+            break;
+          }
+
+          booking.paymentId = payment.payment._id.toString();
+        }
+
+        // Instant booking applies per trip
+        if (occurrence.allowsInstantBookingFor(req.user).allowed) {
+          const result = await approveAndHoldFare(booking);
+
+          if (!result.booking) {
+            failure = result.reason === 'funds'
+              ? { status: 402, message: result.message }
+              : { status: 409, message: `Not enough seats are left on the trip of ${occurrence.departureTime.toISOString()}` };
+            break;
+          }
+
+          booking = result.booking;
+          booked[booked.length - 1] = booking;
+          seatsLeft.set(occurrence._id.toString(), result.ride.seatsAvailable);
+        }
+      }
+    } catch (err) {
+      await discardBookings(booked);
+      throw err;
+    }
+
+    if (failure) {
+      await discardBookings(booked);
+
+      return res.status(failure.status).json({
+        success: false,
+        message: `${failure.message}. No trips were booked.`
+      });
+    }
+
+    for (const booking of booked) {
+      await waitlistService.markBooked(booking);
+
+      if (booking.status === BOOKING_STATUS.APPROVED) {
+        socketService.emitToUser(booking.driver, SOCKET_EVENTS.BOOKING_APPROVED, booking);
+        socketService.emitToRide(booking.ride, SOCKET_EVENTS.RIDE_UPDATED, {
+          rideId: booking.ride,
+          seatsAvailable: seatsLeft.get(booking.ride.toString())
+        });
+      } else {
+        socketService.emitToUser(booking.driver, SOCKET_EVENTS.BOOKING_REQUESTED, booking);
+      }
+    }
+
+    const approvedCount = booked.filter(booking => booking.status === BOOKING_STATUS.APPROVED).length;
+
+    // One notification for the whole series instead of one per trip
+    await notificationController.createNotification({
+      recipient: parentRide.driver,
+      sender: req.user.id,
+      type: approvedCount === booked.length ? NOTIFICATION_TYPES.BOOKING_APPROVED : NOTIFICATION_TYPES.BOOKING_REQUEST,
+      title: 'New Series Booking',
+      message: `A passenger booked ${booked.length} trips of your recurring ride from ${parentRide.source.address} to ${parentRide.destination.address}` +
+        (approvedCount < booked.length ? `. ${booked.length - approvedCount} are awaiting your approval.` : ''),
+      relatedResource: {
+        resourceType: 'ride',
+        resourceId: parentRide._id
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${booked.length} trips booked, ${approvedCount} confirmed`,
+      count: booked.length,
+      skipped,
+      data: booked
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Get all bookings (with filters for user's role)
  * @route   GET /api/v1/bookings
@@ -186,12 +639,12 @@ exports.getBooking = async (req, res, next) => {
         select: 'source destination departureTime status pricePerSeat vehicleDetails additionalNotes',
         populate: {
           path: 'driver',
-          select: 'firstName lastName profileImage phone avgRating'
+          select: 'firstName lastName profileImage avgRating'
         }
       })
       .populate({
         path: 'passenger',
-        select: 'firstName lastName profileImage phone'
+        select: 'firstName lastName profileImage'
       });
     
     if (!booking) {
@@ -253,33 +706,52 @@ exports.approveBooking = async (req, res, next) => {
         message: `Cannot approve a booking with status: ${booking.status}`
       });
     }
+
+    // Approving a booking under negotiation accepts the passenger's offer
+    if (negotiationService.isOpen(booking)) {
+      const agreed = await negotiationService.accept(booking, 'driver');
+
+      if (!agreed.success) {
+        return res.status(agreed.status).json({
+          success: false,
+          message: agreed.message
+        });
+      }
+
+      booking = agreed.booking;
+    }
     
-    // Get the ride
-    const ride = await Ride.findById(booking.ride);
-    
-    // Check if there are enough seats available
-    if (ride.seatsAvailable < booking.seatsBooked) {
+    // Approve and reserve seats atomically so the ride can never be oversold
+    const result = await approveAndHoldFare(booking, {
+      driverNotes: req.body.driverNotes || booking.driverNotes
+    });
+
+    if (result.reason === 'funds') {
+      return res.status(402).json({
+        success: false,
+        message: 'The passenger\'s wallet balance does not cover this booking'
+      });
+    }
+
+    if (result.reason === 'status') {
+      return res.status(409).json({
+        success: false,
+        message: 'Booking was modified by another request. Please refresh and try again.'
+      });
+    }
+
+    if (result.reason === 'seats') {
+      const ride = await Ride.findById(booking.ride);
+
       return res.status(400).json({
         success: false,
-        message: `Not enough seats available. Only ${ride.seatsAvailable} seats left`
+        message: ride && ride.status !== 'scheduled'
+          ? `Cannot approve a booking for a ride that is ${ride.status}`
+          : `Not enough seats available. Only ${ride ? fareService.getSegmentSeats(ride, booking.segment) : 0} seats left`
       });
     }
-    
-    // Update booking status
-    booking = await Booking.findByIdAndUpdate(
-      req.params.id,
-      { 
-        status: BOOKING_STATUS.APPROVED,
-        driverNotes: req.body.driverNotes || booking.driverNotes
-      },
-      { new: true }
-    );
-    
-    // Update ride's available seats
-    await Ride.findByIdAndUpdate(
-      booking.ride,
-      { $inc: { seatsAvailable: -booking.seatsBooked } }
-    );
+
+    booking = result.booking;
     
     // Notify passenger of booking approval
     await notificationController.createNotification({
@@ -287,13 +759,18 @@ exports.approveBooking = async (req, res, next) => {
       sender: req.user.id,
       type: NOTIFICATION_TYPES.BOOKING_APPROVED,
       title: 'Booking Approved',
-      message: 'Your booking request has been approved by the driver.',
+      message: booking.negotiation && booking.negotiation.agreedPricePerSeat !== undefined
+        ? `Your booking request has been approved by the driver at the agreed price of ${booking.negotiation.agreedPricePerSeat} per seat.`
+        : 'Your booking request has been approved by the driver.',
       relatedResource: {
         resourceType: 'booking',
         resourceId: booking._id
       }
     });
     
+    socketService.emitToUser(booking.passenger, SOCKET_EVENTS.BOOKING_APPROVED, booking);
+    socketService.emitToRide(booking.ride, SOCKET_EVENTS.RIDE_UPDATED, { rideId: booking.ride, seatsAvailable: result.ride.seatsAvailable });
+    
     res.status(200).json({
       success: true,
       message: 'Booking approved successfully',
@@ -336,15 +813,32 @@ exports.rejectBooking = async (req, res, next) => {
       });
     }
     
-    // Update booking status
-    booking = await Booking.findByIdAndUpdate(
-      req.params.id,
+    // Update booking status (only while it is still pending)
+    booking = await Booking.findOneAndUpdate(
+      { _id: req.params.id, status: BOOKING_STATUS.PENDING },
       { 
         status: BOOKING_STATUS.REJECTED,
         driverNotes: req.body.driverNotes || booking.driverNotes
       },
       { new: true }
     );
+
+    if (!booking) {
+      return res.status(409).json({
+        success: false,
+        message: 'Booking was modified by another request. Please refresh and try again.'
+      });
+    }
+
+    // Release the card authorization
+    if (booking.paymentId) {
+      await paymentService.voidBooking(booking);
+      booking = await Booking.findById(booking._id);
+    }
+
+    // The promo code can be used again
+    await promoService.releaseForBooking(booking);
+    await negotiationService.close(booking, PRICE_OFFER_STATUS.REJECTED);
     
     // Notify passenger of booking rejection
     await notificationController.createNotification({
@@ -361,6 +855,11 @@ exports.rejectBooking = async (req, res, next) => {
       }
     });
     
+    socketService.emitToUser(booking.passenger, SOCKET_EVENTS.BOOKING_REJECTED, booking);
+
+    // Offer any free seats to the waitlist
+    await waitlistService.promote(booking.ride);
+    
     res.status(200).json({
       success: true,
       message: 'Booking rejected successfully',
@@ -406,47 +905,419 @@ exports.cancelBooking = async (req, res, next) => {
       });
     }
     
-    // If booking was approved, return seats to the ride
-    if (booking.status === 'approved') {
-      await Ride.findByIdAndUpdate(
-        booking.ride,
-        { $inc: { seatsAvailable: booking.seatsBooked } }
-      );
-    }
-    
     // Get the reason for cancellation
     const cancellationReason = req.body.reason || 'No reason provided';
+    const previous = booking;
     
-    // Update booking status
-    booking = await Booking.findByIdAndUpdate(
-      req.params.id,
-      { 
-        status: BOOKING_STATUS.CANCELLED,
-        cancellationReason,
-        cancelledBy: req.user.id
-      },
-      { new: true }
-    );
+    // Cancel the booking and return any held seats to the ride
+    booking = await seatService.cancelBooking(booking, {
+      cancellationReason,
+      cancelledBy: req.user.id
+    });
+
+    if (!booking) {
+      return res.status(409).json({
+        success: false,
+        message: 'Booking was modified by another request. Please refresh and try again.'
+      });
+    }
+
+    await negotiationService.close(booking, isPassenger ? PRICE_OFFER_STATUS.WITHDRAWN : PRICE_OFFER_STATUS.REJECTED);
+
+    // Refund according to the cancellation policy
+    const ride = await Ride.findById(booking.ride);
+    const senderRole = isPassenger ? 'passenger' : isDriver ? 'driver' : 'admin';
+    const outcome = await cancellationService.applyPolicy(previous, ride, senderRole);
+    const refundSummary = cancellationService.describeOutcome(outcome);
+
+    if (outcome.paid) {
+      booking = await Booking.findById(booking._id);
+    }
     
     // Notify the other party about the cancellation
     const recipientId = isPassenger ? booking.driver : booking.passenger;
-    const senderRole = isPassenger ? 'passenger' : 'driver';
     
     await notificationController.createNotification({
       recipient: recipientId,
       sender: req.user.id,
       type: NOTIFICATION_TYPES.BOOKING_CANCELLED,
       title: 'Booking Cancelled',
-      message: `Booking has been cancelled by the ${senderRole}. Reason: ${cancellationReason}`,
+      message: `Booking has been cancelled by the ${senderRole}. Reason: ${cancellationReason}` +
+        (refundSummary && !isPassenger ? ` ${refundSummary}` : ''),
       relatedResource: {
         resourceType: 'booking',
         resourceId: booking._id
       }
     });
+
+    // Passengers always learn what happens to their money
+    if (isPassenger && refundSummary) {
+      await notificationController.createNotification({
+        recipient: booking.passenger,
+        type: NOTIFICATION_TYPES.BOOKING_CANCELLED,
+        title: 'Booking Cancelled',
+        message: `Your booking has been cancelled. ${refundSummary}`,
+        relatedResource: {
+          resourceType: 'booking',
+          resourceId: booking._id
+        }
+      });
+    }
+
+    await cancellationService.emailPassenger(booking, ride, cancellationReason, outcome);
+    
+    socketService.emitToUser(recipientId, SOCKET_EVENTS.BOOKING_CANCELLED, booking);
+
+    // The freed seats go to the next passengers on the waitlist
+    await waitlistService.promote(booking.ride);
     
     res.status(200).json({
       success: true,
       message: 'Booking cancelled successfully',
+      refund: {
+        refundPercent: outcome.refundPercent,
+        refundAmount: outcome.paid ? outcome.refundAmount : 0,
+        reason: outcome.reason,
+        status: outcome.refund ? outcome.refund.status : null
+      },
+      data: booking
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Change the seats, stops or notes of a booking
+ * @route   PUT /api/v1/bookings/:id
+ * @access  Private (Passenger only)
+ */
+exports.updateBooking = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.passenger.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change this booking'
+      });
+    }
+
+    const ride = await Ride.findById(booking.ride);
+    const { seatsBooked, pickupPoint, dropoffPoint, passengerNotes } = req.body;
+
+    const prepared = await bookingChangeService.prepare(booking, ride, {
+      seatsBooked,
+      pickupPoint,
+      dropoffPoint,
+      passengerNotes
+    });
+
+    if (!prepared.success) {
+      return res.status(prepared.status).json({
+        success: false,
+        message: prepared.message
+      });
+    }
+
+    const { change, changes, needsApproval } = prepared;
+
+    // More seats or other stops on an approved booking wait for the driver
+    const result = needsApproval
+      ? await bookingChangeService.request(booking, change, changes, req.user.id)
+      : await bookingChangeService.apply(booking, change, changes, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await notificationController.createNotification({
+      recipient: booking.driver,
+      sender: req.user.id,
+      type: needsApproval ? NOTIFICATION_TYPES.BOOKING_REQUEST : NOTIFICATION_TYPES.SYSTEM_NOTIFICATION,
+      title: needsApproval ? 'Booking Change Requested' : 'Booking Changed',
+      message: `A passenger on your ride from ${ride.source.address} to ${ride.destination.address} ` +
+        `${needsApproval ? 'asks to change' : 'changed'} their booking: ${describeChanges(changes)}.` +
+        (!needsApproval && bookingChangeService.hasPendingChange(booking) ? ' The change they asked for before is withdrawn.' : ''),
+      relatedResource: {
+        resourceType: 'booking',
+        resourceId: booking._id
+      }
+    });
+
+    socketService.emitToUser(booking.driver, SOCKET_EVENTS.BOOKING_CHANGED, result.booking);
+
+    if (result.ride) {
+      socketService.emitToRide(ride._id, SOCKET_EVENTS.RIDE_UPDATED, { rideId: ride._id, seatsAvailable: result.ride.seatsAvailable });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: needsApproval
+        ? 'Change requested, awaiting driver approval. Your current booking stays in place until then.'
+        : 'Booking updated successfully',
+      data: result.booking
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Approve the change a passenger asked for on a booking
+ * @route   PUT /api/v1/bookings/:id/changes/approve
+ * @access  Private (Driver only)
+ */
+exports.approveBookingChange = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.driver.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to approve changes to this booking'
+      });
+    }
+
+    const result = await bookingChangeService.approve(booking, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await notificationController.createNotification({
+      recipient: booking.passenger,
+      sender: req.user.id,
+      type: NOTIFICATION_TYPES.BOOKING_APPROVED,
+      title: 'Booking Change Approved',
+      message: `The driver approved the change to your booking. You now have ${result.booking.seatsBooked} seat(s) ` +
+        `for a total of ${result.booking.totalPrice}.`,
+      relatedResource: {
+        resourceType: 'booking',
+        resourceId: booking._id
+      }
+    });
+
+    socketService.emitToUser(booking.passenger, SOCKET_EVENTS.BOOKING_CHANGED, result.booking);
+    socketService.emitToRide(booking.ride, SOCKET_EVENTS.RIDE_UPDATED, { rideId: booking.ride, seatsAvailable: result.ride.seatsAvailable });
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking change approved',
+      data: result.booking
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Reject the change a passenger asked for on a booking
+ * @route   PUT /api/v1/bookings/:id/changes/reject
+ * @access  Private (Driver only)
+ */
+exports.rejectBookingChange = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.driver.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reject changes to this booking'
+      });
+    }
+
+    const result = await bookingChangeService.reject(booking, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await notificationController.createNotification({
+      recipient: booking.passenger,
+      sender: req.user.id,
+      type: NOTIFICATION_TYPES.BOOKING_REJECTED,
+      title: 'Booking Change Declined',
+      message: req.body.driverNotes
+        ? `The driver declined the change to your booking. Reason: ${req.body.driverNotes}. Your booking stays as it was.`
+        : 'The driver declined the change to your booking. Your booking stays as it was.',
+      relatedResource: {
+        resourceType: 'booking',
+        resourceId: booking._id
+      }
+    });
+
+    socketService.emitToUser(booking.passenger, SOCKET_EVENTS.BOOKING_CHANGED, result.booking);
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking change rejected',
+      data: result.booking
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Make a counter-offer on a booking under price negotiation
+ * @route   POST /api/v1/bookings/:id/offers
+ * @access  Private
+ */
+exports.counterOffer = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const by = negotiationParty(booking, req.user.id);
+
+    if (!by) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to negotiate on this booking'
+      });
+    }
+
+    const result = await negotiationService.counter(booking, by, req.body.pricePerSeat, req.body.message);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Counter-offer sent',
+      data: result.booking
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Accept the latest price offer on a booking and confirm it
+ * @route   PUT /api/v1/bookings/:id/offers/accept
+ * @access  Private
+ */
+exports.acceptOffer = async (req, res, next) => {
+  try {
+    let booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const by = negotiationParty(booking, req.user.id);
+
+    if (!by) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to negotiate on this booking'
+      });
+    }
+
+    const agreed = await negotiationService.accept(booking, by);
+
+    if (!agreed.success) {
+      return res.status(agreed.status).json({
+        success: false,
+        message: agreed.message
+      });
+    }
+
+    booking = agreed.booking;
+
+    // Either side accepting agrees the deal, so the seats are taken right away
+    const result = await approveAndHoldFare(booking);
+    const otherParty = by === 'driver' ? booking.passenger : booking.driver;
+
+    if (!result.booking) {
+      // The price stands; the driver can approve the booking once the problem is solved
+      await notificationController.createNotification({
+        recipient: otherParty,
+        sender: req.user.id,
+        type: NOTIFICATION_TYPES.BOOKING_REQUEST,
+        title: 'Price Offer Accepted',
+        message: `The ${by} accepted ${booking.negotiation.agreedPricePerSeat} per seat, but the booking could not be confirmed yet.`,
+        relatedResource: {
+          resourceType: 'booking',
+          resourceId: booking._id
+        }
+      });
+
+      return res.status(result.reason === 'funds' ? 402 : result.reason === 'status' ? 409 : 400).json({
+        success: false,
+        message: result.reason === 'funds'
+          ? 'Price agreed, but the passenger\'s wallet balance does not cover this booking'
+          : result.reason === 'status'
+          ? 'Booking was modified by another request. Please refresh and try again.'
+          : 'Price agreed, but there are not enough seats left to confirm the booking',
+        data: booking
+      });
+    }
+
+    booking = result.booking;
+
+    await notificationController.createNotification({
+      recipient: otherParty,
+      sender: req.user.id,
+      type: NOTIFICATION_TYPES.BOOKING_APPROVED,
+      title: 'Price Offer Accepted',
+      message: `The ${by} accepted ${booking.negotiation.agreedPricePerSeat} per seat. The booking is confirmed.`,
+      relatedResource: {
+        resourceType: 'booking',
+        resourceId: booking._id
+      }
+    });
+
+    socketService.emitToUser(otherParty, SOCKET_EVENTS.BOOKING_APPROVED, booking);
+    socketService.emitToRide(booking.ride, SOCKET_EVENTS.RIDE_UPDATED, { rideId: booking.ride, seatsAvailable: result.ride.seatsAvailable });
+
+    res.status(200).json({
+      success: true,
+      message: 'Offer accepted and booking confirmed',
       data: booking
     });
   } catch (err) {
@@ -532,7 +1403,7 @@ exports.getUpcomingBookings = async (req, res, next) => {
       })
       .populate({
         path: 'driver',
-        select: 'firstName lastName profileImage avgRating phone'
+        select: 'firstName lastName profileImage avgRating'
       })
       .sort({ 'ride.departureTime': 1 })
       .skip(startIndex)
@@ -555,3 +1426,74 @@ exports.getUpcomingBookings = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * Coordinates of a pickup or dropoff point from the request body
+ */
+function pointCoordinates(point) {
+  return point && point.location ? point.location.coordinates : null;
+}
+
+/**
+ * Approve a booking, first reserving the fare of wallet bookings from the
+ * passenger's wallet. The reservation is returned if approval fails.
+ * @returns {Object} - seatService.approveBooking result, or { reason: 'funds', message }
+ */
+async function approveAndHoldFare(booking, update) {
+  if (booking.paymentMethod === PAYMENT_METHODS.WALLET) {
+    const hold = await walletService.holdForBooking(booking);
+
+    if (!hold.success) {
+      return { reason: 'funds', message: hold.message };
+    }
+  }
+
+  const result = await seatService.approveBooking(booking, update);
+
+  if (!result.booking && booking.paymentMethod === PAYMENT_METHODS.WALLET) {
+    await walletService.releaseForBooking(booking);
+  }
+
+  return result;
+}
+
+/**
+ * Undo bookings made by a request that failed part way: give back their
+ * seats, wallet holds and card authorizations, then remove them
+ */
+async function discardBookings(bookings) {
+  for (const booking of bookings) {
+    await seatService.cancelBooking(booking);
+    await walletService.releaseForBooking(booking);
+    await paymentService.voidBooking(booking);
+    await Booking.findByIdAndDelete(booking._id);
+  }
+}
+
+/**
+ * Side a user negotiates for on a booking, or null if not a participant
+ */
+function negotiationParty(booking, userId) {
+  if (booking.passenger.toString() === userId) return 'passenger';
+  if (booking.driver.toString() === userId) return 'driver';
+  return null;
+}
+
+/**
+ * Readable summary of the fields changed on a booking
+ */
+function describeChanges(changes) {
+  const labels = {
+    seatsBooked: 'seats',
+    pickupPoint: 'pickup',
+    dropoffPoint: 'dropoff',
+    totalPrice: 'fare',
+    discount: 'discount'
+  };
+
+  return Object.keys(changes)
+    .map(field => labels[field]
+      ? `${labels[field]} from ${changes[field].from} to ${changes[field].to}`
+      : 'notes updated')
+    .join(', ');
+}
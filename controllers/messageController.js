@@ -0,0 +1,98 @@
+const User = require('../models/user');
+const chatService = require('../services/chatService');
+const { getPaginationOptions, createPaginationResult } = require('../utils/helpers');
+
+/**
+ * @desc    Get the chat of a booking and mark received messages as read
+ * @route   GET /api/v1/bookings/:id/messages
+ * @access  Private (Booking participants or admin)
+ */
+exports.getMessages = async (req, res, next) => {
+  try {
+    const booking = req.booking;
+    const paginationOptions = getPaginationOptions(req.query);
+
+    // Admins can read a chat without marking it as read
+    const isParticipant = [booking.driver.toString(), booking.passenger.toString()].includes(req.user.id);
+
+    if (isParticipant) {
+      await chatService.markRead(booking, req.user.id);
+    }
+
+    const { messages, total } = await chatService.getMessages(booking, paginationOptions);
+    const pagination = createPaginationResult(paginationOptions, total);
+    const lockReason = chatService.getLockReason(booking);
+
+    res.status(200).json({
+      success: true,
+      locked: Boolean(lockReason),
+      lockReason: lockReason || undefined,
+      participants: await getParticipants(booking),
+      count: messages.length,
+      pagination,
+      data: messages
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Send a chat message on a booking
+ * @route   POST /api/v1/bookings/:id/messages
+ * @access  Private (Booking participants)
+ */
+exports.sendMessage = async (req, res, next) => {
+  try {
+    const booking = req.booking;
+
+    if (![booking.driver.toString(), booking.passenger.toString()].includes(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the driver and the passenger can send messages'
+      });
+    }
+
+    const result = await chatService.sendMessage(booking, req.user.id, req.body.body);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      data: result.data
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Driver and passenger of a booking, with their phone numbers masked
+ */
+async function getParticipants(booking) {
+  const users = await User.find({ _id: { $in: [booking.driver, booking.passenger] } })
+    .select('firstName lastName profileImage phone');
+
+  const describe = (userId) => {
+    const user = users.find(candidate => candidate._id.toString() === userId.toString());
+
+    return user && {
+      _id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      profileImage: user.profileImage,
+      phone: chatService.maskPhone(user.phone)
+    };
+  };
+
+  return {
+    driver: describe(booking.driver),
+    passenger: describe(booking.passenger)
+  };
+}
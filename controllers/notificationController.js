@@ -2,8 +2,11 @@ const Notification = require('../models/notification');
 const User = require('../models/user');
 const emailService = require('../services/emailService');
 const firebaseService = require('../services/firebaseService');
+const socketService = require('../services/socketService');
+const chatService = require('../services/chatService');
 const logger = require('../utils/logger');
 const { getPaginationOptions, createPaginationResult } = require('../utils/helpers');
+const { SOCKET_EVENTS } = require('../utils/constants');
 
 /**
  * @desc    Create a notification
@@ -24,6 +27,9 @@ exports.createNotification = async (notificationData) => {
       deliveryMethod
     });
 
+    // Push to the recipient's open connections right away
+    socketService.emitToUser(recipient, SOCKET_EVENTS.NOTIFICATION_NEW, notification);
+
     // Get recipient user
     const user = await User.findById(recipient);
 
@@ -245,11 +251,15 @@ exports.getNotificationCount = async (req, res, next) => {
       recipient: req.user.id
     });
 
+    // Unread chat messages are counted separately
+    const unreadMessages = await chatService.countUnread(req.user.id);
+
     res.status(200).json({
       success: true,
       data: {
         unread: unreadCount,
-        total: totalCount
+        total: totalCount,
+        unreadMessages
       }
     });
   } catch (err) {
@@ -0,0 +1,72 @@
+const Payment = require('../models/payment');
+const paymentService = require('../services/paymentService');
+const { PAYMENT_SETTINGS } = require('../utils/constants');
+
+/**
+ * @desc    Receive payment status updates from the gateway
+ * @route   POST /api/v1/payments/webhook
+ * @access  Public (signed by the gateway)
+ */
+exports.handleWebhook = async (req, res, next) => {
+  try {
+    const result = await paymentService.handleWebhook(
+      req.rawBody,
+      req.get(PAYMENT_SETTINGS.SIGNATURE_HEADER)
+    );
+
+    if (result.reason === 'disabled') {
+      return res.status(503).json({
+        success: false,
+        message: 'Card payments are not enabled'
+      });
+    }
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.reason ? `Event ${result.reason.replace('_', ' ')}` : 'Event processed'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a payment
+ * @route   GET /api/v1/payments/:id
+ * @access  Private (Payer, payee or admin)
+ */
+exports.getPayment = async (req, res, next) => {
+  try {
+    const payment = await Payment.findById(req.params.id).select('-processedEvents');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (payment.payer.toString() !== req.user.id &&
+        payment.payee.toString() !== req.user.id &&
+        req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this payment'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: payment
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,170 @@
+const RideAlert = require('../models/rideAlert');
+const RideAlertMatch = require('../models/rideAlertMatch');
+const { RIDE_ALERT_SETTINGS } = require('../utils/constants');
+
+/**
+ * @desc    Get user's ride alerts
+ * @route   GET /api/v1/users/ride-alerts
+ * @access  Private
+ */
+exports.getRideAlerts = async (req, res, next) => {
+  try {
+    const alerts = await RideAlert.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: alerts.length,
+      data: alerts
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Save a ride alert
+ * @route   POST /api/v1/users/ride-alerts
+ * @access  Private
+ */
+exports.createRideAlert = async (req, res, next) => {
+  try {
+    const count = await RideAlert.countDocuments({ user: req.user.id });
+
+    if (count >= RIDE_ALERT_SETTINGS.MAX_ALERTS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save at most ${RIDE_ALERT_SETTINGS.MAX_ALERTS_PER_USER} ride alerts`
+      });
+    }
+
+    const alert = await RideAlert.create({
+      ...pickAlertFields(req.body),
+      user: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Ride alert saved. You will be notified when a matching ride is posted.',
+      data: alert
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a ride alert with the rides it matched
+ * @route   GET /api/v1/users/ride-alerts/:id
+ * @access  Private
+ */
+exports.getRideAlert = async (req, res, next) => {
+  try {
+    const alert = await RideAlert.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride alert not found'
+      });
+    }
+
+    const matches = await RideAlertMatch.find({ alert: alert._id })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .populate({
+        path: 'ride',
+        select: 'source destination departureTime status pricePerSeat seatsAvailable'
+      });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...alert.toObject(),
+        matches
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update a ride alert
+ * @route   PUT /api/v1/users/ride-alerts/:id
+ * @access  Private
+ */
+exports.updateRideAlert = async (req, res, next) => {
+  try {
+    const alert = await RideAlert.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride alert not found'
+      });
+    }
+
+    alert.set(pickAlertFields(req.body));
+    await alert.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Ride alert updated successfully',
+      data: alert
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Delete a ride alert
+ * @route   DELETE /api/v1/users/ride-alerts/:id
+ * @access  Private
+ */
+exports.deleteRideAlert = async (req, res, next) => {
+  try {
+    const alert = await RideAlert.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride alert not found'
+      });
+    }
+
+    await RideAlertMatch.deleteMany({ alert: alert._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Ride alert deleted successfully'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Ride alert fields a user may set
+ */
+function pickAlertFields(body) {
+  const fields = [
+    'name',
+    'source',
+    'destination',
+    'radius',
+    'dateFrom',
+    'dateTo',
+    'weekdays',
+    'timeFrom',
+    'timeTo',
+    'maxPrice',
+    'seats',
+    'isActive'
+  ];
+
+  return fields.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+    return data;
+  }, {});
+}
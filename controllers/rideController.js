@@ -1,15 +1,28 @@
 const Ride = require('../models/ride');
 const Booking = require('../models/booking');
 const User = require('../models/user');
-const Notification = require('../models/notification');
 const { 
-  calculateDistance, 
   estimateTravelTime, 
   getPaginationOptions, 
   createPaginationResult 
 } = require('../utils/helpers');
-const { RIDE_STATUS, NOTIFICATION_TYPES } = require('../utils/constants');
+const { cleanPath } = require('../utils/geo');
+const logger = require('../utils/logger');
+const { RIDE_STATUS, BOOKING_STATUS, NOTIFICATION_TYPES, SOCKET_EVENTS, PRICING_MODES, RIDE_MATCHING } = require('../utils/constants');
 const notificationController = require('./notificationController');
+const seatService = require('../services/seatService');
+const rideSeriesService = require('../services/rideSeriesService');
+const socketService = require('../services/socketService');
+const locationService = require('../services/locationService');
+const rideMatchingService = require('../services/rideMatchingService');
+const fareService = require('../services/fareService');
+const paymentService = require('../services/paymentService');
+const walletService = require('../services/walletService');
+const referralService = require('../services/referralService');
+const cancellationService = require('../services/cancellationService');
+const vehicleService = require('../services/vehicleService');
+const waitlistService = require('../services/waitlistService');
+const rideAlertService = require('../services/rideAlertService');
 
 /**
  * @desc    Create a new ride
@@ -39,15 +52,41 @@ exports.createRide = async (req, res, next) => {
       source,
       destination,
       intermediateStops,
+      routeCoordinates,
       departureTime,
       seatsAvailable,
       pricePerSeat,
       preferences,
       additionalNotes,
+      instantBooking,
+      instantBookingRequirements,
+      priceNegotiation,
+      pricingMode,
+      segmentPrices,
       isRecurring,
-      recurringDetails
+      recurringDetails,
+      vehicleId
     } = req.body;
 
+    // Pick the vehicle and check the seats fit in it
+    const selection = await vehicleService.resolveRideVehicle(req.user, vehicleId);
+
+    if (!selection.vehicleDetails) {
+      return res.status(selection.status).json({
+        success: false,
+        message: selection.message
+      });
+    }
+
+    const capacityError = vehicleService.checkCapacity(selection.vehicleDetails, seatsAvailable);
+
+    if (capacityError) {
+      return res.status(400).json({
+        success: false,
+        message: capacityError
+      });
+    }
+
     // Calculate estimated arrival time
     const estimatedMinutes = estimateTravelTime(
       source.location.coordinates,
@@ -59,28 +98,29 @@ exports.createRide = async (req, res, next) => {
       departureDate.getTime() + estimatedMinutes * 60000
     );
 
-    // Get vehicle details from driver profile
-    const driverDetails = req.user.driverDetails || {};
-    const vehicleDetails = {
-      model: driverDetails.vehicleModel || '',
-      color: driverDetails.vehicleColor || '',
-      licensePlate: driverDetails.licensePlate || ''
-    };
-
     // Create ride
     const ride = await Ride.create({
       driver: req.user.id,
       source,
       destination,
       intermediateStops: intermediateStops || [],
+      route: routeCoordinates
+        ? { type: 'LineString', coordinates: cleanPath(routeCoordinates) }
+        : undefined,
       departureTime,
       estimatedArrivalTime,
       seatsAvailable,
       seatsTotal: seatsAvailable,
       pricePerSeat,
-      vehicleDetails,
+      pricingMode,
+      segmentPrices,
+      vehicle: selection.vehicle ? selection.vehicle._id : undefined,
+      vehicleDetails: selection.vehicleDetails,
       preferences: preferences || {},
       additionalNotes,
+      instantBooking: instantBooking || false,
+      instantBookingRequirements: instantBookingRequirements || {},
+      priceNegotiation: priceNegotiation || {},
       isRecurring: isRecurring || false,
       recurringDetails: isRecurring ? recurringDetails : undefined
     });
@@ -91,9 +131,18 @@ exports.createRide = async (req, res, next) => {
       { $inc: { totalRides: 1 } }
     );
 
+    // Generate the upcoming trips of a recurring ride
+    const occurrencesCreated = ride.isRecurring
+      ? await rideSeriesService.materializeOccurrences(ride)
+      : 0;
+
+    // Let passengers with a matching saved search know
+    await rideAlertService.notifyMatchingAlerts(ride);
+
     res.status(201).json({
       success: true,
       message: 'Ride created successfully',
+      occurrencesCreated,
       data: ride
     });
   } catch (err) {
@@ -110,8 +159,6 @@ exports.getRides = async (req, res, next) => {
   try {
     // Build query based on filters
     const {
-      sourceAddress,
-      destinationAddress,
       departureDate,
       seats,
       maxPrice,
@@ -192,7 +239,7 @@ exports.getRide = async (req, res, next) => {
     const ride = await Ride.findById(req.params.id)
       .populate({
         path: 'driver',
-        select: 'firstName lastName profileImage avgRating phone'
+        select: 'firstName lastName profileImage avgRating'
       });
 
     if (!ride) {
@@ -259,7 +306,13 @@ exports.updateRide = async (req, res, next) => {
       seatsAvailable,
       pricePerSeat,
       preferences,
-      additionalNotes
+      additionalNotes,
+      instantBooking,
+      instantBookingRequirements,
+      priceNegotiation,
+      pricingMode,
+      segmentPrices,
+      vehicleId
     } = req.body;
 
     // Create update object
@@ -279,9 +332,14 @@ exports.updateRide = async (req, res, next) => {
       );
     }
     
+    // Only apply the update if nothing changed since the ride was read
+    const updateFilter = { _id: req.params.id, status: RIDE_STATUS.SCHEDULED };
+
     if (seatsAvailable !== undefined) {
-      // Check if new seat count is valid (not less than booked seats)
+      // Seats already taken by approved bookings stay taken
       const bookedSeats = ride.seatsTotal - ride.seatsAvailable;
+      const change = seatsAvailable - ride.seatsAvailable;
+
       if (seatsAvailable < bookedSeats) {
         return res.status(400).json({
           success: false,
@@ -291,19 +349,111 @@ exports.updateRide = async (req, res, next) => {
       
       updateData.seatsAvailable = seatsAvailable;
       updateData.seatsTotal = seatsAvailable + bookedSeats;
+
+      // Every leg gains or loses the same number of seats
+      if (ride.segmentSeatsAvailable && ride.segmentSeatsAvailable.length) {
+        updateData.$inc = { 'segmentSeatsAvailable.$[]': change };
+        updateFilter.segmentSeatsAvailable = { $exists: true };
+      } else {
+        updateData.segmentSeatsAvailable = new Array(Ride.getLegCount(ride)).fill(seatsAvailable);
+        updateFilter.segmentSeatsAvailable = { $exists: false };
+      }
+
+      // A concurrent approval or cancellation changes seatsAvailable
+      updateFilter.seatsAvailable = ride.seatsAvailable;
+      updateFilter.seatsTotal = ride.seatsTotal;
     }
     
+    let { vehicleDetails } = ride;
+
+    // Switch to another of the driver's vehicles
+    if (vehicleId) {
+      const selection = await vehicleService.resolveRideVehicle({ _id: ride.driver }, vehicleId);
+
+      if (!selection.vehicleDetails) {
+        return res.status(selection.status).json({
+          success: false,
+          message: selection.message
+        });
+      }
+
+      vehicleDetails = selection.vehicleDetails;
+      updateData.vehicle = selection.vehicle._id;
+      updateData.vehicleDetails = vehicleDetails;
+    }
+
+    const capacityError = (seatsAvailable !== undefined || vehicleId) && vehicleService.checkCapacity(
+      vehicleDetails,
+      updateData.seatsTotal !== undefined ? updateData.seatsTotal : ride.seatsTotal
+    );
+
+    if (capacityError) {
+      return res.status(400).json({
+        success: false,
+        message: capacityError
+      });
+    }
+
     if (pricePerSeat !== undefined) updateData.pricePerSeat = pricePerSeat;
+    if (pricingMode) updateData.pricingMode = pricingMode;
+
+    if (segmentPrices) {
+      const legCount = Ride.getLegCount(ride);
+
+      if (segmentPrices.length !== legCount) {
+        return res.status(400).json({
+          success: false,
+          message: `Segment pricing needs a price for each of the ${legCount} legs`
+        });
+      }
+
+      updateData.segmentPrices = segmentPrices;
+    }
+
+    // Segment pricing charges the sum of the legs for the full route
+    if ((pricingMode || ride.pricingMode) === PRICING_MODES.SEGMENT) {
+      const prices = segmentPrices || ride.segmentPrices;
+
+      if (!prices || !prices.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Segment pricing needs a price for each leg'
+        });
+      }
+
+      if (pricingMode || segmentPrices) {
+        updateData.pricePerSeat = prices.reduce((sum, price) => sum + price, 0);
+      }
+    }
     if (preferences) updateData.preferences = { ...ride.preferences, ...preferences };
     if (additionalNotes) updateData.additionalNotes = additionalNotes;
+    if (instantBooking !== undefined) updateData.instantBooking = instantBooking;
+    if (instantBookingRequirements) {
+      updateData.instantBookingRequirements = { ...ride.instantBookingRequirements, ...instantBookingRequirements };
+    }
+    if (priceNegotiation) {
+      updateData.priceNegotiation = { ...ride.priceNegotiation, ...priceNegotiation };
+    }
+
+    // An edited occurrence no longer follows its series
+    if (ride.parentRide && Object.keys(updateData).length > 0) {
+      updateData.isSeriesException = true;
+    }
 
     // Update ride
-    ride = await Ride.findByIdAndUpdate(
-      req.params.id,
+    ride = await Ride.findOneAndUpdate(
+      updateFilter,
       updateData,
       { new: true, runValidators: true }
     );
 
+    if (!ride) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ride was modified by another request. Please refresh and try again.'
+      });
+    }
+
     // Notify passengers about the ride update
     if (Object.keys(updateData).length > 0) {
       // Find all bookings for this ride
@@ -328,6 +478,18 @@ exports.updateRide = async (req, res, next) => {
       }
     }
 
+    socketService.emitToRide(ride._id, SOCKET_EVENTS.RIDE_UPDATED, ride);
+
+    // Seats added to the ride go to the waitlist first
+    if (seatsAvailable !== undefined) {
+      await waitlistService.promote(ride._id);
+    }
+
+    // A new time, price or seat count may now match saved searches
+    if (departureTime || seatsAvailable !== undefined || pricePerSeat !== undefined || pricingMode || segmentPrices) {
+      await rideAlertService.notifyMatchingAlerts(ride);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Ride updated successfully',
@@ -372,55 +534,133 @@ exports.cancelRide = async (req, res, next) => {
       });
     }
 
-    // Update ride status
-    ride = await Ride.findByIdAndUpdate(
-      req.params.id,
-      { 
-        status: RIDE_STATUS.CANCELLED,
-        additionalNotes: reason 
-          ? `${ride.additionalNotes || ''}\n\nCancellation reason: ${reason}`
-          : ride.additionalNotes
-      },
-      { new: true }
+    // Cancel the ride and all of its bookings
+    ride = await cancelRideAndBookings(ride, req.user.id, reason);
+
+    if (!ride) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ride was modified by another request. Please refresh and try again.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Ride cancelled successfully',
+      data: ride
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Cancel a recurring ride series (all upcoming occurrences)
+ * @route   PUT /api/v1/rides/:id/cancel-series
+ * @access  Private (Driver only)
+ */
+exports.cancelRideSeries = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    const ride = await Ride.findById(req.params.id);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    // Check if user is the ride owner
+    if (ride.driver.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this ride'
+      });
+    }
+
+    const parentRide = await rideSeriesService.getSeriesParent(ride);
+
+    if (!parentRide) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ride is not part of a recurring series'
+      });
+    }
+
+    // Stop generating new occurrences
+    await Ride.updateOne(
+      { _id: parentRide._id },
+      { 'recurringDetails.cancelledAt': Date.now() }
     );
 
-    // Update all associated bookings
-    const bookings = await Booking.find({ 
-      ride: ride._id,
-      status: { $in: ['pending', 'approved'] }
+    // Cancel every upcoming ride of the series
+    const upcomingRides = await rideSeriesService.getSeriesRides(parentRide, {
+      status: RIDE_STATUS.SCHEDULED,
+      departureTime: { $gt: new Date() }
     });
 
-    for (const booking of bookings) {
-      // Update booking status
-      await Booking.findByIdAndUpdate(
-        booking._id,
-        { 
-          status: 'cancelled',
-          cancellationReason: 'Ride cancelled by driver',
-          cancelledBy: req.user.id
-        }
-      );
+    let cancelledCount = 0;
 
-      // Notify passenger
-      await notificationController.createNotification({
-        recipient: booking.passenger,
-        sender: req.user.id,
-        type: NOTIFICATION_TYPES.BOOKING_CANCELLED,
-        title: 'Ride Cancelled',
-        message: reason 
-          ? `Your ride has been cancelled by the driver. Reason: ${reason}`
-          : 'Your ride has been cancelled by the driver.',
-        relatedResource: {
-          resourceType: 'booking',
-          resourceId: booking._id
-        }
+    for (const upcomingRide of upcomingRides) {
+      if (await cancelRideAndBookings(upcomingRide, req.user.id, reason)) {
+        cancelledCount++;
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Ride series cancelled. ${cancelledCount} upcoming rides cancelled.`,
+      data: {
+        seriesId: parentRide._id,
+        cancelledCount
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the occurrences of a recurring ride
+ * @route   GET /api/v1/rides/:id/occurrences
+ * @access  Private
+ */
+exports.getRideOccurrences = async (req, res, next) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    const parentRide = await rideSeriesService.getSeriesParent(ride);
+
+    if (!parentRide) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ride is not part of a recurring series'
       });
     }
 
+    // Top up occurrences in case the series has not been extended lately
+    await rideSeriesService.materializeOccurrences(parentRide);
+
+    const filter = {};
+    if (req.query.includePast !== 'true') {
+      filter.departureTime = { $gt: new Date() };
+    }
+
+    const rides = await rideSeriesService.getSeriesRides(parentRide, filter);
+
     res.status(200).json({
       success: true,
-      message: 'Ride cancelled successfully',
-      data: ride
+      count: rides.length,
+      data: rides
     });
   } catch (err) {
     next(err);
@@ -459,13 +699,20 @@ exports.startRide = async (req, res, next) => {
       });
     }
 
-    // Update ride status
-    ride = await Ride.findByIdAndUpdate(
-      req.params.id,
-      { status: RIDE_STATUS.IN_PROGRESS },
+    // Start the ride only if it is still scheduled, so a concurrent cancellation wins cleanly
+    ride = await Ride.findOneAndUpdate(
+      { _id: req.params.id, status: RIDE_STATUS.SCHEDULED },
+      { status: RIDE_STATUS.IN_PROGRESS, updatedAt: Date.now() },
       { new: true }
     );
 
+    if (!ride) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ride was modified by another request. Please refresh and try again.'
+      });
+    }
+
     // Notify all passengers with approved bookings
     const bookings = await Booking.find({ 
       ride: ride._id,
@@ -486,6 +733,8 @@ exports.startRide = async (req, res, next) => {
       });
     }
 
+    socketService.emitToRide(ride._id, SOCKET_EVENTS.RIDE_STARTED, ride);
+
     res.status(200).json({
       success: true,
       message: 'Ride started successfully',
@@ -528,13 +777,20 @@ exports.completeRide = async (req, res, next) => {
       });
     }
 
-    // Update ride status
-    ride = await Ride.findByIdAndUpdate(
-      req.params.id,
-      { status: RIDE_STATUS.COMPLETED },
+    // Complete the ride only once: a repeated request must not settle the fares again
+    ride = await Ride.findOneAndUpdate(
+      { _id: req.params.id, status: RIDE_STATUS.IN_PROGRESS },
+      { status: RIDE_STATUS.COMPLETED, updatedAt: Date.now() },
       { new: true }
     );
 
+    if (!ride) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ride was modified by another request. Please refresh and try again.'
+      });
+    }
+
     // Update all associated bookings and notify passengers
     const bookings = await Booking.find({ 
       ride: ride._id,
@@ -542,12 +798,35 @@ exports.completeRide = async (req, res, next) => {
     });
 
     for (const booking of bookings) {
-      // Update booking status
-      await Booking.findByIdAndUpdate(
-        booking._id,
-        { status: 'completed' }
+      // Complete the booking unless it was cancelled in the meantime
+      const completed = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: BOOKING_STATUS.APPROVED },
+        { status: BOOKING_STATUS.COMPLETED, completedAt: Date.now(), updatedAt: Date.now() }
       );
 
+      if (!completed) {
+        continue;
+      }
+
+      // Charge the authorized fare
+      const payment = await paymentService.captureBooking(booking);
+
+      if (!payment.success) {
+        logger.error(`Could not capture payment for booking ${booking._id}: ${payment.message}`);
+      }
+
+      // Pay the fare into the driver's wallet, minus the platform commission
+      if (payment.success) {
+        const settlement = await walletService.settleBooking(booking);
+
+        if (!settlement.success) {
+          logger.error(`Could not settle booking ${booking._id}: ${settlement.message}`);
+        }
+      }
+
+      // A referred passenger's first completed ride pays out the referral credits
+      await referralService.rewardReferral(booking);
+
       // Notify passenger
       await notificationController.createNotification({
         recipient: booking.passenger,
@@ -562,6 +841,11 @@ exports.completeRide = async (req, res, next) => {
       });
     }
 
+    socketService.emitToRide(ride._id, SOCKET_EVENTS.RIDE_COMPLETED, ride);
+
+    // Location sharing ends with the ride
+    await locationService.stopTracking(ride._id);
+
     res.status(200).json({
       success: true,
       message: 'Ride completed successfully',
@@ -572,6 +856,110 @@ exports.completeRide = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Share the driver's current location
+ * @route   POST /api/v1/rides/:id/location
+ * @access  Private (Driver only)
+ */
+exports.updateRideLocation = async (req, res, next) => {
+  try {
+    const ride = req.ride;
+
+    if (ride.driver.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the driver can share the ride location'
+      });
+    }
+
+    if (!locationService.isTrackingActive(ride)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot share location for a ride that is ${ride.status}`
+      });
+    }
+
+    const location = await locationService.recordLocation(ride, {
+      coordinates: req.body.coordinates.map(Number),
+      heading: req.body.heading,
+      speed: req.body.speed,
+      accuracy: req.body.accuracy
+    });
+
+    res.status(201).json({
+      success: true,
+      data: location
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the driver's latest location and ETA to pickup
+ * @route   GET /api/v1/rides/:id/location
+ * @access  Private (Ride participants only)
+ */
+exports.getRideLocation = async (req, res, next) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    const isDriver = ride.driver.toString() === req.user.id;
+    let booking = null;
+
+    if (!isDriver && req.user.role !== 'admin') {
+      booking = await Booking.findOne({
+        ride: ride._id,
+        passenger: req.user.id,
+        status: BOOKING_STATUS.APPROVED
+      });
+
+      if (!booking) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to track this ride'
+        });
+      }
+    }
+
+    if (!locationService.isTrackingActive(ride)) {
+      return res.status(400).json({
+        success: false,
+        message: `Location is not shared for a ride that is ${ride.status}`
+      });
+    }
+
+    const location = await locationService.getLatestLocation(ride._id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'The driver has not shared a location yet'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        location: location.location,
+        heading: location.heading,
+        speed: location.speed,
+        recordedAt: location.recordedAt,
+        pickup: booking ? locationService.getPickupEta(location, booking) : null
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Search for rides with advanced filtering
  * @route   POST /api/v1/rides/search
@@ -583,10 +971,10 @@ exports.searchRides = async (req, res, next) => {
       sourceCoordinates,
       destinationCoordinates,
       departureDate,
-      returnDate,
       seats,
       maxPrice,
-      preferences
+      preferences,
+      radius: searchRadius
     } = req.body;
 
     // Basic query for scheduled rides
@@ -626,55 +1014,91 @@ exports.searchRides = async (req, res, next) => {
       }
     }
 
-    // Geospatial search if coordinates provided
-    // This is a simplified version - a real app would use $geoNear and proper indexes
-    if (sourceCoordinates && sourceCoordinates.length === 2) {
-      // Find rides with source within X kilometers of the given coordinates
-      query['source.location'] = {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: sourceCoordinates
-          },
-          $maxDistance: 5000 // 5 kilometers
-        }
-      };
-    }
+    const pickup = sourceCoordinates && sourceCoordinates.length === 2
+      ? sourceCoordinates.map(Number)
+      : null;
+    const dropoff = destinationCoordinates && destinationCoordinates.length === 2
+      ? destinationCoordinates.map(Number)
+      : null;
 
-    if (destinationCoordinates && destinationCoordinates.length === 2) {
-      // Find rides with destination within X kilometers of the given coordinates
-      query['destination.location'] = {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: destinationCoordinates
-          },
-          $maxDistance: 5000 // 5 kilometers
-        }
-      };
-    }
+    const seatsWanted = parseInt(seats) || 1;
 
     // Get pagination options
     const paginationOptions = getPaginationOptions(req.query);
     const { startIndex, limit } = paginationOptions;
 
-    // Execute query with pagination
-    const rides = await Ride.find(query)
+    if (!pickup && !dropoff) {
+      // Execute query with pagination
+      const rides = await Ride.find(query)
+        .populate({
+          path: 'driver',
+          select: 'firstName lastName profileImage avgRating'
+        })
+        .sort({ departureTime: 1 })
+        .skip(startIndex)
+        .limit(limit);
+
+      // Get total count
+      const total = await Ride.countDocuments(query);
+      const pagination = createPaginationResult(paginationOptions, total);
+
+      return res.status(200).json({
+        success: true,
+        count: rides.length,
+        pagination,
+        data: rides.map(ride => ({
+          ...ride.toObject(),
+          fare: fareService.quote(ride, null, null, seatsWanted)
+        }))
+      });
+    }
+
+    // Route-aware search: pickup and dropoff must lie near the driver's
+    // route (including intermediate stops), in the direction of travel
+    const radius = rideMatchingService.getSearchRadius(searchRadius);
+    rideMatchingService.addRouteFilter(query, [pickup, dropoff].filter(Boolean), radius);
+
+    // Seats and price depend on the legs ridden, so they are checked per ride
+    delete query.seatsAvailable;
+    delete query.pricePerSeat;
+
+    // Matching and fares are computed in memory, so bound the rides checked
+    const candidates = await Ride.find(query)
       .populate({
         path: 'driver',
         select: 'firstName lastName profileImage avgRating'
       })
       .sort({ departureTime: 1 })
-      .skip(startIndex)
-      .limit(limit);
+      .limit(RIDE_MATCHING.MAX_CANDIDATES);
 
-    // Get total count
-    const total = await Ride.countDocuments(query);
-    const pagination = createPaginationResult(paginationOptions, total);
+    const matches = [];
+
+    for (const ride of candidates) {
+      const match = rideMatchingService.matchRide(ride, pickup, dropoff, radius);
+
+      if (!match) {
+        continue;
+      }
+
+      const fare = fareService.quote(ride, pickup, dropoff, seatsWanted);
+
+      if (!fare || fare.seatsAvailable < seatsWanted || (maxPrice && fare.farePerSeat > parseFloat(maxPrice))) {
+        continue;
+      }
+
+      matches.push({ ...ride.toObject(), match, fare });
+    }
+
+    // Best matches first, earliest departure on ties
+    matches.sort((a, b) => b.match.score - a.match.score || a.departureTime - b.departureTime);
+
+    const pagination = createPaginationResult(paginationOptions, matches.length);
+    const rides = matches.slice(startIndex, startIndex + limit);
 
     res.status(200).json({
       success: true,
       count: rides.length,
+      radius,
       pagination,
       data: rides
     });
@@ -682,3 +1106,75 @@ exports.searchRides = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * Cancel a scheduled ride, cancel its bookings and notify the passengers
+ * @param {Object} ride - Ride document
+ * @param {string} userId - User cancelling the ride
+ * @param {string} reason - Optional cancellation reason
+ * @returns {Object|null} - Cancelled ride, or null if it was no longer scheduled
+ */
+async function cancelRideAndBookings(ride, userId, reason) {
+  // Update ride status - once cancelled no further seats can be reserved
+  const cancelledRide = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: RIDE_STATUS.SCHEDULED },
+    { 
+      status: RIDE_STATUS.CANCELLED,
+      additionalNotes: reason 
+        ? `${ride.additionalNotes || ''}\n\nCancellation reason: ${reason}`
+        : ride.additionalNotes
+    },
+    { new: true }
+  );
+
+  if (!cancelledRide) {
+    return null;
+  }
+
+  // Update all associated bookings
+  const bookings = await Booking.find({ 
+    ride: cancelledRide._id,
+    status: { $in: ['pending', 'approved'] }
+  });
+
+  for (const booking of bookings) {
+    // Cancel the booking and give its seats back to the ride
+    const cancelled = await seatService.cancelBooking(booking, {
+      cancellationReason: 'Ride cancelled by driver',
+      cancelledBy: userId
+    });
+
+    // Booking was cancelled concurrently by the passenger
+    if (!cancelled) {
+      continue;
+    }
+
+    // Passengers are refunded according to the cancellation policy
+    const outcome = await cancellationService.applyPolicy(booking, cancelledRide, 'driver');
+    const refundSummary = cancellationService.describeOutcome(outcome);
+
+    // Notify passenger
+    await notificationController.createNotification({
+      recipient: booking.passenger,
+      sender: userId,
+      type: NOTIFICATION_TYPES.BOOKING_CANCELLED,
+      title: 'Ride Cancelled',
+      message: (reason 
+        ? `Your ride has been cancelled by the driver. Reason: ${reason}`
+        : 'Your ride has been cancelled by the driver.') +
+        (refundSummary ? ` ${refundSummary}` : ''),
+      relatedResource: {
+        resourceType: 'booking',
+        resourceId: booking._id
+      }
+    });
+
+    await cancellationService.emailPassenger(cancelled, cancelledRide, reason, outcome, true);
+  }
+
+  await waitlistService.closeForRide(cancelledRide);
+
+  socketService.emitToRide(cancelledRide._id, SOCKET_EVENTS.RIDE_CANCELLED, cancelledRide);
+
+  return cancelledRide;
+}
@@ -0,0 +1,307 @@
+const TripRequest = require('../models/tripRequest');
+const tripRequestService = require('../services/tripRequestService');
+const walletService = require('../services/walletService');
+const rideMatchingService = require('../services/rideMatchingService');
+const { getPaginationOptions, createPaginationResult } = require('../utils/helpers');
+const { searchArea } = require('../utils/geo');
+const { PAYMENT_METHODS, TRIP_REQUEST_SETTINGS, TRIP_REQUEST_STATUS } = require('../utils/constants');
+
+/**
+ * @desc    Post a trip request for drivers to fulfil
+ * @route   POST /api/v1/trip-requests
+ * @access  Private
+ */
+exports.createTripRequest = async (req, res, next) => {
+  try {
+    const {
+      source,
+      destination,
+      departureFrom,
+      departureTo,
+      seats,
+      offeredPrice,
+      paymentMethod,
+      notes
+    } = req.body;
+
+    const openRequests = await TripRequest.countDocuments({
+      passenger: req.user.id,
+      status: TRIP_REQUEST_STATUS.OPEN,
+      departureTo: { $gt: new Date() }
+    });
+
+    if (openRequests >= TRIP_REQUEST_SETTINGS.MAX_OPEN_PER_PASSENGER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${TRIP_REQUEST_SETTINGS.MAX_OPEN_PER_PASSENGER} open trip requests`
+      });
+    }
+
+    // Wallet requests need the fare in the wallet before drivers can accept them
+    if (paymentMethod === PAYMENT_METHODS.WALLET) {
+      const balance = await walletService.getWallet(req.user.id);
+
+      if (balance.available < offeredPrice * seats) {
+        return res.status(402).json({
+          success: false,
+          message: 'Insufficient wallet balance'
+        });
+      }
+    }
+
+    const request = await TripRequest.create({
+      passenger: req.user.id,
+      source,
+      destination,
+      departureFrom,
+      departureTo,
+      seats,
+      offeredPrice,
+      paymentMethod: paymentMethod || PAYMENT_METHODS.CASH,
+      notes
+    });
+
+    const driversNotified = await tripRequestService.notifyMatchingDrivers(request);
+
+    res.status(201).json({
+      success: true,
+      message: 'Trip request posted. Drivers nearby can now accept it.',
+      driversNotified,
+      data: request
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get user's trip requests
+ * @route   GET /api/v1/trip-requests/me
+ * @access  Private
+ */
+exports.getMyTripRequests = async (req, res, next) => {
+  try {
+    const query = { passenger: req.user.id };
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const paginationOptions = getPaginationOptions(req.query);
+    const { startIndex, limit } = paginationOptions;
+
+    const requests = await TripRequest.find(query)
+      .populate({
+        path: 'driver',
+        select: 'firstName lastName profileImage avgRating'
+      })
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    const total = await TripRequest.countDocuments(query);
+    const pagination = createPaginationResult(paginationOptions, total);
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      pagination,
+      data: requests
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Browse open trip requests near a location
+ * @route   GET /api/v1/trip-requests
+ * @access  Private (Verified drivers only)
+ */
+exports.browseTripRequests = async (req, res, next) => {
+  try {
+    const { longitude, latitude, radius, date } = req.query;
+
+    const query = {
+      status: TRIP_REQUEST_STATUS.OPEN,
+      passenger: { $ne: req.user.id },
+      departureTo: { $gt: new Date() }
+    };
+
+    if (longitude !== undefined && latitude !== undefined) {
+      const point = [parseFloat(longitude), parseFloat(latitude)];
+
+      query['source.location'] = {
+        $geoWithin: { $geometry: searchArea(point, rideMatchingService.getSearchRadius(radius)) }
+      };
+    }
+
+    // Requests whose window touches the given day
+    if (date) {
+      const startOfDay = new Date(date);
+      startOfDay.setHours(0, 0, 0, 0);
+
+      const endOfDay = new Date(date);
+      endOfDay.setHours(23, 59, 59, 999);
+
+      query.departureFrom = { $lte: endOfDay };
+      query.departureTo = { $gt: new Date(Math.max(startOfDay.getTime(), Date.now())) };
+    }
+
+    const paginationOptions = getPaginationOptions(req.query);
+    const { startIndex, limit } = paginationOptions;
+
+    const requests = await TripRequest.find(query)
+      .populate({
+        path: 'passenger',
+        select: 'firstName lastName profileImage avgRating'
+      })
+      .sort({ departureFrom: 1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    const total = await TripRequest.countDocuments(query);
+    const pagination = createPaginationResult(paginationOptions, total);
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      pagination,
+      data: requests
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a single trip request
+ * @route   GET /api/v1/trip-requests/:id
+ * @access  Private
+ */
+exports.getTripRequest = async (req, res, next) => {
+  try {
+    const request = await TripRequest.findById(req.params.id)
+      .populate({
+        path: 'passenger',
+        select: 'firstName lastName profileImage avgRating'
+      })
+      .populate({
+        path: 'driver',
+        select: 'firstName lastName profileImage avgRating'
+      });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip request not found'
+      });
+    }
+
+    // Open requests are visible to drivers; once taken, only to the people involved
+    const isPassenger = request.passenger._id.toString() === req.user.id;
+    const isDriver = request.driver && request.driver._id.toString() === req.user.id;
+    const canBrowse = request.status === TRIP_REQUEST_STATUS.OPEN && req.user.role === 'driver';
+
+    if (!isPassenger && !isDriver && !canBrowse && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this trip request'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: request
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Cancel an open trip request
+ * @route   PUT /api/v1/trip-requests/:id/cancel
+ * @access  Private
+ */
+exports.cancelTripRequest = async (req, res, next) => {
+  try {
+    const request = await TripRequest.findOneAndUpdate(
+      { _id: req.params.id, passenger: req.user.id, status: TRIP_REQUEST_STATUS.OPEN },
+      { status: TRIP_REQUEST_STATUS.CANCELLED, updatedAt: Date.now() },
+      { new: true }
+    );
+
+    if (!request) {
+      const existing = await TripRequest.findOne({ _id: req.params.id, passenger: req.user.id });
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Trip request not found'
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: existing.status === TRIP_REQUEST_STATUS.ACCEPTED
+          ? 'This trip request was already accepted. Cancel the booking instead.'
+          : `Cannot cancel a trip request that is ${existing.status}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Trip request cancelled successfully',
+      data: request
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Accept a trip request with an existing or a new ride
+ * @route   PUT /api/v1/trip-requests/:id/accept
+ * @access  Private (Verified drivers only)
+ */
+exports.acceptTripRequest = async (req, res, next) => {
+  try {
+    const request = await TripRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip request not found'
+      });
+    }
+
+    const { rideId, departureTime, seatsAvailable, pricePerSeat, vehicleId } = req.body;
+
+    const result = await tripRequestService.accept(request, req.user, {
+      rideId,
+      departureTime,
+      seatsAvailable,
+      pricePerSeat,
+      vehicleId
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Trip request accepted. The passenger has been booked on your ride.',
+      data: {
+        booking: result.booking,
+        ride: result.ride
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
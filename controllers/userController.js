@@ -2,7 +2,16 @@ const User = require('../models/user');
 const Ride = require('../models/ride');
 const Booking = require('../models/booking');
 const Rating = require('../models/rating');
-const { filterUserData, getPaginationOptions, createPaginationResult } = require('../utils/helpers');
+const walletService = require('../services/walletService');
+const earningsService = require('../services/earningsService');
+const referralService = require('../services/referralService');
+const driverVerificationService = require('../services/driverVerificationService');
+const storageService = require('../services/storageService');
+const imageService = require('../services/imageService');
+const socketService = require('../services/socketService');
+const DriverDocument = require('../models/driverDocument');
+const { filterUserData, getPaginationOptions, createPaginationResult, toCsv } = require('../utils/helpers');
+const { EARNING_CSV_COLUMNS } = require('../utils/constants');
 
 /**
  * @desc    Get user profile
@@ -60,6 +69,35 @@ exports.updateUserProfile = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Upload or replace profile photo
+ * @route   PUT /api/v1/users/profile/photo
+ * @access  Private
+ */
+exports.updateProfilePhoto = async (req, res, next) => {
+  try {
+    const result = await imageService.saveProfilePhoto(req.user.id, req.file);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile photo updated successfully',
+      data: {
+        profileImage: result.user.profileImage,
+        profilePhotos: imageService.getProfilePhotoUrls(result.user)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Update driver details
  * @route   PUT /api/v1/users/driver-details
@@ -115,6 +153,96 @@ exports.updateDriverDetails = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Upload a driver document for verification
+ * @route   POST /api/v1/users/driver-documents
+ * @access  Private (Driver only)
+ */
+exports.uploadDriverDocument = async (req, res, next) => {
+  try {
+    const { type, documentNumber, expiresAt } = req.body;
+
+    const result = await driverVerificationService.submitDocument(req.user.id, req.file, {
+      type,
+      documentNumber,
+      expiresAt
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully. Verification pending.',
+      data: result.document
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get driver's documents and verification status
+ * @route   GET /api/v1/users/driver-documents
+ * @access  Private (Driver only)
+ */
+exports.getDriverDocuments = async (req, res, next) => {
+  try {
+    const status = await driverVerificationService.getStatus(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        isVerified: Boolean(req.user.driverDetails && req.user.driverDetails.isVerified),
+        documentsDueBy: (req.user.driverDetails && req.user.driverDetails.documentsDueBy) || null,
+        missing: status.missing,
+        documents: status.documents
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Download the file of a driver document
+ * @route   GET /api/v1/users/driver-documents/:id/file
+ * @access  Private (Document owner or admin)
+ */
+exports.getDriverDocumentFile = async (req, res, next) => {
+  try {
+    const document = await DriverDocument.findById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (document.driver.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this document'
+      });
+    }
+
+    const stream = await storageService.getStorage().read(document.file.key);
+
+    stream.on('error', next);
+
+    res.setHeader('Content-Type', document.file.mimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `inline; filename="${document.type}${extensionOf(document.file.originalName)}"`);
+    stream.pipe(res);
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Get user's ride history (as passenger)
  * @route   GET /api/v1/users/rides/passenger
@@ -190,6 +318,45 @@ exports.getDriverRideHistory = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get driver's earnings report
+ * @route   GET /api/v1/users/earnings
+ * @access  Private (Driver only)
+ */
+exports.getEarnings = async (req, res, next) => {
+  try {
+    const { from, to, period, format } = req.query;
+
+    // CSV export lists every completed booking
+    if (format === 'csv') {
+      const lines = await earningsService.getDriverEarningLines(req.user.id, { from, to });
+
+      res.header('Content-Type', 'text/csv');
+      res.attachment('earnings.csv');
+      return res.status(200).send(toCsv(EARNING_CSV_COLUMNS, lines));
+    }
+
+    const paginationOptions = getPaginationOptions(req.query);
+    const { startIndex, limit } = paginationOptions;
+
+    const report = await earningsService.getDriverEarnings(req.user.id, { from, to, period, startIndex, limit });
+    const pagination = createPaginationResult(paginationOptions, report.rideCount);
+
+    res.status(200).json({
+      success: true,
+      pagination,
+      data: {
+        totals: report.totals,
+        byPeriod: report.byPeriod,
+        byPaymentMethod: report.byPaymentMethod,
+        byRide: report.byRide
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Get user's ratings
  * @route   GET /api/v1/users/ratings
@@ -233,6 +400,115 @@ exports.getUserRatings = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get wallet balance and statement
+ * @route   GET /api/v1/users/wallet
+ * @access  Private
+ */
+exports.getWallet = async (req, res, next) => {
+  try {
+    const paginationOptions = getPaginationOptions(req.query);
+
+    const wallet = await walletService.getWallet(req.user.id);
+    const balance = await walletService.getLedgerBalances(req.user.id);
+    const { transactions, total } = await walletService.getStatement(req.user.id, paginationOptions);
+    const pagination = createPaginationResult(paginationOptions, total);
+
+    res.status(200).json({
+      success: true,
+      count: transactions.length,
+      pagination,
+      data: {
+        currency: wallet.currency,
+        available: balance.available,
+        held: balance.held,
+        transactions
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Add money to wallet from a card
+ * @route   POST /api/v1/users/wallet/top-up
+ * @access  Private
+ */
+exports.topUpWallet = async (req, res, next) => {
+  try {
+    const { amount, paymentToken } = req.body;
+
+    const result = await walletService.topUp(req.user.id, amount, paymentToken, req.get('Idempotency-Key'));
+
+    if (!result.success) {
+      return res.status(result.status || 402).json({
+        success: false,
+        message: `Top-up failed: ${result.message}`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Wallet topped up successfully',
+      data: {
+        transaction: result.transaction,
+        balance: await walletService.getLedgerBalances(req.user.id)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Withdraw wallet balance to bank account
+ * @route   POST /api/v1/users/wallet/withdraw
+ * @access  Private
+ */
+exports.withdrawFromWallet = async (req, res, next) => {
+  try {
+    const result = await walletService.withdraw(req.user.id, req.body.amount, req.get('Idempotency-Key'));
+
+    if (!result.success) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Withdrawal requested successfully',
+      data: {
+        payout: result.payout,
+        transaction: result.transaction,
+        balance: await walletService.getLedgerBalances(req.user.id)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get referral code and stats
+ * @route   GET /api/v1/users/referral
+ * @access  Private
+ */
+exports.getReferral = async (req, res, next) => {
+  try {
+    const summary = await referralService.getSummary(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Deactivate user account
  * @route   PUT /api/v1/users/deactivate
@@ -240,12 +516,14 @@ exports.getUserRatings = async (req, res, next) => {
  */
 exports.deactivateAccount = async (req, res, next) => {
   try {
-    const user = await User.findByIdAndUpdate(
+    await User.findByIdAndUpdate(
       req.user.id,
       { isActive: false },
       { new: true }
     );
 
+    socketService.disconnectUser(req.user.id, 'User account is deactivated');
+
     res.status(200).json({
       success: true,
       message: 'Account deactivated successfully'
@@ -263,7 +541,7 @@ exports.deactivateAccount = async (req, res, next) => {
 exports.getPublicUserProfile = async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id).select(
-      'firstName lastName role profileImage avgRating totalRides totalRatings'
+      'firstName lastName role profileImage profilePhoto avgRating totalRides totalRatings'
     );
 
     if (!user) {
@@ -289,7 +567,8 @@ exports.getPublicUserProfile = async (req, res, next) => {
 
     const ratingCount = await Rating.countDocuments({ ratedUser: user._id });
     
-    const userData = user.toObject();
+    const { profilePhoto, ...userData } = user.toObject();
+    userData.profilePhotos = imageService.getProfilePhotoUrls(user);
     userData.completedRides = rideCount;
     userData.ratingCount = ratingCount;
 
@@ -301,3 +580,11 @@ exports.getPublicUserProfile = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * File extension of an uploaded file name, safe for headers
+ */
+function extensionOf(fileName) {
+  const match = /\.[a-z0-9]+$/i.exec(fileName || '');
+  return match ? match[0].toLowerCase() : '';
+}
@@ -0,0 +1,201 @@
+const Vehicle = require('../models/vehicle');
+const vehicleService = require('../services/vehicleService');
+const { VEHICLE_SETTINGS } = require('../utils/constants');
+
+/**
+ * @desc    Get driver's vehicles
+ * @route   GET /api/v1/users/vehicles
+ * @access  Private (Driver only)
+ */
+exports.getVehicles = async (req, res, next) => {
+  try {
+    const vehicles = await Vehicle.find({ owner: req.user.id, isActive: true })
+      .sort({ isDefault: -1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: vehicles.length,
+      data: vehicles
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Add a vehicle
+ * @route   POST /api/v1/users/vehicles
+ * @access  Private (Driver only)
+ */
+exports.createVehicle = async (req, res, next) => {
+  try {
+    const count = await Vehicle.countDocuments({ owner: req.user.id, isActive: true });
+
+    if (count >= VEHICLE_SETTINGS.MAX_VEHICLES_PER_DRIVER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can register at most ${VEHICLE_SETTINGS.MAX_VEHICLES_PER_DRIVER} vehicles`
+      });
+    }
+
+    const { type, make, model, year, color, licensePlate, seatingCapacity, isDefault } = req.body;
+
+    let vehicle = await Vehicle.create({
+      owner: req.user.id,
+      type,
+      make,
+      model,
+      year,
+      color,
+      licensePlate,
+      seatingCapacity
+    });
+
+    // The first vehicle is the default one
+    if (isDefault || count === 0) {
+      await vehicleService.setDefault(vehicle);
+      vehicle = await Vehicle.findById(vehicle._id);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Vehicle added successfully. Verification pending.',
+      data: vehicle
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a vehicle
+ * @route   GET /api/v1/users/vehicles/:id
+ * @access  Private (Driver only)
+ */
+exports.getVehicle = async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.findOne({ _id: req.params.id, owner: req.user.id, isActive: true });
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: vehicle
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update a vehicle
+ * @route   PUT /api/v1/users/vehicles/:id
+ * @access  Private (Driver only)
+ */
+exports.updateVehicle = async (req, res, next) => {
+  try {
+    let vehicle = await Vehicle.findOne({ _id: req.params.id, owner: req.user.id, isActive: true });
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const { type, make, model, year, color, licensePlate, seatingCapacity, isDefault } = req.body;
+
+    if (type) vehicle.type = type;
+    if (make !== undefined) vehicle.make = make;
+    if (model) vehicle.model = model;
+    if (year) vehicle.year = year;
+    if (color !== undefined) vehicle.color = color;
+    if (licensePlate) vehicle.licensePlate = licensePlate;
+    if (seatingCapacity) vehicle.seatingCapacity = seatingCapacity;
+
+    // Rides already offered must still fit
+    if (vehicle.isModified('seatingCapacity') &&
+        await vehicleService.countActiveRides(vehicle, vehicle.seatingCapacity + 1) > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upcoming rides with this vehicle offer more seats than the new seating capacity'
+      });
+    }
+
+    // Identity changes need to be verified again
+    if (['make', 'model', 'licensePlate', 'seatingCapacity'].some(field => vehicle.isModified(field))) {
+      vehicle.isVerified = false;
+      vehicle.verifiedBy = undefined;
+      vehicle.verifiedAt = undefined;
+    }
+
+    await vehicle.save();
+
+    if (isDefault === true) {
+      await vehicleService.setDefault(vehicle);
+      vehicle = await Vehicle.findById(vehicle._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: vehicle.isVerified
+        ? 'Vehicle updated successfully'
+        : 'Vehicle updated successfully. Verification pending.',
+      data: vehicle
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Remove a vehicle
+ * @route   DELETE /api/v1/users/vehicles/:id
+ * @access  Private (Driver only)
+ */
+exports.deleteVehicle = async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.findOne({ _id: req.params.id, owner: req.user.id, isActive: true });
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    if (await vehicleService.countActiveRides(vehicle) > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot remove a vehicle used by upcoming rides'
+      });
+    }
+
+    // Kept for the history of past rides
+    await Vehicle.updateOne(
+      { _id: vehicle._id },
+      { isActive: false, isDefault: false, updatedAt: Date.now() }
+    );
+
+    // Another vehicle takes over as default
+    if (vehicle.isDefault) {
+      const replacement = await Vehicle.findOne({ owner: req.user.id, isActive: true }).sort({ createdAt: 1 });
+
+      if (replacement) {
+        await vehicleService.setDefault(replacement);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Vehicle removed successfully'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
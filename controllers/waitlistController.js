@@ -0,0 +1,135 @@
+const Ride = require('../models/ride');
+const WaitlistEntry = require('../models/waitlistEntry');
+const waitlistService = require('../services/waitlistService');
+const { WAITLIST_STATUS } = require('../utils/constants');
+
+/**
+ * @desc    Join the waitlist of a full ride
+ * @route   POST /api/v1/rides/:id/waitlist
+ * @access  Private
+ */
+exports.joinWaitlist = async (req, res, next) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    const { seatsWanted, pickupPoint, dropoffPoint } = req.body;
+
+    const result = await waitlistService.join(ride, req.user.id, {
+      seatsWanted,
+      pickupPoint,
+      dropoffPoint,
+      pickup: pointCoordinates(pickupPoint),
+      dropoff: pointCoordinates(dropoffPoint)
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `You are number ${result.position} on the waitlist. We will notify you when seats open up.`,
+      position: result.position,
+      data: result.entry
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the waitlist of a ride (driver) or your place on it (passenger)
+ * @route   GET /api/v1/rides/:id/waitlist
+ * @access  Private
+ */
+exports.getWaitlist = async (req, res, next) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    // The driver sees the whole queue, in the order it is served
+    if (ride.driver.toString() === req.user.id || req.user.role === 'admin') {
+      const entries = await WaitlistEntry.find({
+        ride: ride._id,
+        status: { $in: [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED] }
+      })
+        .sort({ createdAt: 1 })
+        .populate({
+          path: 'passenger',
+          select: 'firstName lastName profileImage avgRating'
+        });
+
+      return res.status(200).json({
+        success: true,
+        count: entries.length,
+        data: entries
+      });
+    }
+
+    const entry = await waitlistService.findOpenEntry(ride._id, req.user.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not on the waitlist for this ride'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      position: await waitlistService.getPosition(entry),
+      data: entry
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Leave the waitlist of a ride
+ * @route   DELETE /api/v1/rides/:id/waitlist
+ * @access  Private
+ */
+exports.leaveWaitlist = async (req, res, next) => {
+  try {
+    const entry = await waitlistService.leave(req.params.id, req.user.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not on the waitlist for this ride'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'You have left the waitlist',
+      data: entry
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Coordinates of a pickup or dropoff point from the request body
+ */
+function pointCoordinates(point) {
+  return point && point.location ? point.location.coordinates : null;
+}
@@ -0,0 +1,155 @@
+const DriverDocument = require('../models/driverDocument');
+const User = require('../models/user');
+const driverVerificationService = require('../services/driverVerificationService');
+const notificationController = require('../controllers/notificationController');
+const { DRIVER_DOCUMENT_STATUS, NOTIFICATION_TYPES, JOB_SETTINGS } = require('../utils/constants');
+
+/**
+ * Expire driver documents past their expiry date, unverify the drivers
+ * concerned, warn drivers whose documents expire soon and tell drivers
+ * verified without documents about their deadline
+ * @returns {Object} - { documentsExpired, driversUnverified, warningsSent, deadlineNoticesSent }
+ */
+module.exports = async () => {
+  const now = new Date();
+  let documentsExpired = 0;
+  let driversUnverified = 0;
+  let warningsSent = 0;
+  let deadlineNoticesSent = 0;
+
+  const expiredDocuments = await DriverDocument.find({
+    status: DRIVER_DOCUMENT_STATUS.APPROVED,
+    expiresAt: { $lte: now }
+  });
+
+  for (const document of expiredDocuments) {
+    const expired = await DriverDocument.findOneAndUpdate(
+      { _id: document._id, status: DRIVER_DOCUMENT_STATUS.APPROVED },
+      { status: DRIVER_DOCUMENT_STATUS.EXPIRED, updatedAt: Date.now() }
+    );
+
+    if (!expired) {
+      continue;
+    }
+
+    documentsExpired++;
+
+    // A newer approved document of the same type keeps the driver verified
+    const status = await driverVerificationService.getStatus(document.driver, now);
+
+    if (status.missing.includes(document.type) &&
+        await driverVerificationService.unverify(document.driver, `Your ${document.type} document has expired.`)) {
+      driversUnverified++;
+    }
+  }
+
+  // Drivers whose license on file has expired, documents or not
+  const expiredLicenses = await User.find({
+    role: 'driver',
+    'driverDetails.isVerified': true,
+    'driverDetails.licenseExpiry': { $lte: now }
+  }).select('_id');
+
+  for (const driver of expiredLicenses) {
+    if (await driverVerificationService.unverify(driver._id, 'Your driving license has expired.')) {
+      driversUnverified++;
+    }
+  }
+
+  // Drivers verified before documents were required, once their deadline has passed
+  const undocumentedDrivers = await User.find({
+    role: 'driver',
+    'driverDetails.isVerified': true,
+    'driverDetails.documentsDueBy': { $lte: now }
+  }).select('_id');
+
+  for (const driver of undocumentedDrivers) {
+    const status = await driverVerificationService.getStatus(driver._id, now);
+
+    if (!status.complete &&
+        await driverVerificationService.unverify(driver._id, 'Your driver documents were not uploaded in time.')) {
+      driversUnverified++;
+    }
+
+    await User.updateOne(
+      { _id: driver._id },
+      { $unset: { 'driverDetails.documentsDueBy': 1, 'driverDetails.documentsNoticeSentAt': 1 } }
+    );
+  }
+
+  const warningCutoff = new Date(now.getTime() + JOB_SETTINGS.DOCUMENT_EXPIRY_WARNING_DAYS * 24 * 60 * 60 * 1000);
+
+  const expiringDocuments = await DriverDocument.find({
+    status: DRIVER_DOCUMENT_STATUS.APPROVED,
+    expiresAt: { $gt: now, $lte: warningCutoff },
+    expiryWarningSentAt: null
+  });
+
+  for (const document of expiringDocuments) {
+    const claimed = await DriverDocument.findOneAndUpdate(
+      { _id: document._id, expiryWarningSentAt: null },
+      { expiryWarningSentAt: Date.now() }
+    );
+
+    if (!claimed) {
+      continue;
+    }
+
+    await notificationController.createNotification({
+      recipient: document.driver,
+      type: NOTIFICATION_TYPES.SYSTEM_NOTIFICATION,
+      title: 'Document Expiring Soon',
+      message: `Your ${document.type} document expires on ${document.expiresAt.toDateString()}. Upload a renewed document to keep offering rides.`,
+      relatedResource: {
+        resourceType: 'user',
+        resourceId: document.driver
+      }
+    });
+
+    warningsSent++;
+  }
+
+  // Deadlines are set at startup; the notices go out a batch per run
+  const driversToNotify = await User.find({
+    role: 'driver',
+    'driverDetails.isVerified': true,
+    'driverDetails.documentsDueBy': { $gt: now },
+    'driverDetails.documentsNoticeSentAt': null
+  })
+    .select('_id driverDetails.documentsDueBy')
+    .sort({ _id: 1 })
+    .limit(JOB_SETTINGS.DOCUMENT_DEADLINE_NOTICES_PER_RUN);
+
+  for (const driver of driversToNotify) {
+    const claimed = await User.findOneAndUpdate(
+      { _id: driver._id, 'driverDetails.documentsNoticeSentAt': null },
+      { 'driverDetails.documentsNoticeSentAt': Date.now() }
+    );
+
+    if (!claimed) {
+      continue;
+    }
+
+    const status = await driverVerificationService.getStatus(driver._id, now);
+
+    if (status.complete) {
+      continue;
+    }
+
+    await notificationController.createNotification({
+      recipient: driver._id,
+      type: NOTIFICATION_TYPES.SYSTEM_NOTIFICATION,
+      title: 'Driver Documents Required',
+      message: `Please upload your ${status.missing.join(', ')} documents by ${driver.driverDetails.documentsDueBy.toDateString()} to keep offering rides.`,
+      relatedResource: {
+        resourceType: 'user',
+        resourceId: driver._id
+      },
+      deliveryMethod: 'all'
+    });
+
+    deadlineNoticesSent++;
+  }
+
+  return { documentsExpired, driversUnverified, warningsSent, deadlineNoticesSent };
+};
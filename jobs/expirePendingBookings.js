@@ -0,0 +1,56 @@
+const Booking = require('../models/booking');
+const Ride = require('../models/ride');
+const notificationController = require('../controllers/notificationController');
+const paymentService = require('../services/paymentService');
+const promoService = require('../services/promoService');
+const { BOOKING_STATUS, NOTIFICATION_TYPES } = require('../utils/constants');
+
+/**
+ * Expire booking requests the driver never answered before departure
+ * @returns {Object} - { bookingsExpired }
+ */
+module.exports = async () => {
+  const pendingRides = await Booking.find({ status: BOOKING_STATUS.PENDING }).distinct('ride');
+
+  const departedRides = await Ride.find({
+    _id: { $in: pendingRides },
+    departureTime: { $lte: new Date() }
+  }).distinct('_id');
+
+  const bookings = await Booking.find({
+    ride: { $in: departedRides },
+    status: BOOKING_STATUS.PENDING
+  });
+
+  let bookingsExpired = 0;
+
+  for (const booking of bookings) {
+    // Only expire if the driver did not act in the meantime
+    const expired = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: BOOKING_STATUS.PENDING },
+      { status: BOOKING_STATUS.EXPIRED, updatedAt: Date.now() }
+    );
+
+    if (!expired) {
+      continue;
+    }
+
+    await paymentService.voidBooking(expired);
+    await promoService.releaseForBooking(expired);
+
+    await notificationController.createNotification({
+      recipient: booking.passenger,
+      type: NOTIFICATION_TYPES.BOOKING_REJECTED,
+      title: 'Booking Request Expired',
+      message: 'The driver did not respond to your booking request before the ride departed.',
+      relatedResource: {
+        resourceType: 'booking',
+        resourceId: booking._id
+      }
+    });
+
+    bookingsExpired++;
+  }
+
+  return { bookingsExpired };
+};
@@ -0,0 +1,9 @@
+const negotiationService = require('../services/negotiationService');
+
+/**
+ * Expire bookings whose price offer was not answered in time
+ * @returns {Object} - { offersExpired }
+ */
+module.exports = async () => {
+  return await negotiationService.expireOffers();
+};
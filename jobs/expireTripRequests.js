@@ -0,0 +1,9 @@
+const tripRequestService = require('../services/tripRequestService');
+
+/**
+ * Expire open trip requests whose departure window has passed
+ * @returns {Object} - { requestsExpired }
+ */
+module.exports = async () => {
+  return await tripRequestService.expireRequests();
+};
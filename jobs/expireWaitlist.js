@@ -0,0 +1,10 @@
+const waitlistService = require('../services/waitlistService');
+
+/**
+ * Expire waitlist offers that were not booked in time and entries of
+ * departed rides, offering freed seats to the next passengers in line
+ * @returns {Object} - { offersExpired, entriesExpired, offersMade }
+ */
+module.exports = async () => {
+  return await waitlistService.expireEntries();
+};
@@ -0,0 +1,28 @@
+const Ride = require('../models/ride');
+const rideSeriesService = require('../services/rideSeriesService');
+
+/**
+ * Keep generating occurrences of active recurring rides
+ * @returns {Object} - { occurrencesCreated }
+ */
+module.exports = async () => {
+  const now = new Date();
+
+  const parentRides = await Ride.find({
+    isRecurring: true,
+    parentRide: null,
+    'recurringDetails.cancelledAt': null,
+    $or: [
+      { 'recurringDetails.endDate': null },
+      { 'recurringDetails.endDate': { $gte: now } }
+    ]
+  });
+
+  let occurrencesCreated = 0;
+
+  for (const parentRide of parentRides) {
+    occurrencesCreated += await rideSeriesService.materializeOccurrences(parentRide);
+  }
+
+  return { occurrencesCreated };
+};
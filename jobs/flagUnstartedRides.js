@@ -0,0 +1,45 @@
+const Ride = require('../models/ride');
+const notificationController = require('../controllers/notificationController');
+const { RIDE_STATUS, NOTIFICATION_TYPES, JOB_SETTINGS } = require('../utils/constants');
+
+/**
+ * Flag scheduled rides that were never started well after departure
+ * @returns {Object} - { ridesFlagged }
+ */
+module.exports = async () => {
+  const cutoff = new Date(Date.now() - JOB_SETTINGS.UNSTARTED_RIDE_GRACE * 60000);
+
+  const rides = await Ride.find({
+    status: RIDE_STATUS.SCHEDULED,
+    departureTime: { $lte: cutoff },
+    notStartedFlaggedAt: null
+  });
+
+  let ridesFlagged = 0;
+
+  for (const ride of rides) {
+    const flagged = await Ride.findOneAndUpdate(
+      { _id: ride._id, status: RIDE_STATUS.SCHEDULED, notStartedFlaggedAt: null },
+      { notStartedFlaggedAt: Date.now() }
+    );
+
+    if (!flagged) {
+      continue;
+    }
+
+    await notificationController.createNotification({
+      recipient: ride.driver,
+      type: NOTIFICATION_TYPES.SYSTEM_NOTIFICATION,
+      title: 'Ride Not Started',
+      message: `Your ride from ${ride.source.address} to ${ride.destination.address} was never started. Please start, complete or cancel it.`,
+      relatedResource: {
+        resourceType: 'ride',
+        resourceId: ride._id
+      }
+    });
+
+    ridesFlagged++;
+  }
+
+  return { ridesFlagged };
+};
@@ -0,0 +1,16 @@
+const jobScheduler = require('../services/jobScheduler');
+
+// Register all background jobs (interval in minutes)
+jobScheduler.register('ride-reminders', 5, require('./rideReminders'));
+jobScheduler.register('expire-pending-bookings', 10, require('./expirePendingBookings'));
+jobScheduler.register('flag-unstarted-rides', 15, require('./flagUnstartedRides'));
+jobScheduler.register('extend-recurring-rides', 60 * 6, require('./extendRecurringRides'));
+jobScheduler.register('prune-notifications', 60 * 24, require('./pruneNotifications'));
+jobScheduler.register('expire-driver-documents', 60, require('./expireDriverDocuments'));
+jobScheduler.register('expire-waitlist', 5, require('./expireWaitlist'));
+jobScheduler.register('expire-trip-requests', 15, require('./expireTripRequests'));
+jobScheduler.register('expire-price-offers', 10, require('./expirePriceOffers'));
+jobScheduler.register('recover-wallet-transactions', 10, require('./recoverWalletTransactions'));
+jobScheduler.register('recover-payouts', 15, require('./recoverPayouts'));
+
+module.exports = jobScheduler;
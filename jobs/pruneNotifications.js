@@ -0,0 +1,14 @@
+const Notification = require('../models/notification');
+const { JOB_SETTINGS } = require('../utils/constants');
+
+/**
+ * Delete notifications older than the retention period
+ * @returns {Object} - { notificationsDeleted }
+ */
+module.exports = async () => {
+  const cutoff = new Date(Date.now() - JOB_SETTINGS.NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  const result = await Notification.deleteMany({ createdAt: { $lt: cutoff } });
+
+  return { notificationsDeleted: result.deletedCount };
+};
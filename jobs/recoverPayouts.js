@@ -0,0 +1,12 @@
+const walletService = require('../services/walletService');
+const { WALLET_SETTINGS } = require('../utils/constants');
+
+/**
+ * Pay out or return withdrawals that are still pending, e.g. after a crash
+ * @returns {Object} - { payoutsPaid, payoutsFailed }
+ */
+module.exports = async () => {
+  return await walletService.recoverPendingPayouts(
+    new Date(Date.now() - WALLET_SETTINGS.PENDING_PAYOUT_MINUTES * 60000)
+  );
+};
@@ -0,0 +1,13 @@
+const walletService = require('../services/walletService');
+const { WALLET_SETTINGS } = require('../utils/constants');
+
+/**
+ * Finish or undo wallet transactions interrupted between moving the wallet
+ * counters and writing the ledger
+ * @returns {Object} - { transactionsCompleted, transactionsReverted }
+ */
+module.exports = async () => {
+  return await walletService.recoverPendingTransactions(
+    new Date(Date.now() - WALLET_SETTINGS.PENDING_TRANSACTION_MINUTES * 60000)
+  );
+};
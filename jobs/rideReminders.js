@@ -0,0 +1,85 @@
+const Booking = require('../models/booking');
+const Ride = require('../models/ride');
+const User = require('../models/user');
+const emailService = require('../services/emailService');
+const otpService = require('../services/otpService');
+const notificationController = require('../controllers/notificationController');
+const logger = require('../utils/logger');
+const { formatDate } = require('../utils/helpers');
+const { BOOKING_STATUS, RIDE_STATUS, NOTIFICATION_TYPES, JOB_SETTINGS } = require('../utils/constants');
+
+/**
+ * Remind passengers with approved bookings shortly before departure
+ * @returns {Object} - { remindersSent }
+ */
+module.exports = async () => {
+  const now = new Date();
+  const windowEnd = new Date(now.getTime() + JOB_SETTINGS.RIDE_REMINDER_MINUTES * 60000);
+
+  const rides = await Ride.find({
+    status: RIDE_STATUS.SCHEDULED,
+    departureTime: { $gt: now, $lte: windowEnd }
+  }).populate('driver', 'firstName lastName');
+
+  let remindersSent = 0;
+
+  for (const ride of rides) {
+    const bookings = await Booking.find({
+      ride: ride._id,
+      status: BOOKING_STATUS.APPROVED,
+      reminderSentAt: null
+    });
+
+    for (const booking of bookings) {
+      // Claim the reminder so no other instance sends it twice
+      const claimed = await Booking.findOneAndUpdate(
+        { _id: booking._id, reminderSentAt: null },
+        { reminderSentAt: now }
+      );
+
+      if (!claimed) {
+        continue;
+      }
+
+      const passenger = await User.findById(booking.passenger);
+
+      if (!passenger) {
+        continue;
+      }
+
+      await notificationController.createNotification({
+        recipient: passenger._id,
+        sender: ride.driver._id,
+        type: NOTIFICATION_TYPES.RIDE_REMINDER,
+        title: 'Upcoming Ride',
+        message: `Your ride from ${ride.source.address} to ${ride.destination.address} departs at ${formatDate(ride.departureTime)}.`,
+        relatedResource: {
+          resourceType: 'booking',
+          resourceId: booking._id
+        },
+        deliveryMethod: 'push'
+      });
+
+      try {
+        await emailService.sendRideReminderEmail(passenger.email, passenger.firstName, booking, ride);
+      } catch (err) {
+        logger.error(`Error sending ride reminder email for booking ${booking._id}:`, err);
+      }
+
+      try {
+        await otpService.sendRideReminder(passenger.phone, {
+          source: ride.source.address,
+          destination: ride.destination.address,
+          departureTime: ride.departureTime,
+          driverName: `${ride.driver.firstName} ${ride.driver.lastName}`
+        });
+      } catch (err) {
+        logger.error(`Error sending ride reminder SMS for booking ${booking._id}:`, err);
+      }
+
+      remindersSent++;
+    }
+  }
+
+  return { remindersSent };
+};
@@ -21,8 +21,9 @@ exports.protect = (req, res, next) => {
       });
     }
     
-    // Add user to req object
+    // Add user and current session to req object
     req.user = user;
+    req.sessionId = info && info.sessionId;
     next();
   })(req, res, next);
 };
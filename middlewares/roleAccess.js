@@ -155,6 +155,41 @@ exports.isVerifiedDriver = async (req, res, next) => {
       message: 'Driver account is not verified yet'
     });
   }
+
+  // Expired licenses are unverified by a background job; don't wait for it
+  const { licenseExpiry } = req.user.driverDetails;
+
+  if (req.user.role === 'driver' && licenseExpiry && new Date(licenseExpiry) <= new Date()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Your driving license has expired. Please upload a renewed license for verification'
+    });
+  }
   
   next();
 };
+
+/**
+ * Middleware to block an action until the user's email is verified.
+ * Enabled per action through REQUIRE_EMAIL_VERIFICATION (e.g. "booking,ride").
+ */
+exports.requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    const requiredFor = (process.env.REQUIRE_EMAIL_VERIFICATION || '')
+      .split(',')
+      .map(item => item.trim().toLowerCase());
+
+    if (!requiredFor.includes(action) || req.user.role === 'admin') {
+      return next();
+    }
+
+    if (!req.user.isEmailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before continuing'
+      });
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,56 @@
+const multer = require('multer');
+
+/**
+ * Accept a single file upload, kept in memory until it is stored
+ * @param {string} field - Form field holding the file
+ * @param {Object} options - { maxSize, mimeTypes }
+ * @returns {Function} - Express middleware
+ */
+exports.singleFile = (field, { maxSize, mimeTypes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!mimeTypes.includes(file.mimetype)) {
+        return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', field));
+      }
+      cb(null, true);
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (!err) {
+        return next();
+      }
+
+      if (err instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: `File is too large. Maximum size is ${Math.round(maxSize / (1024 * 1024))} MB`,
+          LIMIT_UNEXPECTED_FILE: `Upload a single file in "${field}". Allowed types: ${mimeTypes.join(', ')}`
+        };
+
+        return res.status(400).json({
+          success: false,
+          message: messages[err.code] || err.message
+        });
+      }
+
+      next(err);
+    });
+  };
+};
+
+/**
+ * Reject requests that did not include the uploaded file
+ */
+exports.requireFile = (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'A file is required'
+    });
+  }
+
+  next();
+};
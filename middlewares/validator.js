@@ -1,4 +1,19 @@
 const { body, param, query } = require('express-validator');
+const {
+  RIDE_MATCHING,
+  PRICING_MODES,
+  PAYMENT_METHODS,
+  WALLET_SETTINGS,
+  EARNINGS_PERIODS,
+  PROMO_DISCOUNT_TYPES,
+  DRIVER_DOCUMENT_TYPES,
+  DRIVER_DOCUMENT_STATUS,
+  VEHICLE_TYPES,
+  VEHICLE_SETTINGS,
+  CHAT_SETTINGS,
+  TRIP_REQUEST_SETTINGS,
+  NEGOTIATION_SETTINGS
+} = require('../utils/constants');
 
 // User validation rules
 exports.registerValidator = [
@@ -35,7 +50,12 @@ exports.registerValidator = [
         throw new Error('Passwords do not match');
       }
       return true;
-    })
+    }),
+
+  body('referralCode')
+    .optional()
+    .trim()
+    .isAlphanumeric().withMessage('Referral code must be alphanumeric')
 ];
 
 exports.loginValidator = [
@@ -48,6 +68,19 @@ exports.loginValidator = [
     .notEmpty().withMessage('Password is required')
 ];
 
+exports.verifyPhoneValidator = [
+  body('otp')
+    .trim()
+    .notEmpty().withMessage('OTP is required')
+    .isNumeric().withMessage('OTP must contain only digits')
+];
+
+exports.refreshTokenValidator = [
+  body('refreshToken')
+    .notEmpty().withMessage('Refresh token is required')
+    .isString().withMessage('Refresh token must be a string')
+];
+
 // Ride validation rules
 exports.createRideValidator = [
   body('source.address')
@@ -76,6 +109,20 @@ exports.createRideValidator = [
       return true;
     }),
   
+  body('routeCoordinates')
+    .optional()
+    .isArray({ min: 2 }).withMessage('Route must contain at least two points')
+    .custom(points => {
+      const valid = points.every(point =>
+        Array.isArray(point) && point.length === 2 &&
+        Math.abs(point[0]) <= 180 && Math.abs(point[1]) <= 90
+      );
+      if (!valid) {
+        throw new Error('Route points must be [longitude, latitude] pairs');
+      }
+      return true;
+    }),
+  
   body('departureTime')
     .notEmpty().withMessage('Departure time is required')
     .isISO8601().withMessage('Departure time must be a valid date')
@@ -97,8 +144,63 @@ exports.createRideValidator = [
     .isInt({ min: 1 }).withMessage('Total seats must be at least 1'),
   
   body('pricePerSeat')
+    .if(body('pricingMode').not().equals(PRICING_MODES.SEGMENT))
     .notEmpty().withMessage('Price per seat is required')
-    .isFloat({ min: 0 }).withMessage('Price cannot be negative')
+    .isFloat({ min: 0 }).withMessage('Price cannot be negative'),
+  
+  body('pricingMode')
+    .optional()
+    .isIn(Object.values(PRICING_MODES)).withMessage('Invalid pricing mode'),
+  
+  body('segmentPrices')
+    .if(body('pricingMode').equals(PRICING_MODES.SEGMENT))
+    .isArray({ min: 1 }).withMessage('Segment pricing needs a price for each leg'),
+  
+  body('segmentPrices.*')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Segment prices cannot be negative'),
+  
+  body('instantBooking')
+    .optional()
+    .isBoolean().withMessage('Instant booking must be true or false'),
+  
+  body('instantBookingRequirements.minRating')
+    .optional()
+    .isFloat({ min: 0, max: 5 }).withMessage('Minimum rating must be between 0 and 5'),
+  
+  body('priceNegotiation.enabled')
+    .optional()
+    .isBoolean().withMessage('Price negotiation must be true or false'),
+  
+  body('priceNegotiation.minPercent')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Lowest offer must be between 1 and 100 percent of the fare'),
+  
+  body('priceNegotiation.maxPercent')
+    .optional()
+    .isInt({ min: 100, max: NEGOTIATION_SETTINGS.MAX_PERCENT })
+    .withMessage(`Highest offer must be between 100 and ${NEGOTIATION_SETTINGS.MAX_PERCENT} percent of the fare`),
+  
+  body('recurringDetails.frequency')
+    .if(body('isRecurring').equals('true'))
+    .notEmpty().withMessage('Recurring frequency is required for recurring rides')
+    .isIn(['daily', 'weekly', 'weekdays', 'weekends', 'custom']).withMessage('Invalid recurring frequency'),
+  
+  body('recurringDetails.days')
+    .if(body('recurringDetails.frequency').equals('custom'))
+    .isArray({ min: 1 }).withMessage('Custom recurring rides need at least one day'),
+  
+  body('recurringDetails.days.*')
+    .optional()
+    .isInt({ min: 0, max: 6 }).withMessage('Recurring days must be between 0 (Sunday) and 6 (Saturday)'),
+  
+  body('recurringDetails.endDate')
+    .optional()
+    .isISO8601().withMessage('Recurring end date must be a valid date'),
+  
+  body('vehicleId')
+    .optional()
+    .isMongoId().withMessage('Invalid vehicle ID')
 ];
 
 exports.updateRideValidator = [
@@ -120,7 +222,44 @@ exports.updateRideValidator = [
   
   body('pricePerSeat')
     .optional()
-    .isFloat({ min: 0 }).withMessage('Price cannot be negative')
+    .isFloat({ min: 0 }).withMessage('Price cannot be negative'),
+  
+  body('pricingMode')
+    .optional()
+    .isIn(Object.values(PRICING_MODES)).withMessage('Invalid pricing mode'),
+  
+  body('segmentPrices')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Segment prices must be a list with a price for each leg'),
+  
+  body('segmentPrices.*')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Segment prices cannot be negative'),
+  
+  body('instantBooking')
+    .optional()
+    .isBoolean().withMessage('Instant booking must be true or false'),
+  
+  body('instantBookingRequirements.minRating')
+    .optional()
+    .isFloat({ min: 0, max: 5 }).withMessage('Minimum rating must be between 0 and 5'),
+  
+  body('priceNegotiation.enabled')
+    .optional()
+    .isBoolean().withMessage('Price negotiation must be true or false'),
+  
+  body('priceNegotiation.minPercent')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Lowest offer must be between 1 and 100 percent of the fare'),
+  
+  body('priceNegotiation.maxPercent')
+    .optional()
+    .isInt({ min: 100, max: NEGOTIATION_SETTINGS.MAX_PERCENT })
+    .withMessage(`Highest offer must be between 100 and ${NEGOTIATION_SETTINGS.MAX_PERCENT} percent of the fare`),
+  
+  body('vehicleId')
+    .optional()
+    .isMongoId().withMessage('Invalid vehicle ID')
 ];
 
 // Booking validation rules
@@ -138,12 +277,312 @@ exports.createBookingValidator = [
     .trim()
     .notEmpty().withMessage('Pickup address cannot be empty if provided'),
   
+  body('dropoffPoint.address')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Dropoff address cannot be empty if provided'),
+  
+  body('occurrenceDate')
+    .optional()
+    .isISO8601().withMessage('Occurrence date must be a valid date'),
+  
+  body('paymentMethod')
+    .optional()
+    .isIn([PAYMENT_METHODS.CASH, PAYMENT_METHODS.CARD, PAYMENT_METHODS.WALLET]).withMessage('Payment method must be cash, card or wallet'),
+  
+  body('paymentToken')
+    .if(body('paymentMethod').equals(PAYMENT_METHODS.CARD))
+    .notEmpty().withMessage('A payment token is required for card payments'),
+  
+  body('promoCode')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Promo code cannot be empty if provided'),
+  
+  body('offeredPrice')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Offered price cannot be negative')
+    .toFloat()
+    .custom((price, { req }) => {
+      if (req.body.paymentMethod === PAYMENT_METHODS.CARD) {
+        throw new Error('Price offers can be paid in cash or from the wallet');
+      }
+      return true;
+    }),
+  
+  body('offerMessage')
+    .optional()
+    .isLength({ max: 200 }).withMessage('Offer message cannot exceed 200 characters')
+];
+
+exports.updateBookingValidator = [
+  body('seatsBooked')
+    .optional()
+    .isInt({ min: 1 }).withMessage('At least one seat must be booked')
+    .toInt(),
+  
+  body('pickupPoint.address')
+    .if(body('pickupPoint').exists())
+    .trim()
+    .notEmpty().withMessage('Pickup address is required'),
+  
+  body('pickupPoint.location.coordinates')
+    .if(body('pickupPoint').exists())
+    .isArray({ min: 2, max: 2 }).withMessage('Pickup coordinates must be [longitude, latitude]'),
+  
+  body('dropoffPoint.address')
+    .if(body('dropoffPoint').exists())
+    .trim()
+    .notEmpty().withMessage('Dropoff address is required'),
+  
+  body('dropoffPoint.location.coordinates')
+    .if(body('dropoffPoint').exists())
+    .isArray({ min: 2, max: 2 }).withMessage('Dropoff coordinates must be [longitude, latitude]'),
+  
+  body('passengerNotes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+// Price offer validation rules
+exports.counterOfferValidator = [
+  body('pricePerSeat')
+    .notEmpty().withMessage('Price per seat is required')
+    .isFloat({ min: 0 }).withMessage('Price per seat cannot be negative')
+    .toFloat(),
+  
+  body('message')
+    .optional()
+    .isLength({ max: 200 }).withMessage('Offer message cannot exceed 200 characters')
+];
+
+exports.createSeriesBookingValidator = [
+  body('ride')
+    .notEmpty().withMessage('Ride ID is required')
+    .isMongoId().withMessage('Valid ride ID is required'),
+  
+  body('seatsBooked')
+    .notEmpty().withMessage('Number of seats to book is required')
+    .isInt({ min: 1 }).withMessage('At least one seat must be booked'),
+  
+  body('toDate')
+    .optional()
+    .isISO8601().withMessage('End date must be a valid date'),
+  
+  body('paymentMethod')
+    .optional()
+    .isIn([PAYMENT_METHODS.CASH, PAYMENT_METHODS.CARD, PAYMENT_METHODS.WALLET]).withMessage('Payment method must be cash, card or wallet'),
+  
+  body('paymentToken')
+    .if(body('paymentMethod').equals(PAYMENT_METHODS.CARD))
+    .notEmpty().withMessage('A payment token is required for card payments')
+];
+
+// Ride alert validation rules (fields are optional on update)
+const rideAlertRules = (isUpdate) => {
+  const field = (name, message) => isUpdate
+    ? body(name).optional()
+    : body(name).notEmpty().withMessage(message).bail();
+
+  const point = (name, label) => field(`${name}.location.coordinates`, `${label} coordinates are required`)
+    .isArray({ min: 2, max: 2 }).withMessage(`${label} coordinates must be [longitude, latitude]`)
+    .bail()
+    .custom(([lng, lat]) => {
+      if (!(Math.abs(lng) <= 180 && Math.abs(lat) <= 90)) {
+        throw new Error(`${label} coordinates must be [longitude, latitude]`);
+      }
+      return true;
+    });
+
+  return [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ max: 50 }).withMessage('Name cannot be longer than 50 characters'),
+
+    point('source', 'Source'),
+
+    point('destination', 'Destination'),
+
+    body('radius')
+      .optional()
+      .isFloat({ min: 0.1, max: RIDE_MATCHING.MAX_SEARCH_RADIUS })
+      .withMessage(`Radius must be between 0.1 and ${RIDE_MATCHING.MAX_SEARCH_RADIUS} km`),
+
+    body('dateFrom')
+      .optional({ nullable: true })
+      .isISO8601().withMessage('Date from must be a valid date'),
+
+    body('dateTo')
+      .optional({ nullable: true })
+      .isISO8601().withMessage('Date to must be a valid date')
+      .custom((value, { req }) => {
+        if (req.body.dateFrom && new Date(value) < new Date(req.body.dateFrom)) {
+          throw new Error('Date to must not be before date from');
+        }
+        return true;
+      }),
+
+    body('weekdays')
+      .optional()
+      .isArray({ max: 7 }).withMessage('Weekdays must be a list of days'),
+
+    body('weekdays.*')
+      .isInt({ min: 0, max: 6 }).withMessage('Weekdays must be between 0 (Sunday) and 6 (Saturday)'),
+
+    body(['timeFrom', 'timeTo'])
+      .optional({ nullable: true })
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Times must be in HH:mm format'),
+
+    body('maxPrice')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 }).withMessage('Max price cannot be negative'),
+
+    body('seats')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Seats must be at least 1'),
+
+    body('isActive')
+      .optional()
+      .isBoolean().withMessage('Is active must be true or false')
+  ];
+};
+
+exports.createRideAlertValidator = rideAlertRules(false);
+
+exports.updateRideAlertValidator = rideAlertRules(true);
+
+// Waitlist validation rules
+exports.joinWaitlistValidator = [
+  body('seatsWanted')
+    .notEmpty().withMessage('Number of seats wanted is required')
+    .isInt({ min: 1 }).withMessage('At least one seat must be wanted')
+    .toInt(),
+  
+  body('pickupPoint.address')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Pickup address cannot be empty if provided'),
+  
   body('dropoffPoint.address')
     .optional()
     .trim()
     .notEmpty().withMessage('Dropoff address cannot be empty if provided')
 ];
 
+// Trip request validation rules
+exports.createTripRequestValidator = [
+  body('source.address')
+    .trim()
+    .notEmpty().withMessage('Source address is required'),
+  
+  body('source.location.coordinates')
+    .isArray({ min: 2, max: 2 }).withMessage('Source coordinates must be [longitude, latitude]'),
+  
+  body('destination.address')
+    .trim()
+    .notEmpty().withMessage('Destination address is required'),
+  
+  body('destination.location.coordinates')
+    .isArray({ min: 2, max: 2 }).withMessage('Destination coordinates must be [longitude, latitude]'),
+  
+  body('departureFrom')
+    .notEmpty().withMessage('Earliest departure time is required')
+    .isISO8601().withMessage('Earliest departure time must be a valid date'),
+  
+  body('departureTo')
+    .notEmpty().withMessage('Latest departure time is required')
+    .isISO8601().withMessage('Latest departure time must be a valid date')
+    .custom((time, { req }) => {
+      const departureTo = new Date(time);
+      const departureFrom = new Date(req.body.departureFrom);
+      if (departureTo <= new Date()) {
+        throw new Error('Latest departure time must be in the future');
+      }
+      if (departureTo < departureFrom) {
+        throw new Error('Latest departure time must not be before the earliest departure time');
+      }
+      if (departureTo - departureFrom > TRIP_REQUEST_SETTINGS.MAX_WINDOW_HOURS * 3600000) {
+        throw new Error(`Departure window cannot be longer than ${TRIP_REQUEST_SETTINGS.MAX_WINDOW_HOURS} hours`);
+      }
+      return true;
+    }),
+  
+  body('seats')
+    .notEmpty().withMessage('Number of seats is required')
+    .isInt({ min: 1 }).withMessage('At least one seat must be requested')
+    .toInt(),
+  
+  body('offeredPrice')
+    .notEmpty().withMessage('Offered price is required')
+    .isFloat({ min: 0 }).withMessage('Offered price cannot be negative')
+    .toFloat(),
+  
+  body('paymentMethod')
+    .optional()
+    .isIn([PAYMENT_METHODS.CASH, PAYMENT_METHODS.WALLET]).withMessage('Payment method must be cash or wallet'),
+  
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+exports.browseTripRequestsValidator = [
+  query('longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  
+  query('latitude')
+    .if(query('longitude').exists())
+    .notEmpty().withMessage('Latitude is required with longitude')
+    .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  
+  query('radius')
+    .optional()
+    .isFloat({ gt: 0, max: RIDE_MATCHING.MAX_SEARCH_RADIUS })
+    .withMessage(`Radius must be between 0 and ${RIDE_MATCHING.MAX_SEARCH_RADIUS} km`),
+  
+  query('date')
+    .optional()
+    .isISO8601().withMessage('Date must be a valid date')
+];
+
+exports.acceptTripRequestValidator = [
+  body('rideId')
+    .optional()
+    .isMongoId().withMessage('Invalid ride ID'),
+  
+  body('departureTime')
+    .if(body('rideId').not().exists())
+    .notEmpty().withMessage('Departure time is required when creating a ride')
+    .isISO8601().withMessage('Departure time must be a valid date'),
+  
+  body('seatsAvailable')
+    .optional()
+    .isInt({ min: 1 }).withMessage('At least one seat must be available')
+    .toInt(),
+  
+  body('pricePerSeat')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Price per seat cannot be negative')
+    .toFloat(),
+  
+  body('vehicleId')
+    .optional()
+    .isMongoId().withMessage('Invalid vehicle ID')
+];
+
+// Chat message validation rules
+exports.sendMessageValidator = [
+  body('body')
+    .isString().withMessage('Message must be text')
+    .bail()
+    .trim()
+    .notEmpty().withMessage('Message cannot be empty')
+    .isLength({ max: CHAT_SETTINGS.MAX_MESSAGE_LENGTH })
+    .withMessage(`Message cannot be longer than ${CHAT_SETTINGS.MAX_MESSAGE_LENGTH} characters`)
+];
+
 // Rating validation rules
 exports.createRatingValidator = [
   body('booking')
@@ -184,6 +623,252 @@ exports.searchRideValidator = [
     .isFloat({ min: 0 }).withMessage('Max price cannot be negative')
 ];
 
+// Advanced ride search validation rules
+exports.advancedSearchValidator = [
+  body('sourceCoordinates')
+    .optional()
+    .isArray({ min: 2, max: 2 }).withMessage('Source coordinates must be [longitude, latitude]'),
+  
+  body('destinationCoordinates')
+    .optional()
+    .isArray({ min: 2, max: 2 }).withMessage('Destination coordinates must be [longitude, latitude]'),
+  
+  body('radius')
+    .optional()
+    .isFloat({ gt: 0, max: RIDE_MATCHING.MAX_SEARCH_RADIUS })
+    .withMessage(`Radius must be between 0 and ${RIDE_MATCHING.MAX_SEARCH_RADIUS} km`),
+  
+  body('seats')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Seats must be at least 1'),
+  
+  body('maxPrice')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Max price cannot be negative')
+];
+
+// Driver location update validation rules
+exports.rideLocationValidator = [
+  body('coordinates')
+    .isArray({ min: 2, max: 2 }).withMessage('Coordinates must be [longitude, latitude]'),
+
+  body('coordinates.0')
+    .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+
+  body('coordinates.1')
+    .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+
+  body('heading')
+    .optional()
+    .isFloat({ min: 0, max: 360 }).withMessage('Heading must be between 0 and 360'),
+
+  body('speed')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Speed cannot be negative'),
+
+  body('accuracy')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Accuracy cannot be negative')
+];
+
+// Wallet validation rules
+exports.walletTopUpValidator = [
+  body('amount')
+    .notEmpty().withMessage('Amount is required')
+    .isFloat({ min: WALLET_SETTINGS.MIN_TOP_UP, max: WALLET_SETTINGS.MAX_TOP_UP })
+    .withMessage(`Amount must be between ${WALLET_SETTINGS.MIN_TOP_UP} and ${WALLET_SETTINGS.MAX_TOP_UP}`)
+    .toFloat(),
+
+  body('paymentToken')
+    .notEmpty().withMessage('A payment token is required')
+];
+
+exports.walletWithdrawValidator = [
+  body('amount')
+    .notEmpty().withMessage('Amount is required')
+    .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0')
+    .toFloat()
+];
+
+// Earnings report validation rules
+exports.earningsValidator = [
+  query('from')
+    .optional()
+    .isISO8601().withMessage('From must be a valid date'),
+
+  query('to')
+    .optional()
+    .isISO8601().withMessage('To must be a valid date'),
+
+  query('period')
+    .optional()
+    .isIn(Object.values(EARNINGS_PERIODS)).withMessage('Period must be day, week or month'),
+
+  query('format')
+    .optional()
+    .isIn(['json', 'csv']).withMessage('Format must be json or csv')
+];
+
+// Promo code validation rules (fields are optional on update)
+const promoCodeRules = (isUpdate) => {
+  const field = (name, message) => isUpdate
+    ? body(name).optional()
+    : body(name).notEmpty().withMessage(message).bail();
+
+  return [
+    field('code', 'Code is required')
+      .trim()
+      .isAlphanumeric().withMessage('Code must be alphanumeric')
+      .isLength({ min: 3, max: 20 }).withMessage('Code must be between 3 and 20 characters'),
+
+    field('discountType', 'Discount type is required')
+      .isIn(Object.values(PROMO_DISCOUNT_TYPES)).withMessage('Discount type must be percentage or fixed'),
+
+    field('discountValue', 'Discount value is required')
+      .isFloat({ gt: 0 }).withMessage('Discount value must be greater than 0'),
+
+    body('maxDiscount')
+      .optional()
+      .isFloat({ gt: 0 }).withMessage('Maximum discount must be greater than 0'),
+
+    body('minFare')
+      .optional()
+      .isFloat({ min: 0 }).withMessage('Minimum fare cannot be negative'),
+
+    body('validFrom')
+      .optional()
+      .isISO8601().withMessage('Valid from must be a valid date'),
+
+    body('validUntil')
+      .optional()
+      .isISO8601().withMessage('Valid until must be a valid date'),
+
+    body('usageLimit')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+
+    body('perUserLimit')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Per-user limit must be at least 1'),
+
+    body('firstRideOnly')
+      .optional()
+      .isBoolean().withMessage('First ride only must be true or false'),
+
+    body('isActive')
+      .optional()
+      .isBoolean().withMessage('Is active must be true or false')
+  ];
+};
+
+exports.createPromoCodeValidator = promoCodeRules(false);
+
+exports.updatePromoCodeValidator = promoCodeRules(true);
+
+// Driver document validation rules (multipart form fields)
+exports.driverDocumentValidator = [
+  body('type')
+    .notEmpty().withMessage('Document type is required')
+    .isIn(Object.values(DRIVER_DOCUMENT_TYPES)).withMessage('Document type must be license, registration or insurance'),
+
+  body('documentNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('Document number cannot be longer than 50 characters'),
+
+  body('expiresAt')
+    .if((value, { req }) => value !== undefined ||
+      [DRIVER_DOCUMENT_TYPES.LICENSE, DRIVER_DOCUMENT_TYPES.INSURANCE].includes(req.body.type))
+    .notEmpty().withMessage('Expiry date is required for licenses and insurance')
+    .bail()
+    .isISO8601().withMessage('Expiry date must be a valid date')
+    .custom(value => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Document has already expired');
+      }
+      return true;
+    })
+];
+
+exports.driverDocumentQueueValidator = [
+  query('status')
+    .optional()
+    .isIn(Object.values(DRIVER_DOCUMENT_STATUS)).withMessage('Invalid document status'),
+
+  query('type')
+    .optional()
+    .isIn(Object.values(DRIVER_DOCUMENT_TYPES)).withMessage('Invalid document type'),
+
+  query('driver')
+    .optional()
+    .isMongoId().withMessage('Invalid driver ID')
+];
+
+exports.rejectDocumentValidator = [
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('A rejection reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot be longer than 500 characters')
+];
+
+// Vehicle validation rules (fields are optional on update)
+const vehicleRules = (isUpdate) => {
+  const field = (name, message) => isUpdate
+    ? body(name).optional()
+    : body(name).notEmpty().withMessage(message).bail();
+
+  return [
+    body('type')
+      .optional()
+      .isIn(Object.values(VEHICLE_TYPES)).withMessage('Invalid vehicle type'),
+
+    body('make')
+      .optional()
+      .trim()
+      .isLength({ max: 50 }).withMessage('Make cannot be longer than 50 characters'),
+
+    field('model', 'Vehicle model is required')
+      .trim()
+      .isLength({ min: 1, max: 50 }).withMessage('Model must be between 1 and 50 characters'),
+
+    body('year')
+      .optional()
+      .isInt({ min: 1950, max: new Date().getFullYear() + 1 }).withMessage('Invalid vehicle year'),
+
+    body('color')
+      .optional()
+      .trim()
+      .isLength({ max: 30 }).withMessage('Color cannot be longer than 30 characters'),
+
+    field('licensePlate', 'License plate is required')
+      .trim()
+      .isLength({ min: 2, max: 15 }).withMessage('License plate must be between 2 and 15 characters'),
+
+    field('seatingCapacity', 'Seating capacity is required')
+      .isInt({ min: 1, max: VEHICLE_SETTINGS.MAX_SEATING_CAPACITY })
+      .withMessage(`Seating capacity must be between 1 and ${VEHICLE_SETTINGS.MAX_SEATING_CAPACITY}`),
+
+    body('isDefault')
+      .optional()
+      .isBoolean().withMessage('Is default must be true or false')
+      .toBoolean()
+  ];
+};
+
+exports.createVehicleValidator = vehicleRules(false);
+
+exports.updateVehicleValidator = vehicleRules(true);
+
+exports.vehicleQueueValidator = [
+  query('isVerified')
+    .optional()
+    .isBoolean().withMessage('Is verified must be true or false'),
+
+  query('owner')
+    .optional()
+    .isMongoId().withMessage('Invalid owner ID')
+];
+
 // Id parameter validation
 exports.idParamValidator = [
   param('id')
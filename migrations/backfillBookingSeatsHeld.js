@@ -0,0 +1,24 @@
+const Booking = require('../models/booking');
+const { BOOKING_STATUS } = require('../utils/constants');
+
+// Approvals in progress hold their seats within moments; leave them alone
+const IN_FLIGHT_MINUTES = 10;
+
+/**
+ * Bookings approved before seats were tracked per booking took their seats
+ * from the ride but have no `seatsHeld`, so cancelling them would never give
+ * the seats back. They all covered the whole route with `seatsBooked` seats.
+ * @returns {Object} - { bookingsUpdated }
+ */
+module.exports = async () => {
+  const result = await Booking.updateMany(
+    {
+      status: BOOKING_STATUS.APPROVED,
+      $or: [{ seatsHeld: { $exists: false } }, { seatsHeld: 0 }],
+      updatedAt: { $lt: new Date(Date.now() - IN_FLIGHT_MINUTES * 60000) }
+    },
+    [{ $set: { seatsHeld: '$seatsBooked' } }]
+  );
+
+  return { bookingsUpdated: result.modifiedCount };
+};
@@ -0,0 +1,55 @@
+const Ride = require('../models/ride');
+const { buildRoutePath } = require('../utils/geo');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Rides created before routes were stored have no `route`, so the
+ * $geoIntersects filter of the ride search never finds them. Derive it from
+ * the stops the same way saving a ride does.
+ * @returns {Object} - { ridesUpdated, ridesSkipped }
+ */
+module.exports = async () => {
+  let ridesUpdated = 0;
+  let ridesSkipped = 0;
+  let lastId = null;
+
+  for (;;) {
+    const filter = { 'route.coordinates.1': { $exists: false } };
+
+    if (lastId) {
+      filter._id = { $gt: lastId };
+    }
+
+    const rides = await Ride.find(filter)
+      .select('source destination intermediateStops')
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    if (!rides.length) {
+      break;
+    }
+
+    for (const ride of rides) {
+      const path = buildRoutePath(ride);
+
+      // Without two usable points there is no line to store
+      if (path.length < 2) {
+        ridesSkipped++;
+        continue;
+      }
+
+      const result = await Ride.updateOne(
+        { _id: ride._id, 'route.coordinates.1': { $exists: false } },
+        { route: { type: 'LineString', coordinates: path } }
+      );
+
+      ridesUpdated += result.modifiedCount;
+    }
+
+    lastId = rides[rides.length - 1]._id;
+  }
+
+  return { ridesUpdated, ridesSkipped };
+};
@@ -0,0 +1,21 @@
+const logger = require('../utils/logger');
+
+// Data migrations, run in this order at startup. Each one only touches
+// documents that still need it, so running them again, or on several
+// instances at once, is safe.
+const migrations = [
+  { name: 'backfill-booking-seats-held', up: require('./backfillBookingSeatsHeld') },
+  { name: 'backfill-ride-routes', up: require('./backfillRideRoutes') },
+  { name: 'set-driver-document-deadlines', up: require('./setDriverDocumentDeadlines') }
+];
+
+/**
+ * Run every migration
+ */
+exports.run = async () => {
+  for (const migration of migrations) {
+    const result = await migration.up();
+
+    logger.info(`Migration ${migration.name} finished`, { result });
+  }
+};
@@ -0,0 +1,67 @@
+const DriverDocument = require('../models/driverDocument');
+const User = require('../models/user');
+const { DRIVER_DOCUMENT_TYPES, DRIVER_DOCUMENT_STATUS, JOB_SETTINGS } = require('../utils/constants');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Drivers verified before documents were required have none on file. Give
+ * them until a deadline to upload them. jobs/expireDriverDocuments.js
+ * notifies them in batches and unverifies the ones still missing documents
+ * after it.
+ * @returns {Object} - { driversFlagged }
+ */
+module.exports = async () => {
+  const dueBy = new Date(Date.now() + JOB_SETTINGS.UNDOCUMENTED_DRIVER_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  let driversFlagged = 0;
+  let lastId = null;
+
+  for (;;) {
+    const filter = {
+      role: 'driver',
+      'driverDetails.isVerified': true,
+      'driverDetails.documentsDueBy': null
+    };
+
+    if (lastId) {
+      filter._id = { $gt: lastId };
+    }
+
+    const drivers = await User.find(filter)
+      .select('_id')
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    if (!drivers.length) {
+      break;
+    }
+
+    for (const driver of drivers) {
+      // Drivers who ever had every document approved were verified on them
+      const approvedTypes = await DriverDocument.find({
+        driver: driver._id,
+        status: { $in: [DRIVER_DOCUMENT_STATUS.APPROVED, DRIVER_DOCUMENT_STATUS.EXPIRED] }
+      }).distinct('type');
+
+      const missing = Object.values(DRIVER_DOCUMENT_TYPES).filter(type => !approvedTypes.includes(type));
+
+      if (!missing.length) {
+        continue;
+      }
+
+      const result = await User.updateOne(
+        { _id: driver._id, 'driverDetails.isVerified': true, 'driverDetails.documentsDueBy': null },
+        { 'driverDetails.documentsDueBy': dueBy }
+      );
+
+      if (result.modifiedCount) {
+        driversFlagged++;
+      }
+    }
+
+    lastId = drivers[drivers.length - 1]._id;
+  }
+
+  return { driversFlagged };
+};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { BOOKING_CHANGE_STATUS, NEGOTIATION_STATUS, PRICE_OFFER_STATUS } = require('../utils/constants');
 
 const BookingSchema = new mongoose.Schema({
   ride: {
@@ -6,6 +7,11 @@ const BookingSchema = new mongoose.Schema({
     ref: 'Ride',
     required: true
   },
+  // First ride of the series when booked as part of a recurring ride
+  seriesRide: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride'
+  },
   passenger: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -18,7 +24,7 @@ const BookingSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'cancelled', 'completed'],
+    enum: ['pending', 'approved', 'rejected', 'cancelled', 'completed', 'expired'],
     default: 'pending'
   },
   seatsBooked: {
@@ -26,10 +32,28 @@ const BookingSchema = new mongoose.Schema({
     required: true,
     min: [1, 'At least one seat must be booked']
   },
+  // Seats currently taken from the ride for this booking (see seatService)
+  seatsHeld: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   totalPrice: {
     type: Number,
     required: true
   },
+  // Promo code used on the booking; totalPrice is already reduced by the discount
+  promoCode: String,
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Part of the route booked, as stop indices (0 = source, last = destination)
+  segment: {
+    from: Number,
+    to: Number
+  },
   pickupPoint: {
     address: String,
     location: {
@@ -52,11 +76,89 @@ const BookingSchema = new mongoose.Schema({
       coordinates: [Number]
     }
   },
+  // Price negotiation when the passenger offered their own price (see negotiationService)
+  negotiation: {
+    status: {
+      type: String,
+      enum: Object.values(NEGOTIATION_STATUS)
+    },
+    listPricePerSeat: Number, // fare per seat of the booked part of the route
+    minPricePerSeat: Number,
+    maxPricePerSeat: Number,
+    agreedPricePerSeat: Number,
+    offerExpiresAt: Date, // expiry of the offer awaiting an answer
+    offers: [{
+      by: {
+        type: String,
+        enum: ['passenger', 'driver']
+      },
+      pricePerSeat: Number,
+      message: String,
+      status: {
+        type: String,
+        enum: Object.values(PRICE_OFFER_STATUS),
+        default: PRICE_OFFER_STATUS.PENDING
+      },
+      expiresAt: Date,
+      respondedAt: Date,
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
   passengerNotes: String,
   driverNotes: String,
+  // Change of seats or stops waiting for the driver's approval (see bookingChangeService)
+  pendingChange: {
+    seatsBooked: Number,
+    segment: {
+      from: Number,
+      to: Number
+    },
+    pickupPoint: {
+      address: String,
+      location: {
+        type: {
+          type: String,
+          enum: ['Point']
+        },
+        coordinates: [Number]
+      }
+    },
+    dropoffPoint: {
+      address: String,
+      location: {
+        type: {
+          type: String,
+          enum: ['Point']
+        },
+        coordinates: [Number]
+      }
+    },
+    totalPrice: Number,
+    discount: Number,
+    requestedAt: Date
+  },
+  // Changes made to the booking after it was created, oldest first
+  changeLog: [{
+    status: {
+      type: String,
+      enum: Object.values(BOOKING_CHANGE_STATUS)
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changes: mongoose.Schema.Types.Mixed, // { field: { from, to } }
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'refunded', 'failed'],
+    enum: ['pending', 'paid', 'refunded', 'failed', 'voided'],
     default: 'pending'
   },
   paymentMethod: {
@@ -64,12 +166,20 @@ const BookingSchema = new mongoose.Schema({
     enum: ['cash', 'card', 'wallet', 'other'],
     default: 'cash'
   },
-  paymentId: String,
+  paymentId: String, // Payment record of card bookings (see paymentService)
+  // Amount reserved from the passenger's wallet for this booking (see walletService)
+  walletHeld: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   cancellationReason: String,
   cancelledBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  reminderSentAt: Date,
+  completedAt: Date,
   isRatedByPassenger: {
     type: Boolean,
     default: false
@@ -88,6 +198,8 @@ const BookingSchema = new mongoose.Schema({
   }
 });
 
+BookingSchema.index({ 'negotiation.status': 1, 'negotiation.offerExpiresAt': 1 });
+
 // Update the timestamps before saving
 BookingSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Chat between the driver and the passenger of a booking
+const ConversationSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  passenger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  lastMessageAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ConversationSchema.index({ booking: 1 }, { unique: true });
+ConversationSchema.index({ driver: 1, lastMessageAt: -1 });
+ConversationSchema.index({ passenger: 1, lastMessageAt: -1 });
+
+// Update the timestamps before saving
+ConversationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { DRIVER_DOCUMENT_TYPES, DRIVER_DOCUMENT_STATUS } = require('../utils/constants');
+
+const DriverDocumentSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(DRIVER_DOCUMENT_TYPES),
+    required: [true, 'Document type is required']
+  },
+  // Stored file (see storageService)
+  file: {
+    key: {
+      type: String,
+      required: true
+    },
+    storage: String,
+    originalName: String,
+    mimeType: String,
+    size: Number
+  },
+  documentNumber: String,
+  expiresAt: Date,
+  status: {
+    type: String,
+    enum: Object.values(DRIVER_DOCUMENT_STATUS),
+    default: DRIVER_DOCUMENT_STATUS.PENDING
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String,
+  expiryWarningSentAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DriverDocumentSchema.index({ driver: 1, type: 1, createdAt: -1 });
+DriverDocumentSchema.index({ status: 1, createdAt: 1 });
+DriverDocumentSchema.index({ status: 1, expiresAt: 1 });
+
+// Update the timestamps before saving
+DriverDocumentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('DriverDocument', DriverDocumentSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { EMAIL_VERIFICATION_EXPIRY } = require('../utils/constants');
+
+const EmailVerificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Let MongoDB remove expired tokens
+EmailVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+EmailVerificationSchema.index({ user: 1 });
+
+// Hash a raw verification token
+EmailVerificationSchema.statics.hashToken = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+// Replace any previous token for the user and return the new raw token
+EmailVerificationSchema.statics.generateToken = async function(user) {
+  const token = crypto.randomBytes(20).toString('hex');
+
+  await this.deleteMany({ user: user._id });
+
+  await this.create({
+    user: user._id,
+    email: user.email,
+    tokenHash: this.hashToken(token),
+    expiresAt: Date.now() + EMAIL_VERIFICATION_EXPIRY * 60 * 60 * 1000
+  });
+
+  return token;
+};
+
+module.exports = mongoose.model('EmailVerification', EmailVerificationSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const JobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Instance currently running the job, and until when the lock is valid
+  lockedBy: String,
+  lockedUntil: Date,
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastError: String,
+  lastResult: mongoose.Schema.Types.Mixed,
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the timestamps before saving
+JobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Job', JobSchema);
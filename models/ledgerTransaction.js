@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { LEDGER_TRANSACTION_TYPES } = require('../utils/constants');
+
+/*
+ * Double-entry ledger. Every transaction moves money between accounts and
+ * its entries always sum to zero. Account names:
+ *   user:<id>:available   spendable wallet balance
+ *   user:<id>:held        money reserved for approved bookings
+ *   platform:commission   platform revenue
+ *   external:card         money coming in from card payments
+ *   external:payout       money paid out to bank accounts
+ */
+const LedgerEntrySchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  // Owner of user accounts, for statements
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  amount: {
+    type: Number, // positive adds to the account, negative takes from it
+    required: true
+  }
+}, { _id: false });
+
+const LedgerTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(LEDGER_TRANSACTION_TYPES),
+    required: true
+  },
+  entries: {
+    type: [LedgerEntrySchema],
+    validate: {
+      validator: entries => entries.length >= 2 &&
+        Math.abs(entries.reduce((sum, entry) => sum + entry.amount, 0)) < 0.005,
+      message: 'Ledger entries must balance'
+    }
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  description: String,
+  // External reference, e.g. the gateway payment of a top-up
+  reference: String,
+  // The same operation is never recorded twice
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+LedgerTransactionSchema.index({ 'entries.user': 1, createdAt: -1 });
+LedgerTransactionSchema.index({ 'entries.account': 1 });
+
+module.exports = mongoose.model('LedgerTransaction', LedgerTransactionSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { CHAT_SETTINGS } = require('../utils/constants');
+
+const MessageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Stored with phone numbers already masked
+  body: {
+    type: String,
+    required: [true, 'Message cannot be empty'],
+    trim: true,
+    maxlength: [CHAT_SETTINGS.MAX_MESSAGE_LENGTH, `Message cannot be longer than ${CHAT_SETTINGS.MAX_MESSAGE_LENGTH} characters`]
+  },
+  phoneMasked: {
+    type: Boolean,
+    default: false
+  },
+  // Read receipt: when the recipient first loaded the message
+  readAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+MessageSchema.index({ conversation: 1, createdAt: -1 });
+MessageSchema.index({ recipient: 1, readAt: 1 });
+
+module.exports = mongoose.model('Message', MessageSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const OtpSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  codeHash: String,
+  expiresAt: Date,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  firstSentAt: Date,
+  lastSentAt: Date,
+  lockedUntil: Date,
+  // Document is removed by MongoDB once neither the code nor a lockout is live
+  purgeAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Let MongoDB clean up stale OTP records
+OtpSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+// Update the timestamps before saving
+OtpSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Otp', OtpSchema);
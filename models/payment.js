@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { PAYMENT_INTENT_STATUS, PAYMENT_SETTINGS } = require('../utils/constants');
+
+const PaymentSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  payer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  payee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Amount the card was authorized for; `amount` may be lowered below it when the booking changes
+  amountAuthorized: Number,
+  amountCaptured: {
+    type: Number,
+    default: 0
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: PAYMENT_SETTINGS.CURRENCY
+  },
+  gateway: {
+    type: String,
+    required: true
+  },
+  // ID of the payment at the gateway
+  gatewayPaymentId: {
+    type: String,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(PAYMENT_INTENT_STATUS),
+    default: PAYMENT_INTENT_STATUS.REQUIRES_CAPTURE
+  },
+  // One payment per booking attempt, even if the request is retried
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Gateway webhook events already applied, so redeliveries are ignored
+  processedEvents: [String],
+  failureReason: String,
+  capturedAt: Date,
+  voidedAt: Date,
+  refundedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PaymentSchema.index({ booking: 1 });
+
+// Update the timestamps before saving
+PaymentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Payment', PaymentSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { PAYOUT_STATUS } = require('../utils/constants');
+
+const PayoutSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: String,
+  gateway: String,
+  // ID of the payout at the gateway
+  gatewayPayoutId: String,
+  status: {
+    type: String,
+    enum: Object.values(PAYOUT_STATUS),
+    default: PAYOUT_STATUS.PENDING
+  },
+  // Shared with the ledger withdrawal, so a retried request is paid out once
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failureReason: String,
+  paidAt: Date,
+  failedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PayoutSchema.index({ user: 1, createdAt: -1 });
+PayoutSchema.index({ status: 1, createdAt: 1 });
+
+// Update the timestamps before saving
+PayoutSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Payout', PayoutSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { PROMO_DISCOUNT_TYPES } = require('../utils/constants');
+
+const PromoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  discountType: {
+    type: String,
+    enum: Object.values(PROMO_DISCOUNT_TYPES),
+    required: true
+  },
+  // Percentage (0-100) or fixed amount, depending on discountType
+  discountValue: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative']
+  },
+  // Upper bound of percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  minFare: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: Date,
+  validUntil: Date,
+  // Total number of bookings the code can be used on (unlimited if not set)
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Only for passengers without any other booking that is still going ahead or completed
+  firstRideOnly: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PromoCodeSchema.pre('validate', function(next) {
+  if (this.discountType === PROMO_DISCOUNT_TYPES.PERCENTAGE && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discount cannot be more than 100');
+  }
+
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'Valid until must be after valid from');
+  }
+
+  next();
+});
+
+// Update the timestamps before saving
+PromoCodeSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('PromoCode', PromoCodeSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { PROMO_REDEMPTION_STATUS } = require('../utils/constants');
+
+const PromoRedemptionSchema = new mongoose.Schema({
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  discount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Which of the user's uses of the code this is, from 1 to its perUserLimit
+  slot: {
+    type: Number,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: Object.values(PROMO_REDEMPTION_STATUS),
+    default: PROMO_REDEMPTION_STATUS.ACTIVE
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A booking uses at most one code
+PromoRedemptionSchema.index({ booking: 1 }, { unique: true });
+PromoRedemptionSchema.index({ promoCode: 1, user: 1, status: 1 });
+// A user holds each use slot of a code at most once, so the per-user limit holds under concurrent bookings
+PromoRedemptionSchema.index(
+  { promoCode: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: PROMO_REDEMPTION_STATUS.ACTIVE, slot: { $exists: true } } }
+);
+
+// Update the timestamps before saving
+PromoRedemptionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('PromoRedemption', PromoRedemptionSchema);
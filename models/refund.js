@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { REFUND_STATUS } = require('../utils/constants');
+
+const RefundSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  refundPercent: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  currency: String,
+  status: {
+    type: String,
+    enum: Object.values(REFUND_STATUS),
+    default: REFUND_STATUS.SUCCEEDED
+  },
+  // Policy outcome that led to the refund
+  cancelledBy: {
+    type: String,
+    enum: ['passenger', 'driver', 'admin']
+  },
+  minutesBeforeDeparture: Number,
+  reason: String,
+  failureReason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One refund per cancelled booking
+RefundSchema.index({ booking: 1 }, { unique: true });
+RefundSchema.index({ user: 1, createdAt: -1 });
+
+// Update the timestamps before saving
+RefundSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Refund', RefundSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { DEFAULT_RATING, NEGOTIATION_SETTINGS, PRICING_MODES } = require('../utils/constants');
+const { buildRoutePath } = require('../utils/geo');
 
 const RideSchema = new mongoose.Schema({
   driver: {
@@ -51,6 +53,18 @@ const RideSchema = new mongoose.Schema({
       coordinates: [Number]
     }
   }],
+  // Path the driver follows, used to match passengers along the way.
+  // Defaults to source -> intermediate stops -> destination.
+  route: {
+    type: {
+      type: String,
+      enum: ['LineString']
+    },
+    coordinates: {
+      type: [[Number]], // [[longitude, latitude], ...]
+      default: undefined
+    }
+  },
   departureTime: {
     type: Date,
     required: [true, 'Departure time is required']
@@ -61,26 +75,48 @@ const RideSchema = new mongoose.Schema({
   seatsAvailable: {
     type: Number,
     required: [true, 'Number of available seats is required'],
-    min: [1, 'At least one seat must be available']
+    min: [0, 'Available seats cannot be negative']
   },
   seatsTotal: {
     type: Number,
     required: [true, 'Total number of seats is required']
   },
+  // Free seats on each leg between consecutive stops (see seatService).
+  // seatsAvailable is the lowest of these: seats bookable for the whole route.
+  segmentSeatsAvailable: {
+    type: [Number],
+    default: undefined
+  },
   pricePerSeat: {
     type: Number,
     required: [true, 'Price per seat is required'],
     min: [0, 'Price cannot be negative']
   },
+  pricingMode: {
+    type: String,
+    enum: Object.values(PRICING_MODES),
+    default: PRICING_MODES.DISTANCE
+  },
+  // Price per seat of each leg, used with the segment pricing mode
+  segmentPrices: {
+    type: [Number],
+    default: undefined
+  },
   status: {
     type: String,
     enum: ['scheduled', 'in-progress', 'completed', 'cancelled'],
     default: 'scheduled'
   },
+  // Vehicle used for the ride, and a copy of its details at the time
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle'
+  },
   vehicleDetails: {
     model: String,
     color: String,
-    licensePlate: String
+    licensePlate: String,
+    seatingCapacity: Number
   },
   preferences: {
     smoking: {
@@ -101,6 +137,46 @@ const RideSchema = new mongoose.Schema({
     }
   },
   additionalNotes: String,
+  // Bookings are approved immediately without waiting for the driver
+  instantBooking: {
+    type: Boolean,
+    default: false
+  },
+  instantBookingRequirements: {
+    minRating: {
+      type: Number,
+      min: 0,
+      max: 5,
+      default: 0
+    },
+    requireVerifiedPhone: {
+      type: Boolean,
+      default: false
+    },
+    requireVerifiedEmail: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Passengers may offer their own price within this band of the listed fare
+  priceNegotiation: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    minPercent: {
+      type: Number,
+      min: 1,
+      max: 100,
+      default: NEGOTIATION_SETTINGS.DEFAULT_MIN_PERCENT
+    },
+    maxPercent: {
+      type: Number,
+      min: 100,
+      max: NEGOTIATION_SETTINGS.MAX_PERCENT,
+      default: 100
+    }
+  },
   isRecurring: {
     type: Boolean,
     default: false
@@ -111,8 +187,22 @@ const RideSchema = new mongoose.Schema({
       enum: ['daily', 'weekly', 'weekdays', 'weekends', 'custom'],
     },
     days: [Number], // 0-6 representing Sunday-Saturday
-    endDate: Date
+    endDate: Date,
+    generatedUntil: Date, // occurrences exist up to this date
+    cancelledAt: Date // series stopped, no more occurrences
+  },
+  // Set on rides generated from a recurring ride
+  parentRide: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride'
+  },
+  occurrenceDate: Date, // start of the day this occurrence runs on
+  isSeriesException: {
+    type: Boolean,
+    default: false
   },
+  // Set when a scheduled ride was never started after its departure time
+  notStartedFlaggedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -126,6 +216,13 @@ const RideSchema = new mongoose.Schema({
 // Create geospatial indexes for location-based queries
 RideSchema.index({ 'source.location': '2dsphere' });
 RideSchema.index({ 'destination.location': '2dsphere' });
+RideSchema.index({ route: '2dsphere' });
+
+// One occurrence per series per day
+RideSchema.index(
+  { parentRide: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { parentRide: { $exists: true } } }
+);
 
 // Update the timestamps before saving
 RideSchema.pre('save', function(next) {
@@ -133,4 +230,72 @@ RideSchema.pre('save', function(next) {
   next();
 });
 
+// Legs and segment prices must line up with the stops
+RideSchema.pre('validate', function(next) {
+  const legCount = this.constructor.getLegCount(this);
+
+  if (this.pricingMode === PRICING_MODES.SEGMENT) {
+    const prices = this.segmentPrices || [];
+
+    if (prices.length !== legCount || prices.some(price => !(price >= 0))) {
+      this.invalidate('segmentPrices', `Segment pricing needs a non-negative price for each of the ${legCount} legs`);
+    } else {
+      // The full route costs the sum of its legs
+      this.pricePerSeat = prices.reduce((sum, price) => sum + price, 0);
+    }
+  }
+
+  if (this.isNew && !this.segmentSeatsAvailable) {
+    this.segmentSeatsAvailable = new Array(legCount).fill(this.seatsAvailable);
+  }
+
+  next();
+});
+
+// Derive the route from the stops unless the driver supplied one
+RideSchema.pre('save', function(next) {
+  const hasRoute = this.route && this.route.coordinates && this.route.coordinates.length >= 2;
+  const stopsChanged = this.isModified('source') || this.isModified('destination') || this.isModified('intermediateStops');
+
+  if (!hasRoute || (stopsChanged && !this.isModified('route'))) {
+    const path = buildRoutePath(this);
+    this.route = path.length >= 2 ? { type: 'LineString', coordinates: path } : undefined;
+  } else if (!this.route.type) {
+    this.route.type = 'LineString';
+  }
+
+  next();
+});
+
+// Number of legs between source, intermediate stops and destination
+RideSchema.statics.getLegCount = function(ride) {
+  return Math.max(buildRoutePath(ride).length - 1, 1);
+};
+
+// Check whether a passenger may book this ride without driver approval
+RideSchema.methods.allowsInstantBookingFor = function(passenger) {
+  if (!this.instantBooking) {
+    return { allowed: false, reason: 'Instant booking is not enabled for this ride' };
+  }
+
+  const requirements = this.instantBookingRequirements || {};
+
+  // Passengers without any ratings are treated as having the default rating
+  const rating = passenger.totalRatings > 0 ? passenger.avgRating : DEFAULT_RATING;
+
+  if (requirements.minRating && rating < requirements.minRating) {
+    return { allowed: false, reason: `Instant booking requires a rating of at least ${requirements.minRating}` };
+  }
+
+  if (requirements.requireVerifiedPhone && !passenger.isPhoneVerified) {
+    return { allowed: false, reason: 'Instant booking requires a verified phone number' };
+  }
+
+  if (requirements.requireVerifiedEmail && !passenger.isEmailVerified) {
+    return { allowed: false, reason: 'Instant booking requires a verified email address' };
+  }
+
+  return { allowed: true };
+};
+
 module.exports = mongoose.model('Ride', RideSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { DEFAULT_SEARCH_RADIUS, RIDE_MATCHING } = require('../utils/constants');
+
+// Time of day as HH:mm
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const PointSchema = {
+  address: String,
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true
+    }
+  }
+};
+
+// A passenger's saved search, matched against rides as they are posted
+const RideAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Name cannot be longer than 50 characters']
+  },
+  source: PointSchema,
+  destination: PointSchema,
+  // Maximum distance from the route to the source and to the destination, in km
+  radius: {
+    type: Number,
+    default: DEFAULT_SEARCH_RADIUS,
+    min: [0.1, 'Radius must be at least 0.1 km'],
+    max: [RIDE_MATCHING.MAX_SEARCH_RADIUS, `Radius cannot be more than ${RIDE_MATCHING.MAX_SEARCH_RADIUS} km`]
+  },
+  // Departure window: dates, days of the week (0 = Sunday) and time of day
+  dateFrom: Date,
+  dateTo: Date,
+  weekdays: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  timeFrom: {
+    type: String,
+    match: [TIME_PATTERN, 'Time must be in HH:mm format']
+  },
+  timeTo: {
+    type: String,
+    match: [TIME_PATTERN, 'Time must be in HH:mm format']
+  },
+  maxPrice: {
+    type: Number,
+    min: 0
+  },
+  seats: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  lastMatchedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RideAlertSchema.index({ 'source.location': '2dsphere' });
+RideAlertSchema.index({ user: 1, createdAt: -1 });
+
+// Update the timestamps before saving
+RideAlertSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('RideAlert', RideAlertSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Ride an alert has fired for, so it fires only once per ride
+const RideAlertMatchSchema = new mongoose.Schema({
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RideAlert',
+    required: true
+  },
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  farePerSeat: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RideAlertMatchSchema.index({ alert: 1, ride: 1 }, { unique: true });
+
+module.exports = mongoose.model('RideAlertMatch', RideAlertMatchSchema);
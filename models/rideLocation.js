@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { LOCATION_TRACKING } = require('../utils/constants');
+
+const RideLocationSchema = new mongoose.Schema({
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  heading: Number, // degrees from north
+  speed: Number, // km/h
+  accuracy: Number, // meters
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Latest point of a ride first
+RideLocationSchema.index({ ride: 1, recordedAt: -1 });
+
+// GPS traces are only kept for a limited time
+RideLocationSchema.index(
+  { recordedAt: 1 },
+  { expireAfterSeconds: LOCATION_TRACKING.TTL_HOURS * 60 * 60 }
+);
+
+module.exports = mongoose.model('RideLocation', RideLocationSchema);
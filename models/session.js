@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { REFRESH_TOKEN_EXPIRY } = require('../utils/constants');
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Let MongoDB remove expired sessions
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw refresh token secret
+SessionSchema.statics.hashToken = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+// Split a refresh token of the form "<sessionId>.<secret>"
+SessionSchema.statics.parseRefreshToken = function(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+
+  return { sessionId, secret };
+};
+
+// Start a new session for the user and return it with its refresh token
+SessionSchema.statics.start = async function(user, req) {
+  const session = new this({
+    user: user._id,
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip,
+    refreshTokenHash: 'pending',
+    expiresAt: Date.now() + REFRESH_TOKEN_EXPIRY * 24 * 60 * 60 * 1000
+  });
+
+  const refreshToken = session.issueRefreshToken();
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Revoke every active session of a user, optionally keeping one
+SessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId) {
+  const query = { user: userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  await this.updateMany(query, { revokedAt: Date.now(), revokedReason: reason });
+};
+
+// Replace the refresh token secret (rotation) and extend the session
+SessionSchema.methods.issueRefreshToken = function() {
+  const secret = crypto.randomBytes(40).toString('hex');
+
+  this.refreshTokenHash = this.constructor.hashToken(secret);
+  this.lastUsedAt = Date.now();
+  this.expiresAt = Date.now() + REFRESH_TOKEN_EXPIRY * 24 * 60 * 60 * 1000;
+
+  return `${this._id}.${secret}`;
+};
+
+// Check whether the session can still be used
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
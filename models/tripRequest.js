@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { PAYMENT_METHODS, TRIP_REQUEST_STATUS } = require('../utils/constants');
+
+// A trip a passenger asks drivers to offer
+const TripRequestSchema = new mongoose.Schema({
+  passenger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  source: {
+    address: {
+      type: String,
+      required: [true, 'Source address is required']
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: {
+        type: [Number],
+        required: true
+      }
+    }
+  },
+  destination: {
+    address: {
+      type: String,
+      required: [true, 'Destination address is required']
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: {
+        type: [Number],
+        required: true
+      }
+    }
+  },
+  // The passenger wants to leave between these times
+  departureFrom: {
+    type: Date,
+    required: [true, 'Earliest departure time is required']
+  },
+  departureTo: {
+    type: Date,
+    required: [true, 'Latest departure time is required']
+  },
+  seats: {
+    type: Number,
+    required: [true, 'Number of seats is required'],
+    min: [1, 'At least one seat must be requested']
+  },
+  // Price per seat the passenger offers
+  offeredPrice: {
+    type: Number,
+    required: [true, 'Offered price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  // Card payments need an authorization when booking, so requests are paid in cash or from the wallet
+  paymentMethod: {
+    type: String,
+    enum: [PAYMENT_METHODS.CASH, PAYMENT_METHODS.WALLET],
+    default: PAYMENT_METHODS.CASH
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot be longer than 500 characters']
+  },
+  status: {
+    type: String,
+    enum: Object.values(TRIP_REQUEST_STATUS),
+    default: TRIP_REQUEST_STATUS.OPEN
+  },
+  // Set once a driver accepts the request
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride'
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  acceptedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+TripRequestSchema.index({ 'source.location': '2dsphere' });
+TripRequestSchema.index({ status: 1, departureTo: 1 });
+TripRequestSchema.index({ passenger: 1, createdAt: -1 });
+
+// Update the timestamps before saving
+TripRequestSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('TripRequest', TripRequestSchema);
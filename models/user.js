@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { ACCESS_TOKEN_EXPIRY } = require('../utils/constants');
+const { generateConfirmationCode } = require('../utils/helpers');
 
 const UserSchema = new mongoose.Schema({
   firstName: {
@@ -42,6 +44,14 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: 'default-avatar.jpg'
   },
+  // Storage keys of the uploaded photo's thumbnails (see imageService);
+  // profileImage holds the URL of the medium one
+  profilePhoto: {
+    small: String,
+    medium: String,
+    large: String,
+    updatedAt: Date
+  },
   isEmailVerified: {
     type: Boolean,
     default: false
@@ -67,7 +77,11 @@ const UserSchema = new mongoose.Schema({
     isVerified: {
       type: Boolean,
       default: false
-    }
+    },
+    // Drivers verified before documents were required stay verified until then
+    documentsDueBy: Date,
+    // When the driver was told about the deadline
+    documentsNoticeSentAt: Date
   },
   avgRating: {
     type: Number,
@@ -82,6 +96,19 @@ const UserSchema = new mongoose.Schema({
     default: 0
   },
   fcmToken: String,
+  // Code other users sign up with to be credited as referred by this user
+  referralCode: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  referredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set once the referral credits for this user have been paid
+  referralRewardedAt: Date,
+  passwordChangedAt: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   createdAt: {
@@ -100,11 +127,21 @@ const UserSchema = new mongoose.Schema({
 
 // Encrypt password using bcrypt
 UserSchema.pre('save', async function(next) {
+  this.updatedAt = Date.now();
+
+  if (this.isNew && !this.referralCode) {
+    this.referralCode = generateConfirmationCode();
+  }
+
   if (!this.isModified('password')) {
-    next();
+    return next();
+  }
+
+  // Tokens issued before this moment are no longer accepted
+  // (backdated by a second so the token issued right after the change is valid)
+  if (!this.isNew) {
+    this.passwordChangedAt = Date.now() - 1000;
   }
-  
-  this.updatedAt = Date.now();
   
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
@@ -116,15 +153,24 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function() {
+// Sign a short-lived access JWT bound to a session and return
+UserSchema.methods.getSignedJwtToken = function(sessionId) {
   return jwt.sign(
-    { id: this._id, role: this.role },
+    { id: this._id, role: this.role, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRE || ACCESS_TOKEN_EXPIRY }
   );
 };
 
+// Check whether the password changed after a token was issued
+UserSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+
+  return tokenIssuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
 // Generate and hash password reset token
 UserSchema.methods.getResetPasswordToken = function() {
   // Generate token
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { VEHICLE_TYPES, VEHICLE_SETTINGS } = require('../utils/constants');
+
+const VehicleSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(VEHICLE_TYPES),
+    default: VEHICLE_TYPES.CAR
+  },
+  make: {
+    type: String,
+    trim: true
+  },
+  model: {
+    type: String,
+    required: [true, 'Vehicle model is required'],
+    trim: true
+  },
+  year: Number,
+  color: {
+    type: String,
+    trim: true
+  },
+  licensePlate: {
+    type: String,
+    required: [true, 'License plate is required'],
+    uppercase: true,
+    trim: true
+  },
+  // Seats offered to passengers (driver's seat not included)
+  seatingCapacity: {
+    type: Number,
+    required: [true, 'Seating capacity is required'],
+    min: [1, 'Seating capacity must be at least 1'],
+    max: [VEHICLE_SETTINGS.MAX_SEATING_CAPACITY, `Seating capacity cannot be more than ${VEHICLE_SETTINGS.MAX_SEATING_CAPACITY}`]
+  },
+  // Used for new rides when no vehicle is given
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isVerified: {
+    type: Boolean,
+    default: false
+  },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verifiedAt: Date,
+  // Removed vehicles are kept for the rides that used them
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+VehicleSchema.index({ owner: 1, isActive: 1 });
+
+// A plate can only be registered once at a time
+VehicleSchema.index(
+  { licensePlate: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Update the timestamps before saving
+VehicleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+/**
+ * Vehicle fields copied onto a ride
+ * @returns {Object} - vehicleDetails of a ride
+ */
+VehicleSchema.methods.toRideDetails = function() {
+  return {
+    model: [this.make, this.model].filter(Boolean).join(' '),
+    color: this.color || '',
+    licensePlate: this.licensePlate,
+    seatingCapacity: this.seatingCapacity
+  };
+};
+
+module.exports = mongoose.model('Vehicle', VehicleSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { WAITLIST_STATUS } = require('../utils/constants');
+
+// A passenger waiting for seats on a full ride, served first come first served
+const WaitlistEntrySchema = new mongoose.Schema({
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  passenger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seatsWanted: {
+    type: Number,
+    required: true,
+    min: [1, 'At least one seat must be wanted']
+  },
+  // Part of the route wanted, as stop indices (see fareService)
+  segment: {
+    from: Number,
+    to: Number
+  },
+  pickupPoint: {
+    address: String,
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: [Number]
+    }
+  },
+  dropoffPoint: {
+    address: String,
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: [Number]
+    }
+  },
+  status: {
+    type: String,
+    enum: Object.values(WAITLIST_STATUS),
+    default: WAITLIST_STATUS.WAITING
+  },
+  // Seats were freed for this passenger, who can book them until offerExpiresAt
+  offeredAt: Date,
+  offerExpiresAt: Date,
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+WaitlistEntrySchema.index({ ride: 1, status: 1, createdAt: 1 });
+WaitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+// One open entry per passenger and ride
+WaitlistEntrySchema.index(
+  { ride: 1, passenger: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED] } }
+  }
+);
+
+// Update the timestamps before saving
+WaitlistEntrySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { PAYMENT_SETTINGS } = require('../utils/constants');
+
+/*
+ * Running balances of a user's wallet. The ledger (LedgerTransaction) is the
+ * source of truth; these counters are kept alongside it so balance checks can
+ * be done with a single conditional update (see walletService.reconcile).
+ */
+const WalletSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  currency: {
+    type: String,
+    default: PAYMENT_SETTINGS.CURRENCY
+  },
+  // Money the user can spend or withdraw
+  available: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Money reserved for approved bookings
+  held: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Transactions that moved these counters and are being written to the
+  // ledger; left behind only if that was interrupted (see walletService)
+  pendingTransactions: [{
+    _id: false,
+    transaction: mongoose.Schema.Types.ObjectId,
+    available: Number,
+    held: Number,
+    createdAt: Date
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the timestamps before saving
+WalletSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+WalletSchema.index({ 'pendingTransactions.createdAt': 1 });
+
+module.exports = mongoose.model('Wallet', WalletSchema);
@@ -2,7 +2,15 @@ const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
 const { protect, authorize } = require('../middlewares/auth');
-const { idParamValidator } = require('../middlewares/validator');
+const {
+  idParamValidator,
+  earningsValidator,
+  createPromoCodeValidator,
+  updatePromoCodeValidator,
+  driverDocumentQueueValidator,
+  rejectDocumentValidator,
+  vehicleQueueValidator
+} = require('../middlewares/validator');
 const { validate } = require('../middlewares/auth');
 
 // All routes require admin role
@@ -170,12 +178,198 @@ router.put('/users/:id', idParamValidator, validate, adminController.updateUser)
  *       200:
  *         description: Driver account verified successfully
  *       400:
- *         description: User is not a driver
+ *         description: User is not a driver or has no approved, current documents
  *       404:
  *         description: User not found
  */
 router.put('/users/:id/verify-driver', idParamValidator, validate, adminController.verifyDriverAccount);
 
+/**
+ * @swagger
+ * /api/v1/admin/driver-documents:
+ *   get:
+ *     summary: Get the driver document review queue (oldest first)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, expired]
+ *         description: Document status (default pending)
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [license, registration, insurance]
+ *         description: Filter by document type
+ *       - in: query
+ *         name: driver
+ *         schema:
+ *           type: string
+ *         description: Filter by driver ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Documents retrieved successfully
+ */
+router.get('/driver-documents', driverDocumentQueueValidator, validate, adminController.getDriverDocuments);
+
+/**
+ * @swagger
+ * /api/v1/admin/driver-documents/{id}/approve:
+ *   put:
+ *     summary: Approve a driver document
+ *     description: Approving the last missing document verifies the driver.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Document ID
+ *     responses:
+ *       200:
+ *         description: Document approved
+ *       400:
+ *         description: Document is not pending
+ *       404:
+ *         description: Document not found
+ */
+router.put('/driver-documents/:id/approve', idParamValidator, validate, adminController.approveDriverDocument);
+
+/**
+ * @swagger
+ * /api/v1/admin/driver-documents/{id}/reject:
+ *   put:
+ *     summary: Reject a driver document
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Document ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Shown to the driver
+ *     responses:
+ *       200:
+ *         description: Document rejected
+ *       400:
+ *         description: Missing reason or document is not pending
+ *       404:
+ *         description: Document not found
+ */
+router.put('/driver-documents/:id/reject', idParamValidator, rejectDocumentValidator, validate, adminController.rejectDriverDocument);
+
+/**
+ * @swagger
+ * /api/v1/admin/vehicles:
+ *   get:
+ *     summary: Get vehicles awaiting verification (oldest first)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isVerified
+ *         schema:
+ *           type: boolean
+ *         description: List verified vehicles instead (default false)
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *         description: Filter by driver ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Vehicles retrieved successfully
+ */
+router.get('/vehicles', vehicleQueueValidator, validate, adminController.getVehicles);
+
+/**
+ * @swagger
+ * /api/v1/admin/vehicles/{id}/verify:
+ *   put:
+ *     summary: Verify a vehicle so it can be used for rides
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Vehicle ID
+ *     responses:
+ *       200:
+ *         description: Vehicle verified
+ *       404:
+ *         description: Vehicle not found
+ */
+router.put('/vehicles/:id/verify', idParamValidator, validate, adminController.verifyVehicle);
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}/wallet/reconcile:
+ *   get:
+ *     summary: Compare a user's wallet balances with the ledger
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Ledger and wallet balances with their difference
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:id/wallet/reconcile', idParamValidator, validate, adminController.reconcileWallet);
+
 /**
  * @swagger
  * /api/v1/admin/rides:
@@ -250,7 +444,7 @@ router.get('/rides', adminController.getRides);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, approved, rejected, cancelled, completed]
+ *           enum: [pending, approved, rejected, cancelled, completed, expired]
  *         description: Filter by booking status
  *       - in: query
  *         name: passengerId
@@ -308,6 +502,264 @@ router.get('/rides', adminController.getRides);
  */
 router.get('/bookings', adminController.getBookings);
 
+/**
+ * @swagger
+ * /api/v1/admin/bookings/{id}/messages:
+ *   get:
+ *     summary: Get the chat of a booking for dispute handling
+ *     description: Reading the chat does not mark messages as read.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Booking ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Messages, newest first
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/bookings/:id/messages', idParamValidator, validate, adminController.getBookingMessages);
+
+/**
+ * @swagger
+ * /api/v1/admin/earnings:
+ *   get:
+ *     summary: Get earnings of all drivers for payout runs
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only rides departing on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only rides departing on or before this date
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *         description: csv downloads every driver
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Earnings per driver, highest first
+ */
+router.get('/earnings', earningsValidator, validate, adminController.getDriverEarnings);
+
+/**
+ * @swagger
+ * /api/v1/admin/promo-codes:
+ *   post:
+ *     summary: Create a promo code
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - discountType
+ *               - discountValue
+ *             properties:
+ *               code:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               discountType:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *               discountValue:
+ *                 type: number
+ *               maxDiscount:
+ *                 type: number
+ *                 description: Cap of percentage discounts
+ *               minFare:
+ *                 type: number
+ *               validFrom:
+ *                 type: string
+ *                 format: date-time
+ *               validUntil:
+ *                 type: string
+ *                 format: date-time
+ *               usageLimit:
+ *                 type: integer
+ *                 description: Total number of bookings the code can be used on
+ *               perUserLimit:
+ *                 type: integer
+ *               firstRideOnly:
+ *                 type: boolean
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Promo code created successfully
+ *       400:
+ *         description: Invalid input or code already exists
+ *   get:
+ *     summary: Get all promo codes
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active state
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by code
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Promo codes retrieved successfully
+ */
+router.post('/promo-codes', createPromoCodeValidator, validate, adminController.createPromoCode);
+router.get('/promo-codes', adminController.getPromoCodes);
+
+/**
+ * @swagger
+ * /api/v1/admin/promo-codes/{id}:
+ *   get:
+ *     summary: Get a promo code with its redemption stats
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Promo code ID
+ *     responses:
+ *       200:
+ *         description: Promo code retrieved successfully
+ *       404:
+ *         description: Promo code not found
+ *   put:
+ *     summary: Update a promo code
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Promo code ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               discountType:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *               discountValue:
+ *                 type: number
+ *               maxDiscount:
+ *                 type: number
+ *                 description: Cap of percentage discounts
+ *               minFare:
+ *                 type: number
+ *               validFrom:
+ *                 type: string
+ *                 format: date-time
+ *               validUntil:
+ *                 type: string
+ *                 format: date-time
+ *               usageLimit:
+ *                 type: integer
+ *                 description: Total number of bookings the code can be used on
+ *               perUserLimit:
+ *                 type: integer
+ *               firstRideOnly:
+ *                 type: boolean
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Promo code updated successfully
+ *       404:
+ *         description: Promo code not found
+ *   delete:
+ *     summary: Deactivate a promo code
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Promo code ID
+ *     responses:
+ *       200:
+ *         description: Promo code deactivated successfully
+ *       404:
+ *         description: Promo code not found
+ */
+router.get('/promo-codes/:id', idParamValidator, validate, adminController.getPromoCode);
+router.put('/promo-codes/:id', idParamValidator, updatePromoCodeValidator, validate, adminController.updatePromoCode);
+router.delete('/promo-codes/:id', idParamValidator, validate, adminController.deletePromoCode);
+
 /**
  * @swagger
  * /api/v1/admin/notifications:
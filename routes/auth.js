@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
 const { protect } = require('../middlewares/auth');
-const { registerValidator, loginValidator } = require('../middlewares/validator');
+const { registerValidator, loginValidator, verifyPhoneValidator, refreshTokenValidator, idParamValidator } = require('../middlewares/validator');
 const { validate } = require('../middlewares/auth');
 
 /**
@@ -43,6 +43,9 @@ const { validate } = require('../middlewares/auth');
  *               role:
  *                 type: string
  *                 enum: [passenger, driver]
+ *               referralCode:
+ *                 type: string
+ *                 description: Referral code of the user who invited this user
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -120,6 +123,24 @@ router.get('/me', protect, authController.getMe);
  */
 router.get('/verify-email/:token', authController.verifyEmail);
 
+/**
+ * @swagger
+ * /api/v1/auth/resend-verification:
+ *   post:
+ *     summary: Resend email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       500:
+ *         description: Email could not be sent
+ */
+router.post('/resend-verification', protect, authController.resendVerification);
+
 /**
  * @swagger
  * /api/v1/auth/verify-phone:
@@ -143,9 +164,29 @@ router.get('/verify-email/:token', authController.verifyEmail);
  *       200:
  *         description: Phone verified successfully
  *       400:
- *         description: Invalid OTP
+ *         description: Invalid or expired OTP
+ *       429:
+ *         description: Too many attempts, phone number locked
+ */
+router.post('/verify-phone', protect, verifyPhoneValidator, validate, authController.verifyPhone);
+
+/**
+ * @swagger
+ * /api/v1/auth/resend-otp:
+ *   post:
+ *     summary: Resend phone verification OTP
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OTP sent successfully
+ *       400:
+ *         description: Phone already verified
+ *       429:
+ *         description: Resend cooldown active or phone number locked
  */
-router.post('/verify-phone', protect, authController.verifyPhone);
+router.post('/resend-otp', protect, authController.resendOTP);
 
 /**
  * @swagger
@@ -254,4 +295,68 @@ router.put('/update-password', protect, authController.updatePassword);
  */
 router.get('/logout', protect, authController.logout);
 
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for new tokens
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens issued
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+router.post('/refresh', refreshTokenValidator, validate, authController.refreshToken);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     summary: Get active sessions (devices) of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions retrieved successfully
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/sessions', protect, authController.getSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session (sign out a device)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', protect, idParamValidator, validate, authController.revokeSession);
+
 module.exports = router;
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/bookingController');
+const messageController = require('../controllers/messageController');
 const { protect, authorize } = require('../middlewares/auth');
-const { isBookingParticipant, isBookingDriver, isBookingPassenger } = require('../middlewares/roleAccess');
-const { createBookingValidator, idParamValidator } = require('../middlewares/validator');
+const { isBookingParticipant, isBookingDriver, isBookingPassenger, requireVerifiedEmail } = require('../middlewares/roleAccess');
+const { createBookingValidator, createSeriesBookingValidator, updateBookingValidator, counterOfferValidator, sendMessageValidator, idParamValidator } = require('../middlewares/validator');
 const { validate } = require('../middlewares/auth');
 
 /**
@@ -27,6 +28,17 @@ const { validate } = require('../middlewares/auth');
  *               ride:
  *                 type: string
  *                 description: Ride ID
+ *               occurrenceDate:
+ *                 type: string
+ *                 format: date
+ *                 description: For recurring rides, the date of the trip to book
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cash, card, wallet]
+ *                 description: Card fares are authorized now and charged when the ride completes. Wallet fares are reserved from the wallet when the booking is approved
+ *               paymentToken:
+ *                 type: string
+ *                 description: Card token from the payment gateway (required for card)
  *               seatsBooked:
  *                 type: integer
  *                 minimum: 1
@@ -60,15 +72,85 @@ const { validate } = require('../middlewares/auth');
  *                         maxItems: 2
  *               passengerNotes:
  *                 type: string
+ *               promoCode:
+ *                 type: string
+ *                 description: Promo code; the discount is taken off totalPrice
+ *               offeredPrice:
+ *                 type: number
+ *                 description: >
+ *                   Price per seat the passenger offers, on rides with price negotiation enabled. Must be within
+ *                   the driver's band around the listed fare. Cash or wallet only, and not with a promo code.
+ *                   The booking waits for the driver to accept, counter or reject the offer.
+ *               offerMessage:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Booking created (approved immediately on instant-book rides)
+ *       400:
+ *         description: Invalid input, invalid promo code or not enough seats available
+ *       402:
+ *         description: Card payment could not be authorized or wallet balance is too low
+ *       403:
+ *         description: Email verification required
+ *       404:
+ *         description: Ride not found
+ */
+router.post('/', protect, requireVerifiedEmail('booking'), createBookingValidator, validate, bookingController.createBooking);
+
+/**
+ * @swagger
+ * /api/v1/bookings/series:
+ *   post:
+ *     summary: Book every upcoming trip of a recurring ride
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ride
+ *               - seatsBooked
+ *             properties:
+ *               ride:
+ *                 type: string
+ *                 description: ID of the recurring ride or any of its occurrences
+ *               seatsBooked:
+ *                 type: integer
+ *                 minimum: 1
+ *               toDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Only book trips up to this date
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cash, card, wallet]
+ *                 description: Card fares are authorized now and charged when the ride completes. Wallet fares are reserved from the wallet when the booking is approved
+ *               paymentToken:
+ *                 type: string
+ *                 description: Card token from the payment gateway (required for card)
+ *               pickupPoint:
+ *                 type: object
+ *               dropoffPoint:
+ *                 type: object
+ *               passengerNotes:
+ *                 type: string
  *     responses:
  *       201:
- *         description: Booking created successfully
+ *         description: Trips booked, with the list of dates that were skipped (already booked or full)
  *       400:
- *         description: Invalid input or not enough seats available
+ *         description: Ride is not recurring or no trip could be booked
+ *       402:
+ *         description: Wallet balance does not cover every trip, or a card authorization failed. No trips are booked
  *       404:
  *         description: Ride not found
+ *       409:
+ *         description: A trip filled up while booking. No trips are booked
  */
-router.post('/', protect, createBookingValidator, validate, bookingController.createBooking);
+router.post('/series', protect, requireVerifiedEmail('booking'), createSeriesBookingValidator, validate, bookingController.createSeriesBooking);
 
 /**
  * @swagger
@@ -83,7 +165,7 @@ router.post('/', protect, createBookingValidator, validate, bookingController.cr
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, approved, rejected, cancelled, completed]
+ *           enum: [pending, approved, rejected, cancelled, completed, expired]
  *         description: Filter by booking status
  *       - in: query
  *         name: fromDate
@@ -137,14 +219,147 @@ router.get('/', protect, bookingController.getBookings);
  *         description: Not authorized to access this booking
  *       404:
  *         description: Booking not found
+ *   put:
+ *     summary: Change the seats, stops or notes of a booking (passenger only)
+ *     description: >
+ *       Pending bookings are updated straight away. On approved bookings fewer seats and new notes apply
+ *       at once and the freed seats go to the waitlist; more seats or another pickup or dropoff point wait
+ *       for the driver's approval, and the booking keeps its current seats until then. The fare is
+ *       recalculated and every change is kept in `changeLog`. Card bookings cannot go above the amount
+ *       authorized when booking.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               seatsBooked:
+ *                 type: integer
+ *                 minimum: 1
+ *               pickupPoint:
+ *                 type: object
+ *                 properties:
+ *                   address:
+ *                     type: string
+ *                   location:
+ *                     type: object
+ *                     properties:
+ *                       coordinates:
+ *                         type: array
+ *                         items:
+ *                           type: number
+ *               dropoffPoint:
+ *                 type: object
+ *                 properties:
+ *                   address:
+ *                     type: string
+ *                   location:
+ *                     type: object
+ *                     properties:
+ *                       coordinates:
+ *                         type: array
+ *                         items:
+ *                           type: number
+ *               passengerNotes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Booking updated, or the change is waiting for the driver (`pendingChange`)
+ *       400:
+ *         description: Nothing to change, not enough seats, or the booking can no longer be changed
+ *       402:
+ *         description: The card authorization or wallet balance does not cover the new fare
+ *       403:
+ *         description: Not authorized to change this booking
+ *       404:
+ *         description: Booking not found
  */
 router.get('/:id', protect, idParamValidator, validate, isBookingParticipant, bookingController.getBooking);
+router.put('/:id', protect, idParamValidator, updateBookingValidator, validate, isBookingPassenger, bookingController.updateBooking);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/changes/approve:
+ *   put:
+ *     summary: Approve the change a passenger asked for (driver only)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Change applied to the booking
+ *       400:
+ *         description: No change waiting, or not enough seats
+ *       402:
+ *         description: The passenger's wallet balance does not cover the new fare
+ *       403:
+ *         description: Not authorized to approve changes to this booking
+ *       404:
+ *         description: Booking not found
+ */
+router.put('/:id/changes/approve', protect, authorize('driver'), idParamValidator, validate, isBookingDriver, bookingController.approveBookingChange);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/changes/reject:
+ *   put:
+ *     summary: Reject the change a passenger asked for (driver only)
+ *     description: The booking stays as it was.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Booking ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               driverNotes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Change rejected
+ *       400:
+ *         description: No change waiting
+ *       403:
+ *         description: Not authorized to reject changes to this booking
+ *       404:
+ *         description: Booking not found
+ */
+router.put('/:id/changes/reject', protect, authorize('driver'), idParamValidator, validate, isBookingDriver, bookingController.rejectBookingChange);
+
 
 /**
  * @swagger
  * /api/v1/bookings/{id}/approve:
  *   put:
  *     summary: Approve a booking (driver only)
+ *     description: On a booking under price negotiation, approving accepts the passenger's latest offer.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -168,6 +383,8 @@ router.get('/:id', protect, idParamValidator, validate, isBookingParticipant, bo
  *         description: Booking approved successfully
  *       400:
  *         description: Cannot approve booking or not enough seats
+ *       402:
+ *         description: Passenger's wallet balance does not cover the fare
  *       403:
  *         description: Not authorized to approve this booking
  *       404:
@@ -235,7 +452,11 @@ router.put('/:id/reject', protect, authorize('driver'), idParamValidator, valida
  *                 type: string
  *     responses:
  *       200:
- *         description: Booking cancelled successfully
+ *         description: >
+ *           Booking cancelled successfully. `refund` holds the outcome of the cancellation
+ *           policy: passengers cancelling at least 60 minutes before departure get a full
+ *           refund, later cancellations get 50% and cancellations after departure get none.
+ *           Cancellations by the driver or an admin, and unconfirmed bookings, are refunded in full.
  *       400:
  *         description: Cannot cancel booking
  *       403:
@@ -245,6 +466,153 @@ router.put('/:id/reject', protect, authorize('driver'), idParamValidator, valida
  */
 router.put('/:id/cancel', protect, idParamValidator, validate, isBookingParticipant, bookingController.cancelBooking);
 
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/offers:
+ *   post:
+ *     summary: Answer the latest price offer with a counter-offer
+ *     description: >
+ *       The driver and the passenger take turns. The price must stay within the band the driver set
+ *       for the ride, and each offer must be answered within 12 hours and before departure, otherwise
+ *       the booking expires. At most 6 offers can be made on a booking.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pricePerSeat
+ *             properties:
+ *               pricePerSeat:
+ *                 type: number
+ *               message:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Counter-offer sent; the booking holds the offer history in `negotiation.offers`
+ *       400:
+ *         description: Not your turn, offer expired, price outside the band or too many offers
+ *       403:
+ *         description: Not authorized to negotiate on this booking
+ *       404:
+ *         description: Booking not found
+ */
+router.post('/:id/offers', protect, idParamValidator, counterOfferValidator, validate, isBookingParticipant, bookingController.counterOffer);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/offers/accept:
+ *   put:
+ *     summary: Accept the latest price offer of the other party
+ *     description: The agreed price becomes the booking's fare and the booking is approved.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Offer accepted and booking confirmed
+ *       400:
+ *         description: Not your turn, offer expired, or not enough seats left
+ *       402:
+ *         description: Price agreed, but the passenger's wallet balance does not cover the fare
+ *       403:
+ *         description: Not authorized to negotiate on this booking
+ *       404:
+ *         description: Booking not found
+ */
+router.put('/:id/offers/accept', protect, idParamValidator, validate, isBookingParticipant, bookingController.acceptOffer);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/messages:
+ *   get:
+ *     summary: Get the chat between the driver and the passenger of a booking
+ *     description: Newest messages first. Messages received by the caller are marked as read and the sender gets a `chat:read` event.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Booking ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Messages, whether the chat is locked, and the participants with masked phone numbers
+ *       403:
+ *         description: Not authorized to access this booking
+ *       404:
+ *         description: Booking not found
+ *   post:
+ *     summary: Send a chat message to the other side of a booking
+ *     description: >
+ *       Phone numbers in the message are hidden. The chat is closed for rejected, cancelled
+ *       and expired bookings, and 24 hours after the ride is completed.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Message sent
+ *       400:
+ *         description: Empty message or chat is closed
+ *       403:
+ *         description: Not the driver or passenger of this booking
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/:id/messages', protect, idParamValidator, validate, isBookingParticipant, messageController.getMessages);
+router.post('/:id/messages', protect, idParamValidator, sendMessageValidator, validate, isBookingParticipant, messageController.sendMessage);
+
 /**
  * @swagger
  * /api/v1/bookings/requests:
@@ -9,6 +9,8 @@ const bookingRoutes = require('./booking');
 const ratingRoutes = require('./rating');
 const notificationRoutes = require('./notification');
 const adminRoutes = require('./admin');
+const paymentRoutes = require('./payment');
+const tripRequestRoutes = require('./tripRequest');
 
 // Mount routes
 router.use('/auth', authRoutes);
@@ -18,6 +20,8 @@ router.use('/bookings', bookingRoutes);
 router.use('/ratings', ratingRoutes);
 router.use('/notifications', notificationRoutes);
 router.use('/admin', adminRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/trip-requests', tripRequestRoutes);
 
 // Base route
 router.get('/', (req, res) => {
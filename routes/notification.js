@@ -114,7 +114,7 @@ router.delete('/:id', protect, idParamValidator, validate, notificationControlle
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Notification count retrieved successfully
+ *         description: Unread and total notifications, and unread chat messages (`unreadMessages`)
  *       401:
  *         description: Not authenticated
  */
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { protect } = require('../middlewares/auth');
+const { idParamValidator } = require('../middlewares/validator');
+const { validate } = require('../middlewares/auth');
+
+/**
+ * @swagger
+ * /api/v1/payments/webhook:
+ *   post:
+ *     summary: Payment gateway webhook
+ *     description: >
+ *       Called by the payment gateway. The `X-Payment-Signature` header must be
+ *       `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">` signed with
+ *       PAYMENT_WEBHOOK_SECRET. Each event id is applied once.
+ *     tags: [Payments]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [payment.captured, payment.voided, payment.failed, payment.refunded]
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                     description: Gateway payment ID
+ *     responses:
+ *       200:
+ *         description: Event processed or ignored
+ *       400:
+ *         description: Invalid webhook signature
+ */
+router.post('/webhook', paymentController.handleWebhook);
+
+/**
+ * @swagger
+ * /api/v1/payments/{id}:
+ *   get:
+ *     summary: Get a payment (payer, payee or admin)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Payment ID (booking.paymentId)
+ *     responses:
+ *       200:
+ *         description: Payment retrieved successfully
+ *       403:
+ *         description: Not authorized to access this payment
+ *       404:
+ *         description: Payment not found
+ */
+router.get('/:id', protect, idParamValidator, validate, paymentController.getPayment);
+
+module.exports = router;
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const rideController = require('../controllers/rideController');
+const waitlistController = require('../controllers/waitlistController');
 const { protect, authorize } = require('../middlewares/auth');
-const { isRideOwner, isVerifiedDriver } = require('../middlewares/roleAccess');
-const { createRideValidator, updateRideValidator, searchRideValidator, idParamValidator } = require('../middlewares/validator');
+const { isRideOwner, isVerifiedDriver, requireVerifiedEmail } = require('../middlewares/roleAccess');
+const { createRideValidator, updateRideValidator, searchRideValidator, advancedSearchValidator, rideLocationValidator, joinWaitlistValidator, idParamValidator } = require('../middlewares/validator');
 const { validate } = require('../middlewares/auth');
 
 /**
@@ -81,15 +82,36 @@ const { validate } = require('../middlewares/auth');
  *                             type: number
  *                           minItems: 2
  *                           maxItems: 2
+ *               routeCoordinates:
+ *                 type: array
+ *                 description: Optional driving path as [longitude, latitude] points; defaults to source, stops and destination
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: number
  *               departureTime:
  *                 type: string
  *                 format: date-time
  *               seatsAvailable:
  *                 type: integer
  *                 minimum: 1
+ *                 description: Cannot exceed the seating capacity of the vehicle
+ *               vehicleId:
+ *                 type: string
+ *                 description: Verified vehicle to use (defaults to the driver's default vehicle)
  *               pricePerSeat:
  *                 type: number
  *                 minimum: 0
+ *                 description: Price of a seat for the full route
+ *               pricingMode:
+ *                 type: string
+ *                 enum: [fixed, distance, segment]
+ *                 description: How passengers riding part of the route are charged (defaults to distance)
+ *               segmentPrices:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 description: Price per seat of each leg between stops (segment pricing)
  *               preferences:
  *                 type: object
  *                 properties:
@@ -103,6 +125,36 @@ const { validate } = require('../middlewares/auth');
  *                     type: boolean
  *               additionalNotes:
  *                 type: string
+ *               instantBooking:
+ *                 type: boolean
+ *                 description: Approve bookings immediately without driver review
+ *               instantBookingRequirements:
+ *                 type: object
+ *                 properties:
+ *                   minRating:
+ *                     type: number
+ *                     minimum: 0
+ *                     maximum: 5
+ *                   requireVerifiedPhone:
+ *                     type: boolean
+ *                   requireVerifiedEmail:
+ *                     type: boolean
+ *               priceNegotiation:
+ *                 type: object
+ *                 description: Let passengers offer their own price within a band of the listed fare
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   minPercent:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 100
+ *                     default: 80
+ *                   maxPercent:
+ *                     type: integer
+ *                     minimum: 100
+ *                     maximum: 150
+ *                     default: 100
  *               isRecurring:
  *                 type: boolean
  *               recurringDetails:
@@ -126,7 +178,7 @@ const { validate } = require('../middlewares/auth');
  *       403:
  *         description: Only verified drivers can create rides
  */
-router.post('/', protect, authorize('driver'), isVerifiedDriver, createRideValidator, validate, rideController.createRide);
+router.post('/', protect, authorize('driver'), isVerifiedDriver, requireVerifiedEmail('ride'), createRideValidator, validate, rideController.createRide);
 
 /**
  * @swagger
@@ -238,9 +290,22 @@ router.get('/:id', protect, idParamValidator, validate, rideController.getRide);
  *               seatsAvailable:
  *                 type: integer
  *                 minimum: 0
+ *               vehicleId:
+ *                 type: string
+ *                 description: Switch the ride to another verified vehicle of the driver
  *               pricePerSeat:
  *                 type: number
  *                 minimum: 0
+ *                 description: Price of a seat for the full route
+ *               pricingMode:
+ *                 type: string
+ *                 enum: [fixed, distance, segment]
+ *                 description: How passengers riding part of the route are charged (defaults to distance)
+ *               segmentPrices:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 description: Price per seat of each leg between stops (segment pricing)
  *               preferences:
  *                 type: object
  *                 properties:
@@ -254,6 +319,36 @@ router.get('/:id', protect, idParamValidator, validate, rideController.getRide);
  *                     type: boolean
  *               additionalNotes:
  *                 type: string
+ *               instantBooking:
+ *                 type: boolean
+ *                 description: Approve bookings immediately without driver review
+ *               instantBookingRequirements:
+ *                 type: object
+ *                 properties:
+ *                   minRating:
+ *                     type: number
+ *                     minimum: 0
+ *                     maximum: 5
+ *                   requireVerifiedPhone:
+ *                     type: boolean
+ *                   requireVerifiedEmail:
+ *                     type: boolean
+ *               priceNegotiation:
+ *                 type: object
+ *                 description: Let passengers offer their own price within a band of the listed fare
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   minPercent:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 100
+ *                     default: 80
+ *                   maxPercent:
+ *                     type: integer
+ *                     minimum: 100
+ *                     maximum: 150
+ *                     default: 100
  *     responses:
  *       200:
  *         description: Ride updated successfully
@@ -291,7 +386,7 @@ router.put('/:id', protect, isRideOwner, updateRideValidator, validate, rideCont
  *                 type: string
  *     responses:
  *       200:
- *         description: Ride cancelled successfully
+ *         description: Ride cancelled successfully (skips just this date for a recurring ride occurrence)
  *       403:
  *         description: Not authorized to cancel this ride
  *       404:
@@ -299,6 +394,175 @@ router.put('/:id', protect, isRideOwner, updateRideValidator, validate, rideCont
  */
 router.put('/:id/cancel', protect, isRideOwner, rideController.cancelRide);
 
+/**
+ * @swagger
+ * /api/v1/rides/{id}/cancel-series:
+ *   put:
+ *     summary: Cancel all upcoming rides of a recurring series (driver only)
+ *     description: Use /rides/{id}/cancel on a single occurrence to skip just that date.
+ *     tags: [Rides]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the recurring ride or any of its occurrences
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Ride series cancelled successfully
+ *       400:
+ *         description: Ride is not part of a recurring series
+ *       403:
+ *         description: Not authorized to cancel this ride
+ *       404:
+ *         description: Ride not found
+ */
+router.put('/:id/cancel-series', protect, isRideOwner, rideController.cancelRideSeries);
+
+/**
+ * @swagger
+ * /api/v1/rides/{id}/occurrences:
+ *   get:
+ *     summary: Get the occurrences of a recurring ride
+ *     tags: [Rides]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the recurring ride or any of its occurrences
+ *       - in: query
+ *         name: includePast
+ *         schema:
+ *           type: string
+ *           enum: [true, false]
+ *         description: Include occurrences that already departed
+ *     responses:
+ *       200:
+ *         description: Occurrences retrieved successfully
+ *       400:
+ *         description: Ride is not part of a recurring series
+ *       404:
+ *         description: Ride not found
+ */
+router.get('/:id/occurrences', protect, idParamValidator, validate, rideController.getRideOccurrences);
+
+/**
+ * @swagger
+ * /api/v1/rides/{id}/waitlist:
+ *   post:
+ *     summary: Join the waitlist of a full ride
+ *     description: >
+ *       Passengers are served first come first served. When seats open up, the next passenger whose
+ *       trip fits is notified and the seats are kept for them for 15 minutes, to book with POST /bookings.
+ *       The waitlist closes when the ride departs.
+ *     tags: [Rides]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Ride ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - seatsWanted
+ *             properties:
+ *               seatsWanted:
+ *                 type: integer
+ *                 minimum: 1
+ *               pickupPoint:
+ *                 type: object
+ *                 properties:
+ *                   address:
+ *                     type: string
+ *                   location:
+ *                     type: object
+ *                     properties:
+ *                       coordinates:
+ *                         type: array
+ *                         items:
+ *                           type: number
+ *               dropoffPoint:
+ *                 type: object
+ *                 properties:
+ *                   address:
+ *                     type: string
+ *                   location:
+ *                     type: object
+ *                     properties:
+ *                       coordinates:
+ *                         type: array
+ *                         items:
+ *                           type: number
+ *     responses:
+ *       201:
+ *         description: Joined the waitlist, with the position in the queue
+ *       400:
+ *         description: Seats are still available, the ride is not taking bookings or already on the waitlist
+ *       404:
+ *         description: Ride not found
+ *   get:
+ *     summary: Get the waitlist of a ride (driver) or your place on it (passenger)
+ *     tags: [Rides]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Ride ID
+ *     responses:
+ *       200:
+ *         description: Waiting and offered entries, or the passenger's entry and position
+ *       404:
+ *         description: Ride not found or not on the waitlist
+ *   delete:
+ *     summary: Leave the waitlist of a ride
+ *     description: Seats offered to you are offered to the next passenger in line.
+ *     tags: [Rides]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Ride ID
+ *     responses:
+ *       200:
+ *         description: Left the waitlist
+ *       404:
+ *         description: Not on the waitlist
+ */
+router.post('/:id/waitlist', protect, requireVerifiedEmail('booking'), idParamValidator, joinWaitlistValidator, validate, waitlistController.joinWaitlist);
+router.get('/:id/waitlist', protect, idParamValidator, validate, waitlistController.getWaitlist);
+router.delete('/:id/waitlist', protect, idParamValidator, validate, waitlistController.leaveWaitlist);
+
 /**
  * @swagger
  * /api/v1/rides/{id}/start:
@@ -321,6 +585,8 @@ router.put('/:id/cancel', protect, isRideOwner, rideController.cancelRide);
  *         description: Not authorized to start this ride
  *       404:
  *         description: Ride not found
+ *       409:
+ *         description: Ride was started or cancelled by another request
  */
 router.put('/:id/start', protect, isRideOwner, rideController.startRide);
 
@@ -346,14 +612,88 @@ router.put('/:id/start', protect, isRideOwner, rideController.startRide);
  *         description: Not authorized to complete this ride
  *       404:
  *         description: Ride not found
+ *       409:
+ *         description: Ride was completed or cancelled by another request
  */
 router.put('/:id/complete', protect, isRideOwner, rideController.completeRide);
 
+/**
+ * @swagger
+ * /api/v1/rides/{id}/location:
+ *   post:
+ *     summary: Share the driver's current location (driver only, in-progress rides)
+ *     tags: [Rides]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Ride ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - coordinates
+ *             properties:
+ *               coordinates:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 description: [longitude, latitude]
+ *               heading:
+ *                 type: number
+ *               speed:
+ *                 type: number
+ *               accuracy:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Location recorded and pushed to passengers
+ *       400:
+ *         description: Ride is not in progress
+ *       403:
+ *         description: Only the driver can share the ride location
+ *   get:
+ *     summary: Get the driver's latest location and ETA to your pickup point
+ *     tags: [Rides]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Ride ID
+ *     responses:
+ *       200:
+ *         description: Latest location
+ *       400:
+ *         description: Ride is not in progress
+ *       403:
+ *         description: Not authorized to track this ride
+ *       404:
+ *         description: Ride not found or no location shared yet
+ */
+router.post('/:id/location', protect, isRideOwner, rideLocationValidator, validate, rideController.updateRideLocation);
+router.get('/:id/location', protect, idParamValidator, validate, rideController.getRideLocation);
+
 /**
  * @swagger
  * /api/v1/rides/search:
  *   post:
  *     summary: Advanced search for rides
+ *     description: >
+ *       When coordinates are given, rides are matched along the driver's route
+ *       (including intermediate stops). The pickup must come before the dropoff,
+ *       and each point must be within `radius` km of the route. Results are
+ *       sorted by relevance and include walking distance, detour and a score.
  *     tags: [Rides]
  *     security:
  *       - bearerAuth: []
@@ -376,6 +716,9 @@ router.put('/:id/complete', protect, isRideOwner, rideController.completeRide);
  *                   type: number
  *                 minItems: 2
  *                 maxItems: 2
+ *               radius:
+ *                 type: number
+ *                 description: Max distance from the route in km (defaults to 5)
  *               departureDate:
  *                 type: string
  *                 format: date
@@ -401,10 +744,10 @@ router.put('/:id/complete', protect, isRideOwner, rideController.completeRide);
  *                     type: boolean
  *     responses:
  *       200:
- *         description: Search results retrieved successfully
+ *         description: Search results retrieved successfully. Each ride includes a `fare` with the legs ridden, price per seat, total price and seats left on those legs.
  *       400:
  *         description: Invalid input
  */
-router.post('/search', protect, rideController.searchRides);
+router.post('/search', protect, advancedSearchValidator, validate, rideController.searchRides);
 
 module.exports = router;
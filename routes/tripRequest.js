@@ -0,0 +1,261 @@
+const express = require('express');
+const router = express.Router();
+const tripRequestController = require('../controllers/tripRequestController');
+const { protect, authorize } = require('../middlewares/auth');
+const { isVerifiedDriver, requireVerifiedEmail } = require('../middlewares/roleAccess');
+const { createTripRequestValidator, browseTripRequestsValidator, acceptTripRequestValidator, idParamValidator } = require('../middlewares/validator');
+const { validate } = require('../middlewares/auth');
+
+/**
+ * @swagger
+ * /api/v1/trip-requests:
+ *   post:
+ *     summary: Post a trip request for drivers to fulfil
+ *     description: >
+ *       Drivers whose scheduled rides pass near the trip in the time window are notified.
+ *       Open requests expire when the window ends.
+ *     tags: [Trip Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - source
+ *               - destination
+ *               - departureFrom
+ *               - departureTo
+ *               - seats
+ *               - offeredPrice
+ *             properties:
+ *               source:
+ *                 type: object
+ *                 properties:
+ *                   address:
+ *                     type: string
+ *                   location:
+ *                     type: object
+ *                     properties:
+ *                       coordinates:
+ *                         type: array
+ *                         items:
+ *                           type: number
+ *                         minItems: 2
+ *                         maxItems: 2
+ *               destination:
+ *                 type: object
+ *                 properties:
+ *                   address:
+ *                     type: string
+ *                   location:
+ *                     type: object
+ *                     properties:
+ *                       coordinates:
+ *                         type: array
+ *                         items:
+ *                           type: number
+ *                         minItems: 2
+ *                         maxItems: 2
+ *               departureFrom:
+ *                 type: string
+ *                 format: date-time
+ *               departureTo:
+ *                 type: string
+ *                 format: date-time
+ *                 description: At most 24 hours after departureFrom
+ *               seats:
+ *                 type: integer
+ *                 minimum: 1
+ *               offeredPrice:
+ *                 type: number
+ *                 description: Price per seat the passenger offers
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cash, wallet]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Trip request posted
+ *       400:
+ *         description: Invalid input or too many open requests
+ *       402:
+ *         description: Insufficient wallet balance
+ *   get:
+ *     summary: Browse open trip requests near a location (verified drivers only)
+ *     tags: [Trip Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: longitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: latitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *         description: Distance of the pickup from the location in km
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only requests whose departure window touches this day
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Open trip requests, earliest first
+ *       403:
+ *         description: Not a verified driver
+ */
+router.post('/', protect, requireVerifiedEmail('booking'), createTripRequestValidator, validate, tripRequestController.createTripRequest);
+router.get('/', protect, authorize('driver'), isVerifiedDriver, browseTripRequestsValidator, validate, tripRequestController.browseTripRequests);
+
+/**
+ * @swagger
+ * /api/v1/trip-requests/me:
+ *   get:
+ *     summary: Get your trip requests
+ *     tags: [Trip Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, accepted, cancelled, expired]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of your trip requests
+ */
+router.get('/me', protect, tripRequestController.getMyTripRequests);
+
+/**
+ * @swagger
+ * /api/v1/trip-requests/{id}:
+ *   get:
+ *     summary: Get a single trip request
+ *     tags: [Trip Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Trip request ID
+ *     responses:
+ *       200:
+ *         description: Trip request details
+ *       403:
+ *         description: Not authorized to view this trip request
+ *       404:
+ *         description: Trip request not found
+ */
+router.get('/:id', protect, idParamValidator, validate, tripRequestController.getTripRequest);
+
+/**
+ * @swagger
+ * /api/v1/trip-requests/{id}/cancel:
+ *   put:
+ *     summary: Cancel an open trip request
+ *     tags: [Trip Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Trip request ID
+ *     responses:
+ *       200:
+ *         description: Trip request cancelled
+ *       400:
+ *         description: Trip request is no longer open
+ *       404:
+ *         description: Trip request not found
+ */
+router.put('/:id/cancel', protect, idParamValidator, validate, tripRequestController.cancelTripRequest);
+
+/**
+ * @swagger
+ * /api/v1/trip-requests/{id}/accept:
+ *   put:
+ *     summary: Accept a trip request (verified drivers only)
+ *     description: >
+ *       Either pass rideId to take the passenger on one of your scheduled rides that departs within the
+ *       requested window and passes near the trip, or pass departureTime to create a new ride for it.
+ *       The passenger is booked with an approved booking at the offered price.
+ *     tags: [Trip Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Trip request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rideId:
+ *                 type: string
+ *                 description: Existing ride to add the passenger to
+ *               departureTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Departure of the new ride, within the requested window (required without rideId)
+ *               seatsAvailable:
+ *                 type: integer
+ *                 description: Seats on the new ride, defaults to the seats requested
+ *               pricePerSeat:
+ *                 type: number
+ *                 description: Price for other passengers of the new ride, defaults to the offered price
+ *               vehicleId:
+ *                 type: string
+ *                 description: Vehicle for the new ride, defaults to your default vehicle
+ *     responses:
+ *       200:
+ *         description: Trip request accepted and the passenger booked
+ *       400:
+ *         description: Request no longer open, or the ride does not fit it
+ *       402:
+ *         description: The passenger's wallet cannot cover the fare
+ *       409:
+ *         description: Another driver accepted the request first
+ */
+router.put('/:id/accept', protect, authorize('driver'), isVerifiedDriver, idParamValidator, acceptTripRequestValidator, validate, tripRequestController.acceptTripRequest);
+
+module.exports = router;
@@ -1,9 +1,33 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const vehicleController = require('../controllers/vehicleController');
+const rideAlertController = require('../controllers/rideAlertController');
 const { protect, authorize } = require('../middlewares/auth');
-const { idParamValidator } = require('../middlewares/validator');
+const { singleFile, requireFile } = require('../middlewares/upload');
+const {
+  idParamValidator,
+  earningsValidator,
+  driverDocumentValidator,
+  walletTopUpValidator,
+  walletWithdrawValidator,
+  createVehicleValidator,
+  updateVehicleValidator,
+  createRideAlertValidator,
+  updateRideAlertValidator
+} = require('../middlewares/validator');
 const { validate } = require('../middlewares/auth');
+const { UPLOAD_SETTINGS } = require('../utils/constants');
+
+const uploadDocument = singleFile('file', {
+  maxSize: UPLOAD_SETTINGS.DOCUMENT_MAX_SIZE,
+  mimeTypes: UPLOAD_SETTINGS.DOCUMENT_MIME_TYPES
+});
+
+const uploadPhoto = singleFile('photo', {
+  maxSize: UPLOAD_SETTINGS.PHOTO_MAX_SIZE,
+  mimeTypes: UPLOAD_SETTINGS.PHOTO_MIME_TYPES
+});
 
 /**
  * @swagger
@@ -61,6 +85,36 @@ router.get('/profile', protect, userController.getUserProfile);
  */
 router.put('/profile', protect, userController.updateUserProfile);
 
+/**
+ * @swagger
+ * /api/v1/users/profile/photo:
+ *   put:
+ *     summary: Upload or replace profile photo
+ *     description: The image is resized to small (64px), medium (200px) and large (512px) square thumbnails. The previous photo is deleted.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - photo
+ *             properties:
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *                 description: JPEG, PNG or WebP, up to 5 MB
+ *     responses:
+ *       200:
+ *         description: Profile photo updated, with the thumbnail URLs
+ *       400:
+ *         description: Missing, too large or invalid image
+ */
+router.put('/profile/photo', protect, uploadPhoto, requireFile, userController.updateProfilePhoto);
+
 /**
  * @swagger
  * /api/v1/users/driver-details:
@@ -99,6 +153,382 @@ router.put('/profile', protect, userController.updateUserProfile);
  */
 router.put('/driver-details', protect, authorize('driver'), userController.updateDriverDetails);
 
+/**
+ * @swagger
+ * /api/v1/users/driver-documents:
+ *   post:
+ *     summary: Upload a license, registration or insurance document (driver only)
+ *     description: The document is queued for admin review. A new upload replaces a document of the same type that is still pending.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - file
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [license, registration, insurance]
+ *               documentNumber:
+ *                 type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date
+ *                 description: Required for license and insurance
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: JPEG, PNG or PDF, up to 5 MB
+ *     responses:
+ *       201:
+ *         description: Document uploaded, verification pending
+ *       400:
+ *         description: Invalid input or file
+ *       403:
+ *         description: Only drivers can upload documents
+ *   get:
+ *     summary: Get driver's documents and verification status (driver only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current and latest document of each type, and the types still missing
+ *       403:
+ *         description: Only drivers can access this endpoint
+ */
+router.post('/driver-documents', protect, authorize('driver'), uploadDocument, requireFile, driverDocumentValidator, validate, userController.uploadDriverDocument);
+router.get('/driver-documents', protect, authorize('driver'), userController.getDriverDocuments);
+
+/**
+ * @swagger
+ * /api/v1/users/driver-documents/{id}/file:
+ *   get:
+ *     summary: Download the file of a driver document (owner or admin)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Document ID
+ *     responses:
+ *       200:
+ *         description: Document file
+ *       403:
+ *         description: Not authorized to access this document
+ *       404:
+ *         description: Document not found
+ */
+router.get('/driver-documents/:id/file', protect, idParamValidator, validate, userController.getDriverDocumentFile);
+
+/**
+ * @swagger
+ * /api/v1/users/vehicles:
+ *   get:
+ *     summary: Get driver's vehicles (driver only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Vehicles, default vehicle first
+ *       403:
+ *         description: Only drivers can access this endpoint
+ *   post:
+ *     summary: Add a vehicle (driver only)
+ *     description: The vehicle can be used for rides once an admin has verified it. The first vehicle becomes the default one.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - model
+ *               - licensePlate
+ *               - seatingCapacity
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [car, suv, van, other]
+ *               make:
+ *                 type: string
+ *               model:
+ *                 type: string
+ *               year:
+ *                 type: integer
+ *               color:
+ *                 type: string
+ *               licensePlate:
+ *                 type: string
+ *               seatingCapacity:
+ *                 type: integer
+ *                 description: Passenger seats, driver not included
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Vehicle added, verification pending
+ *       400:
+ *         description: Invalid input, duplicate license plate or too many vehicles
+ *       403:
+ *         description: Only drivers can add vehicles
+ */
+router.get('/vehicles', protect, authorize('driver'), vehicleController.getVehicles);
+router.post('/vehicles', protect, authorize('driver'), createVehicleValidator, validate, vehicleController.createVehicle);
+
+/**
+ * @swagger
+ * /api/v1/users/vehicles/{id}:
+ *   get:
+ *     summary: Get a vehicle (driver only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Vehicle ID
+ *     responses:
+ *       200:
+ *         description: Vehicle details
+ *       404:
+ *         description: Vehicle not found
+ *   put:
+ *     summary: Update a vehicle (driver only)
+ *     description: Changing the make, model, license plate or seating capacity requires the vehicle to be verified again.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Vehicle ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *               make:
+ *                 type: string
+ *               model:
+ *                 type: string
+ *               year:
+ *                 type: integer
+ *               color:
+ *                 type: string
+ *               licensePlate:
+ *                 type: string
+ *               seatingCapacity:
+ *                 type: integer
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Vehicle updated
+ *       400:
+ *         description: Invalid input, or upcoming rides offer more seats than the new capacity
+ *       404:
+ *         description: Vehicle not found
+ *   delete:
+ *     summary: Remove a vehicle (driver only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Vehicle ID
+ *     responses:
+ *       200:
+ *         description: Vehicle removed
+ *       400:
+ *         description: Vehicle is used by upcoming rides
+ *       404:
+ *         description: Vehicle not found
+ */
+router.get('/vehicles/:id', protect, authorize('driver'), idParamValidator, validate, vehicleController.getVehicle);
+router.put('/vehicles/:id', protect, authorize('driver'), idParamValidator, updateVehicleValidator, validate, vehicleController.updateVehicle);
+router.delete('/vehicles/:id', protect, authorize('driver'), idParamValidator, validate, vehicleController.deleteVehicle);
+
+/**
+ * @swagger
+ * /api/v1/users/ride-alerts:
+ *   get:
+ *     summary: Get user's saved ride alerts
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Ride alerts retrieved successfully
+ *   post:
+ *     summary: Save a ride alert
+ *     description: >
+ *       You are notified once for every new or updated ride passing within `radius` km of both points
+ *       that departs in the date, weekday and time window, has enough seats and costs at most `maxPrice`.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - source
+ *               - destination
+ *             properties:
+ *               name:
+ *                 type: string
+ *               source:
+ *                 type: object
+ *                 properties:
+ *                   address:
+ *                     type: string
+ *                   location:
+ *                     type: object
+ *                     properties:
+ *                       coordinates:
+ *                         type: array
+ *                         items:
+ *                           type: number
+ *                         description: "[longitude, latitude]"
+ *               destination:
+ *                 type: object
+ *                 properties:
+ *                   address:
+ *                     type: string
+ *                   location:
+ *                     type: object
+ *                     properties:
+ *                       coordinates:
+ *                         type: array
+ *                         items:
+ *                           type: number
+ *                         description: "[longitude, latitude]"
+ *               radius:
+ *                 type: number
+ *                 description: Kilometers (default 5)
+ *               dateFrom:
+ *                 type: string
+ *                 format: date
+ *               dateTo:
+ *                 type: string
+ *                 format: date
+ *               weekdays:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Days of the week, 0 (Sunday) to 6 (Saturday)
+ *               timeFrom:
+ *                 type: string
+ *                 example: "07:00"
+ *               timeTo:
+ *                 type: string
+ *                 example: "09:30"
+ *               maxPrice:
+ *                 type: number
+ *                 description: Maximum fare per seat for the trip
+ *               seats:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       201:
+ *         description: Ride alert saved
+ *       400:
+ *         description: Invalid input or too many alerts
+ */
+router.get('/ride-alerts', protect, rideAlertController.getRideAlerts);
+router.post('/ride-alerts', protect, createRideAlertValidator, validate, rideAlertController.createRideAlert);
+
+/**
+ * @swagger
+ * /api/v1/users/ride-alerts/{id}:
+ *   get:
+ *     summary: Get a ride alert with the rides it matched
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Ride alert ID
+ *     responses:
+ *       200:
+ *         description: Ride alert and its latest matches
+ *       404:
+ *         description: Ride alert not found
+ *   put:
+ *     summary: Update a ride alert
+ *     description: Takes the same fields as creating an alert. Set `isActive` to false to pause it.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Ride alert ID
+ *     responses:
+ *       200:
+ *         description: Ride alert updated
+ *       404:
+ *         description: Ride alert not found
+ *   delete:
+ *     summary: Delete a ride alert
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Ride alert ID
+ *     responses:
+ *       200:
+ *         description: Ride alert deleted
+ *       404:
+ *         description: Ride alert not found
+ */
+router.get('/ride-alerts/:id', protect, idParamValidator, validate, rideAlertController.getRideAlert);
+router.put('/ride-alerts/:id', protect, idParamValidator, updateRideAlertValidator, validate, rideAlertController.updateRideAlert);
+router.delete('/ride-alerts/:id', protect, idParamValidator, validate, rideAlertController.deleteRideAlert);
+
 /**
  * @swagger
  * /api/v1/users/rides/passenger:
@@ -153,6 +583,58 @@ router.get('/rides/passenger', protect, userController.getPassengerRideHistory);
  */
 router.get('/rides/driver', protect, authorize('driver'), userController.getDriverRideHistory);
 
+/**
+ * @swagger
+ * /api/v1/users/earnings:
+ *   get:
+ *     summary: Get driver's earnings report (driver only)
+ *     description: Fares of completed bookings and cancellation fees, grouped by period, payment method and ride. Net and commission come from the settlements in the ledger; cash fares count in full as soon as the ride is completed; card and wallet fares not settled yet are pending. Promo discounts are paid to the driver by the platform and shown as promotion.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only rides departing on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only rides departing on or before this date
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *         description: Grouping of byPeriod (default day)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *         description: csv downloads one line per completed booking
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Earnings retrieved successfully (rides are paginated)
+ *       403:
+ *         description: Only drivers can access this endpoint
+ */
+router.get('/earnings', protect, authorize('driver'), earningsValidator, validate, userController.getEarnings);
+
 /**
  * @swagger
  * /api/v1/users/ratings:
@@ -180,6 +662,127 @@ router.get('/rides/driver', protect, authorize('driver'), userController.getDriv
  */
 router.get('/ratings', protect, userController.getUserRatings);
 
+/**
+ * @swagger
+ * /api/v1/users/wallet:
+ *   get:
+ *     summary: Get wallet balance and statement
+ *     description: Balances are computed from the wallet ledger. Each transaction shows its effect on the available and held balance.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Wallet retrieved successfully
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/wallet', protect, userController.getWallet);
+
+/**
+ * @swagger
+ * /api/v1/users/wallet/top-up:
+ *   post:
+ *     summary: Add money to wallet from a card
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Retries with the same key are only charged once
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - paymentToken
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               paymentToken:
+ *                 type: string
+ *                 description: Card token from the payment gateway
+ *     responses:
+ *       201:
+ *         description: Wallet topped up successfully
+ *       400:
+ *         description: Invalid input
+ *       402:
+ *         description: Card could not be charged
+ */
+router.post('/wallet/top-up', protect, walletTopUpValidator, validate, userController.topUpWallet);
+
+/**
+ * @swagger
+ * /api/v1/users/wallet/withdraw:
+ *   post:
+ *     summary: Withdraw wallet balance to bank account
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Retries with the same key are only paid out once
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Withdrawal requested successfully
+ *       400:
+ *         description: Invalid input or insufficient wallet balance
+ *       502:
+ *         description: The payout failed and the money is back in the wallet
+ *       503:
+ *         description: The payment gateway cannot pay out
+ */
+router.post('/wallet/withdraw', protect, walletWithdrawValidator, validate, userController.withdrawFromWallet);
+
+/**
+ * @swagger
+ * /api/v1/users/referral:
+ *   get:
+ *     summary: Get referral code and stats
+ *     description: New users who register with this code and complete their first ride earn a wallet credit for both users.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Referral code, number of referred users and how many have been rewarded
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/referral', protect, userController.getReferral);
+
 /**
  * @swagger
  * /api/v1/users/deactivate:
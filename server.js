@@ -2,11 +2,59 @@ const app = require('./app');
 const mongoose = require('mongoose');
 const config = require('./config/db');
 const logger = require('./utils/logger');
+const jobScheduler = require('./jobs');
+const migrations = require('./migrations');
+const socketService = require('./services/socketService');
+const paymentService = require('./services/paymentService');
+const cancellationService = require('./services/cancellationService');
+
+// Refuse to start when card payments are switched on but cannot be taken safely
+try {
+  const gateway = paymentService.configureGateway();
+
+  if (!gateway) {
+    logger.warn('PAYMENT_GATEWAY is not set: card payments are disabled, bookings are paid in cash or from the wallet');
+  } else if (gateway.live === false) {
+    logger.warn(`PAYMENT_GATEWAY=${process.env.PAYMENT_GATEWAY}: card payments are SIMULATED and NO MONEY IS MOVED. Never use this gateway with real customers.`);
+  } else {
+    logger.info(`Payment gateway: ${gateway.name}`);
+  }
+} catch (err) {
+  logger.error('Payment gateway configuration error:', err);
+  process.exit(1);
+}
+
+// JWT_EXPIRE used to set the access token lifetime, often to days
+if (process.env.JWT_EXPIRE) {
+  logger.warn('JWT_EXPIRE is no longer used. Access tokens last ACCESS_TOKEN_EXPIRE (15m by default); sessions are extended with refresh tokens.');
+}
+
+// Refuse to start with a cancellation policy that cannot be applied
+try {
+  cancellationService.configurePolicy();
+} catch (err) {
+  logger.error('Cancellation policy configuration error:', err);
+  process.exit(1);
+}
 
 // Set up MongoDB connection
 mongoose.connect(config.mongoURI)
-  .then(() => {
+  .then(async () => {
     logger.info('MongoDB connected successfully');
+
+    // Bring existing data up to date before jobs work on it
+    try {
+      await migrations.run();
+    } catch (err) {
+      logger.error('Error running migrations:', err);
+    }
+
+    // Start background jobs (reminders, expiry, cleanup) unless disabled
+    if (process.env.JOBS_ENABLED !== 'false') {
+      jobScheduler.start().catch(err => {
+        logger.error('Error starting job scheduler:', err);
+      });
+    }
   })
   .catch(err => {
     logger.error('MongoDB connection error:', err);
@@ -32,4 +80,7 @@ const server = app.listen(PORT, () => {
   logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Real-time events share the HTTP server
+socketService.init(server);
+
 module.exports = server;
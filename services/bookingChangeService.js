@@ -0,0 +1,378 @@
+const Booking = require('../models/booking');
+const fareService = require('./fareService');
+const seatService = require('./seatService');
+const paymentService = require('./paymentService');
+const walletService = require('./walletService');
+const waitlistService = require('./waitlistService');
+const negotiationService = require('./negotiationService');
+const promoService = require('./promoService');
+const {
+  BOOKING_CHANGE_STATUS,
+  BOOKING_STATUS,
+  PAYMENT_METHODS,
+  RIDE_STATUS
+} = require('../utils/constants');
+
+/*
+ * Passengers change the seats, stops or notes of a booking in place rather
+ * than cancelling it and booking again. A pending booking is simply updated,
+ * as it still waits for the driver. On an approved booking, giving seats
+ * back applies at once, while more seats or other stops wait in
+ * `pendingChange` for the driver; the booking keeps its current seats until
+ * then. A change made in the meantime drops the waiting one, which was
+ * priced for the booking as it was. Every change is recorded in the
+ * booking's `changeLog`.
+ *
+ * Fares are worked out before any promo discount, which is then computed
+ * again for the new fare.
+ */
+
+/**
+ * Work out what a change asked for by the passenger means for a booking
+ * @param {Object} booking - Pending or approved booking
+ * @param {Object} ride - Ride of the booking
+ * @param {Object} fields - { seatsBooked, pickupPoint, dropoffPoint, passengerNotes } from the request
+ * @returns {Object} - { success, status, message, change, changes, needsApproval }
+ */
+exports.prepare = async (booking, ride, fields) => {
+  if (booking.status !== BOOKING_STATUS.PENDING && booking.status !== BOOKING_STATUS.APPROVED) {
+    return { success: false, status: 400, message: `Cannot change a booking with status: ${booking.status}` };
+  }
+
+  if (ride.status !== RIDE_STATUS.SCHEDULED || new Date(ride.departureTime) <= new Date()) {
+    return { success: false, status: 400, message: 'Bookings can only be changed before the ride departs' };
+  }
+
+  if (negotiationService.isOpen(booking)) {
+    return { success: false, status: 400, message: 'Settle the price offer before changing the booking' };
+  }
+
+  const seats = fields.seatsBooked !== undefined ? fields.seatsBooked : booking.seatsBooked;
+  const pickupPoint = fields.pickupPoint || toPoint(booking.pickupPoint) || ride.source;
+  const dropoffPoint = fields.dropoffPoint || toPoint(booking.dropoffPoint) || ride.destination;
+  const stopsChanged = pointChanged(booking.pickupPoint, fields.pickupPoint) ||
+    pointChanged(booking.dropoffPoint, fields.dropoffPoint);
+
+  let segment = fareService.getBookingSegment(ride, booking);
+  let farePerSeat = (booking.totalPrice + (booking.discount || 0)) / booking.seatsBooked;
+
+  if (stopsChanged) {
+    const quote = fareService.quote(ride, coordinatesOf(pickupPoint), coordinatesOf(dropoffPoint), seats);
+
+    if (!quote) {
+      return { success: false, status: 400, message: 'Dropoff point must come after the pickup point along the route' };
+    }
+
+    segment = quote.segment;
+    farePerSeat = quote.farePerSeat;
+  }
+
+  // A negotiated price per seat stays, whatever the trip
+  if (booking.negotiation && booking.negotiation.agreedPricePerSeat !== undefined) {
+    farePerSeat = booking.negotiation.agreedPricePerSeat;
+  }
+
+  const fare = roundPrice(farePerSeat * seats);
+  const discount = await promoService.discountForBooking(booking, fare);
+  const totalPrice = Math.max(roundPrice(fare - discount), 0);
+
+  const changes = {};
+
+  if (seats !== booking.seatsBooked) {
+    changes.seatsBooked = { from: booking.seatsBooked, to: seats };
+  }
+  if (pointChanged(booking.pickupPoint, fields.pickupPoint)) {
+    changes.pickupPoint = { from: addressOf(booking.pickupPoint), to: addressOf(pickupPoint) };
+  }
+  if (pointChanged(booking.dropoffPoint, fields.dropoffPoint)) {
+    changes.dropoffPoint = { from: addressOf(booking.dropoffPoint), to: addressOf(dropoffPoint) };
+  }
+  if (totalPrice !== booking.totalPrice) {
+    changes.totalPrice = { from: booking.totalPrice, to: totalPrice };
+  }
+  if (discount !== (booking.discount || 0)) {
+    changes.discount = { from: booking.discount || 0, to: discount };
+  }
+  if (fields.passengerNotes !== undefined && fields.passengerNotes !== booking.passengerNotes) {
+    changes.passengerNotes = { from: booking.passengerNotes, to: fields.passengerNotes };
+  }
+
+  if (!Object.keys(changes).length) {
+    return { success: false, status: 400, message: 'Nothing to change' };
+  }
+
+  if (seats > booking.seatsBooked || stopsChanged) {
+    // Seats held by this booking are given back when it moves
+    const seatsAvailable = fareService.getSegmentSeats(ride, segment) + booking.seatsHeld -
+      await waitlistService.getOfferedSeats(ride._id, booking.passenger);
+
+    if (seatsAvailable < seats) {
+      return { success: false, status: 400, message: `Only ${Math.max(seatsAvailable, 0)} seats available for this trip` };
+    }
+  }
+
+  if (booking.paymentMethod === PAYMENT_METHODS.CARD && totalPrice > booking.totalPrice) {
+    const covered = await paymentService.adjustBookingAmount(booking, totalPrice, true);
+
+    if (!covered.success) {
+      return { success: false, status: 402, message: `${covered.message}. Cancel and book again to pay more.` };
+    }
+  }
+
+  return {
+    success: true,
+    change: { seatsBooked: seats, segment, pickupPoint, dropoffPoint, totalPrice, discount, passengerNotes: fields.passengerNotes },
+    changes,
+    needsApproval: booking.status === BOOKING_STATUS.APPROVED && (seats > booking.seatsBooked || stopsChanged)
+  };
+};
+
+/**
+ * Make a change that does not need the driver: any change to a pending
+ * booking, and fewer seats or new notes on an approved one
+ * @param {Object} booking - Booking as last read
+ * @param {Object} change - Prepared change
+ * @param {Object} changes - { field: { from, to } } for the change log
+ * @param {string} userId - Passenger making the change
+ * @returns {Object} - { success, status, message, booking, ride }
+ */
+exports.apply = async (booking, change, changes, userId) => {
+  const log = [{ status: BOOKING_CHANGE_STATUS.APPLIED, changedBy: userId, changes }];
+
+  if (exports.hasPendingChange(booking)) {
+    log.unshift({ status: BOOKING_CHANGE_STATUS.SUPERSEDED, changedBy: userId });
+  }
+
+  const update = {
+    pickupPoint: change.pickupPoint,
+    dropoffPoint: change.dropoffPoint,
+    totalPrice: change.totalPrice,
+    discount: change.discount,
+    $unset: { pendingChange: 1 },
+    $push: { changeLog: { $each: log } }
+  };
+
+  if (change.passengerNotes !== undefined) {
+    update.passengerNotes = change.passengerNotes;
+  }
+
+  if (booking.status === BOOKING_STATUS.PENDING) {
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: BOOKING_STATUS.PENDING, seatsBooked: booking.seatsBooked, totalPrice: booking.totalPrice },
+      { ...update, seatsBooked: change.seatsBooked, segment: change.segment, updatedAt: Date.now() },
+      { new: true }
+    );
+
+    if (!updated) {
+      return modifiedElsewhere();
+    }
+
+    await adjustCardAmount(updated, change.totalPrice);
+    await updatePromoDiscount(booking, updated);
+
+    return { success: true, booking: updated };
+  }
+
+  return await resize(booking, change, update);
+};
+
+/**
+ * Keep a change for the driver to approve. Notes are updated straight away.
+ * A new request replaces one still waiting.
+ * @param {Object} booking - Approved booking
+ * @param {Object} change - Prepared change
+ * @param {Object} changes - { field: { from, to } } for the change log
+ * @param {string} userId - Passenger making the change
+ * @returns {Object} - { success, status, message, booking }
+ */
+exports.request = async (booking, change, changes, userId) => {
+  const update = {
+    pendingChange: {
+      seatsBooked: change.seatsBooked,
+      segment: change.segment,
+      pickupPoint: change.pickupPoint,
+      dropoffPoint: change.dropoffPoint,
+      totalPrice: change.totalPrice,
+      discount: change.discount,
+      requestedAt: new Date()
+    },
+    $push: { changeLog: { status: BOOKING_CHANGE_STATUS.REQUESTED, changedBy: userId, changes } },
+    updatedAt: Date.now()
+  };
+
+  if (change.passengerNotes !== undefined) {
+    update.passengerNotes = change.passengerNotes;
+  }
+
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: BOOKING_STATUS.APPROVED },
+    update,
+    { new: true }
+  );
+
+  if (!updated) {
+    return modifiedElsewhere();
+  }
+
+  return { success: true, booking: updated };
+};
+
+/**
+ * Whether a booking has a change waiting for the driver
+ * @param {Object} booking - Booking document
+ * @returns {boolean}
+ */
+exports.hasPendingChange = (booking) => {
+  return Boolean(booking.pendingChange && booking.pendingChange.requestedAt);
+};
+
+/**
+ * Approve the change waiting on a booking
+ * @param {Object} booking - Approved booking with a pending change
+ * @param {string} userId - Driver approving it
+ * @returns {Object} - { success, status, message, booking, ride }
+ */
+exports.approve = async (booking, userId) => {
+  if (booking.status !== BOOKING_STATUS.APPROVED || !exports.hasPendingChange(booking)) {
+    return { success: false, status: 400, message: 'This booking has no change waiting for approval' };
+  }
+
+  const pending = booking.pendingChange;
+  const change = {
+    seatsBooked: pending.seatsBooked,
+    segment: { from: pending.segment.from, to: pending.segment.to },
+    pickupPoint: toPoint(pending.pickupPoint),
+    dropoffPoint: toPoint(pending.dropoffPoint),
+    totalPrice: pending.totalPrice,
+    discount: pending.discount !== undefined ? pending.discount : booking.discount
+  };
+
+  // Only the change the driver saw; a later change drops it
+  return await resize(booking, change, {
+    pickupPoint: change.pickupPoint,
+    dropoffPoint: change.dropoffPoint,
+    totalPrice: change.totalPrice,
+    discount: change.discount,
+    $unset: { pendingChange: 1 },
+    $push: { changeLog: { status: BOOKING_CHANGE_STATUS.APPROVED, changedBy: userId } }
+  }, { 'pendingChange.requestedAt': pending.requestedAt });
+};
+
+/**
+ * Turn down the change waiting on a booking; the booking stays as it was
+ * @param {Object} booking - Booking with a pending change
+ * @param {string} userId - Driver rejecting it
+ * @returns {Object} - { success, status, message, booking }
+ */
+exports.reject = async (booking, userId) => {
+  if (!exports.hasPendingChange(booking)) {
+    return { success: false, status: 400, message: 'This booking has no change waiting for approval' };
+  }
+
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, 'pendingChange.requestedAt': booking.pendingChange.requestedAt },
+    {
+      $unset: { pendingChange: 1 },
+      $push: { changeLog: { status: BOOKING_CHANGE_STATUS.REJECTED, changedBy: userId } },
+      updatedAt: Date.now()
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return modifiedElsewhere();
+  }
+
+  return { success: true, booking: updated };
+};
+
+/**
+ * Move an approved booking to its new seats and fare. Wallet money is
+ * adjusted first and put back if the seats cannot be had.
+ */
+async function resize(booking, change, update, condition) {
+  if (booking.paymentMethod === PAYMENT_METHODS.WALLET) {
+    const hold = await walletService.adjustHold(booking, change.totalPrice);
+
+    if (!hold.success) {
+      return { success: false, status: 402, message: `The passenger's wallet cannot cover the new fare: ${hold.message}` };
+    }
+  }
+
+  const result = await seatService.resizeBooking(booking, change.seatsBooked, change.segment, update, condition);
+
+  if (!result.booking) {
+    if (booking.paymentMethod === PAYMENT_METHODS.WALLET) {
+      await walletService.adjustHold(await Booking.findById(booking._id), booking.walletHeld);
+    }
+
+    return result.reason === 'seats'
+      ? { success: false, status: 400, message: 'Not enough seats available for this change' }
+      : modifiedElsewhere();
+  }
+
+  await adjustCardAmount(result.booking, change.totalPrice);
+  await updatePromoDiscount(booking, result.booking);
+
+  // Seats given back go to the waitlist
+  if (change.seatsBooked < booking.seatsHeld || !sameSegment(change.segment, booking.segment)) {
+    await waitlistService.promote(booking.ride);
+  }
+
+  return { success: true, booking: result.booking, ride: result.ride };
+}
+
+async function adjustCardAmount(booking, totalPrice) {
+  if (booking.paymentMethod === PAYMENT_METHODS.CARD) {
+    await paymentService.adjustBookingAmount(booking, totalPrice);
+  }
+}
+
+async function updatePromoDiscount(before, after) {
+  if (after.promoCode && after.discount !== before.discount) {
+    await promoService.updateRedemption(after);
+  }
+}
+
+function modifiedElsewhere() {
+  return { success: false, status: 409, message: 'Booking was modified by another request. Please refresh and try again.' };
+}
+
+function toPoint(point) {
+  if (!point || !point.location || !point.location.coordinates || !point.location.coordinates.length) {
+    return null;
+  }
+
+  return {
+    address: point.address,
+    location: { type: 'Point', coordinates: [...point.location.coordinates] }
+  };
+}
+
+function pointChanged(current, requested) {
+  if (!requested) {
+    return false;
+  }
+
+  const before = coordinatesOf(current);
+  const after = coordinatesOf(requested);
+
+  return addressOf(current) !== addressOf(requested) ||
+    !before || !after || before[0] !== after[0] || before[1] !== after[1];
+}
+
+function coordinatesOf(point) {
+  return point && point.location ? point.location.coordinates : null;
+}
+
+function addressOf(point) {
+  return point ? point.address : undefined;
+}
+
+function sameSegment(a, b) {
+  return Boolean(a && b && a.from === b.from && a.to === b.to);
+}
+
+function roundPrice(amount) {
+  return Math.round(amount * 100) / 100;
+}
@@ -0,0 +1,220 @@
+const User = require('../models/user');
+const emailService = require('./emailService');
+const paymentService = require('./paymentService');
+const walletService = require('./walletService');
+const promoService = require('./promoService');
+const logger = require('../utils/logger');
+const {
+  BOOKING_STATUS,
+  CANCELLATION_POLICY,
+  LEDGER_ACCOUNTS,
+  PAYMENT_INTENT_STATUS,
+  PAYMENT_METHODS
+} = require('../utils/constants');
+
+// Refund percentages set through CANCELLATION_* environment variables
+const PERCENT_SETTINGS = {
+  DRIVER_REFUND_PERCENT: 'CANCELLATION_DRIVER_REFUND_PERCENT',
+  ADMIN_REFUND_PERCENT: 'CANCELLATION_ADMIN_REFUND_PERCENT',
+  UNCONFIRMED_REFUND_PERCENT: 'CANCELLATION_UNCONFIRMED_REFUND_PERCENT'
+};
+
+// Policy in force, CANCELLATION_POLICY unless configurePolicy changed it
+let policy = CANCELLATION_POLICY;
+
+/**
+ * Set the cancellation policy from the environment at startup. Settings that
+ * are not set keep their CANCELLATION_POLICY default.
+ *
+ * CANCELLATION_PASSENGER_TIERS lists passenger tiers as
+ * minutesBefore:refundPercent pairs, e.g. "120:100,0:50". Cancellations later
+ * than every tier get no refund.
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Policy in force
+ * @throws {Error} - When a setting is not valid
+ */
+exports.configurePolicy = (env = process.env) => {
+  const configured = { ...CANCELLATION_POLICY };
+
+  Object.entries(PERCENT_SETTINGS).forEach(([key, variable]) => {
+    if (env[variable] !== undefined && env[variable] !== '') {
+      configured[key] = parsePercent(env[variable], variable);
+    }
+  });
+
+  if (env.CANCELLATION_PASSENGER_TIERS) {
+    configured.PASSENGER = parseTiers(env.CANCELLATION_PASSENGER_TIERS);
+  }
+
+  policy = configured;
+  return policy;
+};
+
+/**
+ * Cancellation policy in force
+ * @returns {Object} - Same shape as CANCELLATION_POLICY
+ */
+exports.getPolicy = () => policy;
+
+/**
+ * Work out how much of a booking is refunded when it is cancelled
+ * @param {Object} booking - Booking as it was before the cancellation
+ * @param {Object} ride - Ride of the booking
+ * @param {string} cancelledBy - 'passenger', 'driver' or 'admin'
+ * @param {Date} now - Time of the cancellation
+ * @returns {Object} - { cancelledBy, minutesBeforeDeparture, refundPercent, refundAmount, chargeAmount, reason }
+ */
+exports.evaluate = (booking, ride, cancelledBy, now = new Date()) => {
+  const minutesBeforeDeparture = Math.floor((new Date(ride.departureTime) - now) / 60000);
+  let refundPercent;
+  let reason;
+
+  if (booking.status === BOOKING_STATUS.PENDING) {
+    refundPercent = policy.UNCONFIRMED_REFUND_PERCENT;
+    reason = 'The booking was not confirmed yet';
+  } else if (cancelledBy === 'driver') {
+    refundPercent = policy.DRIVER_REFUND_PERCENT;
+    reason = 'The driver cancelled';
+  } else if (cancelledBy === 'admin') {
+    refundPercent = policy.ADMIN_REFUND_PERCENT;
+    reason = 'Cancelled by CityRide support';
+  } else {
+    const tier = policy.PASSENGER.find(rule => minutesBeforeDeparture >= rule.minMinutesBefore);
+
+    refundPercent = tier ? tier.refundPercent : 0;
+    reason = minutesBeforeDeparture >= 0
+      ? `Cancelled ${minutesBeforeDeparture} minutes before departure`
+      : 'Cancelled after departure';
+  }
+
+  const refundAmount = roundAmount(booking.totalPrice * refundPercent / 100);
+
+  return {
+    cancelledBy,
+    minutesBeforeDeparture,
+    refundPercent,
+    refundAmount,
+    chargeAmount: roundAmount(booking.totalPrice - refundAmount),
+    reason
+  };
+};
+
+/**
+ * Apply the cancellation policy to a cancelled booking and settle its payment
+ * @param {Object} previous - Booking as it was before the cancellation
+ * @param {Object} ride - Ride of the booking
+ * @param {string} cancelledBy - 'passenger', 'driver' or 'admin'
+ * @returns {Object} - Policy outcome plus { paid, refund, settled }
+ */
+exports.applyPolicy = async (previous, ride, cancelledBy) => {
+  const outcome = exports.evaluate(previous, ride, cancelledBy);
+
+  // A cancelled booking gives its promo code use back
+  await promoService.releaseForBooking(previous);
+
+  if (previous.paymentMethod === PAYMENT_METHODS.WALLET) {
+    const settlement = await walletService.settleCancellation(previous, outcome);
+
+    return { ...outcome, paid: settlement.paid, currency: settlement.currency, refund: settlement.refund, settled: settlement.success };
+  }
+
+  const settlement = await paymentService.settleCancellation(previous, outcome);
+
+  // The cancellation fee kept from a card payment goes to the driver
+  if (settlement.success && settlement.payment && outcome.chargeAmount > 0 &&
+      [PAYMENT_INTENT_STATUS.CAPTURED, PAYMENT_INTENT_STATUS.REFUNDED].includes(settlement.payment.status)) {
+    await walletService.creditDriver(previous, outcome.chargeAmount, LEDGER_ACCOUNTS.CARD);
+  }
+
+  return {
+    ...outcome,
+    paid: Boolean(settlement.payment),
+    currency: settlement.payment ? settlement.payment.currency : undefined,
+    refund: settlement.refund,
+    settled: settlement.success
+  };
+};
+
+/**
+ * One-line summary of the policy outcome for notifications and emails
+ * @param {Object} outcome - Result of applyPolicy
+ * @returns {string} - Summary, empty if nothing was paid
+ */
+exports.describeOutcome = (outcome) => {
+  if (!outcome || !outcome.paid) {
+    return '';
+  }
+
+  const currency = (outcome.currency || '').toUpperCase();
+
+  if (outcome.refundAmount <= 0) {
+    return `No refund applies (${outcome.reason}).`;
+  }
+
+  if (!outcome.settled) {
+    return `A refund of ${currency} ${outcome.refundAmount.toFixed(2)} is due (${outcome.reason}) and will be processed shortly.`;
+  }
+
+  return `A refund of ${currency} ${outcome.refundAmount.toFixed(2)} (${outcome.refundPercent}%) has been issued (${outcome.reason}).`;
+};
+
+/**
+ * Email the passenger about a cancelled booking, including the refund
+ * @param {Object} booking - Cancelled booking
+ * @param {Object} ride - Ride of the booking
+ * @param {string} reason - Cancellation reason
+ * @param {Object} outcome - Result of applyPolicy
+ * @param {boolean} rideCancelled - Whether the whole ride was cancelled
+ */
+exports.emailPassenger = async (booking, ride, reason, outcome, rideCancelled = false) => {
+  try {
+    const passenger = await User.findById(booking.passenger);
+
+    if (!passenger || !passenger.email) {
+      return;
+    }
+
+    const name = `${passenger.firstName} ${passenger.lastName}`;
+    const refundSummary = exports.describeOutcome(outcome);
+
+    if (rideCancelled) {
+      await emailService.sendRideCancellationEmail(passenger.email, name, booking, ride, reason, refundSummary);
+    } else {
+      await emailService.sendBookingCancellationEmail(passenger.email, name, booking, ride, reason, refundSummary);
+    }
+  } catch (err) {
+    logger.error(`Error sending cancellation email for booking ${booking._id}:`, err);
+  }
+};
+
+function parsePercent(value, variable) {
+  const percent = Number(value);
+
+  if (String(value).trim() === '' || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+    throw new Error(`${variable} must be a percentage between 0 and 100`);
+  }
+
+  return percent;
+}
+
+function parseTiers(value) {
+  const tiers = value.split(',').map(pair => {
+    const [minutes, percent, extra] = pair.split(':');
+    const minMinutesBefore = Number(minutes);
+
+    if (extra !== undefined || percent === undefined || String(minutes).trim() === '' || !Number.isFinite(minMinutesBefore)) {
+      throw new Error('CANCELLATION_PASSENGER_TIERS must list minutesBefore:refundPercent pairs, e.g. "120:100,0:50"');
+    }
+
+    return { minMinutesBefore, refundPercent: parsePercent(percent, 'CANCELLATION_PASSENGER_TIERS') };
+  });
+
+  // Tiers are checked in order, so the longest notice comes first
+  tiers.sort((a, b) => b.minMinutesBefore - a.minMinutesBefore);
+
+  return [...tiers, { minMinutesBefore: -Infinity, refundPercent: 0 }];
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
@@ -0,0 +1,183 @@
+const Conversation = require('../models/conversation');
+const Message = require('../models/message');
+const socketService = require('./socketService');
+const { BOOKING_STATUS, CHAT_SETTINGS, SOCKET_EVENTS } = require('../utils/constants');
+
+// Runs of digits, optionally with +, spaces, dots, dashes or brackets
+const PHONE_PATTERN = /\+?\(?\d[\d\s().-]{5,}\d/g;
+
+/**
+ * Hide phone numbers in a message, so contact stays on the platform
+ * @param {string} text - Message text
+ * @returns {Object} - { text, masked }
+ */
+exports.maskPhoneNumbers = (text) => {
+  let masked = false;
+
+  const result = text.replace(PHONE_PATTERN, (match) => {
+    if (match.replace(/\D/g, '').length < CHAT_SETTINGS.MIN_PHONE_DIGITS) {
+      return match;
+    }
+
+    masked = true;
+    return '[phone number hidden]';
+  });
+
+  return { text: result, masked };
+};
+
+/**
+ * Why the chat of a booking no longer accepts messages
+ * @param {Object} booking - Booking document
+ * @param {Date} now - Current time
+ * @returns {string|null} - Reason, or null while the chat is open
+ */
+exports.getLockReason = (booking, now = new Date()) => {
+  if ([BOOKING_STATUS.REJECTED, BOOKING_STATUS.CANCELLED, BOOKING_STATUS.EXPIRED].includes(booking.status)) {
+    return `Chat is closed because the booking is ${booking.status}`;
+  }
+
+  if (booking.status === BOOKING_STATUS.COMPLETED) {
+    const completedAt = new Date(booking.completedAt || booking.updatedAt);
+    const lockAt = completedAt.getTime() + CHAT_SETTINGS.LOCK_AFTER_COMPLETION_HOURS * 3600000;
+
+    if (now.getTime() >= lockAt) {
+      return `Chat closed ${CHAT_SETTINGS.LOCK_AFTER_COMPLETION_HOURS} hours after the ride`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Conversation of a booking, created on first use
+ * @param {Object} booking - Booking document
+ * @returns {Object} - Conversation document
+ */
+exports.getConversation = async (booking) => {
+  return await Conversation.findOneAndUpdate(
+    { booking: booking._id },
+    {
+      $setOnInsert: {
+        booking: booking._id,
+        ride: booking.ride,
+        driver: booking.driver,
+        passenger: booking.passenger
+      }
+    },
+    { new: true, upsert: true }
+  );
+};
+
+/**
+ * Send a message to the other side of a booking
+ * @param {Object} booking - Booking document
+ * @param {string} senderId - Driver or passenger of the booking
+ * @param {string} body - Message text
+ * @returns {Object} - { success, message, data }
+ */
+exports.sendMessage = async (booking, senderId, body) => {
+  const lockReason = exports.getLockReason(booking);
+
+  if (lockReason) {
+    return { success: false, message: lockReason };
+  }
+
+  const conversation = await exports.getConversation(booking);
+  const recipient = booking.driver.toString() === senderId.toString()
+    ? booking.passenger
+    : booking.driver;
+  const { text, masked } = exports.maskPhoneNumbers(body);
+
+  const message = await Message.create({
+    conversation: conversation._id,
+    booking: booking._id,
+    sender: senderId,
+    recipient,
+    body: text,
+    phoneMasked: masked
+  });
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { $inc: { messageCount: 1 }, lastMessageAt: message.createdAt, updatedAt: Date.now() }
+  );
+
+  socketService.emitToUser(recipient.toString(), SOCKET_EVENTS.CHAT_MESSAGE, message);
+
+  return { success: true, message: masked ? 'Message sent. Phone numbers are hidden.' : 'Message sent', data: message };
+};
+
+/**
+ * Messages of a booking, newest first
+ * @param {Object} booking - Booking document
+ * @param {Object} options - { startIndex, limit }
+ * @returns {Object} - { messages, total }
+ */
+exports.getMessages = async (booking, { startIndex = 0, limit = 20 }) => {
+  const query = { booking: booking._id };
+
+  const messages = await Message.find(query)
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit)
+    .populate({
+      path: 'sender',
+      select: 'firstName lastName profileImage'
+    });
+
+  const total = await Message.countDocuments(query);
+
+  return { messages, total };
+};
+
+/**
+ * Mark the messages a user received on a booking as read and tell the sender
+ * @param {Object} booking - Booking document
+ * @param {string} userId - Reader
+ * @returns {number} - Messages marked as read
+ */
+exports.markRead = async (booking, userId) => {
+  const readAt = new Date();
+
+  const result = await Message.updateMany(
+    { booking: booking._id, recipient: userId, readAt: { $exists: false } },
+    { readAt }
+  );
+
+  if (result.modifiedCount > 0) {
+    const sender = booking.driver.toString() === userId.toString()
+      ? booking.passenger
+      : booking.driver;
+
+    socketService.emitToUser(sender.toString(), SOCKET_EVENTS.CHAT_READ, {
+      booking: booking._id,
+      readBy: userId,
+      readAt
+    });
+  }
+
+  return result.modifiedCount;
+};
+
+/**
+ * Number of chat messages a user has not read yet
+ * @param {string} userId - User ID
+ * @returns {number} - Unread messages
+ */
+exports.countUnread = async (userId) => {
+  return await Message.countDocuments({ recipient: userId, readAt: { $exists: false } });
+};
+
+/**
+ * Show only the last digits of a phone number
+ * @param {string} phone - Phone number
+ * @returns {string|undefined} - Masked phone number
+ */
+exports.maskPhone = (phone) => {
+  if (!phone) {
+    return undefined;
+  }
+
+  return phone.slice(0, -2).replace(/\d/g, '*') + phone.slice(-2);
+};
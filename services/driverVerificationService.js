@@ -0,0 +1,230 @@
+const DriverDocument = require('../models/driverDocument');
+const User = require('../models/user');
+const storageService = require('./storageService');
+const notificationController = require('../controllers/notificationController');
+const logger = require('../utils/logger');
+const { DRIVER_DOCUMENT_TYPES, DRIVER_DOCUMENT_STATUS, NOTIFICATION_TYPES, UPLOAD_SETTINGS } = require('../utils/constants');
+
+/*
+ * A driver is verified once an admin has approved a current license,
+ * vehicle registration and insurance document. Approving the last missing
+ * document verifies the driver; documents expiring unverifies them again
+ * (see jobs/expireDriverDocuments.js).
+ */
+
+const REQUIRED_DOCUMENTS = Object.values(DRIVER_DOCUMENT_TYPES);
+
+/**
+ * Documents of a driver and what is still missing for verification
+ * @param {string} driverId - Driver's user ID
+ * @param {Date} now - Reference time for expiry
+ * @returns {Object} - { documents, missing, complete }
+ */
+exports.getStatus = async (driverId, now = new Date()) => {
+  const documents = await DriverDocument.find({ driver: driverId }).sort({ createdAt: -1 });
+
+  const byType = {};
+  const missing = [];
+
+  REQUIRED_DOCUMENTS.forEach(type => {
+    const ofType = documents.filter(document => document.type === type);
+    const current = ofType.find(document => isCurrent(document, now));
+
+    byType[type] = {
+      current: current || null,
+      latest: ofType[0] || null
+    };
+
+    if (!current) {
+      missing.push(type);
+    }
+  });
+
+  return { documents: byType, missing, complete: missing.length === 0 };
+};
+
+/**
+ * Store an uploaded document and queue it for review. The type is taken from
+ * the file content, which must match the type the upload declared.
+ * @param {string} driverId - Driver's user ID
+ * @param {Object} file - Uploaded file (multer)
+ * @param {Object} details - { type, documentNumber, expiresAt }
+ * @returns {Object} - { success, status, message, document }
+ */
+exports.submitDocument = async (driverId, file, { type, documentNumber, expiresAt }) => {
+  const detected = storageService.detectFileType(file.buffer);
+
+  if (!detected || !UPLOAD_SETTINGS.DOCUMENT_MIME_TYPES.includes(detected.mimeType)) {
+    return {
+      success: false,
+      status: 400,
+      message: `File content is not an allowed type. Allowed types: ${UPLOAD_SETTINGS.DOCUMENT_MIME_TYPES.join(', ')}`
+    };
+  }
+
+  if (detected.mimeType !== file.mimetype) {
+    return {
+      success: false,
+      status: 400,
+      message: `File content is ${detected.mimeType}, not ${file.mimetype}`
+    };
+  }
+
+  const storage = storageService.getStorage();
+
+  const stored = await storage.save({
+    buffer: file.buffer,
+    folder: `driver-documents/${driverId}`,
+    extension: detected.extension,
+    mimeType: detected.mimeType
+  });
+
+  // A new upload replaces the one still waiting for review
+  const superseded = await DriverDocument.find({ driver: driverId, type, status: DRIVER_DOCUMENT_STATUS.PENDING });
+
+  for (const document of superseded) {
+    await exports.removeDocument(document);
+  }
+
+  const document = await DriverDocument.create({
+    driver: driverId,
+    type,
+    documentNumber,
+    expiresAt,
+    file: {
+      key: stored.key,
+      storage: storage.name,
+      originalName: file.originalname,
+      mimeType: detected.mimeType,
+      size: stored.size
+    }
+  });
+
+  return { success: true, document };
+};
+
+/**
+ * Delete a document and its file
+ * @param {Object} document - DriverDocument
+ */
+exports.removeDocument = async (document) => {
+  try {
+    await storageService.getStorage().remove(document.file.key);
+  } catch (err) {
+    logger.error(`Could not delete file of driver document ${document._id}:`, err);
+  }
+
+  await DriverDocument.deleteOne({ _id: document._id });
+};
+
+/**
+ * Approve or reject a pending document
+ * @param {Object} document - DriverDocument
+ * @param {string} adminId - Reviewing admin
+ * @param {boolean} approved - Decision
+ * @param {string} reason - Rejection reason
+ * @returns {Object} - { document, verified } or { document: null } if it was already reviewed
+ */
+exports.reviewDocument = async (document, adminId, approved, reason) => {
+  const reviewed = await DriverDocument.findOneAndUpdate(
+    { _id: document._id, status: DRIVER_DOCUMENT_STATUS.PENDING },
+    {
+      status: approved ? DRIVER_DOCUMENT_STATUS.APPROVED : DRIVER_DOCUMENT_STATUS.REJECTED,
+      reviewedBy: adminId,
+      reviewedAt: Date.now(),
+      rejectionReason: approved ? undefined : reason,
+      updatedAt: Date.now()
+    },
+    { new: true }
+  );
+
+  if (!reviewed) {
+    return { document: null };
+  }
+
+  // The approved license is the one whose expiry is tracked
+  if (approved && reviewed.type === DRIVER_DOCUMENT_TYPES.LICENSE && reviewed.expiresAt) {
+    const update = { 'driverDetails.licenseExpiry': reviewed.expiresAt };
+    if (reviewed.documentNumber) update['driverDetails.licenseNumber'] = reviewed.documentNumber;
+
+    await User.updateOne({ _id: reviewed.driver }, update);
+  }
+
+  const verified = approved ? await exports.verifyIfComplete(reviewed.driver) : false;
+
+  await notificationController.createNotification({
+    recipient: reviewed.driver,
+    sender: adminId,
+    type: NOTIFICATION_TYPES.SYSTEM_NOTIFICATION,
+    title: approved ? 'Document Approved' : 'Document Rejected',
+    message: approved
+      ? `Your ${reviewed.type} document has been approved.${verified ? ' Your driver account is now verified.' : ''}`
+      : `Your ${reviewed.type} document was rejected: ${reason}. Please upload a new one.`,
+    relatedResource: {
+      resourceType: 'user',
+      resourceId: reviewed.driver
+    },
+    deliveryMethod: 'all'
+  });
+
+  return { document: reviewed, verified };
+};
+
+/**
+ * Verify a driver whose documents are all approved and current
+ * @param {string} driverId - Driver's user ID
+ * @returns {boolean} - Whether the driver was verified by this call
+ */
+exports.verifyIfComplete = async (driverId) => {
+  const status = await exports.getStatus(driverId);
+
+  if (!status.complete) {
+    return false;
+  }
+
+  const result = await User.updateOne(
+    { _id: driverId, role: 'driver', 'driverDetails.isVerified': { $ne: true } },
+    { 'driverDetails.isVerified': true, updatedAt: Date.now() }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Take away a driver's verification
+ * @param {string} driverId - Driver's user ID
+ * @param {string} reason - Shown to the driver
+ * @returns {boolean} - Whether the driver was verified before
+ */
+exports.unverify = async (driverId, reason) => {
+  const result = await User.updateOne(
+    { _id: driverId, 'driverDetails.isVerified': true },
+    { 'driverDetails.isVerified': false, updatedAt: Date.now() }
+  );
+
+  if (!result.modifiedCount) {
+    return false;
+  }
+
+  await notificationController.createNotification({
+    recipient: driverId,
+    type: NOTIFICATION_TYPES.SYSTEM_NOTIFICATION,
+    title: 'Driver Verification Suspended',
+    message: `${reason} You cannot offer rides until a current document is uploaded and approved.`,
+    relatedResource: {
+      resourceType: 'user',
+      resourceId: driverId
+    },
+    deliveryMethod: 'all'
+  });
+
+  return true;
+};
+
+/**
+ * Whether a document counts towards verification
+ */
+function isCurrent(document, now) {
+  return document.status === DRIVER_DOCUMENT_STATUS.APPROVED &&
+    (!document.expiresAt || document.expiresAt > now);
+}
@@ -0,0 +1,269 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/booking');
+const {
+  BOOKING_STATUS,
+  EARNINGS_PERIODS,
+  LEDGER_ACCOUNTS,
+  LEDGER_TRANSACTION_TYPES,
+  PAYMENT_METHODS
+} = require('../utils/constants');
+
+/*
+ * Earnings come from the ledger: what a settlement credited to the driver's
+ * wallet (net) and what the platform kept of it (commission). Settlements
+ * are made for completed bookings and for the cancellation fees of cancelled
+ * ones. Cash fares never pass through the ledger; the driver collects them
+ * in the car, in full. Promo discounts of completed bookings are paid to the
+ * driver by the platform and reported as promotion. Card and wallet fares of
+ * completed bookings that are not settled yet are pending, and so is the
+ * discount of an unsettled cash fare. Earnings are dated by the departure of
+ * the ride, and gross = net + commission + pending.
+ */
+
+// $dateToString formats for each grouping period (UTC)
+const PERIOD_FORMATS = {
+  [EARNINGS_PERIODS.DAY]: '%Y-%m-%d',
+  [EARNINGS_PERIODS.WEEK]: '%G-W%V',
+  [EARNINGS_PERIODS.MONTH]: '%Y-%m'
+};
+
+// Sums accumulated for every group of bookings
+const SUMS = {
+  gross: { $sum: '$gross' },
+  promotion: { $sum: '$promotion' },
+  commission: { $sum: '$commission' },
+  net: { $sum: '$net' },
+  pending: { $sum: '$pending' },
+  bookings: { $sum: 1 },
+  seats: { $sum: '$seatsBooked' }
+};
+
+// Earning kinds, for the CSV export
+const EARNING_KINDS = {
+  FARE: 'fare',
+  CANCELLATION_FEE: 'cancellation_fee'
+};
+
+/**
+ * Earnings report of a driver
+ * @param {string} driverId - Driver's user ID
+ * @param {Object} options - { from, to, period, startIndex, limit }
+ * @returns {Object} - { totals, byPeriod, byPaymentMethod, byRide, rideCount }
+ */
+exports.getDriverEarnings = async (driverId, { from, to, period = EARNINGS_PERIODS.DAY, startIndex = 0, limit = 10 }) => {
+  const [report] = await Booking.aggregate([
+    ...earningBookings({ driver: new mongoose.Types.ObjectId(driverId) }, from, to),
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, ...SUMS, rides: { $addToSet: '$ride._id' } } }],
+        byPeriod: [
+          { $group: { _id: { $dateToString: { format: PERIOD_FORMATS[period], date: '$earnedAt' } }, ...SUMS } },
+          { $sort: { _id: -1 } }
+        ],
+        byPaymentMethod: [
+          { $group: { _id: '$paymentMethod', ...SUMS } },
+          { $sort: { gross: -1 } }
+        ],
+        byRide: [
+          {
+            $group: {
+              _id: '$ride._id',
+              departureTime: { $first: '$ride.departureTime' },
+              source: { $first: '$ride.source.address' },
+              destination: { $first: '$ride.destination.address' },
+              ...SUMS
+            }
+          },
+          { $sort: { departureTime: -1 } },
+          { $skip: startIndex },
+          { $limit: limit }
+        ],
+        rideCount: [{ $group: { _id: '$ride._id' } }, { $count: 'total' }]
+      }
+    }
+  ]);
+
+  const totals = report.totals[0];
+
+  return {
+    totals: totals
+      ? { ...roundSums(totals, null), rides: totals.rides.length }
+      : { gross: 0, promotion: 0, commission: 0, net: 0, pending: 0, bookings: 0, seats: 0, rides: 0 },
+    byPeriod: report.byPeriod.map(group => roundSums(group, 'period')),
+    byPaymentMethod: report.byPaymentMethod.map(group => roundSums(group, 'paymentMethod')),
+    byRide: report.byRide.map(group => roundSums(group, 'ride')),
+    rideCount: report.rideCount.length ? report.rideCount[0].total : 0
+  };
+};
+
+/**
+ * Earnings of a driver, one row per booking, newest first
+ * @param {string} driverId - Driver's user ID
+ * @param {Object} options - { from, to }
+ * @returns {Array} - Booking rows for CSV export
+ */
+exports.getDriverEarningLines = async (driverId, { from, to }) => {
+  const bookings = await Booking.aggregate([
+    ...earningBookings({ driver: new mongoose.Types.ObjectId(driverId) }, from, to),
+    { $sort: { earnedAt: -1 } }
+  ]);
+
+  return bookings.map(booking => ({
+    date: booking.earnedAt,
+    ride: booking.ride._id.toString(),
+    source: booking.ride.source && booking.ride.source.address,
+    destination: booking.ride.destination && booking.ride.destination.address,
+    booking: booking._id.toString(),
+    kind: booking.status === BOOKING_STATUS.COMPLETED ? EARNING_KINDS.FARE : EARNING_KINDS.CANCELLATION_FEE,
+    seats: booking.seatsBooked,
+    paymentMethod: booking.paymentMethod,
+    gross: roundAmount(booking.gross),
+    promotion: roundAmount(booking.promotion),
+    commission: roundAmount(booking.commission),
+    net: roundAmount(booking.net),
+    pending: roundAmount(booking.pending)
+  }));
+};
+
+/**
+ * Earnings of every driver, for payout runs
+ * @param {Object} options - { from, to, startIndex, limit }
+ * @returns {Object} - { drivers, total }
+ */
+exports.getEarningsByDriver = async ({ from, to, startIndex = 0, limit }) => {
+  const pipeline = [
+    ...earningBookings({}, from, to),
+    { $group: { _id: '$driver', ...SUMS, rides: { $addToSet: '$ride._id' } } },
+    { $sort: { gross: -1 } }
+  ];
+
+  const [{ drivers, count }] = await Booking.aggregate([
+    ...pipeline,
+    {
+      $facet: {
+        drivers: [
+          { $skip: startIndex },
+          ...(limit ? [{ $limit: limit }] : []),
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+          { $lookup: { from: 'wallets', localField: '_id', foreignField: 'user', as: 'wallet' } }
+        ],
+        count: [{ $count: 'total' }]
+      }
+    }
+  ]);
+
+  return {
+    total: count.length ? count[0].total : 0,
+    drivers: drivers.map(group => {
+      const user = group.user[0] || {};
+      const wallet = group.wallet[0];
+
+      return {
+        ...roundSums(group, 'driver'),
+        rides: group.rides.length,
+        name: [user.firstName, user.lastName].filter(Boolean).join(' '),
+        email: user.email,
+        walletAvailable: wallet ? roundAmount(wallet.available) : 0
+      };
+    })
+  };
+};
+
+/**
+ * Pipeline stages selecting the bookings a driver earned from, with their
+ * ride and the gross, commission, net and pending amounts of each
+ */
+function earningBookings(match, from, to) {
+  const departure = {};
+  if (from) departure.$gte = new Date(from);
+  if (to) departure.$lte = new Date(to);
+
+  // Sum of the settlement entries posted to an account
+  const postedTo = (account) => ({
+    $sum: {
+      $map: {
+        input: { $filter: { input: '$settlementEntries', cond: { $eq: ['$$this.account', account] } } },
+        in: '$$this.amount'
+      }
+    }
+  });
+
+  return [
+    { $match: { ...match, status: { $in: [BOOKING_STATUS.COMPLETED, BOOKING_STATUS.CANCELLED] } } },
+    { $lookup: { from: 'rides', localField: 'ride', foreignField: '_id', as: 'ride' } },
+    { $unwind: '$ride' },
+    ...(Object.keys(departure).length ? [{ $match: { 'ride.departureTime': departure } }] : []),
+    { $lookup: { from: 'ledgertransactions', localField: '_id', foreignField: 'booking', as: 'ledger' } },
+    {
+      $addFields: {
+        settlements: {
+          $filter: { input: '$ledger', cond: { $eq: ['$$this.type', LEDGER_TRANSACTION_TYPES.SETTLEMENT] } }
+        },
+        driverAccount: { $concat: ['user:', { $toString: '$driver' }, ':available'] }
+      }
+    },
+    // Cancelled bookings only count when the driver was paid a fee
+    {
+      $match: {
+        $or: [{ status: BOOKING_STATUS.COMPLETED }, { 'settlements.0': { $exists: true } }]
+      }
+    },
+    {
+      $addFields: {
+        settlementEntries: {
+          $reduce: { input: '$settlements.entries', initialValue: [], in: { $concatArrays: ['$$value', '$$this'] } }
+        },
+        cash: { $eq: ['$paymentMethod', PAYMENT_METHODS.CASH] },
+        completed: { $eq: ['$status', BOOKING_STATUS.COMPLETED] },
+        settled: { $gt: [{ $size: '$settlements' }, 0] },
+        discount: { $ifNull: ['$discount', 0] }
+      }
+    },
+    {
+      $addFields: {
+        credited: postedTo('$driverAccount'),
+        kept: postedTo(LEDGER_ACCOUNTS.PLATFORM_COMMISSION)
+      }
+    },
+    {
+      $addFields: {
+        earnedAt: '$ride.departureTime',
+        net: { $add: ['$credited', { $cond: [{ $and: ['$cash', '$completed'] }, '$totalPrice', 0] }] },
+        commission: '$kept',
+        pending: {
+          $cond: ['$settled', 0, { $cond: ['$cash', '$discount', { $add: ['$totalPrice', '$discount'] }] }]
+        },
+        promotion: { $cond: ['$completed', '$discount', 0] }
+      }
+    },
+    { $addFields: { gross: { $add: ['$net', '$commission', '$pending'] } } },
+    { $project: { ledger: 0, settlements: 0, settlementEntries: 0 } }
+  ];
+}
+
+/**
+ * Round the sums of a group
+ */
+function roundSums(group, idField) {
+  const result = idField ? { [idField]: group._id } : {};
+
+  return {
+    ...result,
+    gross: roundAmount(group.gross),
+    promotion: roundAmount(group.promotion),
+    commission: roundAmount(group.commission),
+    net: roundAmount(group.net),
+    pending: roundAmount(group.pending),
+    bookings: group.bookings,
+    seats: group.seats,
+    ...(group.departureTime && {
+      departureTime: group.departureTime,
+      source: group.source,
+      destination: group.destination
+    })
+  };
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
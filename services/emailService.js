@@ -1,5 +1,6 @@
 const nodemailer = require('nodemailer');
 const logger = require('../utils/logger');
+const { EMAIL_VERIFICATION_EXPIRY } = require('../utils/constants');
 require('dotenv').config();
 
 // Create reusable transporter
@@ -52,7 +53,7 @@ exports.sendVerificationEmail = async (to, name, verificationLink) => {
             </div>
             <p>If the button doesn't work, you can also copy and paste the following link into your browser:</p>
             <p style="word-break: break-all;">${verificationLink}</p>
-            <p>This verification link will expire in 24 hours.</p>
+            <p>This verification link will expire in ${EMAIL_VERIFICATION_EXPIRY} hours.</p>
             <p>If you did not create an account, you can safely ignore this email.</p>
           </div>
           <div style="margin-top: 20px; text-align: center; color: #777; font-size: 12px;">
@@ -275,8 +276,9 @@ exports.sendRideReminderEmail = async (to, name, booking, ride) => {
  * @param {Object} booking - Booking details
  * @param {Object} ride - Ride details
  * @param {string} reason - Cancellation reason
+ * @param {string} refundSummary - Refund outcome of the cancellation policy
  */
-exports.sendRideCancellationEmail = async (to, name, booking, ride, reason) => {
+exports.sendRideCancellationEmail = async (to, name, booking, ride, reason, refundSummary) => {
   try {
     const departureTime = new Date(ride.departureTime).toLocaleString('en-US', {
       weekday: 'long',
@@ -306,6 +308,7 @@ exports.sendRideCancellationEmail = async (to, name, booking, ride, reason) => {
               <p><strong>To:</strong> ${ride.destination.address}</p>
               <p><strong>Scheduled Time:</strong> ${departureTime}</p>
               ${reason ? `<p><strong>Reason for cancellation:</strong> ${reason}</p>` : ''}
+              ${refundSummary ? `<p><strong>Refund:</strong> ${refundSummary}</p>` : ''}
             </div>
             <p>You can book another ride through the CityRide app or website.</p>
             <p>We apologize for any inconvenience this may have caused.</p>
@@ -326,6 +329,66 @@ exports.sendRideCancellationEmail = async (to, name, booking, ride, reason) => {
   }
 };
 
+/**
+ * Send booking cancellation email
+ * @param {string} to - Recipient email
+ * @param {string} name - Recipient name
+ * @param {Object} booking - Booking details
+ * @param {Object} ride - Ride details
+ * @param {string} reason - Cancellation reason
+ * @param {string} refundSummary - Refund outcome of the cancellation policy
+ */
+exports.sendBookingCancellationEmail = async (to, name, booking, ride, reason, refundSummary) => {
+  try {
+    const departureTime = new Date(ride.departureTime).toLocaleString('en-US', {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: true
+    });
+
+    const mailOptions = {
+      from: `${process.env.FROM_NAME} <${process.env.FROM_EMAIL}>`,
+      to,
+      subject: 'Your Booking Has Been Cancelled',
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+          <div style="text-align: center; margin-bottom: 20px;">
+            <h2 style="color: #4a6ee0;">CityRide Cancellation Notice</h2>
+          </div>
+          <div style="background-color: #f9f9f9; padding: 20px; border-radius: 5px;">
+            <p>Hello ${name},</p>
+            <p>Your booking has been cancelled.</p>
+            <div style="background-color: white; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <h3 style="margin-top: 0; color: #4a6ee0;">Cancelled Booking Details</h3>
+              <p><strong>From:</strong> ${ride.source.address}</p>
+              <p><strong>To:</strong> ${ride.destination.address}</p>
+              <p><strong>Scheduled Time:</strong> ${departureTime}</p>
+              <p><strong>Seats:</strong> ${booking.seatsBooked}</p>
+              ${reason ? `<p><strong>Reason for cancellation:</strong> ${reason}</p>` : ''}
+              ${refundSummary ? `<p><strong>Refund:</strong> ${refundSummary}</p>` : ''}
+            </div>
+            <p>You can book another ride through the CityRide app or website.</p>
+          </div>
+          <div style="margin-top: 20px; text-align: center; color: #777; font-size: 12px;">
+            <p>© ${new Date().getFullYear()} CityRide. All rights reserved.</p>
+            <p>123 Main Street, Anytown, AN 12345</p>
+          </div>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    logger.info(`Booking cancellation email sent to ${to}`);
+  } catch (err) {
+    logger.error(`Error sending booking cancellation email to ${to}:`, err);
+    throw err;
+  }
+};
+
 /**
  * Send notification email
  * @param {string} to - Recipient email
@@ -0,0 +1,175 @@
+const { calculateDistance } = require('../utils/helpers');
+const { buildRoutePath, locateOnRoute } = require('../utils/geo');
+const { PRICING_MODES, STOP_SNAP_DISTANCE } = require('../utils/constants');
+
+/*
+ * A ride is split into legs between consecutive stops:
+ * source -> intermediate stops -> destination. A booking covers the legs
+ * from stop `segment.from` to stop `segment.to` and pays for those only.
+ */
+
+/**
+ * Length of every leg of a ride
+ * @param {Object} ride - Ride document
+ * @returns {Array} - Distances in kilometers, one per leg
+ */
+exports.getLegDistances = (ride) => {
+  const path = buildRoutePath(ride);
+  const legs = [];
+
+  for (let i = 0; i < path.length - 1; i++) {
+    legs.push(calculateDistance(path[i], path[i + 1]));
+  }
+
+  return legs.length ? legs : [0];
+};
+
+/**
+ * Work out which stops a passenger boards and leaves at
+ * @param {Object} ride - Ride document
+ * @param {Array} pickup - [longitude, latitude] or null for the source
+ * @param {Array} dropoff - [longitude, latitude] or null for the destination
+ * @returns {Object|null} - { from, to } stop indices, or null if the dropoff
+ * does not come after the pickup
+ */
+exports.resolveSegment = (ride, pickup, dropoff) => {
+  const path = buildRoutePath(ride);
+
+  if (path.length < 2) {
+    return { from: 0, to: 1 };
+  }
+
+  const last = path.length - 1;
+  const stopOffsets = [0];
+
+  for (let i = 1; i < path.length; i++) {
+    stopOffsets.push(stopOffsets[i - 1] + calculateDistance(path[i - 1], path[i]));
+  }
+
+  let from = 0;
+  let to = last;
+
+  // Board at the last stop reached before the pickup point
+  if (isPoint(pickup)) {
+    const { offset } = locateOnRoute(pickup, path);
+    from = 0;
+
+    for (let i = 0; i < last; i++) {
+      if (stopOffsets[i] <= offset + STOP_SNAP_DISTANCE) {
+        from = i;
+      }
+    }
+  }
+
+  // Leave at the first stop reached after the dropoff point
+  if (isPoint(dropoff)) {
+    const { offset } = locateOnRoute(dropoff, path);
+    to = last;
+
+    for (let i = last; i > 0; i--) {
+      if (stopOffsets[i] >= offset - STOP_SNAP_DISTANCE) {
+        to = i;
+      }
+    }
+  }
+
+  return from < to ? { from, to } : null;
+};
+
+/**
+ * Segment a booking covers, defaulting to the whole route
+ * @param {Object} ride - Ride document
+ * @param {Object} booking - Booking document
+ * @returns {Object} - { from, to } stop indices
+ */
+exports.getBookingSegment = (ride, booking) => {
+  if (booking.segment && booking.segment.to > booking.segment.from) {
+    return { from: booking.segment.from, to: booking.segment.to };
+  }
+
+  return { from: 0, to: exports.getLegDistances(ride).length };
+};
+
+/**
+ * Price of one seat for part of a ride
+ * @param {Object} ride - Ride document
+ * @param {Object} segment - { from, to } stop indices
+ * @returns {number} - Fare per seat
+ */
+exports.getFarePerSeat = (ride, segment) => {
+  const legs = exports.getLegDistances(ride);
+  const { from, to } = segment || { from: 0, to: legs.length };
+
+  if (ride.pricingMode === PRICING_MODES.FIXED) {
+    return ride.pricePerSeat;
+  }
+
+  const prices = ride.segmentPrices || [];
+
+  if (ride.pricingMode === PRICING_MODES.SEGMENT && prices.length === legs.length) {
+    return roundPrice(sum(prices.slice(from, to)));
+  }
+
+  // Distance-proportional share of the full route price
+  const total = sum(legs);
+
+  if (total === 0) {
+    return ride.pricePerSeat;
+  }
+
+  return roundPrice(ride.pricePerSeat * sum(legs.slice(from, to)) / total);
+};
+
+/**
+ * Seats still free on every leg of a segment
+ * @param {Object} ride - Ride document
+ * @param {Object} segment - { from, to } stop indices
+ * @returns {number} - Bookable seats
+ */
+exports.getSegmentSeats = (ride, segment) => {
+  const seats = ride.segmentSeatsAvailable;
+
+  if (!seats || !seats.length || !segment) {
+    return ride.seatsAvailable;
+  }
+
+  return Math.min(...seats.slice(segment.from, segment.to));
+};
+
+/**
+ * Fare and availability for a passenger's trip on a ride
+ * @param {Object} ride - Ride document
+ * @param {Array} pickup - [longitude, latitude] or null
+ * @param {Array} dropoff - [longitude, latitude] or null
+ * @param {number} seats - Seats wanted
+ * @returns {Object|null} - { segment, farePerSeat, totalPrice, seatsAvailable },
+ * or null if the dropoff does not come after the pickup
+ */
+exports.quote = (ride, pickup, dropoff, seats = 1) => {
+  const segment = exports.resolveSegment(ride, pickup, dropoff);
+
+  if (!segment) {
+    return null;
+  }
+
+  const farePerSeat = exports.getFarePerSeat(ride, segment);
+
+  return {
+    segment,
+    farePerSeat,
+    totalPrice: roundPrice(farePerSeat * seats),
+    seatsAvailable: exports.getSegmentSeats(ride, segment)
+  };
+};
+
+function isPoint(coordinates) {
+  return Array.isArray(coordinates) && coordinates.length === 2;
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function roundPrice(price) {
+  return Math.round(price * 100) / 100;
+}
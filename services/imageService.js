@@ -0,0 +1,114 @@
+const sharp = require('sharp');
+const User = require('../models/user');
+const storageService = require('./storageService');
+const logger = require('../utils/logger');
+const { PROFILE_PHOTO_SIZES, UPLOAD_SETTINGS } = require('../utils/constants');
+
+/**
+ * Resize an uploaded image to square thumbnails
+ * @param {Buffer} buffer - Uploaded image
+ * @returns {Object} - { success, thumbnails: { size: Buffer }, message }
+ */
+exports.createThumbnails = async (buffer) => {
+  try {
+    const image = sharp(buffer, { limitInputPixels: UPLOAD_SETTINGS.PHOTO_MAX_PIXELS });
+    const metadata = await image.metadata();
+
+    if (!metadata.width || !metadata.height) {
+      return { success: false, message: 'File is not a valid image' };
+    }
+
+    const thumbnails = {};
+
+    for (const [size, pixels] of Object.entries(PROFILE_PHOTO_SIZES)) {
+      // rotate() applies the EXIF orientation, metadata is stripped
+      thumbnails[size] = await image.clone()
+        .rotate()
+        .resize(pixels, pixels, { fit: 'cover', position: 'attention' })
+        .webp({ quality: 80 })
+        .toBuffer();
+    }
+
+    return { success: true, thumbnails };
+  } catch (err) {
+    logger.warn(`Image could not be processed: ${err.message}`);
+    return { success: false, message: 'File is not a valid image' };
+  }
+};
+
+/**
+ * Replace a user's profile photo with an uploaded image
+ * @param {string} userId - User ID
+ * @param {Object} file - Uploaded file (multer)
+ * @returns {Object} - { success, user, message }
+ */
+exports.saveProfilePhoto = async (userId, file) => {
+  const result = await exports.createThumbnails(file.buffer);
+
+  if (!result.success) {
+    return result;
+  }
+
+  const storage = storageService.getStorage();
+  const keys = {};
+
+  try {
+    for (const [size, buffer] of Object.entries(result.thumbnails)) {
+      const stored = await storage.save({
+        buffer,
+        folder: `profile-photos/${userId}`,
+        extension: '.webp',
+        mimeType: 'image/webp'
+      });
+
+      keys[size] = stored.key;
+    }
+  } catch (err) {
+    await removeFiles(Object.values(keys));
+    throw err;
+  }
+
+  // Returns the previous photo so its files can be removed
+  const previous = await User.findByIdAndUpdate(userId, {
+    profilePhoto: { ...keys, updatedAt: Date.now() },
+    profileImage: storage.url(keys.medium),
+    updatedAt: Date.now()
+  });
+
+  if (previous && previous.profilePhoto) {
+    await removeFiles(Object.keys(PROFILE_PHOTO_SIZES).map(size => previous.profilePhoto[size]));
+  }
+
+  return { success: true, user: await User.findById(userId) };
+};
+
+/**
+ * Public URLs of a user's profile photo thumbnails
+ * @param {Object} user - User document
+ * @returns {Object|null} - { small, medium, large } or null without a photo
+ */
+exports.getProfilePhotoUrls = (user) => {
+  if (!user.profilePhoto || !user.profilePhoto.medium) {
+    return null;
+  }
+
+  const storage = storageService.getStorage();
+
+  return Object.keys(PROFILE_PHOTO_SIZES).reduce((urls, size) => {
+    if (user.profilePhoto[size]) urls[size] = storage.url(user.profilePhoto[size]);
+    return urls;
+  }, {});
+};
+
+/**
+ * Delete stored files, logging failures
+ */
+async function removeFiles(keys) {
+  for (const key of keys.filter(Boolean)) {
+    try {
+      await storageService.getStorage().remove(key);
+    } catch (err) {
+      logger.error(`Could not delete stored file ${key}:`, err);
+    }
+  }
+}
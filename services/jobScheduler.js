@@ -0,0 +1,149 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/job');
+const logger = require('../utils/logger');
+const { JOB_SETTINGS } = require('../utils/constants');
+
+// Identifies this process when it holds a job lock
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const jobs = new Map();
+let timer = null;
+let ticking = false;
+
+/**
+ * Register a recurring job
+ * @param {string} name - Unique job name (also the key of its Job document)
+ * @param {number} intervalMinutes - Minutes between two runs
+ * @param {Function} handler - Async function doing the work, its result is stored
+ */
+exports.register = (name, intervalMinutes, handler) => {
+  jobs.set(name, { name, intervalMinutes, handler });
+};
+
+/**
+ * Start checking for due jobs
+ */
+exports.start = async () => {
+  if (timer) {
+    return;
+  }
+
+  // Make sure every registered job has a document to lock on
+  for (const job of jobs.values()) {
+    await Job.updateOne(
+      { name: job.name },
+      { $setOnInsert: { name: job.name, nextRunAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  timer = setInterval(exports.tick, JOB_SETTINGS.TICK_INTERVAL * 1000);
+  timer.unref();
+
+  logger.info(`Job scheduler started on ${instanceId} with ${jobs.size} jobs`);
+};
+
+/**
+ * Stop checking for due jobs (running jobs are allowed to finish)
+ */
+exports.stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+/**
+ * Run every job that is due and not locked by another instance
+ */
+exports.tick = async () => {
+  // Skip if the previous tick is still busy
+  if (ticking) {
+    return;
+  }
+
+  ticking = true;
+
+  try {
+    for (const job of jobs.values()) {
+      // Runs from a timer: an error (e.g. the database being unreachable)
+      // must not become an unhandled rejection or stop the other jobs
+      try {
+        await exports.runJob(job.name);
+      } catch (err) {
+        logger.error(`Error running job ${job.name}:`, err);
+      }
+    }
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Run a job if it is due and the lock can be acquired
+ * @param {string} name - Job name
+ * @param {Object} options - { force: run even if not due yet }
+ * @returns {boolean} - Whether the job ran on this instance
+ */
+exports.runJob = async (name, options = {}) => {
+  const job = jobs.get(name);
+
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  const now = new Date();
+  const filter = {
+    name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  };
+
+  if (!options.force) {
+    filter.nextRunAt = { $lte: now };
+  }
+
+  // Only one instance can take the lock
+  const locked = await Job.findOneAndUpdate(
+    filter,
+    {
+      lockedBy: instanceId,
+      lockedUntil: new Date(now.getTime() + JOB_SETTINGS.LOCK_DURATION * 60000),
+      lastRunAt: now,
+      updatedAt: now
+    },
+    { new: true }
+  );
+
+  if (!locked) {
+    return false;
+  }
+
+  const update = {
+    lockedBy: null,
+    lockedUntil: null,
+    nextRunAt: new Date(now.getTime() + job.intervalMinutes * 60000),
+    $inc: { runCount: 1 }
+  };
+
+  try {
+    const result = await job.handler();
+
+    update.lastResult = result;
+    update.lastError = null;
+
+    logger.info(`Job ${name} finished`, { result });
+  } catch (err) {
+    update.lastError = err.message;
+
+    logger.error(`Job ${name} failed:`, err);
+  }
+
+  update.lastFinishedAt = new Date();
+  update.updatedAt = update.lastFinishedAt;
+
+  // Release the lock only if we still own it
+  await Job.updateOne({ name, lockedBy: instanceId }, update);
+
+  return true;
+};
@@ -0,0 +1,92 @@
+const Booking = require('../models/booking');
+const RideLocation = require('../models/rideLocation');
+const socketService = require('./socketService');
+const { estimateTravelTime, calculateDistance } = require('../utils/helpers');
+const { BOOKING_STATUS, RIDE_STATUS, SOCKET_EVENTS, LOCATION_TRACKING } = require('../utils/constants');
+
+/**
+ * Distance and ETA from the driver's position to a booking's pickup point
+ * @param {Object} location - RideLocation document
+ * @param {Object} booking - Booking document
+ * @returns {Object|null} - { distanceKm, etaMinutes } or null without a pickup point
+ */
+exports.getPickupEta = (location, booking) => {
+  const pickup = booking.pickupPoint && booking.pickupPoint.location;
+
+  if (!pickup || !pickup.coordinates || pickup.coordinates.length !== 2) {
+    return null;
+  }
+
+  const current = location.location.coordinates;
+
+  return {
+    distanceKm: Math.round(calculateDistance(current, pickup.coordinates) * 100) / 100,
+    etaMinutes: estimateTravelTime(current, pickup.coordinates, LOCATION_TRACKING.AVG_SPEED)
+  };
+};
+
+/**
+ * Store a GPS point of the driver and push it to every approved passenger.
+ * Points are stamped with the server time: a client clock could otherwise
+ * put a stale point ahead of the latest one.
+ * @param {Object} ride - In-progress ride
+ * @param {Object} data - { coordinates, heading, speed, accuracy }
+ * @returns {Object} - Stored RideLocation
+ */
+exports.recordLocation = async (ride, data) => {
+  const location = await RideLocation.create({
+    ride: ride._id,
+    driver: ride.driver,
+    location: {
+      type: 'Point',
+      coordinates: data.coordinates
+    },
+    heading: data.heading,
+    speed: data.speed,
+    accuracy: data.accuracy,
+    recordedAt: Date.now()
+  });
+
+  const bookings = await Booking.find({
+    ride: ride._id,
+    status: BOOKING_STATUS.APPROVED
+  });
+
+  // Each passenger gets the ETA to their own pickup point
+  for (const booking of bookings) {
+    socketService.emitToUser(booking.passenger, SOCKET_EVENTS.RIDE_LOCATION, {
+      rideId: ride._id,
+      location: location.location,
+      heading: location.heading,
+      speed: location.speed,
+      recordedAt: location.recordedAt,
+      pickup: exports.getPickupEta(location, booking)
+    });
+  }
+
+  return location;
+};
+
+/**
+ * Latest known position of the driver of a ride
+ * @param {string} rideId - Ride ID
+ * @returns {Object|null} - RideLocation document
+ */
+exports.getLatestLocation = async (rideId) => {
+  return await RideLocation.findOne({ ride: rideId }).sort({ recordedAt: -1 });
+};
+
+/**
+ * Whether location sharing is active for a ride
+ * @param {Object} ride - Ride document
+ * @returns {boolean} - True only while the ride is in progress
+ */
+exports.isTrackingActive = (ride) => ride.status === RIDE_STATUS.IN_PROGRESS;
+
+/**
+ * Stop sharing and delete the GPS trace of a ride
+ * @param {string} rideId - Ride ID
+ */
+exports.stopTracking = async (rideId) => {
+  await RideLocation.deleteMany({ ride: rideId });
+};
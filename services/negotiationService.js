@@ -0,0 +1,361 @@
+const Booking = require('../models/booking');
+const Ride = require('../models/ride');
+const paymentService = require('./paymentService');
+const promoService = require('./promoService');
+const socketService = require('./socketService');
+const notificationController = require('../controllers/notificationController');
+const {
+  BOOKING_STATUS,
+  NEGOTIATION_SETTINGS,
+  NEGOTIATION_STATUS,
+  NOTIFICATION_TYPES,
+  PRICE_OFFER_STATUS,
+  SOCKET_EVENTS
+} = require('../utils/constants');
+
+/*
+ * On rides where the driver allows it, a passenger can book with their own
+ * price per seat, inside a band the driver set around the listed fare. The
+ * parties then take turns: the one whose turn it is accepts the latest
+ * offer, which fixes the price of the booking, or answers with a
+ * counter-offer. The driver can still reject the booking and the passenger
+ * cancel it. An offer left unanswered past its expiry expires the booking.
+ *
+ * Every change to a negotiation either changes its status or adds an offer,
+ * so updates are guarded on both to stay safe under concurrent requests.
+ *
+ * Card bookings were authorized for the passenger's first offer, so no offer
+ * may cost more than that authorization, and the amount to capture follows
+ * the price of the booking.
+ */
+
+/**
+ * Price band a passenger can offer in on a ride
+ * @param {Object} ride - Ride document
+ * @param {number} farePerSeat - Listed fare per seat of the booked part of the route
+ * @returns {Object|null} - { min, max } per seat, or null if the ride takes no offers
+ */
+exports.getBand = (ride, farePerSeat) => {
+  const settings = ride.priceNegotiation;
+
+  if (!settings || !settings.enabled) {
+    return null;
+  }
+
+  return {
+    min: roundPrice(farePerSeat * settings.minPercent / 100),
+    max: roundPrice(farePerSeat * settings.maxPercent / 100)
+  };
+};
+
+/**
+ * Start a negotiation with the passenger's first offer
+ * @param {Object} ride - Ride being booked
+ * @param {Object} quote - Fare quote of the booking (see fareService.quote)
+ * @param {number} pricePerSeat - Price per seat the passenger offers
+ * @param {string} message - Note to the driver
+ * @returns {Object} - { negotiation } to store on the booking, or { message } if the offer is not allowed
+ */
+exports.open = (ride, quote, pricePerSeat, message) => {
+  const band = exports.getBand(ride, quote.farePerSeat);
+
+  if (!band) {
+    return { message: 'The driver does not take price offers on this ride' };
+  }
+
+  if (pricePerSeat < band.min || pricePerSeat > band.max) {
+    return { message: `Offers on this ride must be between ${band.min} and ${band.max} per seat` };
+  }
+
+  const expiresAt = offerExpiry(ride);
+
+  return {
+    negotiation: {
+      status: NEGOTIATION_STATUS.OPEN,
+      listPricePerSeat: quote.farePerSeat,
+      minPricePerSeat: band.min,
+      maxPricePerSeat: band.max,
+      offerExpiresAt: expiresAt,
+      offers: [{
+        by: 'passenger',
+        pricePerSeat,
+        message,
+        expiresAt
+      }]
+    }
+  };
+};
+
+/**
+ * Whether a booking has an open negotiation
+ * @param {Object} booking - Booking document
+ * @returns {boolean}
+ */
+exports.isOpen = (booking) => {
+  return Boolean(booking.negotiation && booking.negotiation.status === NEGOTIATION_STATUS.OPEN);
+};
+
+/**
+ * Answer the latest offer with a counter-offer
+ * @param {Object} booking - Pending booking under negotiation
+ * @param {string} by - 'passenger' or 'driver'
+ * @param {number} pricePerSeat - Price per seat proposed
+ * @param {string} message - Note to the other party
+ * @returns {Object} - { success, status, message, booking }
+ */
+exports.counter = async (booking, by, pricePerSeat, message) => {
+  const check = checkTurn(booking, by);
+
+  if (check) {
+    return check;
+  }
+
+  const { negotiation } = booking;
+
+  if (negotiation.offers.length >= NEGOTIATION_SETTINGS.MAX_OFFERS) {
+    return { success: false, status: 400, message: 'No more counter-offers can be made. Accept the offer or decline the booking.' };
+  }
+
+  if (pricePerSeat < negotiation.minPricePerSeat || pricePerSeat > negotiation.maxPricePerSeat) {
+    return {
+      success: false,
+      status: 400,
+      message: `Offers on this booking must be between ${negotiation.minPricePerSeat} and ${negotiation.maxPricePerSeat} per seat`
+    };
+  }
+
+  const totalPrice = roundPrice(pricePerSeat * booking.seatsBooked);
+  const covered = await paymentService.adjustBookingAmount(booking, totalPrice, true);
+
+  if (!covered.success) {
+    return { success: false, status: 400, message: covered.message };
+  }
+
+  const ride = await Ride.findById(booking.ride).select('departureTime');
+  const expiresAt = offerExpiry(ride);
+  const offers = answerLatest(negotiation.offers, PRICE_OFFER_STATUS.COUNTERED);
+
+  offers.push({ by, pricePerSeat, message, expiresAt });
+
+  const updated = await Booking.findOneAndUpdate(
+    openFilter(booking),
+    {
+      'negotiation.offers': offers,
+      'negotiation.offerExpiresAt': expiresAt,
+      totalPrice,
+      updatedAt: Date.now()
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return { success: false, status: 409, message: 'Booking was modified by another request. Please refresh and try again.' };
+  }
+
+  await paymentService.adjustBookingAmount(updated, totalPrice);
+  await notifyOffer(updated, by);
+
+  return { success: true, booking: updated };
+};
+
+/**
+ * Accept the latest offer, fixing the price of the booking. The booking
+ * stays pending until its seats are approved.
+ * @param {Object} booking - Pending booking under negotiation
+ * @param {string} by - 'passenger' or 'driver'
+ * @returns {Object} - { success, status, message, booking }
+ */
+exports.accept = async (booking, by) => {
+  const check = checkTurn(booking, by);
+
+  if (check) {
+    return check;
+  }
+
+  const latest = booking.negotiation.offers[booking.negotiation.offers.length - 1];
+  const totalPrice = roundPrice(latest.pricePerSeat * booking.seatsBooked);
+  const covered = await paymentService.adjustBookingAmount(booking, totalPrice, true);
+
+  if (!covered.success) {
+    return { success: false, status: 400, message: covered.message };
+  }
+
+  const updated = await Booking.findOneAndUpdate(
+    openFilter(booking),
+    {
+      'negotiation.offers': answerLatest(booking.negotiation.offers, PRICE_OFFER_STATUS.ACCEPTED),
+      'negotiation.status': NEGOTIATION_STATUS.AGREED,
+      'negotiation.agreedPricePerSeat': latest.pricePerSeat,
+      $unset: { 'negotiation.offerExpiresAt': 1 },
+      totalPrice,
+      updatedAt: Date.now()
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return { success: false, status: 409, message: 'Booking was modified by another request. Please refresh and try again.' };
+  }
+
+  await paymentService.adjustBookingAmount(updated, totalPrice);
+
+  return { success: true, booking: updated };
+};
+
+/**
+ * Close the open negotiation of a booking that was rejected, cancelled or expired
+ * @param {Object} booking - Booking document
+ * @param {string} offerStatus - New status of the offer awaiting an answer
+ */
+exports.close = async (booking, offerStatus) => {
+  if (!exports.isOpen(booking)) {
+    return;
+  }
+
+  await Booking.updateOne(
+    {
+      _id: booking._id,
+      'negotiation.status': NEGOTIATION_STATUS.OPEN,
+      'negotiation.offers': { $size: booking.negotiation.offers.length }
+    },
+    {
+      'negotiation.offers': answerLatest(booking.negotiation.offers, offerStatus),
+      'negotiation.status': NEGOTIATION_STATUS.CLOSED,
+      $unset: { 'negotiation.offerExpiresAt': 1 }
+    }
+  );
+};
+
+/**
+ * Expire bookings whose latest offer was not answered in time
+ * @param {Date} now - Current time
+ * @returns {Object} - { offersExpired }
+ */
+exports.expireOffers = async (now = new Date()) => {
+  const bookings = await Booking.find({
+    status: BOOKING_STATUS.PENDING,
+    'negotiation.status': NEGOTIATION_STATUS.OPEN,
+    'negotiation.offerExpiresAt': { $lte: now }
+  });
+
+  let offersExpired = 0;
+
+  for (const booking of bookings) {
+    const expired = await Booking.findOneAndUpdate(
+      openFilter(booking),
+      { status: BOOKING_STATUS.EXPIRED, updatedAt: Date.now() }
+    );
+
+    if (!expired) {
+      continue;
+    }
+
+    await exports.close(booking, PRICE_OFFER_STATUS.EXPIRED);
+    await paymentService.voidBooking(expired);
+    await promoService.releaseForBooking(expired);
+    offersExpired++;
+
+    const latest = booking.negotiation.offers[booking.negotiation.offers.length - 1];
+
+    for (const recipient of [booking.passenger, booking.driver]) {
+      await notificationController.createNotification({
+        recipient,
+        type: NOTIFICATION_TYPES.BOOKING_REJECTED,
+        title: 'Price Offer Expired',
+        message: `The offer of ${latest.pricePerSeat} per seat was not answered in time, so the booking request has expired.`,
+        relatedResource: {
+          resourceType: 'booking',
+          resourceId: booking._id
+        }
+      });
+    }
+  }
+
+  return { offersExpired };
+};
+
+/**
+ * Error if it is not this party's turn to answer the latest offer
+ */
+function checkTurn(booking, by) {
+  if (booking.status !== BOOKING_STATUS.PENDING || !exports.isOpen(booking)) {
+    return { success: false, status: 400, message: 'This booking has no open price negotiation' };
+  }
+
+  const latest = booking.negotiation.offers[booking.negotiation.offers.length - 1];
+
+  if (latest.by === by) {
+    return { success: false, status: 400, message: 'Waiting for the other party to answer your offer' };
+  }
+
+  if (new Date(latest.expiresAt) <= new Date()) {
+    return { success: false, status: 400, message: 'This offer has expired' };
+  }
+
+  return null;
+}
+
+/**
+ * Booking still pending with the same open negotiation as when it was read
+ */
+function openFilter(booking) {
+  return {
+    _id: booking._id,
+    status: BOOKING_STATUS.PENDING,
+    'negotiation.status': NEGOTIATION_STATUS.OPEN,
+    'negotiation.offers': { $size: booking.negotiation.offers.length }
+  };
+}
+
+/**
+ * Copy of the offers with the latest one answered
+ */
+function answerLatest(offers, status) {
+  const copy = offers.map(offer => (offer.toObject ? offer.toObject() : { ...offer }));
+  const latest = copy[copy.length - 1];
+
+  latest.status = status;
+  latest.respondedAt = new Date();
+
+  return copy;
+}
+
+/**
+ * Offers must be answered within OFFER_HOURS and before the ride leaves
+ */
+function offerExpiry(ride) {
+  const expiresAt = new Date(Date.now() + NEGOTIATION_SETTINGS.OFFER_HOURS * 3600000);
+
+  return ride && ride.departureTime && new Date(ride.departureTime) < expiresAt
+    ? new Date(ride.departureTime)
+    : expiresAt;
+}
+
+/**
+ * Tell the other party about a counter-offer
+ */
+async function notifyOffer(booking, by) {
+  const latest = booking.negotiation.offers[booking.negotiation.offers.length - 1];
+  const recipient = by === 'driver' ? booking.passenger : booking.driver;
+  const sender = by === 'driver' ? booking.driver : booking.passenger;
+
+  await notificationController.createNotification({
+    recipient,
+    sender,
+    type: NOTIFICATION_TYPES.BOOKING_REQUEST,
+    title: 'New Price Offer',
+    message: `The ${by} offered ${latest.pricePerSeat} per seat for ${booking.seatsBooked} seat(s)` +
+      (latest.message ? `: ${latest.message}` : '.') +
+      ` Please answer before ${new Date(latest.expiresAt).toLocaleString()}.`,
+    relatedResource: {
+      resourceType: 'booking',
+      resourceId: booking._id
+    }
+  });
+
+  socketService.emitToUser(recipient.toString(), SOCKET_EVENTS.BOOKING_OFFER, booking);
+}
+
+function roundPrice(amount) {
+  return Math.round(amount * 100) / 100;
+}
@@ -1,5 +1,8 @@
+const crypto = require('crypto');
 const twilio = require('twilio');
+const Otp = require('../models/otp');
 const logger = require('../utils/logger');
+const { OTP_EXPIRY, OTP_SETTINGS } = require('../utils/constants');
 require('dotenv').config();
 
 // Initialize Twilio client
@@ -44,7 +47,7 @@ exports.sendOTP = async (phoneNumber, otp) => {
     
     // Send OTP via Twilio
     const message = await twilioClient.messages.create({
-      body: `Your CityRide verification code is: ${otp}. This code will expire in 5 minutes.`,
+      body: `Your CityRide verification code is: ${otp}. This code will expire in ${OTP_EXPIRY} minutes.`,
       from: process.env.TWILIO_PHONE_NUMBER,
       to: phoneNumber
     });
@@ -73,33 +76,104 @@ exports.sendOTP = async (phoneNumber, otp) => {
 };
 
 /**
- * Verify OTP (in a real app, this would validate against a stored OTP)
+ * Verify an OTP against the stored code for a phone number.
+ * A code can only be used once; too many wrong guesses lock the number.
  * @param {string} phoneNumber - User's phone number
  * @param {string} otp - One-time password provided by user
+ * @returns {Object} - { success, message, reason?, attemptsRemaining?, retryAfter? }
  */
 exports.verifyOTP = async (phoneNumber, otp) => {
   try {
-    // In a real app, we would:
-    // 1. Retrieve the stored OTP from a database/cache
-    // 2. Compare with the provided OTP
-    // 3. Check if it's expired
-    // 4. Mark as used after successful verification
-    
-    // For demonstration, we'll use a dummy check
-    // This is just a placeholder - in a real app, implement proper OTP storage and validation
-    logger.info(`Verifying OTP for ${phoneNumber}: ${otp}`);
-    
-    // Mocked verification - always succeeds in development
-    if (process.env.NODE_ENV !== 'production') {
+    const now = Date.now();
+    const record = await store.get(phoneNumber);
+
+    if (record && isLocked(record, now)) {
       return {
-        success: true,
-        message: 'OTP verified successfully (development mode)'
+        success: false,
+        reason: 'locked',
+        message: 'Too many attempts. Please try again later.',
+        retryAfter: secondsUntil(record.lockedUntil, now)
       };
     }
-    
-    // In production, make a proper verification
-    // This is where you'd implement the actual OTP validation logic
-    
+
+    if (!record || !record.codeHash) {
+      return {
+        success: false,
+        reason: 'not_found',
+        message: 'No OTP has been requested for this phone number'
+      };
+    }
+
+    if (new Date(record.expiresAt).getTime() <= now) {
+      await store.set(phoneNumber, { ...record, codeHash: null, expiresAt: null });
+      return {
+        success: false,
+        reason: 'expired',
+        message: 'OTP has expired. Please request a new one.'
+      };
+    }
+
+    if (!hashesMatch(record.codeHash, hashOTP(phoneNumber, String(otp)))) {
+      // Counted in one atomic step so concurrent guesses cannot get past the limit.
+      // The attempt that reaches it locks the number and burns the code.
+      const lockedUntil = new Date(now + OTP_SETTINGS.LOCKOUT_DURATION * 60000);
+      const counted = await store.recordFailedAttempt(
+        phoneNumber,
+        record.codeHash,
+        OTP_SETTINGS.MAX_ATTEMPTS,
+        lockedUntil
+      );
+
+      if (!counted) {
+        // The code was used, replaced or locked by a concurrent request
+        const current = await store.get(phoneNumber);
+
+        if (current && isLocked(current, now)) {
+          return {
+            success: false,
+            reason: 'locked',
+            message: 'Too many attempts. Please try again later.',
+            retryAfter: secondsUntil(current.lockedUntil, now)
+          };
+        }
+
+        return {
+          success: false,
+          reason: 'invalid',
+          message: 'Invalid OTP'
+        };
+      }
+
+      if (counted.attempts >= OTP_SETTINGS.MAX_ATTEMPTS) {
+        logger.warn(`OTP verification locked for ${phoneNumber} after ${counted.attempts} failed attempts`);
+
+        return {
+          success: false,
+          reason: 'locked',
+          message: 'Too many attempts. Please try again later.',
+          retryAfter: secondsUntil(lockedUntil, now)
+        };
+      }
+
+      return {
+        success: false,
+        reason: 'invalid',
+        message: 'Invalid OTP',
+        attemptsRemaining: OTP_SETTINGS.MAX_ATTEMPTS - counted.attempts
+      };
+    }
+
+    // Codes are single use: only one request can consume it
+    const consumed = await store.consume(phoneNumber, record.codeHash);
+
+    if (!consumed) {
+      return {
+        success: false,
+        reason: 'not_found',
+        message: 'OTP has already been used. Please request a new one.'
+      };
+    }
+
     return {
       success: true,
       message: 'OTP verified successfully'
@@ -167,37 +241,45 @@ exports.sendSMS = async (phoneNumber, message) => {
  * @param {number} length - Length of OTP (default: 6)
  * @returns {string} - Generated OTP
  */
-exports.generateOTP = (length = 6) => {
+exports.generateOTP = (length = OTP_SETTINGS.LENGTH) => {
   // Generate a random numeric OTP of specified length
   let otp = '';
   for (let i = 0; i < length; i++) {
-    otp += Math.floor(Math.random() * 10);
+    otp += crypto.randomInt(10);
   }
   return otp;
 };
 
 /**
- * Store OTP for a user (in a real app, this would store in a database/cache)
+ * Store a hashed OTP for a phone number, replacing any previous code
  * @param {string} phoneNumber - User's phone number
  * @param {string} otp - One-time password to store
- * @param {number} expiryMinutes - OTP expiry time in minutes (default: 5)
+ * @param {number} expiryMinutes - OTP expiry time in minutes (default: OTP_EXPIRY)
  */
-exports.storeOTP = async (phoneNumber, otp, expiryMinutes = 5) => {
+exports.storeOTP = async (phoneNumber, otp, expiryMinutes = OTP_EXPIRY) => {
   try {
-    // In a real application, you would:
-    // 1. Store the OTP in a database/cache
-    // 2. Set an expiry time
-    // 3. Associate it with the phone number
-    
-    // For demonstration, we'll just log it
-    const expiryTime = new Date();
-    expiryTime.setMinutes(expiryTime.getMinutes() + expiryMinutes);
-    
-    logger.info(`[SIMULATED STORAGE] OTP for ${phoneNumber}: ${otp} | Expires at: ${expiryTime.toISOString()}`);
-    
+    const now = Date.now();
+    const existing = await store.get(phoneNumber);
+    const expiryTime = new Date(now + expiryMinutes * 60000);
+
+    // Keep counting sends within the current window, start a new one otherwise
+    const windowOpen = existing && existing.firstSentAt &&
+      now - new Date(existing.firstSentAt).getTime() < OTP_SETTINGS.LOCKOUT_DURATION * 60000;
+
+    await store.set(phoneNumber, {
+      phone: phoneNumber,
+      codeHash: hashOTP(phoneNumber, otp),
+      expiresAt: expiryTime,
+      attempts: 0,
+      sendCount: windowOpen ? existing.sendCount + 1 : 1,
+      firstSentAt: windowOpen ? existing.firstSentAt : new Date(now),
+      lastSentAt: new Date(now),
+      lockedUntil: existing && isLocked(existing, now) ? existing.lockedUntil : null
+    });
+
     return {
       success: true,
-      message: 'OTP stored successfully (simulated)',
+      message: 'OTP stored successfully',
       expiryTime
     };
   } catch (err) {
@@ -206,6 +288,217 @@ exports.storeOTP = async (phoneNumber, otp, expiryMinutes = 5) => {
   }
 };
 
+/**
+ * Generate, store and send a new OTP, enforcing resend cooldown and lockout
+ * @param {string} phoneNumber - Recipient phone number
+ * @returns {Object} - { success, message, reason?, retryAfter?, expiryTime? }
+ */
+exports.issueOTP = async (phoneNumber) => {
+  const now = Date.now();
+  const record = await store.get(phoneNumber);
+
+  if (record && isLocked(record, now)) {
+    return {
+      success: false,
+      reason: 'locked',
+      message: 'Too many attempts. Please try again later.',
+      retryAfter: secondsUntil(record.lockedUntil, now)
+    };
+  }
+
+  if (record && record.lastSentAt) {
+    const nextAllowed = new Date(record.lastSentAt).getTime() + OTP_SETTINGS.RESEND_COOLDOWN * 1000;
+
+    if (nextAllowed > now) {
+      return {
+        success: false,
+        reason: 'cooldown',
+        message: 'Please wait before requesting another OTP',
+        retryAfter: secondsUntil(nextAllowed, now)
+      };
+    }
+  }
+
+  // Too many sends in one window locks the number as well
+  const windowOpen = record && record.firstSentAt &&
+    now - new Date(record.firstSentAt).getTime() < OTP_SETTINGS.LOCKOUT_DURATION * 60000;
+
+  if (windowOpen && record.sendCount >= OTP_SETTINGS.MAX_SENDS) {
+    const lockedUntil = new Date(now + OTP_SETTINGS.LOCKOUT_DURATION * 60000);
+    await store.set(phoneNumber, { ...record, codeHash: null, expiresAt: null, lockedUntil });
+
+    return {
+      success: false,
+      reason: 'locked',
+      message: 'Too many OTP requests. Please try again later.',
+      retryAfter: secondsUntil(lockedUntil, now)
+    };
+  }
+
+  const otp = exports.generateOTP();
+  const { expiryTime } = await exports.storeOTP(phoneNumber, otp);
+  await exports.sendOTP(phoneNumber, otp);
+
+  return {
+    success: true,
+    message: 'OTP sent successfully',
+    expiryTime
+  };
+};
+
+/*
+ * An OTP store implements:
+ *   get(phoneNumber) -> record or null
+ *   set(phoneNumber, record)
+ *   remove(phoneNumber)
+ *   recordFailedAttempt(phoneNumber, codeHash, maxAttempts, lockedUntil) -> updated record,
+ *     or null if the code changed or has no attempts left. Reaching maxAttempts
+ *     clears the code and sets lockedUntil, all in one atomic step.
+ *   consume(phoneNumber, codeHash) -> whether this call removed the code
+ */
+
+/**
+ * In-memory OTP store (single process, used for tests and local runs)
+ * @returns {Object} - OTP store
+ */
+exports.createMemoryStore = () => {
+  const records = new Map();
+
+  // Nothing awaits between reading and writing a record, so each call is atomic
+  const current = (phoneNumber, codeHash) => {
+    const record = records.get(phoneNumber);
+    return record && record.codeHash && record.codeHash === codeHash ? record : null;
+  };
+
+  return {
+    get: async (phoneNumber) => {
+      const record = records.get(phoneNumber);
+      return record ? { ...record } : null;
+    },
+    set: async (phoneNumber, record) => {
+      records.set(phoneNumber, { ...record });
+    },
+    remove: async (phoneNumber) => {
+      records.delete(phoneNumber);
+    },
+    recordFailedAttempt: async (phoneNumber, codeHash, maxAttempts, lockedUntil) => {
+      const record = current(phoneNumber, codeHash);
+
+      if (!record || record.attempts >= maxAttempts) {
+        return null;
+      }
+
+      record.attempts += 1;
+
+      if (record.attempts >= maxAttempts) {
+        Object.assign(record, { codeHash: null, expiresAt: null, lockedUntil });
+      }
+
+      return { ...record };
+    },
+    consume: async (phoneNumber, codeHash) => {
+      return Boolean(current(phoneNumber, codeHash)) && records.delete(phoneNumber);
+    }
+  };
+};
+
+/**
+ * MongoDB-backed OTP store (default)
+ * @returns {Object} - OTP store
+ */
+exports.createMongoStore = () => ({
+  get: async (phoneNumber) => {
+    return await Otp.findOne({ phone: phoneNumber }).lean();
+  },
+  set: async (phoneNumber, record) => {
+    const { _id, __v, createdAt, ...data } = record;
+    await Otp.findOneAndUpdate(
+      { phone: phoneNumber },
+      { ...data, phone: phoneNumber, purgeAt: purgeDate(data), updatedAt: Date.now() },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+  },
+  remove: async (phoneNumber) => {
+    await Otp.deleteOne({ phone: phoneNumber });
+  },
+  recordFailedAttempt: async (phoneNumber, codeHash, maxAttempts, lockedUntil) => {
+    const reachedLimit = { $gte: ['$attempts', maxAttempts] };
+
+    return await Otp.findOneAndUpdate(
+      { phone: phoneNumber, codeHash, attempts: { $lt: maxAttempts } },
+      [
+        { $set: { attempts: { $add: ['$attempts', 1] } } },
+        {
+          $set: {
+            codeHash: { $cond: [reachedLimit, null, '$codeHash'] },
+            expiresAt: { $cond: [reachedLimit, null, '$expiresAt'] },
+            lockedUntil: { $cond: [reachedLimit, lockedUntil, '$lockedUntil'] },
+            purgeAt: { $cond: [reachedLimit, { $max: ['$purgeAt', lockedUntil] }, '$purgeAt'] },
+            updatedAt: new Date()
+          }
+        }
+      ],
+      { new: true }
+    ).lean();
+  },
+  consume: async (phoneNumber, codeHash) => {
+    const result = await Otp.deleteOne({ phone: phoneNumber, codeHash });
+    return result.deletedCount > 0;
+  }
+});
+
+/**
+ * Replace the OTP store (e.g. with createMemoryStore() in tests)
+ * @param {Object} otpStore - OTP store
+ */
+exports.useStore = (otpStore) => {
+  store = otpStore;
+};
+
+let store = exports.createMongoStore();
+
+/**
+ * Hash an OTP so plain codes are never persisted
+ */
+function hashOTP(phoneNumber, otp) {
+  return crypto
+    .createHash('sha256')
+    .update(`${phoneNumber}:${otp}`)
+    .digest('hex');
+}
+
+/**
+ * Constant-time comparison of two hex hashes
+ */
+function hashesMatch(a, b) {
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function isLocked(record, now) {
+  return Boolean(record.lockedUntil) && new Date(record.lockedUntil).getTime() > now;
+}
+
+function secondsUntil(date, now) {
+  return Math.ceil((new Date(date).getTime() - now) / 1000);
+}
+
+/**
+ * Latest moment an OTP record is still relevant (code, lockout or send window)
+ */
+function purgeDate(record) {
+  const times = [record.expiresAt, record.lockedUntil]
+    .filter(Boolean)
+    .map(date => new Date(date).getTime());
+
+  if (record.firstSentAt) {
+    times.push(new Date(record.firstSentAt).getTime() + OTP_SETTINGS.LOCKOUT_DURATION * 60000);
+  }
+
+  return times.length ? new Date(Math.max(...times)) : new Date();
+}
+
 /**
  * Send ride reminder SMS
  * @param {string} phoneNumber - Recipient phone number
@@ -0,0 +1,689 @@
+const crypto = require('crypto');
+const path = require('path');
+const Booking = require('../models/booking');
+const Payment = require('../models/payment');
+const Refund = require('../models/refund');
+const logger = require('../utils/logger');
+const {
+  PAYMENT_STATUS,
+  PAYMENT_INTENT_STATUS,
+  PAYMENT_SETTINGS,
+  REFUND_STATUS
+} = require('../utils/constants');
+require('dotenv').config();
+
+/*
+ * Card payments go through a gateway adapter. Money is authorized when the
+ * booking is made, captured when the ride completes and voided if the
+ * booking never happens. Every gateway call carries an idempotency key
+ * derived from the payment and the operation, so retries are safe.
+ *
+ * The adapter is chosen at startup by configureGateway: PAYMENT_GATEWAY names
+ * a module exporting ({ webhookSecret }) -> adapter. Without it card payments
+ * are off. The built-in fake gateway moves no money, so it is refused in
+ * production.
+ *
+ * A gateway adapter implements:
+ *   name
+ *   live - false for gateways that move no real money (defaults to true)
+ *   createPayment({ amount, currency, paymentToken, idempotencyKey, metadata }) -> { id, status }
+ *   capture(id, { amount, idempotencyKey }) -> { id, status, amountCaptured }
+ *   void(id, { idempotencyKey }) -> { id, status }
+ *   refund(id, { amount, idempotencyKey }) -> { id, status, amountRefunded }
+ *   verifyWebhook(rawBody, signatureHeader) -> event or null
+ *   payout({ amount, currency, idempotencyKey, metadata }) -> { id, status }
+ *     (optional; without it wallets cannot be withdrawn)
+ */
+
+// Booking payment status for each gateway payment status
+const BOOKING_PAYMENT_STATUS = {
+  [PAYMENT_INTENT_STATUS.REQUIRES_CAPTURE]: PAYMENT_STATUS.PENDING,
+  [PAYMENT_INTENT_STATUS.CAPTURED]: PAYMENT_STATUS.PAID,
+  [PAYMENT_INTENT_STATUS.VOIDED]: PAYMENT_STATUS.VOIDED,
+  [PAYMENT_INTENT_STATUS.FAILED]: PAYMENT_STATUS.FAILED,
+  [PAYMENT_INTENT_STATUS.REFUNDED]: PAYMENT_STATUS.REFUNDED
+};
+
+// Gateway payment statuses a payment may move to from each status
+const TRANSITIONS = {
+  [PAYMENT_INTENT_STATUS.REQUIRES_CAPTURE]: [
+    PAYMENT_INTENT_STATUS.CAPTURED,
+    PAYMENT_INTENT_STATUS.VOIDED,
+    PAYMENT_INTENT_STATUS.FAILED
+  ],
+  [PAYMENT_INTENT_STATUS.CAPTURED]: [PAYMENT_INTENT_STATUS.REFUNDED]
+};
+
+const CARD_PAYMENTS_DISABLED = 'Card payments are not enabled';
+
+// Operations every gateway adapter must provide
+const GATEWAY_METHODS = ['createPayment', 'capture', 'void', 'refund', 'verifyWebhook'];
+
+// Webhook event types and the status they report
+const WEBHOOK_EVENTS = {
+  'payment.captured': PAYMENT_INTENT_STATUS.CAPTURED,
+  'payment.voided': PAYMENT_INTENT_STATUS.VOIDED,
+  'payment.failed': PAYMENT_INTENT_STATUS.FAILED,
+  'payment.refunded': PAYMENT_INTENT_STATUS.REFUNDED
+};
+
+/**
+ * Authorize the price of a booking on the passenger's card
+ * @param {Object} booking - Booking document
+ * @param {string} paymentToken - Card token from the client
+ * @returns {Object} - { success, payment, message }
+ */
+exports.authorizeBooking = async (booking, paymentToken) => {
+  if (!gateway) {
+    return { success: false, message: CARD_PAYMENTS_DISABLED };
+  }
+
+  const idempotencyKey = `booking:${booking._id}:authorize`;
+
+  // A retried request reuses the payment created the first time
+  let payment = await Payment.findOne({ idempotencyKey });
+
+  if (!payment) {
+    try {
+      payment = await Payment.create({
+        booking: booking._id,
+        payer: booking.passenger,
+        payee: booking.driver,
+        amount: booking.totalPrice,
+        amountAuthorized: booking.totalPrice,
+        currency: process.env.PAYMENT_CURRENCY || PAYMENT_SETTINGS.CURRENCY,
+        gateway: requireGateway().name,
+        idempotencyKey
+      });
+    } catch (err) {
+      // Lost a race with a concurrent retry
+      if (err.code !== 11000) {
+        throw err;
+      }
+      payment = await Payment.findOne({ idempotencyKey });
+    }
+  }
+
+  if (payment.gatewayPaymentId) {
+    return { success: payment.status !== PAYMENT_INTENT_STATUS.FAILED, payment };
+  }
+
+  try {
+    const result = await requireGateway().createPayment({
+      amount: payment.amount,
+      currency: payment.currency,
+      paymentToken,
+      idempotencyKey,
+      metadata: { bookingId: booking._id.toString() }
+    });
+
+    payment = await Payment.findByIdAndUpdate(
+      payment._id,
+      { gatewayPaymentId: result.id, status: result.status, updatedAt: Date.now() },
+      { new: true }
+    );
+
+    await Booking.updateOne(
+      { _id: booking._id },
+      { paymentId: payment._id.toString(), paymentStatus: BOOKING_PAYMENT_STATUS[payment.status] }
+    );
+
+    return { success: true, payment };
+  } catch (err) {
+    logger.error(`Payment authorization failed for booking ${booking._id}:`, err);
+
+    payment = await Payment.findByIdAndUpdate(
+      payment._id,
+      { status: PAYMENT_INTENT_STATUS.FAILED, failureReason: err.message, updatedAt: Date.now() },
+      { new: true }
+    );
+
+    return { success: false, payment, message: err.message };
+  }
+};
+
+/**
+ * Charge a card straight away (authorize and capture), e.g. for wallet top-ups
+ * @param {number} amount - Amount to charge
+ * @param {string} paymentToken - Card token from the client
+ * @param {string} idempotencyKey - Key identifying the charge
+ * @param {Object} metadata - Extra data stored with the gateway payment
+ * @returns {Object} - { success, id, message }
+ */
+exports.chargeCard = async (amount, paymentToken, idempotencyKey, metadata = {}) => {
+  try {
+    const created = await requireGateway().createPayment({
+      amount,
+      currency: process.env.PAYMENT_CURRENCY || PAYMENT_SETTINGS.CURRENCY,
+      paymentToken,
+      idempotencyKey: `${idempotencyKey}:authorize`,
+      metadata
+    });
+
+    const captured = await requireGateway().capture(created.id, { amount, idempotencyKey: `${idempotencyKey}:capture` });
+
+    return { success: true, id: captured.id };
+  } catch (err) {
+    logger.error(`Card charge ${idempotencyKey} failed:`, err);
+    return { success: false, message: err.message };
+  }
+};
+
+/**
+ * Send money to a user's bank account, e.g. for wallet withdrawals
+ * @param {number} amount - Amount to pay out
+ * @param {string} idempotencyKey - Key identifying the payout
+ * @param {Object} metadata - Extra data sent with the payout, including the userId
+ * @returns {Object} - { success, id, message }
+ */
+exports.sendPayout = async (amount, idempotencyKey, metadata = {}) => {
+  try {
+    const sent = await requireGateway().payout({
+      amount,
+      currency: process.env.PAYMENT_CURRENCY || PAYMENT_SETTINGS.CURRENCY,
+      idempotencyKey: `${idempotencyKey}:payout`,
+      metadata
+    });
+
+    return { success: true, id: sent.id };
+  } catch (err) {
+    logger.error(`Payout ${idempotencyKey} failed:`, err);
+    return { success: false, message: err.message };
+  }
+};
+
+/**
+ * Take the authorized money for a completed booking
+ * @param {Object} booking - Booking document
+ * @returns {Object} - { success, payment, message }
+ */
+exports.captureBooking = async (booking) => {
+  return await runGatewayOperation(booking, 'capture', PAYMENT_INTENT_STATUS.CAPTURED, (payment, idempotencyKey) =>
+    requireGateway().capture(payment.gatewayPaymentId, { amount: payment.amount, idempotencyKey })
+  );
+};
+
+/**
+ * Release the authorization of a booking that will not be charged
+ * @param {Object} booking - Booking document
+ * @returns {Object} - { success, payment, message }
+ */
+exports.voidBooking = async (booking) => {
+  return await runGatewayOperation(booking, 'void', PAYMENT_INTENT_STATUS.VOIDED, (payment, idempotencyKey) =>
+    requireGateway().void(payment.gatewayPaymentId, { idempotencyKey })
+  );
+};
+
+/**
+ * Change the amount that will be captured for a booking whose fare changed.
+ * It can go up to the amount the card was authorized for, not beyond.
+ * @param {Object} booking - Booking paid by card
+ * @param {number} amount - New fare
+ * @param {boolean} checkOnly - Only check that the authorization covers the fare
+ * @returns {Object} - { success, message }
+ */
+exports.adjustBookingAmount = async (booking, amount, checkOnly = false) => {
+  const payment = booking.paymentId ? await Payment.findById(booking.paymentId) : null;
+
+  if (!payment) {
+    return { success: true };
+  }
+
+  const authorized = payment.amountAuthorized || payment.amount;
+
+  if (payment.status !== PAYMENT_INTENT_STATUS.REQUIRES_CAPTURE || amount > authorized) {
+    return { success: false, message: `The card payment for this booking covers at most ${authorized}` };
+  }
+
+  if (!checkOnly) {
+    await Payment.updateOne(
+      { _id: payment._id, status: PAYMENT_INTENT_STATUS.REQUIRES_CAPTURE },
+      { amount, amountAuthorized: authorized, updatedAt: Date.now() }
+    );
+  }
+
+  return { success: true };
+};
+
+/**
+ * Settle the payment of a cancelled booking: the passenger pays
+ * `outcome.chargeAmount` and gets `outcome.refundAmount` back
+ * @param {Object} booking - Cancelled booking
+ * @param {Object} outcome - Cancellation policy outcome (see cancellationService)
+ * @returns {Object} - { success, payment, refund, message }
+ */
+exports.settleCancellation = async (booking, outcome) => {
+  const payment = booking.paymentId ? await Payment.findById(booking.paymentId) : null;
+
+  if (!payment) {
+    return { success: true, payment: null, refund: null };
+  }
+
+  const refundAmount = Math.min(outcome.refundAmount, payment.amount - payment.amountRefunded);
+  let result = { success: true, payment };
+
+  if (payment.status === PAYMENT_INTENT_STATUS.REQUIRES_CAPTURE) {
+    // Nothing was taken yet: keep only the cancellation fee
+    result = refundAmount >= payment.amount
+      ? await exports.voidBooking(booking)
+      : await runGatewayOperation(booking, 'capture', PAYMENT_INTENT_STATUS.CAPTURED, (current, idempotencyKey) =>
+        requireGateway().capture(current.gatewayPaymentId, { amount: current.amount - refundAmount, idempotencyKey })
+      );
+  } else if (payment.status === PAYMENT_INTENT_STATUS.CAPTURED && refundAmount > 0) {
+    result = await runGatewayOperation(booking, 'refund', PAYMENT_INTENT_STATUS.REFUNDED, (current, idempotencyKey) =>
+      requireGateway().refund(current.gatewayPaymentId, { amount: refundAmount, idempotencyKey })
+    );
+  }
+
+  let refund = null;
+
+  if (refundAmount > 0) {
+    try {
+      refund = await Refund.create({
+        booking: booking._id,
+        payment: payment._id,
+        user: booking.passenger,
+        amount: refundAmount,
+        refundPercent: outcome.refundPercent,
+        currency: payment.currency,
+        status: result.success ? REFUND_STATUS.SUCCEEDED : REFUND_STATUS.FAILED,
+        cancelledBy: outcome.cancelledBy,
+        minutesBeforeDeparture: outcome.minutesBeforeDeparture,
+        reason: outcome.reason,
+        failureReason: result.success ? undefined : result.message
+      });
+    } catch (err) {
+      // The booking was already settled by an earlier attempt
+      if (err.code !== 11000) {
+        throw err;
+      }
+      refund = await Refund.findOne({ booking: booking._id });
+    }
+  }
+
+  if (result.success) {
+    await Booking.updateOne(
+      { _id: booking._id },
+      {
+        paymentStatus: refundAmount > 0 ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PAID,
+        updatedAt: Date.now()
+      }
+    );
+  }
+
+  return { success: result.success, payment: result.payment, refund, message: result.message };
+};
+
+/**
+ * Apply a signed webhook event from the gateway
+ * @param {string} rawBody - Request body exactly as received
+ * @param {string} signature - Signature header
+ * @returns {Object} - { success, reason, payment }
+ */
+exports.handleWebhook = async (rawBody, signature) => {
+  if (!gateway) {
+    return { success: false, reason: 'disabled' };
+  }
+
+  const event = requireGateway().verifyWebhook(rawBody, signature);
+
+  if (!event) {
+    return { success: false, reason: 'signature' };
+  }
+
+  const status = WEBHOOK_EVENTS[event.type];
+
+  // Events we do not act on are acknowledged so the gateway stops retrying
+  if (!status || !event.data || !event.data.id) {
+    return { success: true, reason: 'ignored' };
+  }
+
+  // Record the event id first so a redelivered event is applied only once
+  const payment = await Payment.findOneAndUpdate(
+    { gatewayPaymentId: event.data.id, processedEvents: { $ne: event.id } },
+    { $addToSet: { processedEvents: event.id }, updatedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!payment) {
+    const known = await Payment.exists({ gatewayPaymentId: event.data.id });
+    return { success: true, reason: known ? 'duplicate' : 'unknown_payment' };
+  }
+
+  const updated = await transition(payment, status, eventFields(status, event.data));
+
+  return { success: true, payment: updated || payment };
+};
+
+/**
+ * In-memory gateway for tests. It moves no money: card token "tok_decline"
+ * is declined and everything else is authorized.
+ * @param {string} secret - Webhook signing secret
+ * @returns {Object} - Gateway adapter, plus signWebhook(payload) for building test events
+ */
+exports.createFakeGateway = (secret) => {
+  if (!secret) {
+    throw new Error('A webhook signing secret is required');
+  }
+
+  const payments = new Map();
+  const responses = new Map();
+
+  // Replay the stored response when an idempotency key is reused
+  const idempotent = async (key, operation) => {
+    if (key && responses.has(key)) {
+      return { ...responses.get(key) };
+    }
+
+    const response = await operation();
+
+    if (key) {
+      responses.set(key, response);
+    }
+
+    return { ...response };
+  };
+
+  const find = (id) => {
+    const payment = payments.get(id);
+
+    if (!payment) {
+      throw new Error(`No such payment: ${id}`);
+    }
+
+    return payment;
+  };
+
+  return {
+    name: 'fake',
+    live: false,
+
+    createPayment: ({ amount, currency, paymentToken, idempotencyKey, metadata }) =>
+      idempotent(idempotencyKey, async () => {
+        if (paymentToken === 'tok_decline') {
+          throw new Error('Your card was declined');
+        }
+
+        const payment = {
+          id: `fake_pay_${crypto.randomBytes(12).toString('hex')}`,
+          amount,
+          currency,
+          metadata,
+          status: PAYMENT_INTENT_STATUS.REQUIRES_CAPTURE,
+          amountCaptured: 0,
+          amountRefunded: 0
+        };
+
+        payments.set(payment.id, payment);
+        return { ...payment };
+      }),
+
+    capture: (id, { amount, idempotencyKey }) =>
+      idempotent(idempotencyKey, async () => {
+        const payment = find(id);
+
+        if (payment.status !== PAYMENT_INTENT_STATUS.REQUIRES_CAPTURE) {
+          throw new Error(`Cannot capture a payment that is ${payment.status}`);
+        }
+
+        payment.status = PAYMENT_INTENT_STATUS.CAPTURED;
+        payment.amountCaptured = Math.min(amount === undefined ? payment.amount : amount, payment.amount);
+        return { ...payment };
+      }),
+
+    void: (id, { idempotencyKey }) =>
+      idempotent(idempotencyKey, async () => {
+        const payment = find(id);
+
+        if (payment.status !== PAYMENT_INTENT_STATUS.REQUIRES_CAPTURE) {
+          throw new Error(`Cannot void a payment that is ${payment.status}`);
+        }
+
+        payment.status = PAYMENT_INTENT_STATUS.VOIDED;
+        return { ...payment };
+      }),
+
+    refund: (id, { amount, idempotencyKey }) =>
+      idempotent(idempotencyKey, async () => {
+        const payment = find(id);
+        const refundable = payment.amountCaptured - payment.amountRefunded;
+
+        if (payment.status !== PAYMENT_INTENT_STATUS.CAPTURED || refundable <= 0) {
+          throw new Error(`Cannot refund a payment that is ${payment.status}`);
+        }
+
+        payment.amountRefunded += Math.min(amount === undefined ? refundable : amount, refundable);
+
+        if (payment.amountRefunded >= payment.amountCaptured) {
+          payment.status = PAYMENT_INTENT_STATUS.REFUNDED;
+        }
+
+        return { ...payment };
+      }),
+
+    payout: ({ amount, currency, idempotencyKey, metadata }) =>
+      idempotent(idempotencyKey, async () => ({
+        id: `fake_po_${crypto.randomBytes(12).toString('hex')}`,
+        amount,
+        currency,
+        metadata,
+        status: 'paid'
+      })),
+
+    verifyWebhook: (rawBody, signatureHeader) => {
+      if (!verifySignature(secret, rawBody, signatureHeader)) {
+        return null;
+      }
+
+      try {
+        return JSON.parse(rawBody);
+      } catch (err) {
+        return null;
+      }
+    },
+
+    signWebhook: (payload) => signPayload(secret, typeof payload === 'string' ? payload : JSON.stringify(payload))
+  };
+};
+
+/**
+ * Set up the payment gateway from the environment. Called once at startup.
+ *
+ * Without PAYMENT_GATEWAY card payments are switched off and bookings are
+ * paid in cash or from the wallet. PAYMENT_GATEWAY=fake simulates cards
+ * without moving money and is refused in production; any other value names
+ * an adapter module, which needs PAYMENT_WEBHOOK_SECRET.
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} - Gateway adapter in use, null when card payments are off
+ * @throws {Error} - When card payments are switched on but cannot be taken safely
+ */
+exports.configureGateway = (env = process.env) => {
+  const adapter = env.PAYMENT_GATEWAY;
+
+  if (!adapter) {
+    gateway = null;
+    return gateway;
+  }
+
+  if (adapter === 'fake') {
+    if (env.NODE_ENV === 'production') {
+      throw new Error('The fake payment gateway moves no money and cannot be used in production');
+    }
+
+    // Nobody outside this process can sign webhooks without a configured secret
+    exports.useGateway(exports.createFakeGateway(env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex')));
+    return gateway;
+  }
+
+  const webhookSecret = env.PAYMENT_WEBHOOK_SECRET;
+
+  if (!webhookSecret) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET must be set to take card payments');
+  }
+
+  const createGateway = require(adapter.startsWith('.') ? path.resolve(adapter) : adapter);
+  exports.useGateway(createGateway({ webhookSecret }));
+
+  return gateway;
+};
+
+/**
+ * Replace the payment gateway
+ * @param {Object} paymentGateway - Gateway adapter
+ */
+exports.useGateway = (paymentGateway) => {
+  const missing = GATEWAY_METHODS.filter(method => typeof (paymentGateway && paymentGateway[method]) !== 'function');
+
+  if (missing.length) {
+    throw new Error(`Payment gateway adapter is missing: ${missing.join(', ')}`);
+  }
+
+  gateway = paymentGateway;
+};
+
+/**
+ * Current payment gateway adapter
+ * @returns {Object|null} - Gateway adapter, or null before configureGateway ran
+ */
+exports.getGateway = () => gateway;
+
+/**
+ * Whether card payments can be taken
+ * @returns {boolean}
+ */
+exports.cardPaymentsEnabled = () => Boolean(gateway);
+
+/**
+ * Whether the gateway in use moves real money
+ * @returns {boolean}
+ */
+exports.isLiveGateway = () => Boolean(gateway && gateway.live !== false);
+
+/**
+ * Whether the gateway in use can pay money out to bank accounts
+ * @returns {boolean}
+ */
+exports.payoutsEnabled = () => exports.isLiveGateway() && typeof gateway.payout === 'function';
+
+let gateway = null;
+
+/**
+ * Gateway adapter in use; payments cannot be taken before one is configured
+ */
+function requireGateway() {
+  if (!gateway) {
+    throw new Error('No payment gateway is configured');
+  }
+
+  return gateway;
+}
+
+/**
+ * Run capture/void for the payment of a booking and record the outcome
+ */
+async function runGatewayOperation(booking, operation, targetStatus, call) {
+  if (!booking.paymentId) {
+    return { success: true, payment: null };
+  }
+
+  let payment = await Payment.findById(booking.paymentId);
+
+  if (!payment || payment.status === targetStatus) {
+    return { success: true, payment };
+  }
+
+  if (!(TRANSITIONS[payment.status] || []).includes(targetStatus)) {
+    return { success: false, payment, message: `Cannot ${operation} a payment that is ${payment.status}` };
+  }
+
+  try {
+    const result = await call(payment, `payment:${payment._id}:${operation}`);
+    payment = await transition(payment, targetStatus, eventFields(targetStatus, result));
+
+    return { success: true, payment };
+  } catch (err) {
+    logger.error(`Payment ${operation} failed for booking ${booking._id}:`, err);
+
+    // Capture failures leave the booking unpaid, voids are retried later
+    if (operation === 'capture') {
+      await transition(payment, PAYMENT_INTENT_STATUS.FAILED, { failureReason: err.message });
+    }
+
+    return { success: false, payment, message: err.message };
+  }
+}
+
+/**
+ * Move a payment to a new status if allowed, and mirror it on the booking
+ */
+async function transition(payment, status, fields = {}) {
+  const from = Object.keys(TRANSITIONS).filter(key => TRANSITIONS[key].includes(status));
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: from } },
+    { ...fields, status, updatedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!updated) {
+    return null;
+  }
+
+  await Booking.updateOne(
+    { _id: updated.booking },
+    { paymentStatus: BOOKING_PAYMENT_STATUS[status], updatedAt: Date.now() }
+  );
+
+  return updated;
+}
+
+/**
+ * Payment fields to record along with a status change
+ */
+function eventFields(status, data = {}) {
+  switch (status) {
+    case PAYMENT_INTENT_STATUS.CAPTURED:
+      return { capturedAt: Date.now(), ...(data.amountCaptured !== undefined && { amountCaptured: data.amountCaptured }) };
+    case PAYMENT_INTENT_STATUS.VOIDED:
+      return { voidedAt: Date.now() };
+    case PAYMENT_INTENT_STATUS.REFUNDED:
+      return { refundedAt: Date.now(), ...(data.amountRefunded !== undefined && { amountRefunded: data.amountRefunded }) };
+    case PAYMENT_INTENT_STATUS.FAILED:
+      return { failureReason: data.reason || data.failureReason };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Signature header: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function verifySignature(secret, body, header) {
+  if (!body || !header) {
+    return false;
+  }
+
+  const parts = Object.fromEntries(
+    header.split(',').map(part => part.trim().split('='))
+  );
+  const timestamp = parseInt(parts.t, 10);
+
+  if (!timestamp || !parts.v1 ||
+      Math.abs(Date.now() / 1000 - timestamp) > PAYMENT_SETTINGS.SIGNATURE_TOLERANCE) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
@@ -0,0 +1,232 @@
+const Booking = require('../models/booking');
+const PromoCode = require('../models/promoCode');
+const PromoRedemption = require('../models/promoRedemption');
+const { BOOKING_STATUS, PROMO_DISCOUNT_TYPES, PROMO_REDEMPTION_STATUS } = require('../utils/constants');
+
+const ALREADY_USED = 'You have already used this promo code';
+const FIRST_RIDE_ONLY = 'This promo code is only valid on your first ride';
+
+/**
+ * Discount a promo code gives on a fare
+ * @param {Object} promo - PromoCode document
+ * @param {number} fare - Fare before discount
+ * @returns {number} - Discount, never more than the fare
+ */
+exports.calculateDiscount = (promo, fare) => {
+  let discount = promo.discountType === PROMO_DISCOUNT_TYPES.PERCENTAGE
+    ? fare * promo.discountValue / 100
+    : promo.discountValue;
+
+  if (promo.discountType === PROMO_DISCOUNT_TYPES.PERCENTAGE && promo.maxDiscount) {
+    discount = Math.min(discount, promo.maxDiscount);
+  }
+
+  return roundAmount(Math.min(discount, fare));
+};
+
+/**
+ * Discount the promo code of a booking gives on a changed fare. The code was
+ * valid when the booking was made, so only its amount rules apply.
+ * @param {Object} booking - Booking with a promo code
+ * @param {number} fare - New fare before discount
+ * @returns {number} - Discount on the new fare
+ */
+exports.discountForBooking = async (booking, fare) => {
+  if (!booking.promoCode) {
+    return 0;
+  }
+
+  const promo = await PromoCode.findOne({ code: booking.promoCode });
+
+  if (!promo) {
+    return roundAmount(Math.min(booking.discount || 0, fare));
+  }
+
+  return fare < promo.minFare ? 0 : exports.calculateDiscount(promo, fare);
+};
+
+/**
+ * Record a changed discount on the promo code use of a booking
+ * @param {Object} booking - Booking whose discount changed
+ */
+exports.updateRedemption = async (booking) => {
+  await PromoRedemption.updateOne(
+    { booking: booking._id, status: PROMO_REDEMPTION_STATUS.ACTIVE },
+    { discount: booking.discount, updatedAt: Date.now() }
+  );
+};
+
+/**
+ * Check whether a user may use a promo code on a fare
+ * @param {string} code - Code entered by the user
+ * @param {string} userId - User ID
+ * @param {number} fare - Fare before discount
+ * @param {Date} now - Time of the booking
+ * @returns {Object} - { success, promo, discount, message }
+ */
+exports.evaluate = async (code, userId, fare, now = new Date()) => {
+  const promo = await PromoCode.findOne({ code: String(code).trim().toUpperCase(), isActive: true });
+
+  if (!promo) {
+    return { success: false, message: 'Invalid promo code' };
+  }
+
+  if ((promo.validFrom && now < promo.validFrom) || (promo.validUntil && now > promo.validUntil)) {
+    return { success: false, message: 'This promo code is not valid at this time' };
+  }
+
+  if (promo.usageLimit && promo.usageCount >= promo.usageLimit) {
+    return { success: false, message: 'This promo code has been fully redeemed' };
+  }
+
+  if (fare < promo.minFare) {
+    return { success: false, message: `This promo code needs a fare of at least ${promo.minFare}` };
+  }
+
+  const used = await PromoRedemption.countDocuments({
+    promoCode: promo._id,
+    user: userId,
+    status: PROMO_REDEMPTION_STATUS.ACTIVE
+  });
+
+  if (used >= promo.perUserLimit) {
+    return { success: false, message: ALREADY_USED };
+  }
+
+  if (promo.firstRideOnly && await hasOtherBookings(userId)) {
+    return { success: false, message: FIRST_RIDE_ONLY };
+  }
+
+  return { success: true, promo, discount: exports.calculateDiscount(promo, fare) };
+};
+
+/**
+ * Record the use of a promo code on a booking, within its usage cap, the
+ * user's limit and its first ride rule. The booking must already be stored.
+ * @param {Object} promo - PromoCode document
+ * @param {Object} booking - Booking the code is used on
+ * @returns {Object} - { success, redemption, message }
+ */
+exports.redeem = async (promo, booking) => {
+  // The booking is stored before this check, so of two first bookings made at
+  // the same time the later check always sees the other one
+  if (promo.firstRideOnly && await hasOtherBookings(booking.passenger, booking._id)) {
+    return { success: false, message: FIRST_RIDE_ONLY };
+  }
+
+  // Count the use atomically so the cap cannot be exceeded
+  const claimed = await PromoCode.findOneAndUpdate(
+    {
+      _id: promo._id,
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usageCount: 1 }, updatedAt: Date.now() }
+  );
+
+  if (!claimed) {
+    return { success: false, message: 'This promo code has been fully redeemed' };
+  }
+
+  try {
+    // Take a free use slot of the user; the unique slot index turns away a
+    // concurrent booking that picked the same one
+    for (;;) {
+      const slot = await freeSlot(claimed, booking.passenger);
+
+      if (slot > claimed.perUserLimit) {
+        await PromoCode.updateOne({ _id: promo._id }, { $inc: { usageCount: -1 } });
+        return { success: false, message: ALREADY_USED };
+      }
+
+      try {
+        const redemption = await PromoRedemption.create({
+          promoCode: promo._id,
+          user: booking.passenger,
+          booking: booking._id,
+          discount: booking.discount,
+          slot
+        });
+
+        return { success: true, redemption };
+      } catch (err) {
+        if (err.code !== 11000 || !err.keyPattern || !err.keyPattern.slot) {
+          throw err;
+        }
+      }
+    }
+  } catch (err) {
+    await PromoCode.updateOne({ _id: promo._id }, { $inc: { usageCount: -1 } });
+    throw err;
+  }
+};
+
+/**
+ * Give back the promo code use of a booking that did not go ahead
+ * @param {Object} booking - Rejected, cancelled, expired or deleted booking
+ */
+exports.releaseForBooking = async (booking) => {
+  if (!booking.promoCode) {
+    return;
+  }
+
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { booking: booking._id, status: PROMO_REDEMPTION_STATUS.ACTIVE },
+    { status: PROMO_REDEMPTION_STATUS.RELEASED, updatedAt: Date.now() }
+  );
+
+  if (redemption) {
+    await PromoCode.updateOne(
+      { _id: redemption.promoCode, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 }, updatedAt: Date.now() }
+    );
+  }
+};
+
+/**
+ * Whether a user has a booking that is going ahead or completed
+ */
+async function hasOtherBookings(userId, exceptBookingId) {
+  const filter = {
+    passenger: userId,
+    status: { $nin: [BOOKING_STATUS.CANCELLED, BOOKING_STATUS.REJECTED, BOOKING_STATUS.EXPIRED] }
+  };
+
+  if (exceptBookingId) {
+    filter._id = { $ne: exceptBookingId };
+  }
+
+  return Boolean(await Booking.exists(filter));
+}
+
+/**
+ * Lowest use slot of a code the user does not hold. Uses recorded before
+ * slots existed take up the lowest free numbers.
+ */
+async function freeSlot(promo, userId) {
+  const active = await PromoRedemption.find({
+    promoCode: promo._id,
+    user: userId,
+    status: PROMO_REDEMPTION_STATUS.ACTIVE
+  }).select('slot').lean();
+
+  const taken = new Set(active.filter(use => use.slot).map(use => use.slot));
+  let unslotted = active.filter(use => !use.slot).length;
+  let slot = 1;
+
+  while (taken.has(slot) || unslotted > 0) {
+    if (!taken.has(slot)) {
+      unslotted--;
+    }
+    slot++;
+  }
+
+  return slot;
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
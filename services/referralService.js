@@ -0,0 +1,119 @@
+const User = require('../models/user');
+const walletService = require('./walletService');
+const notificationController = require('../controllers/notificationController');
+const logger = require('../utils/logger');
+const { generateConfirmationCode } = require('../utils/helpers');
+const { LEDGER_TRANSACTION_TYPES, NOTIFICATION_TYPES, REFERRAL_SETTINGS } = require('../utils/constants');
+
+/**
+ * Link a new user to the user whose referral code they signed up with
+ * @param {Object} user - Newly registered user
+ * @param {string} code - Referral code entered at registration
+ * @returns {boolean} - Whether the code was valid
+ */
+exports.applyReferralCode = async (user, code) => {
+  const referrer = await User.findOne({ referralCode: String(code).trim().toUpperCase(), isActive: true });
+
+  if (!referrer || referrer._id.equals(user._id)) {
+    return false;
+  }
+
+  await User.updateOne({ _id: user._id, referredBy: null }, { referredBy: referrer._id });
+  return true;
+};
+
+/**
+ * A user's referral code, created for accounts that predate the program
+ * @param {string} userId - User ID
+ * @returns {string} - Referral code
+ */
+exports.getReferralCode = async (userId) => {
+  const user = await User.findById(userId).select('referralCode');
+
+  if (user.referralCode) {
+    return user.referralCode;
+  }
+
+  const updated = await User.findOneAndUpdate(
+    { _id: userId, referralCode: null },
+    { referralCode: generateConfirmationCode() },
+    { new: true }
+  );
+
+  return updated ? updated.referralCode : (await User.findById(userId).select('referralCode')).referralCode;
+};
+
+/**
+ * Credit referrer and referee once the referee completes their first booking
+ * @param {Object} booking - Completed booking
+ */
+exports.rewardReferral = async (booking) => {
+  // Claim the reward so it is only paid once
+  const referee = await User.findOneAndUpdate(
+    { _id: booking.passenger, referredBy: { $ne: null }, referralRewardedAt: null },
+    { referralRewardedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!referee) {
+    return;
+  }
+
+  const credits = [
+    {
+      user: referee.referredBy,
+      amount: REFERRAL_SETTINGS.REFERRER_CREDIT,
+      role: 'referrer',
+      message: `${referee.firstName} completed their first ride. ${REFERRAL_SETTINGS.REFERRER_CREDIT} has been added to your wallet.`
+    },
+    {
+      user: referee._id,
+      amount: REFERRAL_SETTINGS.REFEREE_CREDIT,
+      role: 'referee',
+      message: `Thanks for riding with CityRide! ${REFERRAL_SETTINGS.REFEREE_CREDIT} has been added to your wallet for joining through a referral.`
+    }
+  ];
+
+  for (const credit of credits) {
+    const result = await walletService.grantCredit(credit.user, credit.amount, {
+      type: LEDGER_TRANSACTION_TYPES.REFERRAL_CREDIT,
+      description: credit.role === 'referrer' ? 'Referral reward' : 'Welcome credit for joining through a referral',
+      idempotencyKey: `referral:${referee._id}:${credit.role}`
+    });
+
+    if (!result.success) {
+      logger.error(`Could not credit referral ${credit.role} for user ${referee._id}: ${result.message}`);
+      continue;
+    }
+
+    await notificationController.createNotification({
+      recipient: credit.user,
+      type: NOTIFICATION_TYPES.SYSTEM_NOTIFICATION,
+      title: 'Referral Credit',
+      message: credit.message,
+      relatedResource: {
+        resourceType: 'user',
+        resourceId: referee._id
+      }
+    });
+  }
+};
+
+/**
+ * Referral code and stats of a user
+ * @param {string} userId - User ID
+ * @returns {Object} - { referralCode, referred, rewarded }
+ */
+exports.getSummary = async (userId) => {
+  const referralCode = await exports.getReferralCode(userId);
+  const referred = await User.countDocuments({ referredBy: userId });
+  const rewarded = await User.countDocuments({ referredBy: userId, referralRewardedAt: { $ne: null } });
+
+  return {
+    referralCode,
+    referred,
+    rewarded,
+    referrerCredit: REFERRAL_SETTINGS.REFERRER_CREDIT,
+    refereeCredit: REFERRAL_SETTINGS.REFEREE_CREDIT
+  };
+};
@@ -0,0 +1,169 @@
+const RideAlert = require('../models/rideAlert');
+const RideAlertMatch = require('../models/rideAlertMatch');
+const fareService = require('./fareService');
+const rideMatchingService = require('./rideMatchingService');
+const notificationController = require('../controllers/notificationController');
+const logger = require('../utils/logger');
+const { pathArea } = require('../utils/geo');
+const { NOTIFICATION_TYPES, RIDE_MATCHING, RIDE_STATUS } = require('../utils/constants');
+
+/**
+ * Check whether a ride satisfies a saved alert
+ * @param {Object} alert - Ride alert
+ * @param {Object} ride - Ride with a route
+ * @returns {Object|null} - { match, farePerSeat, seatsAvailable }, or null if the ride does not fit
+ */
+exports.matchAlert = (alert, ride) => {
+  if (!alert.isActive || alert.user.toString() === ride.driver.toString()) {
+    return null;
+  }
+
+  const departure = new Date(ride.departureTime);
+
+  if ((alert.dateFrom && departure < startOfDay(alert.dateFrom)) ||
+      (alert.dateTo && departure > endOfDay(alert.dateTo))) {
+    return null;
+  }
+
+  if (alert.weekdays && alert.weekdays.length && !alert.weekdays.includes(departure.getDay())) {
+    return null;
+  }
+
+  if (!inTimeWindow(departure, alert.timeFrom, alert.timeTo)) {
+    return null;
+  }
+
+  const pickup = alert.source.location.coordinates;
+  const dropoff = alert.destination.location.coordinates;
+  const match = rideMatchingService.matchRide(ride, pickup, dropoff, alert.radius);
+
+  if (!match) {
+    return null;
+  }
+
+  const quote = fareService.quote(ride, pickup, dropoff, alert.seats);
+
+  if (!quote || quote.seatsAvailable < alert.seats ||
+      (alert.maxPrice !== undefined && alert.maxPrice !== null && quote.farePerSeat > alert.maxPrice)) {
+    return null;
+  }
+
+  return { match, farePerSeat: quote.farePerSeat, seatsAvailable: quote.seatsAvailable };
+};
+
+/**
+ * Notify the passengers whose alerts match a new or updated ride. Each
+ * alert fires at most once per ride.
+ * @param {Object} ride - Ride document
+ * @returns {number} - Alerts fired
+ */
+exports.notifyMatchingAlerts = async (ride) => {
+  try {
+    const path = ride.route && ride.route.coordinates;
+
+    if (ride.status !== RIDE_STATUS.SCHEDULED || new Date(ride.departureTime) <= new Date() ||
+        !path || path.length < 2) {
+      return 0;
+    }
+
+    // Coarse filter on the source point; matchAlert does the exact check
+    const alerts = await RideAlert.find({
+      isActive: true,
+      user: { $ne: ride.driver },
+      'source.location': {
+        $geoWithin: { $geometry: pathArea(path, RIDE_MATCHING.MAX_SEARCH_RADIUS) }
+      },
+      $and: [
+        { $or: [{ dateTo: { $exists: false } }, { dateTo: null }, { dateTo: { $gte: startOfDay(ride.departureTime) } }] },
+        { $or: [{ dateFrom: { $exists: false } }, { dateFrom: null }, { dateFrom: { $lte: endOfDay(ride.departureTime) } }] }
+      ]
+    });
+
+    let fired = 0;
+
+    for (const alert of alerts) {
+      const result = exports.matchAlert(alert, ride);
+
+      if (!result) {
+        continue;
+      }
+
+      // The unique index makes sure an alert fires only once per ride
+      try {
+        await RideAlertMatch.create({
+          alert: alert._id,
+          ride: ride._id,
+          user: alert.user,
+          farePerSeat: result.farePerSeat
+        });
+      } catch (err) {
+        if (err.code === 11000) {
+          continue;
+        }
+        throw err;
+      }
+
+      await RideAlert.updateOne(
+        { _id: alert._id },
+        { $inc: { matchCount: 1 }, lastMatchedAt: Date.now() }
+      );
+
+      await notificationController.createNotification({
+        recipient: alert.user,
+        type: NOTIFICATION_TYPES.SYSTEM_NOTIFICATION,
+        title: 'New Ride Matches Your Alert',
+        message: `A ride from ${ride.source.address} to ${ride.destination.address} on ${new Date(ride.departureTime).toLocaleString()} ` +
+          `matches ${alert.name ? `your alert "${alert.name}"` : 'one of your ride alerts'}. ` +
+          `${result.seatsAvailable} seat(s) left at ${result.farePerSeat} per seat.`,
+        relatedResource: {
+          resourceType: 'ride',
+          resourceId: ride._id
+        },
+        deliveryMethod: 'all'
+      });
+
+      fired++;
+    }
+
+    return fired;
+  } catch (err) {
+    // Alerts must never fail the ride change that triggered them
+    logger.error(`Error matching ride alerts for ride ${ride._id}:`, err);
+    return 0;
+  }
+};
+
+/**
+ * Whether the time of day of a departure lies in a HH:mm window,
+ * which may run past midnight
+ */
+function inTimeWindow(departure, timeFrom, timeTo) {
+  if (!timeFrom && !timeTo) {
+    return true;
+  }
+
+  const minutes = departure.getHours() * 60 + departure.getMinutes();
+  const from = timeFrom ? toMinutes(timeFrom) : 0;
+  const to = timeTo ? toMinutes(timeTo) : 24 * 60 - 1;
+
+  return from <= to
+    ? minutes >= from && minutes <= to
+    : minutes >= from || minutes <= to;
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+function endOfDay(date) {
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+  return day;
+}
@@ -0,0 +1,94 @@
+const { locateOnRoute, pathLength, searchArea } = require('../utils/geo');
+const { DEFAULT_SEARCH_RADIUS, RIDE_MATCHING } = require('../utils/constants');
+
+/**
+ * Search radius in kilometers, limited to the allowed maximum
+ * @param {number} radius - Requested radius
+ * @returns {number} - Radius to use
+ */
+exports.getSearchRadius = (radius) => {
+  const value = parseFloat(radius);
+
+  if (!value || value <= 0) {
+    return DEFAULT_SEARCH_RADIUS;
+  }
+
+  return Math.min(value, RIDE_MATCHING.MAX_SEARCH_RADIUS);
+};
+
+/**
+ * Add conditions selecting rides whose route passes near the given points.
+ * This is a coarse index-backed filter; matchRide does the exact check.
+ * @param {Object} query - Mongo query to extend
+ * @param {Array} points - [longitude, latitude] points the route must pass
+ * @param {number} radius - Search radius in kilometers
+ * @returns {Object} - The extended query
+ */
+exports.addRouteFilter = (query, points, radius) => {
+  const conditions = points.map(point => ({
+    route: {
+      $geoIntersects: {
+        $geometry: searchArea(point, radius)
+      }
+    }
+  }));
+
+  if (conditions.length) {
+    query.$and = (query.$and || []).concat(conditions);
+  }
+
+  return query;
+};
+
+/**
+ * Check how well a ride fits a passenger's pickup and dropoff
+ * @param {Object} ride - Ride with a route
+ * @param {Array} pickup - [longitude, latitude] or null
+ * @param {Array} dropoff - [longitude, latitude] or null
+ * @param {number} radius - Maximum walking distance to the route per point, in km
+ * @returns {Object|null} - Match details, or null if the ride does not fit
+ */
+exports.matchRide = (ride, pickup, dropoff, radius) => {
+  const path = ride.route && ride.route.coordinates;
+
+  if (!path || path.length < 2) {
+    return null;
+  }
+
+  const pickupMatch = pickup ? locateOnRoute(pickup, path) : null;
+  const dropoffMatch = dropoff ? locateOnRoute(dropoff, path) : null;
+
+  if ((pickupMatch && pickupMatch.distance > radius) ||
+      (dropoffMatch && dropoffMatch.distance > radius)) {
+    return null;
+  }
+
+  // The driver has to pass the pickup before the dropoff
+  if (pickupMatch && dropoffMatch && pickupMatch.offset >= dropoffMatch.offset) {
+    return null;
+  }
+
+  const pickupWalk = pickupMatch ? pickupMatch.distance : 0;
+  const dropoffWalk = dropoffMatch ? dropoffMatch.distance : 0;
+  const walkingDistance = pickupWalk + dropoffWalk;
+  const detourDistance = (pickupMatch ? pickupMatch.detour : 0) + (dropoffMatch ? dropoffMatch.detour : 0);
+
+  const matchedPoints = (pickup ? 1 : 0) + (dropoff ? 1 : 0);
+  const routeLength = Math.max(pathLength(path), 1);
+  const walkingScore = 1 - walkingDistance / (radius * matchedPoints);
+  const detourScore = 1 - Math.min(detourDistance / routeLength, 1);
+
+  return {
+    pickupWalkingDistance: round(pickupWalk),
+    dropoffWalkingDistance: round(dropoffWalk),
+    walkingDistance: round(walkingDistance),
+    detourDistance: round(detourDistance),
+    score: Math.round(
+      100 * (RIDE_MATCHING.WALKING_WEIGHT * walkingScore + RIDE_MATCHING.DETOUR_WEIGHT * detourScore)
+    )
+  };
+};
+
+function round(km) {
+  return Math.round(km * 100) / 100;
+}
@@ -0,0 +1,147 @@
+const Ride = require('../models/ride');
+const logger = require('../utils/logger');
+const { RIDE_STATUS, RECURRING_RIDES } = require('../utils/constants');
+const { getOccurrenceDates, startOfDay } = require('../utils/recurrence');
+
+// Fields copied from the series' first ride onto every occurrence
+const OCCURRENCE_FIELDS = [
+  'driver',
+  'source',
+  'destination',
+  'intermediateStops',
+  'route',
+  'seatsTotal',
+  'pricePerSeat',
+  'pricingMode',
+  'segmentPrices',
+  'vehicle',
+  'vehicleDetails',
+  'preferences',
+  'additionalNotes',
+  'instantBooking',
+  'instantBookingRequirements',
+  'priceNegotiation'
+];
+
+/**
+ * Create the concrete rides of a recurring ride up to the generation horizon.
+ * Safe to call repeatedly: existing occurrences (including skipped or edited
+ * ones) are never recreated or overwritten.
+ * @param {Object} parentRide - Recurring ride (first trip of the series)
+ * @param {number} horizonDays - How many days ahead to generate
+ * @returns {number} - Number of occurrences created
+ */
+exports.materializeOccurrences = async (parentRide, horizonDays = RECURRING_RIDES.GENERATION_HORIZON) => {
+  const details = parentRide.recurringDetails || {};
+
+  if (!parentRide.isRecurring || parentRide.parentRide || details.cancelledAt) {
+    return 0;
+  }
+
+  const until = new Date(Date.now() + horizonDays * 24 * 60 * 60 * 1000);
+  const dates = getOccurrenceDates(parentRide.departureTime, details, {
+    after: details.generatedUntil,
+    until,
+    limit: RECURRING_RIDES.MAX_OCCURRENCES
+  });
+
+  const template = parentRide.toObject();
+  const tripDuration = parentRide.estimatedArrivalTime
+    ? parentRide.estimatedArrivalTime.getTime() - parentRide.departureTime.getTime()
+    : 0;
+
+  const operations = dates.map(departureTime => {
+    const occurrence = {
+      parentRide: parentRide._id,
+      occurrenceDate: startOfDay(departureTime),
+      departureTime,
+      estimatedArrivalTime: new Date(departureTime.getTime() + tripDuration),
+      seatsAvailable: parentRide.seatsTotal,
+      segmentSeatsAvailable: new Array(Ride.getLegCount(parentRide)).fill(parentRide.seatsTotal),
+      status: RIDE_STATUS.SCHEDULED,
+      isRecurring: false,
+      isSeriesException: false,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    OCCURRENCE_FIELDS.forEach(field => {
+      if (template[field] !== undefined) {
+        occurrence[field] = template[field];
+      }
+    });
+
+    return {
+      updateOne: {
+        filter: { parentRide: parentRide._id, occurrenceDate: occurrence.occurrenceDate },
+        update: { $setOnInsert: occurrence },
+        upsert: true
+      }
+    };
+  });
+
+  let created = 0;
+
+  if (operations.length) {
+    const result = await Ride.bulkWrite(operations, { ordered: false });
+    created = result.upsertedCount;
+  }
+
+  // Remember how far the series has been generated
+  const generatedUntil = dates.length === RECURRING_RIDES.MAX_OCCURRENCES
+    ? dates[dates.length - 1]
+    : until;
+
+  await Ride.updateOne(
+    { _id: parentRide._id },
+    { 'recurringDetails.generatedUntil': generatedUntil }
+  );
+
+  if (created) {
+    logger.info(`Generated ${created} occurrences for recurring ride ${parentRide._id}`);
+  }
+
+  return created;
+};
+
+/**
+ * Get the series' first ride for any ride of a series
+ * @param {Object} ride - Recurring ride or one of its occurrences
+ * @returns {Object|null} - Parent ride, or null if the ride is not part of a series
+ */
+exports.getSeriesParent = async (ride) => {
+  if (ride.parentRide) {
+    return await Ride.findById(ride.parentRide);
+  }
+
+  return ride.isRecurring ? ride : null;
+};
+
+/**
+ * Get all rides of a series, first ride included, in departure order
+ * @param {Object} parentRide - Recurring ride
+ * @param {Object} filter - Extra query conditions
+ * @returns {Array} - Rides of the series
+ */
+exports.getSeriesRides = async (parentRide, filter = {}) => {
+  return await Ride.find({
+    $or: [{ _id: parentRide._id }, { parentRide: parentRide._id }],
+    ...filter
+  }).sort({ departureTime: 1 });
+};
+
+/**
+ * Find the ride of a series that runs on a given day
+ * @param {Object} parentRide - Recurring ride
+ * @param {Date} date - Day of the occurrence
+ * @returns {Object|null} - Ride running on that day
+ */
+exports.findOccurrenceOnDate = async (parentRide, date) => {
+  const day = startOfDay(date);
+
+  if (startOfDay(parentRide.departureTime).getTime() === day.getTime()) {
+    return parentRide;
+  }
+
+  return await Ride.findOne({ parentRide: parentRide._id, occurrenceDate: day });
+};
@@ -0,0 +1,379 @@
+const Booking = require('../models/booking');
+const Ride = require('../models/ride');
+const socketService = require('./socketService');
+const waitlistService = require('./waitlistService');
+const logger = require('../utils/logger');
+const { BOOKING_STATUS, RIDE_STATUS } = require('../utils/constants');
+
+/*
+ * Seat accounting for rides.
+ *
+ * A ride is split into legs between its stops and every leg has its own
+ * count in `segmentSeatsAvailable`, so one seat can be sold on legs that
+ * do not overlap. Every write below is a single conditional update, so
+ * concurrent requests can never push a leg below zero. The invariants kept are:
+ *
+ *   ride.seatsTotal - ride.segmentSeatsAvailable[leg] === sum of booking.seatsHeld
+ *                                                       over bookings riding that leg
+ *   ride.seatsAvailable === min(ride.segmentSeatsAvailable)
+ *
+ * where `seatsHeld` is only set on a booking once its seats were actually
+ * taken from the ride, and cleared before they are given back.
+ *
+ * Seats offered to waitlisted passengers stay free until the offer is taken
+ * or expires: approving a booking or growing one only takes seats beyond
+ * them, and the check is part of the same conditional update.
+ */
+
+/**
+ * Take seats from a scheduled ride if enough are left on every leg
+ * @param {string} rideId - Ride ID
+ * @param {number} seats - Number of seats to reserve
+ * @param {Object} segment - { from, to } stop indices, whole route if omitted
+ * @param {number} keepFree - Seats that must be left on every leg, e.g. offered to the waitlist
+ * @returns {Object|null} - Updated ride, or null if not enough seats
+ */
+exports.reserveSeats = async (rideId, seats, segment, keepFree = 0) => {
+  await ensureSegmentSeats(rideId);
+
+  const legs = legRange(segment);
+
+  return await Ride.findOneAndUpdate(
+    {
+      _id: rideId,
+      status: RIDE_STATUS.SCHEDULED,
+      $expr: { $gte: [{ $min: legs.slice('$segmentSeatsAvailable') }, seats + keepFree] }
+    },
+    adjustLegs(legs, -seats),
+    { new: true }
+  );
+};
+
+/**
+ * Give seats back to a ride, never exceeding its total on any leg
+ * @param {string} rideId - Ride ID
+ * @param {number} seats - Number of seats to release
+ * @param {Object} segment - { from, to } stop indices, whole route if omitted
+ * @returns {Object|null} - Updated ride
+ */
+exports.releaseSeats = async (rideId, seats, segment) => {
+  await ensureSegmentSeats(rideId);
+
+  const legs = legRange(segment);
+
+  const ride = await Ride.findOneAndUpdate(
+    {
+      _id: rideId,
+      $expr: { $lte: [{ $add: [{ $max: legs.slice('$segmentSeatsAvailable') }, seats] }, '$seatsTotal'] }
+    },
+    adjustLegs(legs, seats),
+    { new: true }
+  );
+
+  if (!ride) {
+    logger.error(`Could not release ${seats} seats on ride ${rideId}: seat count would exceed total`);
+  }
+
+  return ride;
+};
+
+/**
+ * Hold seats for a booking that is already approved
+ * @param {Object} booking - Booking document (status approved, nothing held)
+ * @param {number} keepFree - Seats that must be left on every leg
+ * @returns {Object|null} - Updated ride, or null if not enough seats
+ */
+exports.holdSeatsForBooking = async (booking, keepFree = 0) => {
+  const ride = await exports.reserveSeats(booking.ride, booking.seatsBooked, booking.segment, keepFree);
+
+  if (!ride) {
+    return null;
+  }
+
+  // Only mark the seats as held if the booking is still approved
+  const marked = await Booking.updateOne(
+    { _id: booking._id, status: BOOKING_STATUS.APPROVED, seatsHeld: 0 },
+    { seatsHeld: booking.seatsBooked, updatedAt: Date.now() }
+  );
+
+  if (marked.modifiedCount === 0) {
+    // Booking changed underneath us (e.g. cancelled) - undo the reservation
+    await exports.releaseSeats(booking.ride, booking.seatsBooked, booking.segment);
+    return null;
+  }
+
+  return ride;
+};
+
+/**
+ * Give back whatever seats a booking is holding
+ * @param {string} bookingId - Booking ID
+ * @returns {Object|null} - Updated ride, or null if nothing was held
+ */
+exports.releaseBookingSeats = async (bookingId) => {
+  // Clear the hold first so the seats can only ever be released once
+  const previous = await Booking.findOneAndUpdate(
+    { _id: bookingId, seatsHeld: { $gt: 0 } },
+    { seatsHeld: 0, updatedAt: Date.now() }
+  );
+
+  if (!previous) {
+    return null;
+  }
+
+  return await exports.releaseSeats(previous.ride, previous.seatsHeld, previous.segment);
+};
+
+/**
+ * Approve a pending booking and reserve its seats
+ * @param {Object} booking - Pending booking document
+ * @param {Object} update - Extra fields to set on the booking
+ * @returns {Object} - { booking, ride } on success, { reason } otherwise
+ */
+exports.approveBooking = async (booking, update = {}) => {
+  const approved = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: BOOKING_STATUS.PENDING },
+    { ...update, status: BOOKING_STATUS.APPROVED, updatedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!approved) {
+    return { reason: 'status' };
+  }
+
+  // Seats offered to someone else on the waitlist are not for this booking
+  const offered = await waitlistService.getOfferedSeats(approved.ride, approved.passenger);
+  const ride = await exports.holdSeatsForBooking(approved, offered);
+
+  if (!ride) {
+    // Not enough seats - put the booking back the way it was
+    await Booking.updateOne(
+      { _id: booking._id, status: BOOKING_STATUS.APPROVED, seatsHeld: 0 },
+      { status: BOOKING_STATUS.PENDING, updatedAt: Date.now() }
+    );
+
+    return { reason: 'seats' };
+  }
+
+  return { booking: await Booking.findById(booking._id), ride };
+};
+
+/**
+ * Cancel a pending or approved booking and release its seats
+ * @param {Object} booking - Booking document
+ * @param {Object} update - Extra fields to set on the booking
+ * @returns {Object|null} - Cancelled booking, or null if it could not be cancelled
+ */
+exports.cancelBooking = async (booking, update = {}) => {
+  const cancelled = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      status: { $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.APPROVED] }
+    },
+    { ...update, status: BOOKING_STATUS.CANCELLED, updatedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!cancelled) {
+    return null;
+  }
+
+  await exports.releaseBookingSeats(cancelled._id);
+
+  // The passenger no longer follows the ride's live updates
+  await socketService.leaveRide(cancelled.ride, cancelled.passenger);
+
+  return await Booking.findById(cancelled._id);
+};
+
+/**
+ * Change the seats an approved booking holds, or the part of the route it
+ * holds them on, with one conditional update of the ride
+ * @param {Object} booking - Approved booking holding its seats
+ * @param {number} seats - Seats the booking will hold
+ * @param {Object} segment - { from, to } stop indices the booking will cover
+ * @param {Object} update - Extra fields to set on the booking
+ * @param {Object} condition - Extra conditions the booking must still meet
+ * @returns {Object} - { booking, ride } on success, { reason } otherwise
+ */
+exports.resizeBooking = async (booking, seats, segment, update = {}, condition = {}) => {
+  await ensureSegmentSeats(booking.ride);
+
+  const ride = await Ride.findById(booking.ride);
+
+  if (!ride) {
+    return { reason: 'seats' };
+  }
+
+  const legCount = ride.segmentSeatsAvailable.length;
+  const covered = coveredLegs(booking.segment, legCount);
+  const willCover = coveredLegs(segment, legCount);
+
+  // Seats each leg gets back (positive) or gives up (negative)
+  const deltas = Array.from({ length: legCount }, (value, leg) =>
+    (covered(leg) ? booking.seatsHeld : 0) - (willCover(leg) ? seats : 0)
+  );
+
+  let updatedRide = ride;
+  const grows = deltas.some(delta => delta < 0);
+  const offered = grows ? await waitlistService.getOfferedSeats(ride._id, booking.passenger) : 0;
+
+  if (deltas.some(delta => delta !== 0)) {
+    const filter = {
+      _id: ride._id,
+      segmentSeatsAvailable: { $size: legCount },
+      $expr: {
+        $and: deltas
+          .map((delta, leg) => {
+            const count = { $arrayElemAt: ['$segmentSeatsAvailable', leg] };
+
+            if (delta < 0) return { $gte: [count, offered - delta] };
+            if (delta > 0) return { $lte: [{ $add: [count, delta] }, '$seatsTotal'] };
+            return null;
+          })
+          .filter(Boolean)
+      }
+    };
+
+    // Taking more seats is only possible while the ride is scheduled
+    if (grows) {
+      filter.status = RIDE_STATUS.SCHEDULED;
+    }
+
+    updatedRide = await Ride.findOneAndUpdate(filter, adjustEachLeg(deltas), { new: true });
+
+    if (!updatedRide) {
+      return { reason: 'seats' };
+    }
+  }
+
+  const resized = await Booking.findOneAndUpdate(
+    { ...condition, _id: booking._id, status: BOOKING_STATUS.APPROVED, seatsHeld: booking.seatsHeld },
+    { ...update, seatsBooked: seats, seatsHeld: seats, segment, updatedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!resized) {
+    // Booking changed underneath us - put the ride back
+    if (updatedRide !== ride) {
+      await Ride.findOneAndUpdate({ _id: ride._id }, adjustEachLeg(deltas.map(delta => -delta)));
+    }
+
+    return { reason: 'status' };
+  }
+
+  return { booking: resized, ride: updatedRide };
+};
+
+/**
+ * Rides created before per-leg accounting only track seatsAvailable.
+ * Their bookings all cover the whole route, so every leg starts with it.
+ */
+async function ensureSegmentSeats(rideId) {
+  const ride = await Ride.findOne({
+    _id: rideId,
+    segmentSeatsAvailable: { $exists: false }
+  });
+
+  if (!ride) {
+    return;
+  }
+
+  await Ride.updateOne(
+    { _id: rideId, segmentSeatsAvailable: { $exists: false } },
+    [{
+      $set: {
+        segmentSeatsAvailable: {
+          $map: { input: { $range: [0, Ride.getLegCount(ride)] }, in: '$seatsAvailable' }
+        }
+      }
+    }]
+  );
+}
+
+/**
+ * Legs [from, to) covered by a segment, whole route if none is given
+ */
+function legRange(segment) {
+  const hasSegment = segment && segment.to > segment.from;
+  const from = hasSegment ? segment.from : 0;
+
+  return {
+    from,
+    to: hasSegment ? segment.to : { $size: '$segmentSeatsAvailable' },
+    // Expression selecting the counts of the covered legs
+    slice(field) {
+      return { $slice: [field, from, { $subtract: [this.to, from] }] };
+    }
+  };
+}
+
+/**
+ * Update pipeline adding `delta` seats to the covered legs and keeping
+ * seatsAvailable at the lowest leg count
+ */
+function adjustLegs(legs, delta) {
+  return [
+    {
+      $set: {
+        segmentSeatsAvailable: {
+          $map: {
+            input: { $range: [0, { $size: '$segmentSeatsAvailable' }] },
+            as: 'leg',
+            in: {
+              $add: [
+                { $arrayElemAt: ['$segmentSeatsAvailable', '$$leg'] },
+                {
+                  $cond: [
+                    { $and: [{ $gte: ['$$leg', legs.from] }, { $lt: ['$$leg', legs.to] }] },
+                    delta,
+                    0
+                  ]
+                }
+              ]
+            }
+          }
+        },
+        updatedAt: new Date()
+      }
+    },
+    { $set: { seatsAvailable: { $min: '$segmentSeatsAvailable' } } }
+  ];
+}
+
+/**
+ * Whether a leg lies in a segment, the whole route if none is given
+ */
+function coveredLegs(segment, legCount) {
+  const hasSegment = segment && segment.to > segment.from;
+  const from = hasSegment ? segment.from : 0;
+  const to = hasSegment ? segment.to : legCount;
+
+  return leg => leg >= from && leg < to;
+}
+
+/**
+ * Update pipeline adding a different number of seats to every leg
+ */
+function adjustEachLeg(deltas) {
+  return [
+    {
+      $set: {
+        segmentSeatsAvailable: {
+          $map: {
+            input: { $range: [0, deltas.length] },
+            as: 'leg',
+            in: {
+              $add: [
+                { $arrayElemAt: ['$segmentSeatsAvailable', '$$leg'] },
+                { $arrayElemAt: [{ $literal: deltas }, '$$leg'] }
+              ]
+            }
+          }
+        },
+        updatedAt: new Date()
+      }
+    },
+    { $set: { seatsAvailable: { $min: '$segmentSeatsAvailable' } } }
+  ];
+}
@@ -0,0 +1,359 @@
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Booking = require('../models/booking');
+const Notification = require('../models/notification');
+const Ride = require('../models/ride');
+const Session = require('../models/session');
+const User = require('../models/user');
+const logger = require('../utils/logger');
+const { options: jwtOptions, authenticatePayload } = require('../config/passport');
+const locationService = require('./locationService');
+const {
+  SOCKET_EVENTS,
+  SOCKET_BACKFILL_LIMIT,
+  SOCKET_SESSION_CHECK_INTERVAL,
+  BOOKING_STATUS
+} = require('../utils/constants');
+
+let io = null;
+let sessionCheck = null;
+
+/**
+ * Attach the WebSocket server to the HTTP server
+ * @param {Object} httpServer - Server returned by app.listen
+ * @returns {Object} - socket.io server
+ */
+exports.init = (httpServer) => {
+  io = new Server(httpServer, {
+    cors: { origin: '*' }
+  });
+
+  // Authenticate with the same access token as the REST API
+  io.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth.token ||
+        (socket.handshake.headers.authorization || '').replace(/^Bearer /, '');
+
+      const payload = jwt.verify(token, jwtOptions.secretOrKey);
+      const { user, sessionId, message } = await authenticatePayload(payload);
+
+      if (!user) {
+        return next(new Error(message));
+      }
+
+      socket.data.user = user;
+      socket.data.sessionId = sessionId;
+      socket.data.tokenExpiresAt = payload.exp ? payload.exp * 1000 : null;
+      next();
+    } catch (err) {
+      next(new Error('Authentication failed. Please log in.'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const user = socket.data.user;
+
+    // Every user gets a private room for their notifications, and every
+    // session one so it can be signed out
+    socket.join(userRoom(user.id));
+    socket.join(sessionRoom(socket.data.sessionId));
+
+    socket.on(SOCKET_EVENTS.RIDE_JOIN, async (data, ack) => {
+      respond(ack, await joinRide(socket, data && data.rideId));
+    });
+
+    socket.on(SOCKET_EVENTS.RIDE_LEAVE, (data, ack) => {
+      socket.leave(rideRoom(data && data.rideId));
+      respond(ack, { success: true });
+    });
+
+    // Drivers stream their GPS position while a ride is in progress
+    socket.on(SOCKET_EVENTS.RIDE_LOCATION, async (data, ack) => {
+      respond(ack, await shareLocation(socket, data || {}));
+    });
+
+    // Reconnecting clients send the last notification id they saw
+    socket.on(SOCKET_EVENTS.NOTIFICATIONS_SYNC, async (data, ack) => {
+      respond(ack, await backfillNotifications(user.id, data && data.lastNotificationId));
+    });
+  });
+
+  // The token is only verified at the handshake: this ends connections whose
+  // token expired, whose session was revoked on another instance, or whose
+  // account was deactivated
+  sessionCheck = setInterval(checkSessions, SOCKET_SESSION_CHECK_INTERVAL * 1000);
+  sessionCheck.unref();
+
+  logger.info('WebSocket server initialized');
+
+  return io;
+};
+
+/**
+ * Close the connections of a session that was revoked
+ * @param {string} sessionId - Session ID
+ * @param {string} message - Reason sent to the client
+ */
+exports.disconnectSession = (sessionId, message = 'Session has expired or been revoked. Please log in again.') => {
+  if (io && sessionId) {
+    io.in(sessionRoom(sessionId)).fetchSockets()
+      .then(sockets => sockets.forEach(socket => endConnection(socket, message)))
+      .catch(err => logger.error(`Error disconnecting session ${sessionId}:`, err));
+  }
+};
+
+/**
+ * Close every connection of a user, e.g. after all their sessions were revoked
+ * @param {string} userId - User ID
+ * @param {string} message - Reason sent to the client
+ */
+exports.disconnectUser = (userId, message = 'Session has expired or been revoked. Please log in again.') => {
+  if (io && userId) {
+    io.in(userRoom(userId)).fetchSockets()
+      .then(sockets => sockets.forEach(socket => endConnection(socket, message)))
+      .catch(err => logger.error(`Error disconnecting user ${userId}:`, err));
+  }
+};
+
+/**
+ * Push an event to every connection of a user
+ * @param {string} userId - Recipient user ID
+ * @param {string} event - Event name (see SOCKET_EVENTS)
+ * @param {Object} payload - Event data
+ */
+exports.emitToUser = (userId, event, payload) => {
+  if (io && userId) {
+    io.to(userRoom(userId)).emit(event, payload);
+  }
+};
+
+/**
+ * Push an event to everyone following a ride
+ * @param {string} rideId - Ride ID
+ * @param {string} event - Event name (see SOCKET_EVENTS)
+ * @param {Object} payload - Event data
+ */
+exports.emitToRide = (rideId, event, payload) => {
+  if (io && rideId) {
+    io.to(rideRoom(rideId)).emit(event, payload);
+  }
+};
+
+/**
+ * Take a user's connections out of a ride's room once they no longer take
+ * part in the ride, e.g. after their booking was cancelled
+ * @param {string} rideId - Ride ID
+ * @param {string} userId - User ID
+ */
+exports.leaveRide = async (rideId, userId) => {
+  if (!io || !rideId || !userId) {
+    return;
+  }
+
+  try {
+    const ride = await Ride.findById(rideId);
+
+    // They may still be the driver or have another booking on the ride
+    if (ride && await exports.isRideParticipant(ride, { id: userId.toString() })) {
+      return;
+    }
+
+    io.in(userRoom(userId)).socketsLeave(rideRoom(rideId));
+  } catch (err) {
+    logger.error(`Error removing user ${userId} from ride room ${rideId}:`, err);
+  }
+};
+
+/**
+ * Check whether a user is the driver or an approved passenger of a ride
+ * @param {Object} ride - Ride document
+ * @param {Object} user - User document
+ * @returns {boolean} - Whether the user takes part in the ride
+ */
+exports.isRideParticipant = async (ride, user) => {
+  if (ride.driver.toString() === user.id || user.role === 'admin') {
+    return true;
+  }
+
+  const booking = await Booking.exists({
+    ride: ride._id,
+    passenger: user.id,
+    status: { $in: [BOOKING_STATUS.APPROVED, BOOKING_STATUS.COMPLETED] }
+  });
+
+  return Boolean(booking);
+};
+
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+function rideRoom(rideId) {
+  return `ride:${rideId}`;
+}
+
+function sessionRoom(sessionId) {
+  return `session:${sessionId}`;
+}
+
+/**
+ * Tell the client why and close its connection
+ */
+function endConnection(socket, message) {
+  socket.emit(SOCKET_EVENTS.SESSION_ENDED, { message });
+  socket.disconnect(true);
+}
+
+/**
+ * Disconnect sockets whose access token or session expired, whose session
+ * was revoked, or whose user was deactivated since they connected
+ */
+async function checkSessions() {
+  try {
+    const now = Date.now();
+    const connected = Array.from(io.of('/').sockets.values());
+
+    connected
+      .filter(socket => socket.data.tokenExpiresAt && socket.data.tokenExpiresAt <= now)
+      .forEach(socket => endConnection(socket, 'Access token expired. Please reconnect with a new token.'));
+
+    const sockets = connected.filter(socket => socket.connected);
+
+    if (!sockets.length) {
+      return;
+    }
+
+    const sessionIds = [...new Set(sockets.map(socket => socket.data.sessionId))];
+    const userIds = [...new Set(sockets.map(socket => socket.data.user.id))];
+
+    const activeSessions = await Session.find({
+      _id: { $in: sessionIds },
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).distinct('_id');
+
+    const activeUsers = await User.find({ _id: { $in: userIds }, isActive: true }).distinct('_id');
+
+    const sessionOk = new Set(activeSessions.map(String));
+    const userOk = new Set(activeUsers.map(String));
+
+    sockets
+      .filter(socket => !sessionOk.has(String(socket.data.sessionId)) || !userOk.has(socket.data.user.id))
+      .forEach(socket => endConnection(socket, 'Session has expired or been revoked. Please log in again.'));
+  } catch (err) {
+    logger.error('Error checking WebSocket sessions:', err);
+  }
+}
+
+function respond(ack, result) {
+  if (typeof ack === 'function') {
+    ack(result);
+  }
+}
+
+/**
+ * Join the room of a ride the user takes part in
+ */
+async function joinRide(socket, rideId) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(rideId)) {
+      return { success: false, message: 'Invalid ride ID' };
+    }
+
+    const ride = await Ride.findById(rideId);
+
+    if (!ride) {
+      return { success: false, message: 'Ride not found' };
+    }
+
+    if (!(await exports.isRideParticipant(ride, socket.data.user))) {
+      return { success: false, message: 'Not authorized to follow this ride' };
+    }
+
+    socket.join(rideRoom(rideId));
+
+    return { success: true, data: { rideId, status: ride.status } };
+  } catch (err) {
+    logger.error(`Error joining ride room ${rideId}:`, err);
+    return { success: false, message: 'Server error' };
+  }
+}
+
+/**
+ * Record a location sent by the driver of an in-progress ride
+ */
+async function shareLocation(socket, data) {
+  try {
+    const { rideId, coordinates } = data;
+
+    if (!mongoose.Types.ObjectId.isValid(rideId)) {
+      return { success: false, message: 'Invalid ride ID' };
+    }
+
+    if (!Array.isArray(coordinates) || coordinates.length !== 2 ||
+        !(Math.abs(coordinates[0]) <= 180) || !(Math.abs(coordinates[1]) <= 90)) {
+      return { success: false, message: 'Coordinates must be [longitude, latitude]' };
+    }
+
+    const ride = await Ride.findById(rideId);
+
+    if (!ride) {
+      return { success: false, message: 'Ride not found' };
+    }
+
+    if (ride.driver.toString() !== socket.data.user.id) {
+      return { success: false, message: 'Only the driver can share the ride location' };
+    }
+
+    if (!locationService.isTrackingActive(ride)) {
+      return { success: false, message: `Cannot share location for a ride that is ${ride.status}` };
+    }
+
+    const location = await locationService.recordLocation(ride, {
+      coordinates: coordinates.map(Number),
+      heading: data.heading,
+      speed: data.speed,
+      accuracy: data.accuracy
+    });
+
+    return { success: true, data: { recordedAt: location.recordedAt } };
+  } catch (err) {
+    logger.error(`Error sharing location for ride ${data.rideId}:`, err);
+    return { success: false, message: 'Server error' };
+  }
+}
+
+/**
+ * Notifications created after the given one, oldest first
+ */
+async function backfillNotifications(userId, lastNotificationId) {
+  try {
+    const query = { recipient: userId };
+
+    if (lastNotificationId) {
+      if (!mongoose.Types.ObjectId.isValid(lastNotificationId)) {
+        return { success: false, message: 'Invalid notification ID' };
+      }
+
+      query._id = { $gt: lastNotificationId };
+    }
+
+    const notifications = await Notification.find(query)
+      .sort({ _id: lastNotificationId ? 1 : -1 })
+      .limit(SOCKET_BACKFILL_LIMIT + 1);
+
+    const hasMore = notifications.length > SOCKET_BACKFILL_LIMIT;
+    const data = notifications.slice(0, SOCKET_BACKFILL_LIMIT);
+
+    // Without a cursor the latest page is returned, still oldest first
+    if (!lastNotificationId) {
+      data.reverse();
+    }
+
+    return { success: true, hasMore, data };
+  } catch (err) {
+    logger.error(`Error backfilling notifications for user ${userId}:`, err);
+    return { success: false, message: 'Server error' };
+  }
+}
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { UPLOAD_SETTINGS } = require('../utils/constants');
+require('dotenv').config();
+
+/*
+ * Uploaded files go through a storage adapter. The local disk adapter is
+ * the default; register a cloud adapter with useStorage() at startup.
+ *
+ * Uploaded names and declared types are not trusted: callers work out the
+ * type from the file content with detectFileType() and pass its extension.
+ *
+ * A storage adapter implements:
+ *   save({ buffer, folder, extension, mimeType }) -> { key, size }
+ *   read(key) -> readable stream
+ *   remove(key)
+ *   exists(key) -> boolean
+ *   url(key) -> public URL of the file (only for files in public folders)
+ */
+
+// Folders whose files may be served without authorization
+exports.PUBLIC_FOLDERS = ['profile-photos'];
+
+// Leading bytes of the file types uploads may have
+const FILE_SIGNATURES = [
+  { mimeType: 'image/jpeg', extension: '.jpg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/png', extension: '.png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'application/pdf', extension: '.pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] } // %PDF-
+];
+
+/**
+ * Work out the type of a file from its content
+ * @param {Buffer} buffer - File content
+ * @returns {Object|null} - { mimeType, extension }, null if the type is not known
+ */
+exports.detectFileType = (buffer) => {
+  const signature = FILE_SIGNATURES.find(({ bytes }) =>
+    buffer && buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte)
+  );
+
+  return signature ? { mimeType: signature.mimeType, extension: signature.extension } : null;
+};
+
+/**
+ * Store files on the local disk. Public folders are served by app.js.
+ * @param {string} baseDir - Directory files are written to
+ * @param {string} baseUrl - URL the directory is served from
+ * @returns {Object} - Storage adapter
+ */
+exports.createLocalStorage = (
+  baseDir = exports.getLocalDirectory(),
+  baseUrl = process.env.UPLOAD_BASE_URL || UPLOAD_SETTINGS.PUBLIC_URL
+) => {
+  const root = path.resolve(baseDir);
+
+  // Keys are generated here, but never let one point outside the root
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    save: async ({ buffer, folder, extension = '' }) => {
+      const suffix = /^\.[a-z0-9]+$/.test(extension) ? extension : '';
+      const key = path.posix.join(folder, `${crypto.randomBytes(16).toString('hex')}${suffix}`);
+      const filePath = resolve(key);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+
+      return { key, size: buffer.length };
+    },
+
+    read: async (key) => fs.createReadStream(resolve(key)),
+
+    remove: async (key) => {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+
+    exists: async (key) => {
+      try {
+        await fs.promises.access(resolve(key));
+        return true;
+      } catch (err) {
+        return false;
+      }
+    },
+
+    url: (key) => `${baseUrl.replace(/\/$/, '')}/${key}`
+  };
+};
+
+/**
+ * Directory the local storage adapter writes to
+ * @returns {string} - Absolute path
+ */
+exports.getLocalDirectory = () => path.resolve(process.env.UPLOAD_DIR || UPLOAD_SETTINGS.DIRECTORY);
+
+/**
+ * Replace the storage adapter (e.g. with a cloud provider at startup)
+ * @param {Object} storageAdapter - Storage adapter
+ */
+exports.useStorage = (storageAdapter) => {
+  storage = storageAdapter;
+};
+
+/**
+ * Current storage adapter
+ * @returns {Object} - Storage adapter
+ */
+exports.getStorage = () => storage;
+
+let storage = exports.createLocalStorage();
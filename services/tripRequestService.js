@@ -0,0 +1,340 @@
+const Ride = require('../models/ride');
+const Booking = require('../models/booking');
+const User = require('../models/user');
+const TripRequest = require('../models/tripRequest');
+const fareService = require('./fareService');
+const seatService = require('./seatService');
+const walletService = require('./walletService');
+const vehicleService = require('./vehicleService');
+const waitlistService = require('./waitlistService');
+const rideMatchingService = require('./rideMatchingService');
+const rideAlertService = require('./rideAlertService');
+const socketService = require('./socketService');
+const notificationController = require('../controllers/notificationController');
+const { estimateTravelTime } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const {
+  BOOKING_STATUS,
+  DEFAULT_SEARCH_RADIUS,
+  NOTIFICATION_TYPES,
+  PAYMENT_METHODS,
+  RIDE_STATUS,
+  SOCKET_EVENTS,
+  TRIP_REQUEST_SETTINGS,
+  TRIP_REQUEST_STATUS
+} = require('../utils/constants');
+
+/**
+ * Tell drivers whose scheduled rides fit a new request about it
+ * @param {Object} request - Trip request
+ * @returns {number} - Drivers notified
+ */
+exports.notifyMatchingDrivers = async (request) => {
+  try {
+    const pickup = request.source.location.coordinates;
+    const dropoff = request.destination.location.coordinates;
+
+    const query = rideMatchingService.addRouteFilter({
+      status: RIDE_STATUS.SCHEDULED,
+      driver: { $ne: request.passenger },
+      departureTime: { $gte: request.departureFrom, $lte: request.departureTo },
+      seatsAvailable: { $gte: request.seats }
+    }, [pickup, dropoff], DEFAULT_SEARCH_RADIUS);
+
+    const rides = await Ride.find(query).limit(TRIP_REQUEST_SETTINGS.MAX_DRIVERS_NOTIFIED * 5);
+    const drivers = new Map();
+
+    for (const ride of rides) {
+      const driverId = ride.driver.toString();
+
+      if (drivers.size >= TRIP_REQUEST_SETTINGS.MAX_DRIVERS_NOTIFIED || drivers.has(driverId) ||
+          !rideMatchingService.matchRide(ride, pickup, dropoff, DEFAULT_SEARCH_RADIUS)) {
+        continue;
+      }
+
+      drivers.set(driverId, ride);
+    }
+
+    for (const [driverId, ride] of drivers) {
+      await notificationController.createNotification({
+        recipient: driverId,
+        sender: request.passenger,
+        type: NOTIFICATION_TYPES.BOOKING_REQUEST,
+        title: 'New Trip Request On Your Route',
+        message: `A passenger wants ${request.seats} seat(s) from ${request.source.address} to ${request.destination.address}, ` +
+          `offering ${request.offeredPrice} per seat. Your ride on ${new Date(ride.departureTime).toLocaleString()} passes by.`,
+        relatedResource: {
+          resourceType: 'ride',
+          resourceId: ride._id
+        }
+      });
+    }
+
+    return drivers.size;
+  } catch (err) {
+    // Posting the request must not fail because of notifications
+    logger.error(`Error notifying drivers about trip request ${request._id}:`, err);
+    return 0;
+  }
+};
+
+/**
+ * Accept a trip request, either on one of the driver's rides or on a new
+ * ride created for it, and book the passenger with an approved booking
+ * @param {Object} request - Open trip request
+ * @param {Object} driver - Verified driver user document
+ * @param {Object} options - { rideId } to use an existing ride, otherwise
+ * { departureTime, seatsAvailable, pricePerSeat, vehicleId } for a new ride
+ * @returns {Object} - { success, status, message, booking, ride }
+ */
+exports.accept = async (request, driver, options) => {
+  if (request.passenger.toString() === driver.id) {
+    return { success: false, status: 400, message: 'You cannot accept your own trip request' };
+  }
+
+  if (request.status !== TRIP_REQUEST_STATUS.OPEN || new Date(request.departureTo) <= new Date()) {
+    return { success: false, status: 400, message: `Cannot accept a trip request that is ${request.status === TRIP_REQUEST_STATUS.OPEN ? 'expired' : request.status}` };
+  }
+
+  // Check the ride before anything is written
+  const plan = options.rideId
+    ? await planExistingRide(request, driver, options.rideId)
+    : await planNewRide(request, driver, options);
+
+  if (!plan.success) {
+    return plan;
+  }
+
+  // Claim the request so only one driver gets it
+  const claimed = await TripRequest.findOneAndUpdate(
+    { _id: request._id, status: TRIP_REQUEST_STATUS.OPEN },
+    { status: TRIP_REQUEST_STATUS.ACCEPTED, driver: driver._id, acceptedAt: Date.now(), updatedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return { success: false, status: 409, message: 'Trip request was accepted or cancelled by another request. Please refresh and try again.' };
+  }
+
+  const ride = plan.ride || await Ride.create(plan.rideData);
+
+  const booking = await Booking.create({
+    ride: ride._id,
+    passenger: request.passenger,
+    driver: driver._id,
+    seatsBooked: request.seats,
+    totalPrice: Math.round(request.offeredPrice * request.seats * 100) / 100,
+    segment: plan.segment || fareService.getBookingSegment(ride, {}),
+    pickupPoint: request.source,
+    dropoffPoint: request.destination,
+    passengerNotes: request.notes,
+    paymentMethod: request.paymentMethod
+  });
+
+  let failure = null;
+
+  if (booking.paymentMethod === PAYMENT_METHODS.WALLET) {
+    const hold = await walletService.holdForBooking(booking);
+
+    if (!hold.success) {
+      failure = { status: 402, message: `The passenger's wallet cannot cover the fare: ${hold.message}` };
+    }
+  }
+
+  const result = failure ? null : await seatService.approveBooking(booking);
+
+  if (!failure && !result.booking) {
+    failure = { status: 400, message: 'Not enough seats available on this ride' };
+
+    if (booking.paymentMethod === PAYMENT_METHODS.WALLET) {
+      await walletService.releaseForBooking(booking);
+    }
+  }
+
+  if (failure) {
+    // Put everything back the way it was
+    await Booking.findByIdAndDelete(booking._id);
+
+    if (!plan.ride) {
+      await Ride.findByIdAndDelete(ride._id);
+    }
+
+    await TripRequest.updateOne(
+      { _id: request._id, status: TRIP_REQUEST_STATUS.ACCEPTED },
+      { status: TRIP_REQUEST_STATUS.OPEN, $unset: { driver: 1, acceptedAt: 1 }, updatedAt: Date.now() }
+    );
+
+    return { success: false, ...failure };
+  }
+
+  await TripRequest.updateOne(
+    { _id: request._id },
+    { ride: ride._id, booking: booking._id, updatedAt: Date.now() }
+  );
+
+  if (!plan.ride) {
+    await User.findByIdAndUpdate(driver._id, { $inc: { totalRides: 1 } });
+
+    // Seats left on the new ride are open to everyone
+    await rideAlertService.notifyMatchingAlerts(result.ride);
+  }
+
+  await notificationController.createNotification({
+    recipient: request.passenger,
+    sender: driver._id,
+    type: NOTIFICATION_TYPES.BOOKING_APPROVED,
+    title: 'Trip Request Accepted',
+    message: `${driver.firstName} accepted your trip request from ${request.source.address} to ${request.destination.address}. ` +
+      `Departure is at ${new Date(ride.departureTime).toLocaleString()}.`,
+    relatedResource: {
+      resourceType: 'booking',
+      resourceId: booking._id
+    },
+    deliveryMethod: 'all'
+  });
+
+  socketService.emitToUser(request.passenger.toString(), SOCKET_EVENTS.BOOKING_APPROVED, result.booking);
+  socketService.emitToRide(ride._id, SOCKET_EVENTS.RIDE_UPDATED, { rideId: ride._id, seatsAvailable: result.ride.seatsAvailable });
+
+  return { success: true, booking: result.booking, ride: result.ride };
+};
+
+/**
+ * Expire open requests whose departure window has passed
+ * @param {Date} now - Current time
+ * @returns {Object} - { requestsExpired }
+ */
+exports.expireRequests = async (now = new Date()) => {
+  const requests = await TripRequest.find({
+    status: TRIP_REQUEST_STATUS.OPEN,
+    departureTo: { $lte: now }
+  });
+
+  let requestsExpired = 0;
+
+  for (const request of requests) {
+    const expired = await TripRequest.findOneAndUpdate(
+      { _id: request._id, status: TRIP_REQUEST_STATUS.OPEN },
+      { status: TRIP_REQUEST_STATUS.EXPIRED, updatedAt: Date.now() }
+    );
+
+    if (!expired) {
+      continue;
+    }
+
+    requestsExpired++;
+
+    await notificationController.createNotification({
+      recipient: request.passenger,
+      type: NOTIFICATION_TYPES.SYSTEM_NOTIFICATION,
+      title: 'Trip Request Expired',
+      message: `No driver accepted your trip request from ${request.source.address} to ${request.destination.address} in time.`,
+      relatedResource: {
+        resourceType: 'user',
+        resourceId: request.passenger
+      }
+    });
+  }
+
+  return { requestsExpired };
+};
+
+/**
+ * Check that an existing ride of the driver can carry the request
+ */
+async function planExistingRide(request, driver, rideId) {
+  const ride = await Ride.findOne({ _id: rideId, driver: driver._id });
+
+  if (!ride) {
+    return { success: false, status: 404, message: 'Ride not found' };
+  }
+
+  if (ride.status !== RIDE_STATUS.SCHEDULED) {
+    return { success: false, status: 400, message: `Cannot add a passenger to a ride that is ${ride.status}` };
+  }
+
+  if (!inWindow(request, ride.departureTime)) {
+    return { success: false, status: 400, message: 'The ride does not depart within the requested time window' };
+  }
+
+  const pickup = request.source.location.coordinates;
+  const dropoff = request.destination.location.coordinates;
+
+  if (!rideMatchingService.matchRide(ride, pickup, dropoff, DEFAULT_SEARCH_RADIUS)) {
+    return { success: false, status: 400, message: 'The ride does not pass near the requested pickup and dropoff' };
+  }
+
+  const segment = fareService.resolveSegment(ride, pickup, dropoff);
+
+  // Seats offered to the ride's waitlist are not free
+  if (!segment || fareService.getSegmentSeats(ride, segment) -
+      await waitlistService.getOfferedSeats(ride._id, request.passenger) < request.seats) {
+    return { success: false, status: 400, message: 'Not enough seats available on this ride' };
+  }
+
+  const existingBooking = await Booking.exists({
+    ride: ride._id,
+    passenger: request.passenger,
+    status: { $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.APPROVED] }
+  });
+
+  if (existingBooking) {
+    return { success: false, status: 400, message: 'The passenger already has a booking for this ride' };
+  }
+
+  return { success: true, ride, segment };
+}
+
+/**
+ * Work out the ride to create for a request
+ */
+async function planNewRide(request, driver, { departureTime, seatsAvailable, pricePerSeat, vehicleId }) {
+  if (!inWindow(request, departureTime)) {
+    return { success: false, status: 400, message: 'Departure time must be within the requested time window' };
+  }
+
+  const seats = seatsAvailable || request.seats;
+
+  if (seats < request.seats) {
+    return { success: false, status: 400, message: `The passenger needs ${request.seats} seats` };
+  }
+
+  const selection = await vehicleService.resolveRideVehicle(driver, vehicleId);
+
+  if (!selection.vehicleDetails) {
+    return { success: false, status: selection.status, message: selection.message };
+  }
+
+  const capacityError = vehicleService.checkCapacity(selection.vehicleDetails, seats);
+
+  if (capacityError) {
+    return { success: false, status: 400, message: capacityError };
+  }
+
+  const estimatedMinutes = estimateTravelTime(
+    request.source.location.coordinates,
+    request.destination.location.coordinates
+  );
+
+  return {
+    success: true,
+    rideData: {
+      driver: driver._id,
+      source: request.source,
+      destination: request.destination,
+      departureTime,
+      estimatedArrivalTime: new Date(new Date(departureTime).getTime() + estimatedMinutes * 60000),
+      seatsAvailable: seats,
+      seatsTotal: seats,
+      pricePerSeat: pricePerSeat !== undefined ? pricePerSeat : request.offeredPrice,
+      vehicle: selection.vehicle ? selection.vehicle._id : undefined,
+      vehicleDetails: selection.vehicleDetails
+    }
+  };
+}
+
+function inWindow(request, time) {
+  const date = new Date(time);
+
+  return date >= new Date(request.departureFrom) && date <= new Date(request.departureTo) && date > new Date();
+}
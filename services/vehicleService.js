@@ -0,0 +1,93 @@
+const Ride = require('../models/ride');
+const Vehicle = require('../models/vehicle');
+const { RIDE_STATUS } = require('../utils/constants');
+
+/**
+ * Pick the vehicle for a new ride: the one requested, else the driver's
+ * default vehicle, else the single vehicle in the driver profile
+ * @param {Object} driver - Driver user document
+ * @param {string} vehicleId - Vehicle requested, if any
+ * @returns {Object} - { vehicle, vehicleDetails } or { status, message } on error
+ */
+exports.resolveRideVehicle = async (driver, vehicleId) => {
+  let vehicle = null;
+
+  if (vehicleId) {
+    vehicle = await Vehicle.findOne({ _id: vehicleId, owner: driver._id, isActive: true });
+
+    if (!vehicle) {
+      return { status: 404, message: 'Vehicle not found' };
+    }
+  } else {
+    const vehicles = await Vehicle.find({ owner: driver._id, isActive: true });
+    vehicle = vehicles.find(candidate => candidate.isDefault) || (vehicles.length === 1 ? vehicles[0] : null);
+
+    if (!vehicle && vehicles.length > 1) {
+      return { status: 400, message: 'Choose a vehicle for this ride (vehicleId) or set a default vehicle' };
+    }
+  }
+
+  if (vehicle) {
+    if (!vehicle.isVerified) {
+      return { status: 400, message: `Vehicle ${vehicle.licensePlate} is not verified yet` };
+    }
+
+    return { vehicle, vehicleDetails: vehicle.toRideDetails() };
+  }
+
+  // Drivers who have not added vehicles yet use their profile details
+  const driverDetails = driver.driverDetails || {};
+
+  return {
+    vehicle: null,
+    vehicleDetails: {
+      model: driverDetails.vehicleModel || '',
+      color: driverDetails.vehicleColor || '',
+      licensePlate: driverDetails.licensePlate || '',
+      seatingCapacity: driverDetails.seatingCapacity
+    }
+  };
+};
+
+/**
+ * Check that a ride's seats fit in its vehicle
+ * @param {Object} vehicleDetails - vehicleDetails of the ride
+ * @param {number} seatsTotal - Seats offered on the ride
+ * @returns {string|null} - Error message, or null if the seats fit
+ */
+exports.checkCapacity = (vehicleDetails, seatsTotal) => {
+  const capacity = vehicleDetails && vehicleDetails.seatingCapacity;
+
+  if (capacity && seatsTotal > capacity) {
+    return `This vehicle has ${capacity} passenger seats, cannot offer ${seatsTotal}`;
+  }
+
+  return null;
+};
+
+/**
+ * Make a vehicle the driver's default one
+ * @param {Object} vehicle - Vehicle document
+ */
+exports.setDefault = async (vehicle) => {
+  await Vehicle.updateMany(
+    { owner: vehicle.owner, _id: { $ne: vehicle._id }, isDefault: true },
+    { isDefault: false, updatedAt: Date.now() }
+  );
+
+  await Vehicle.updateOne({ _id: vehicle._id }, { isDefault: true, updatedAt: Date.now() });
+};
+
+/**
+ * Number of upcoming or running rides that use a vehicle
+ * @param {Object} vehicle - Vehicle document
+ * @param {number} minSeatsTotal - Only count rides offering at least this many seats
+ * @returns {number} - Ride count
+ */
+exports.countActiveRides = async (vehicle, minSeatsTotal = 0) => {
+  return await Ride.countDocuments({
+    vehicle: vehicle._id,
+    status: { $in: [RIDE_STATUS.SCHEDULED, RIDE_STATUS.IN_PROGRESS] },
+    ...(minSeatsTotal > 0 && { seatsTotal: { $gte: minSeatsTotal } })
+  });
+};
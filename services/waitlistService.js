@@ -0,0 +1,345 @@
+const Ride = require('../models/ride');
+const Booking = require('../models/booking');
+const WaitlistEntry = require('../models/waitlistEntry');
+const fareService = require('./fareService');
+const socketService = require('./socketService');
+const notificationController = require('../controllers/notificationController');
+const logger = require('../utils/logger');
+const {
+  BOOKING_STATUS,
+  NOTIFICATION_TYPES,
+  RIDE_STATUS,
+  SOCKET_EVENTS,
+  WAITLIST_SETTINGS,
+  WAITLIST_STATUS
+} = require('../utils/constants');
+
+/*
+ * Passengers join the waitlist of a ride that has no seats left for their
+ * trip. When seats are freed, waiting entries are served in the order they
+ * joined: the first one whose trip fits gets a time-limited offer and those
+ * seats are kept from other new bookings until the offer is booked or runs
+ * out. Offered seats are counted against every leg of the route, which may
+ * keep a seat on a leg the offer does not use, but never sells one twice.
+ */
+
+/**
+ * Put a passenger on the waitlist of a full ride
+ * @param {Object} ride - Ride document
+ * @param {string} passengerId - Passenger's user ID
+ * @param {Object} trip - { seatsWanted, pickupPoint, dropoffPoint, pickup, dropoff }
+ * (pickup and dropoff are [longitude, latitude] or null)
+ * @returns {Object} - { success, status, message, entry, position }
+ */
+exports.join = async (ride, passengerId, { seatsWanted, pickupPoint, dropoffPoint, pickup, dropoff }) => {
+  if (ride.driver.toString() === passengerId.toString()) {
+    return { success: false, status: 400, message: 'You cannot join the waitlist of your own ride' };
+  }
+
+  if (ride.status !== RIDE_STATUS.SCHEDULED || new Date(ride.departureTime) <= new Date()) {
+    return { success: false, status: 400, message: 'This ride is no longer taking bookings' };
+  }
+
+  const quote = fareService.quote(ride, pickup, dropoff, seatsWanted);
+
+  if (!quote) {
+    return { success: false, status: 400, message: 'Dropoff point must come after the pickup point along the route' };
+  }
+
+  if (seatsWanted > ride.seatsTotal) {
+    return { success: false, status: 400, message: `This ride only has ${ride.seatsTotal} seats` };
+  }
+
+  if (quote.seatsAvailable - await exports.getOfferedSeats(ride._id) >= seatsWanted) {
+    return { success: false, status: 400, message: 'Seats are available on this ride, book them directly' };
+  }
+
+  const existingBooking = await Booking.exists({
+    ride: ride._id,
+    passenger: passengerId,
+    status: { $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.APPROVED] }
+  });
+
+  if (existingBooking) {
+    return { success: false, status: 400, message: 'You already have a booking for this ride' };
+  }
+
+  const openEntries = await WaitlistEntry.find({
+    ride: ride._id,
+    status: { $in: [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED] }
+  }).select('passenger');
+
+  if (openEntries.some(entry => entry.passenger.toString() === passengerId.toString())) {
+    return { success: false, status: 400, message: 'You are already on the waitlist for this ride' };
+  }
+
+  if (openEntries.length >= WAITLIST_SETTINGS.MAX_ENTRIES_PER_RIDE) {
+    return { success: false, status: 400, message: 'The waitlist for this ride is full' };
+  }
+
+  const entry = await WaitlistEntry.create({
+    ride: ride._id,
+    passenger: passengerId,
+    seatsWanted,
+    segment: quote.segment,
+    pickupPoint: pickupPoint || ride.source,
+    dropoffPoint: dropoffPoint || ride.destination
+  });
+
+  return { success: true, entry, position: await exports.getPosition(entry) };
+};
+
+/**
+ * Place of an entry in the queue
+ * @param {Object} entry - Waitlist entry
+ * @returns {number|null} - 1 for the next entry served, null if not waiting
+ */
+exports.getPosition = async (entry) => {
+  if (entry.status !== WAITLIST_STATUS.WAITING) {
+    return null;
+  }
+
+  const ahead = await WaitlistEntry.countDocuments({
+    ride: entry.ride,
+    status: WAITLIST_STATUS.WAITING,
+    createdAt: { $lt: entry.createdAt }
+  });
+
+  return ahead + 1;
+};
+
+/**
+ * Open entry of a passenger on a ride
+ * @param {string} rideId - Ride ID
+ * @param {string} passengerId - Passenger's user ID
+ * @returns {Object|null} - Waiting or offered entry
+ */
+exports.findOpenEntry = async (rideId, passengerId) => {
+  return await WaitlistEntry.findOne({
+    ride: rideId,
+    passenger: passengerId,
+    status: { $in: [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED] }
+  });
+};
+
+/**
+ * Take a passenger off the waitlist, passing an offer on to the next entry
+ * @param {string} rideId - Ride ID
+ * @param {string} passengerId - Passenger's user ID
+ * @returns {Object|null} - Cancelled entry, or null if there was none
+ */
+exports.leave = async (rideId, passengerId) => {
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    {
+      ride: rideId,
+      passenger: passengerId,
+      status: { $in: [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED] }
+    },
+    { status: WAITLIST_STATUS.CANCELLED, updatedAt: Date.now() }
+  );
+
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.status === WAITLIST_STATUS.OFFERED) {
+    await exports.promote(rideId);
+  }
+
+  return await WaitlistEntry.findById(entry._id);
+};
+
+/**
+ * Seats currently offered to waitlisted passengers of a ride
+ * @param {string} rideId - Ride ID
+ * @param {string} exceptPassengerId - Passenger whose own offer is not counted
+ * @returns {number} - Seats kept for offers
+ */
+exports.getOfferedSeats = async (rideId, exceptPassengerId) => {
+  const query = {
+    ride: rideId,
+    status: WAITLIST_STATUS.OFFERED,
+    offerExpiresAt: { $gt: new Date() }
+  };
+
+  if (exceptPassengerId) {
+    query.passenger = { $ne: exceptPassengerId };
+  }
+
+  const offers = await WaitlistEntry.find(query).select('seatsWanted');
+
+  return offers.reduce((total, offer) => total + offer.seatsWanted, 0);
+};
+
+/**
+ * Close the entry of a passenger who booked the ride
+ * @param {Object} booking - New booking
+ */
+exports.markBooked = async (booking) => {
+  await WaitlistEntry.updateOne(
+    {
+      ride: booking.ride,
+      passenger: booking.passenger,
+      status: { $in: [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED] }
+    },
+    { status: WAITLIST_STATUS.BOOKED, booking: booking._id, updatedAt: Date.now() }
+  );
+};
+
+/**
+ * Offer freed seats to the waiting entries of a ride, first come first served.
+ * Entries wanting more seats than are free are skipped, not dropped.
+ * @param {string} rideId - Ride ID
+ * @returns {number} - Offers made
+ */
+exports.promote = async (rideId) => {
+  const ride = await Ride.findById(rideId);
+
+  if (!ride || ride.status !== RIDE_STATUS.SCHEDULED || new Date(ride.departureTime) <= new Date()) {
+    return 0;
+  }
+
+  const waiting = await WaitlistEntry.find({ ride: ride._id, status: WAITLIST_STATUS.WAITING })
+    .sort({ createdAt: 1 });
+
+  if (!waiting.length) {
+    return 0;
+  }
+
+  let offeredSeats = await exports.getOfferedSeats(ride._id);
+  let offers = 0;
+
+  for (const entry of waiting) {
+    if (fareService.getSegmentSeats(ride, entry.segment) - offeredSeats < entry.seatsWanted) {
+      continue;
+    }
+
+    const offerExpiresAt = new Date(Date.now() + WAITLIST_SETTINGS.OFFER_MINUTES * 60000);
+    const offered = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: WAITLIST_STATUS.WAITING },
+      { status: WAITLIST_STATUS.OFFERED, offeredAt: Date.now(), offerExpiresAt, updatedAt: Date.now() },
+      { new: true }
+    );
+
+    if (!offered) {
+      continue;
+    }
+
+    offeredSeats += offered.seatsWanted;
+    offers++;
+
+    try {
+      await notificationController.createNotification({
+        recipient: offered.passenger,
+        type: NOTIFICATION_TYPES.SYSTEM_NOTIFICATION,
+        title: 'Seats Available',
+        message: `${offered.seatsWanted} seat(s) opened up on the ride from ${ride.source.address} to ${ride.destination.address}. ` +
+          `They are kept for you for ${WAITLIST_SETTINGS.OFFER_MINUTES} minutes - book now to take them.`,
+        relatedResource: {
+          resourceType: 'ride',
+          resourceId: ride._id
+        },
+        deliveryMethod: 'all'
+      });
+    } catch (err) {
+      logger.error(`Error notifying waitlisted passenger ${offered.passenger}:`, err);
+    }
+
+    socketService.emitToUser(offered.passenger.toString(), SOCKET_EVENTS.WAITLIST_OFFERED, offered);
+  }
+
+  return offers;
+};
+
+/**
+ * Expire offers that were not booked in time and entries of rides that
+ * have departed or are no longer scheduled, then offer the freed seats on
+ * @param {Date} now - Current time
+ * @returns {Object} - { offersExpired, entriesExpired, offersMade }
+ */
+exports.expireEntries = async (now = new Date()) => {
+  let offersExpired = 0;
+  let entriesExpired = 0;
+  let offersMade = 0;
+
+  // Entries of rides that will not take bookings any more
+  const openRides = await WaitlistEntry.distinct('ride', {
+    status: { $in: [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED] }
+  });
+
+  const closedRides = await Ride.find({
+    _id: { $in: openRides },
+    $or: [{ status: { $ne: RIDE_STATUS.SCHEDULED } }, { departureTime: { $lte: now } }]
+  }).select('_id');
+
+  if (closedRides.length) {
+    const result = await WaitlistEntry.updateMany(
+      {
+        ride: { $in: closedRides.map(ride => ride._id) },
+        status: { $in: [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED] }
+      },
+      { status: WAITLIST_STATUS.EXPIRED, updatedAt: Date.now() }
+    );
+
+    entriesExpired = result.modifiedCount;
+  }
+
+  // Offers that ran out go to the next passengers in line
+  const staleOffers = await WaitlistEntry.find({
+    status: WAITLIST_STATUS.OFFERED,
+    offerExpiresAt: { $lte: now }
+  });
+
+  const rideIds = new Set();
+
+  for (const offer of staleOffers) {
+    const expired = await WaitlistEntry.findOneAndUpdate(
+      { _id: offer._id, status: WAITLIST_STATUS.OFFERED },
+      { status: WAITLIST_STATUS.EXPIRED, updatedAt: Date.now() }
+    );
+
+    if (expired) {
+      offersExpired++;
+      rideIds.add(offer.ride.toString());
+    }
+  }
+
+  for (const rideId of rideIds) {
+    offersMade += await exports.promote(rideId);
+  }
+
+  return { offersExpired, entriesExpired, offersMade };
+};
+
+/**
+ * Close the waitlist of a cancelled ride and tell the waiting passengers
+ * @param {Object} ride - Cancelled ride
+ */
+exports.closeForRide = async (ride) => {
+  const entries = await WaitlistEntry.find({
+    ride: ride._id,
+    status: { $in: [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED] }
+  });
+
+  for (const entry of entries) {
+    const cancelled = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: entry.status },
+      { status: WAITLIST_STATUS.CANCELLED, updatedAt: Date.now() }
+    );
+
+    if (!cancelled) {
+      continue;
+    }
+
+    await notificationController.createNotification({
+      recipient: entry.passenger,
+      type: NOTIFICATION_TYPES.SYSTEM_NOTIFICATION,
+      title: 'Ride Cancelled',
+      message: `The ride from ${ride.source.address} to ${ride.destination.address} you were waiting for has been cancelled.`,
+      relatedResource: {
+        resourceType: 'ride',
+        resourceId: ride._id
+      }
+    });
+  }
+};
@@ -0,0 +1,860 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Booking = require('../models/booking');
+const LedgerTransaction = require('../models/ledgerTransaction');
+const Payment = require('../models/payment');
+const Payout = require('../models/payout');
+const Refund = require('../models/refund');
+const Wallet = require('../models/wallet');
+const paymentService = require('./paymentService');
+const logger = require('../utils/logger');
+const {
+  LEDGER_ACCOUNTS,
+  LEDGER_TRANSACTION_TYPES,
+  PAYMENT_METHODS,
+  PAYMENT_STATUS,
+  PAYMENT_SETTINGS,
+  PAYOUT_STATUS,
+  REFUND_STATUS,
+  WALLET_SETTINGS
+} = require('../utils/constants');
+require('dotenv').config();
+
+// Money only comes in or goes out through a gateway that really moves it
+const GATEWAY_REQUIRED = 'Wallet top-ups and withdrawals are unavailable until a payment gateway is configured';
+
+/*
+ * Wallets are backed by a double-entry ledger (LedgerTransaction). A wallet's
+ * balance is the sum of the ledger entries of its accounts. The counters on
+ * the Wallet document move together with every transaction and are what
+ * balance checks run against, so concurrent spends cannot overdraw a wallet.
+ * reconcile() compares the two.
+ *
+ * A transaction first moves the counters with a conditional update that
+ * also notes the transaction in `wallet.pendingTransactions`, then writes
+ * the ledger row, then clears the note. A transaction that fails the balance
+ * check never reaches the ledger, and one interrupted half way is finished
+ * or undone by recoverPendingTransactions().
+ *
+ * Money held for a booking is tracked on `booking.walletHeld`, which is
+ * claimed before the ledger is written so a hold is only released once.
+ *
+ * Withdrawals are tracked as Payout documents. The wallet is debited before
+ * the gateway is asked to pay out, and a payout that fails is returned to
+ * the wallet. Payouts still pending later are finished by
+ * recoverPendingPayouts().
+ */
+
+/**
+ * Ledger account names of a user's wallet
+ * @param {string} userId - User ID
+ * @returns {Object} - { available, held }
+ */
+exports.accountsOf = (userId) => ({
+  available: `user:${userId}:available`,
+  held: `user:${userId}:held`
+});
+
+/**
+ * Get (or create) a user's wallet
+ * @param {string} userId - User ID
+ * @returns {Object} - Wallet document
+ */
+exports.getWallet = async (userId) => {
+  return await Wallet.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, currency: process.env.PAYMENT_CURRENCY || PAYMENT_SETTINGS.CURRENCY } },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Balances of a wallet computed from the ledger
+ * @param {string} userId - User ID
+ * @returns {Object} - { available, held }
+ */
+exports.getLedgerBalances = async (userId) => {
+  const accounts = exports.accountsOf(userId);
+
+  const totals = await LedgerTransaction.aggregate([
+    { $match: { 'entries.user': new mongoose.Types.ObjectId(userId) } },
+    { $unwind: '$entries' },
+    { $match: { 'entries.account': { $in: [accounts.available, accounts.held] } } },
+    { $group: { _id: '$entries.account', total: { $sum: '$entries.amount' } } }
+  ]);
+
+  const balanceOf = (account) => {
+    const row = totals.find(total => total._id === account);
+    return roundAmount(row ? row.total : 0);
+  };
+
+  return {
+    available: balanceOf(accounts.available),
+    held: balanceOf(accounts.held)
+  };
+};
+
+/**
+ * Check that a wallet's counters match its ledger
+ * @param {string} userId - User ID
+ * @returns {Object} - { reconciled, ledger, wallet, difference }
+ */
+exports.reconcile = async (userId) => {
+  const wallet = await exports.getWallet(userId);
+  const ledger = await exports.getLedgerBalances(userId);
+
+  // Transactions in progress have moved the counters but may not be in the ledger yet
+  const pending = await LedgerTransaction.find({
+    _id: { $in: (wallet.pendingTransactions || []).map(entry => entry.transaction) }
+  }).distinct('_id');
+
+  const unrecorded = (wallet.pendingTransactions || [])
+    .filter(entry => !pending.some(id => id.toString() === entry.transaction.toString()));
+
+  const difference = {
+    available: roundAmount(wallet.available - ledger.available - sumOf(unrecorded, 'available')),
+    held: roundAmount(wallet.held - ledger.held - sumOf(unrecorded, 'held'))
+  };
+
+  return {
+    reconciled: difference.available === 0 && difference.held === 0,
+    ledger,
+    wallet: { available: roundAmount(wallet.available), held: roundAmount(wallet.held) },
+    difference
+  };
+};
+
+/**
+ * Add money to a wallet from a card
+ * @param {string} userId - User ID
+ * @param {number} amount - Amount to add
+ * @param {string} paymentToken - Card token from the client
+ * @param {string} requestKey - Client idempotency key, if any
+ * @returns {Object} - { success, status, transaction, message }
+ */
+exports.topUp = async (userId, amount, paymentToken, requestKey) => {
+  if (!paymentService.isLiveGateway()) {
+    return { success: false, status: 503, message: GATEWAY_REQUIRED };
+  }
+
+  const idempotencyKey = `top_up:${userId}:${requestKey || crypto.randomUUID()}`;
+
+  // A retried request must not charge the card again
+  const existing = await LedgerTransaction.findOne({ idempotencyKey });
+
+  if (existing) {
+    return { success: true, transaction: existing };
+  }
+
+  const charge = await paymentService.chargeCard(amount, paymentToken, idempotencyKey, { userId: userId.toString() });
+
+  if (!charge.success) {
+    return { success: false, message: charge.message };
+  }
+
+  const accounts = exports.accountsOf(userId);
+
+  return await record({
+    type: LEDGER_TRANSACTION_TYPES.TOP_UP,
+    description: 'Wallet top-up',
+    reference: charge.id,
+    idempotencyKey,
+    entries: [
+      { account: LEDGER_ACCOUNTS.CARD, amount: -amount },
+      { account: accounts.available, user: userId, amount }
+    ]
+  });
+};
+
+/**
+ * Take money out of a wallet to the user's bank account. The wallet is
+ * debited first, then the gateway pays out; if it fails the money goes back.
+ * @param {string} userId - User ID
+ * @param {number} amount - Amount to withdraw
+ * @param {string} requestKey - Client idempotency key, if any
+ * @returns {Object} - { success, status, payout, transaction, message }
+ */
+exports.withdraw = async (userId, amount, requestKey) => {
+  if (!paymentService.payoutsEnabled()) {
+    return { success: false, status: 503, message: GATEWAY_REQUIRED };
+  }
+
+  const idempotencyKey = `withdrawal:${userId}:${requestKey || crypto.randomUUID()}`;
+  let payout;
+
+  try {
+    payout = await Payout.create({
+      user: userId,
+      amount,
+      currency: process.env.PAYMENT_CURRENCY || PAYMENT_SETTINGS.CURRENCY,
+      gateway: paymentService.getGateway().name,
+      idempotencyKey
+    });
+  } catch (err) {
+    if (err.code !== 11000) {
+      throw err;
+    }
+
+    // A retried request reports the first one instead of paying out again
+    return payoutResult(await Payout.findOne({ idempotencyKey }));
+  }
+
+  const debit = await debitPayout(payout);
+
+  if (!debit.success) {
+    // Nothing left the wallet, so there is nothing to pay out or track
+    await Payout.deleteOne({ _id: payout._id, status: PAYOUT_STATUS.PENDING });
+    return debit;
+  }
+
+  return await sendPayout(payout, debit.transaction);
+};
+
+/**
+ * Finish withdrawals left pending, e.g. by a crash or a gateway timeout.
+ * A payout whose wallet debit reached the ledger is sent again (the gateway
+ * call is idempotent); one that never debited the wallet is marked failed.
+ * @param {Date} before - Only look at payouts requested before this time
+ * @returns {Object} - { payoutsPaid, payoutsFailed }
+ */
+exports.recoverPendingPayouts = async (before) => {
+  const payouts = await Payout.find({ status: PAYOUT_STATUS.PENDING, createdAt: { $lt: before } });
+
+  let payoutsPaid = 0;
+  let payoutsFailed = 0;
+
+  for (const payout of payouts) {
+    const transaction = await LedgerTransaction.findOne({ idempotencyKey: payout.idempotencyKey });
+
+    const result = transaction
+      ? await sendPayout(payout, transaction)
+      : payoutResult(await markPayout(payout, PAYOUT_STATUS.FAILED, {
+        failureReason: 'The withdrawal was interrupted before the wallet was debited'
+      }));
+
+    if (result.payout && result.payout.status === PAYOUT_STATUS.PAID) {
+      payoutsPaid++;
+    } else if (result.payout && result.payout.status === PAYOUT_STATUS.FAILED) {
+      payoutsFailed++;
+    }
+  }
+
+  return { payoutsPaid, payoutsFailed };
+};
+
+/**
+ * Credit a wallet from the platform's promotions budget
+ * @param {string} userId - User ID
+ * @param {number} amount - Amount to credit
+ * @param {Object} details - { type, description, idempotencyKey }
+ * @returns {Object} - { success, transaction, message }
+ */
+exports.grantCredit = async (userId, amount, { type, description, idempotencyKey }) => {
+  return await record({
+    type,
+    description,
+    idempotencyKey,
+    entries: [
+      { account: LEDGER_ACCOUNTS.PROMOTIONS, amount: -amount },
+      { account: exports.accountsOf(userId).available, user: userId, amount }
+    ]
+  });
+};
+
+/**
+ * Reserve the fare of a wallet booking from the passenger's balance
+ * @param {Object} booking - Booking paid by wallet
+ * @returns {Object} - { success, transaction, message }
+ */
+exports.holdForBooking = async (booking) => {
+  const amount = roundAmount(booking.totalPrice);
+
+  // Claim the hold on the booking first so it can only happen once
+  const claimed = await Booking.findOneAndUpdate(
+    { _id: booking._id, walletHeld: 0 },
+    { walletHeld: amount, updatedAt: Date.now() }
+  );
+
+  if (!claimed) {
+    return { success: true, transaction: null };
+  }
+
+  const accounts = exports.accountsOf(booking.passenger);
+
+  const result = await record({
+    type: LEDGER_TRANSACTION_TYPES.HOLD,
+    booking: booking._id,
+    description: 'Fare reserved for booking',
+    idempotencyKey: `booking:${booking._id}:hold:${crypto.randomUUID()}`,
+    entries: [
+      { account: accounts.available, user: booking.passenger, amount: -amount },
+      { account: accounts.held, user: booking.passenger, amount }
+    ]
+  });
+
+  if (!result.success) {
+    await Booking.updateOne({ _id: booking._id, walletHeld: amount }, { walletHeld: 0 });
+  }
+
+  return result;
+};
+
+/**
+ * Give the money held for a booking back to the passenger
+ * @param {Object} booking - Booking paid by wallet
+ * @returns {Object} - { success, amount }
+ */
+exports.releaseForBooking = async (booking) => {
+  const previous = await claimHeld(booking);
+
+  if (!previous) {
+    return { success: true, amount: 0 };
+  }
+
+  await releaseHeld(previous, previous.walletHeld, 'Reserved fare returned');
+
+  return { success: true, amount: previous.walletHeld };
+};
+
+/**
+ * Bring the money held for a booking in line with a changed fare, holding
+ * more from the passenger's balance or giving the difference back
+ * @param {Object} booking - Booking paid by wallet, as last read
+ * @param {number} amount - New fare
+ * @returns {Object} - { success, message }
+ */
+exports.adjustHold = async (booking, amount) => {
+  const current = booking.walletHeld;
+  const target = roundAmount(amount);
+
+  if (!current || target === current) {
+    return { success: true };
+  }
+
+  // Claim the change on the booking first so it is only applied once
+  const previous = await Booking.findOneAndUpdate(
+    { _id: booking._id, walletHeld: current },
+    { walletHeld: target, updatedAt: Date.now() }
+  );
+
+  if (!previous) {
+    return { success: false, message: 'Booking was modified by another request' };
+  }
+
+  if (target < current) {
+    await releaseHeld(previous, roundAmount(current - target), 'Part of reserved fare returned');
+    return { success: true };
+  }
+
+  const accounts = exports.accountsOf(booking.passenger);
+  const extra = roundAmount(target - current);
+
+  const result = await record({
+    type: LEDGER_TRANSACTION_TYPES.HOLD,
+    booking: booking._id,
+    description: 'Additional fare reserved for booking',
+    idempotencyKey: `booking:${booking._id}:hold:${crypto.randomUUID()}`,
+    entries: [
+      { account: accounts.available, user: booking.passenger, amount: -extra },
+      { account: accounts.held, user: booking.passenger, amount: extra }
+    ]
+  });
+
+  if (!result.success) {
+    await Booking.updateOne({ _id: booking._id, walletHeld: target }, { walletHeld: current });
+  }
+
+  return result;
+};
+
+/**
+ * Pay the fare of a completed booking to the driver, minus commission. A
+ * promo discount is paid from the promotions account, so the driver earns
+ * the full fare.
+ * @param {Object} booking - Completed booking
+ * @returns {Object} - { success, transaction, message }
+ */
+exports.settleBooking = async (booking) => {
+  const discount = booking.discount || 0;
+
+  if (booking.paymentMethod === PAYMENT_METHODS.WALLET) {
+    const previous = await claimHeld(booking);
+
+    if (!previous) {
+      return { success: true, transaction: null };
+    }
+
+    const result = await exports.creditDriver(
+      previous,
+      previous.walletHeld,
+      exports.accountsOf(previous.passenger).held,
+      discount
+    );
+
+    if (result.success) {
+      await Booking.updateOne({ _id: booking._id }, { paymentStatus: PAYMENT_STATUS.PAID, updatedAt: Date.now() });
+    }
+
+    return result;
+  }
+
+  if (booking.paymentMethod === PAYMENT_METHODS.CARD && booking.paymentId) {
+    const payment = await Payment.findById(booking.paymentId);
+
+    if (!payment || !payment.amountCaptured) {
+      return { success: false, message: 'Card payment was not captured' };
+    }
+
+    return await exports.creditDriver(booking, payment.amountCaptured - payment.amountRefunded, LEDGER_ACCOUNTS.CARD, discount);
+  }
+
+  // Cash is paid to the driver directly; only the discount goes through the wallet
+  if (booking.paymentMethod !== PAYMENT_METHODS.CASH || discount <= 0) {
+    return { success: true, transaction: null };
+  }
+
+  return await record({
+    type: LEDGER_TRANSACTION_TYPES.SETTLEMENT,
+    booking: booking._id,
+    description: 'Promo discount on a cash fare',
+    idempotencyKey: `booking:${booking._id}:settlement`,
+    entries: [
+      { account: LEDGER_ACCOUNTS.PROMOTIONS, amount: -roundAmount(discount) },
+      { account: exports.accountsOf(booking.driver).available, user: booking.driver, amount: roundAmount(discount) }
+    ]
+  });
+};
+
+/**
+ * Credit a driver with a fare, keeping the platform commission
+ * @param {Object} booking - Booking the fare belongs to
+ * @param {number} amount - Fare paid by the passenger
+ * @param {string} sourceAccount - Ledger account the money comes from
+ * @param {number} discount - Promo discount the platform pays on top of the fare
+ * @returns {Object} - { success, transaction, message }
+ */
+exports.creditDriver = async (booking, amount, sourceAccount, discount = 0) => {
+  const fare = roundAmount(amount);
+  const promotion = roundAmount(discount);
+  const gross = roundAmount(fare + promotion);
+
+  if (gross <= 0) {
+    return { success: true, transaction: null };
+  }
+
+  const commission = roundAmount(gross * getCommissionPercent() / 100);
+  const driverAccounts = exports.accountsOf(booking.driver);
+  const passengerAccounts = exports.accountsOf(booking.passenger);
+  const entries = [];
+
+  if (fare > 0) {
+    entries.push({
+      account: sourceAccount,
+      user: sourceAccount === passengerAccounts.held ? booking.passenger : undefined,
+      amount: -fare
+    });
+  }
+
+  if (promotion > 0) {
+    entries.push({ account: LEDGER_ACCOUNTS.PROMOTIONS, amount: -promotion });
+  }
+
+  return await record({
+    type: LEDGER_TRANSACTION_TYPES.SETTLEMENT,
+    booking: booking._id,
+    description: `Fare settled (commission ${getCommissionPercent()}%)`,
+    idempotencyKey: `booking:${booking._id}:settlement`,
+    entries: [
+      ...entries,
+      { account: driverAccounts.available, user: booking.driver, amount: roundAmount(gross - commission) },
+      { account: LEDGER_ACCOUNTS.PLATFORM_COMMISSION, amount: commission }
+    ]
+  });
+};
+
+/**
+ * Settle a cancelled wallet booking: the refund goes back to the passenger,
+ * the cancellation fee goes to the driver
+ * @param {Object} booking - Cancelled booking paid by wallet
+ * @param {Object} outcome - Cancellation policy outcome (see cancellationService)
+ * @returns {Object} - { success, paid, currency, refund }
+ */
+exports.settleCancellation = async (booking, outcome) => {
+  const previous = await claimHeld(booking);
+
+  // Nothing was held, e.g. the booking was never approved
+  if (!previous) {
+    return { success: true, paid: false, refund: null };
+  }
+
+  const wallet = await exports.getWallet(booking.passenger);
+  const held = previous.walletHeld;
+  const refundAmount = roundAmount(Math.min(outcome.refundAmount, held));
+  const chargeAmount = roundAmount(held - refundAmount);
+
+  if (refundAmount > 0) {
+    await releaseHeld(previous, refundAmount, 'Cancellation refund');
+  }
+
+  if (chargeAmount > 0) {
+    await exports.creditDriver(previous, chargeAmount, exports.accountsOf(previous.passenger).held);
+  }
+
+  let refund = null;
+
+  if (refundAmount > 0) {
+    try {
+      refund = await Refund.create({
+        booking: booking._id,
+        user: booking.passenger,
+        amount: refundAmount,
+        refundPercent: outcome.refundPercent,
+        currency: wallet.currency,
+        status: REFUND_STATUS.SUCCEEDED,
+        cancelledBy: outcome.cancelledBy,
+        minutesBeforeDeparture: outcome.minutesBeforeDeparture,
+        reason: outcome.reason
+      });
+    } catch (err) {
+      if (err.code !== 11000) {
+        throw err;
+      }
+      refund = await Refund.findOne({ booking: booking._id });
+    }
+  }
+
+  await Booking.updateOne(
+    { _id: booking._id },
+    { paymentStatus: refundAmount > 0 ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PAID, updatedAt: Date.now() }
+  );
+
+  return { success: true, paid: true, currency: wallet.currency, refund };
+};
+
+/**
+ * Finish or undo transactions that moved wallet counters but were
+ * interrupted before clearing their note, e.g. by a crash. If the ledger row
+ * was written the note is dropped, otherwise the counters are moved back.
+ * @param {Date} before - Only look at transactions started before this time
+ * @returns {Object} - { transactionsCompleted, transactionsReverted }
+ */
+exports.recoverPendingTransactions = async (before) => {
+  const wallets = await Wallet.find({ 'pendingTransactions.createdAt': { $lt: before } })
+    .select('user pendingTransactions');
+
+  let transactionsCompleted = 0;
+  let transactionsReverted = 0;
+
+  for (const wallet of wallets) {
+    for (const pending of wallet.pendingTransactions) {
+      if (pending.createdAt >= before) {
+        continue;
+      }
+
+      if (await LedgerTransaction.exists({ _id: pending.transaction })) {
+        await clearPending([wallet.user], pending.transaction);
+        transactionsCompleted++;
+      } else if (await revertChange(wallet.user, pending.transaction)) {
+        transactionsReverted++;
+      }
+    }
+  }
+
+  return { transactionsCompleted, transactionsReverted };
+};
+
+/**
+ * Ledger transactions touching a user's wallet, newest first
+ * @param {string} userId - User ID
+ * @param {Object} paginationOptions - { startIndex, limit }
+ * @returns {Object} - { transactions, total }
+ */
+exports.getStatement = async (userId, { startIndex, limit }) => {
+  const accounts = exports.accountsOf(userId);
+  const query = { 'entries.user': userId };
+
+  const transactions = await LedgerTransaction.find(query)
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  const total = await LedgerTransaction.countDocuments(query);
+
+  // Show each transaction as its effect on the user's balances
+  const changeOf = (transaction, account) => roundAmount(
+    transaction.entries
+      .filter(entry => entry.account === account)
+      .reduce((sum, entry) => sum + entry.amount, 0)
+  );
+
+  return {
+    total,
+    transactions: transactions.map(transaction => ({
+      _id: transaction._id,
+      type: transaction.type,
+      description: transaction.description,
+      booking: transaction.booking,
+      reference: transaction.reference,
+      availableChange: changeOf(transaction, accounts.available),
+      heldChange: changeOf(transaction, accounts.held),
+      createdAt: transaction.createdAt
+    }))
+  };
+};
+
+/**
+ * Move the wallet counters, then write the ledger transaction. Counters only
+ * move if no wallet would go below zero, so a rejected transaction never
+ * reaches the ledger.
+ */
+async function record(data) {
+  const entries = data.entries.map(entry => ({ ...entry, amount: roundAmount(entry.amount) }));
+
+  // Already recorded by an earlier attempt
+  const existing = await LedgerTransaction.findOne({ idempotencyKey: data.idempotencyKey });
+
+  if (existing) {
+    return { success: true, transaction: existing };
+  }
+
+  const transactionId = new mongoose.Types.ObjectId();
+  const changes = walletChanges(entries);
+  const applied = [];
+
+  const undo = async () => {
+    for (const done of applied) {
+      await revertChange(done.user, transactionId);
+    }
+  };
+
+  for (const change of changes) {
+    await exports.getWallet(change.user);
+
+    const filter = { user: change.user };
+    if (change.available < 0) filter.available = { $gte: -change.available };
+    if (change.held < 0) filter.held = { $gte: -change.held };
+
+    const updated = await Wallet.findOneAndUpdate(
+      filter,
+      {
+        $inc: { available: change.available, held: change.held },
+        $push: {
+          pendingTransactions: {
+            transaction: transactionId,
+            available: change.available,
+            held: change.held,
+            createdAt: new Date()
+          }
+        },
+        updatedAt: Date.now()
+      }
+    );
+
+    if (!updated) {
+      await undo();
+      return { success: false, message: 'Insufficient wallet balance' };
+    }
+
+    applied.push(change);
+  }
+
+  let transaction;
+
+  try {
+    transaction = await LedgerTransaction.create({ ...data, _id: transactionId, entries });
+  } catch (err) {
+    await undo();
+
+    // Recorded by a concurrent attempt in the meantime
+    if (err.code === 11000) {
+      return { success: true, transaction: await LedgerTransaction.findOne({ idempotencyKey: data.idempotencyKey }) };
+    }
+    throw err;
+  }
+
+  await clearPending(applied.map(change => change.user), transactionId);
+
+  return { success: true, transaction };
+}
+
+/**
+ * Move a withdrawal from the user's wallet to the payout account
+ */
+async function debitPayout(payout) {
+  return await record({
+    type: LEDGER_TRANSACTION_TYPES.WITHDRAWAL,
+    description: 'Withdrawal to bank account',
+    reference: payout._id.toString(),
+    idempotencyKey: payout.idempotencyKey,
+    entries: [
+      { account: exports.accountsOf(payout.user).available, user: payout.user, amount: -payout.amount },
+      { account: LEDGER_ACCOUNTS.PAYOUT, amount: payout.amount }
+    ]
+  });
+}
+
+/**
+ * Ask the gateway to pay out a debited withdrawal. A failed payout is
+ * returned to the wallet before it is marked failed, so a crash in between
+ * is retried rather than losing the money.
+ */
+async function sendPayout(payout, transaction) {
+  const sent = await paymentService.sendPayout(payout.amount, payout.idempotencyKey, {
+    userId: payout.user.toString(),
+    payoutId: payout._id.toString()
+  });
+
+  if (sent.success) {
+    const paid = await markPayout(payout, PAYOUT_STATUS.PAID, { gatewayPayoutId: sent.id, paidAt: Date.now() });
+    return { ...payoutResult(paid), transaction };
+  }
+
+  const returned = await record({
+    type: LEDGER_TRANSACTION_TYPES.WITHDRAWAL_REVERSAL,
+    description: 'Failed withdrawal returned to the wallet',
+    reference: payout._id.toString(),
+    idempotencyKey: `${payout.idempotencyKey}:reversal`,
+    entries: [
+      { account: LEDGER_ACCOUNTS.PAYOUT, amount: -payout.amount },
+      { account: exports.accountsOf(payout.user).available, user: payout.user, amount: payout.amount }
+    ]
+  });
+
+  if (!returned.success) {
+    throw new Error(`Could not return failed payout ${payout._id} to the wallet`);
+  }
+
+  const failed = await markPayout(payout, PAYOUT_STATUS.FAILED, { failureReason: sent.message });
+  return { ...payoutResult(failed), transaction };
+}
+
+/**
+ * Settle a pending payout; returns the payout as stored afterwards
+ */
+async function markPayout(payout, status, fields) {
+  const timestamp = status === PAYOUT_STATUS.FAILED ? { failedAt: Date.now() } : {};
+
+  const updated = await Payout.findOneAndUpdate(
+    { _id: payout._id, status: PAYOUT_STATUS.PENDING },
+    { status, ...timestamp, ...fields, updatedAt: Date.now() },
+    { new: true }
+  );
+
+  return updated || await Payout.findById(payout._id);
+}
+
+/**
+ * Result of a withdrawal from the state of its payout
+ */
+function payoutResult(payout) {
+  if (payout.status === PAYOUT_STATUS.FAILED) {
+    return { success: false, status: 502, payout, message: `The payout failed: ${payout.failureReason}` };
+  }
+
+  return { success: true, payout };
+}
+
+/**
+ * Move a wallet's counters back for a transaction that did not make it to
+ * the ledger. Matching on the note makes sure this happens only once.
+ */
+async function revertChange(userId, transactionId) {
+  const wallet = await Wallet.findOne({ user: userId, 'pendingTransactions.transaction': transactionId })
+    .select('pendingTransactions');
+
+  const pending = wallet && wallet.pendingTransactions
+    .find(entry => entry.transaction.toString() === transactionId.toString());
+
+  if (!pending) {
+    return false;
+  }
+
+  const result = await Wallet.updateOne(
+    { user: userId, 'pendingTransactions.transaction': transactionId },
+    {
+      $inc: { available: -pending.available, held: -pending.held },
+      $pull: { pendingTransactions: { transaction: transactionId } },
+      updatedAt: Date.now()
+    }
+  );
+
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Drop the note of a transaction that is in the ledger
+ */
+async function clearPending(userIds, transactionId) {
+  await Wallet.updateMany(
+    { user: { $in: userIds } },
+    { $pull: { pendingTransactions: { transaction: transactionId } } }
+  );
+}
+
+/**
+ * Net change per wallet of a set of ledger entries
+ */
+function walletChanges(entries) {
+  const changes = new Map();
+
+  entries.forEach(entry => {
+    const match = /^user:([0-9a-f]{24}):(available|held)$/.exec(entry.account);
+
+    if (!match) {
+      return;
+    }
+
+    const change = changes.get(match[1]) || { user: match[1], available: 0, held: 0 };
+    change[match[2]] = roundAmount(change[match[2]] + entry.amount);
+    changes.set(match[1], change);
+  });
+
+  return Array.from(changes.values());
+}
+
+/**
+ * Take over the amount held for a booking so it is only used once
+ */
+async function claimHeld(booking) {
+  return await Booking.findOneAndUpdate(
+    { _id: booking._id, walletHeld: { $gt: 0 } },
+    { walletHeld: 0, updatedAt: Date.now() }
+  );
+}
+
+/**
+ * Move held money back to the passenger's available balance
+ */
+async function releaseHeld(booking, amount, description) {
+  const accounts = exports.accountsOf(booking.passenger);
+
+  const result = await record({
+    type: LEDGER_TRANSACTION_TYPES.RELEASE,
+    booking: booking._id,
+    description,
+    idempotencyKey: `booking:${booking._id}:release:${crypto.randomUUID()}`,
+    entries: [
+      { account: accounts.held, user: booking.passenger, amount: -amount },
+      { account: accounts.available, user: booking.passenger, amount }
+    ]
+  });
+
+  if (!result.success) {
+    logger.error(`Could not release ${amount} held for booking ${booking._id}: ${result.message}`);
+  }
+
+  return result;
+}
+
+function getCommissionPercent() {
+  const percent = parseFloat(process.env.PLATFORM_COMMISSION_PERCENT);
+  return isNaN(percent) ? WALLET_SETTINGS.DEFAULT_COMMISSION_PERCENT : percent;
+}
+
+function sumOf(items, field) {
+  return items.reduce((sum, item) => sum + item[field], 0);
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
@@ -0,0 +1,106 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../app');
+const Session = require('../models/session');
+const User = require('../models/user');
+const { createMemoryDb } = require('./support/memoryDb');
+
+const db = createMemoryDb();
+
+const PASSWORD = 'Secret123!';
+
+describe('auth sessions', () => {
+  let passwordHash;
+
+  beforeAll(async () => {
+    passwordHash = await bcrypt.hash(PASSWORD, 4);
+  });
+
+  beforeEach(async () => {
+    db.reset();
+    db.install(Session, User);
+
+    await User.create({
+      firstName: 'Asha',
+      lastName: 'Rao',
+      email: 'asha@example.com',
+      phone: '+919876543210',
+      password: passwordHash
+    });
+  });
+
+  const login = async () => {
+    const res = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'asha@example.com', password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    return res.body;
+  };
+
+  const refresh = (refreshToken) => request(app).post('/api/v1/auth/refresh').send({ refreshToken });
+
+  const listSessions = (token) => request(app).get('/api/v1/auth/sessions').set('Authorization', `Bearer ${token}`);
+
+  it('signs access tokens for ACCESS_TOKEN_EXPIRE and ignores JWT_EXPIRE', async () => {
+    const previous = { ...process.env };
+    delete process.env.ACCESS_TOKEN_EXPIRE;
+    process.env.JWT_EXPIRE = '30d';
+
+    try {
+      const short = jwt.decode((await login()).token);
+      expect(short.exp - short.iat).toBe(15 * 60);
+
+      process.env.ACCESS_TOKEN_EXPIRE = '1h';
+      const configured = jwt.decode((await login()).token);
+      expect(configured.exp - configured.iat).toBe(3600);
+    } finally {
+      process.env = previous;
+    }
+  });
+
+  it('rotates the refresh token on every refresh', async () => {
+    const { refreshToken } = await login();
+
+    const first = await refresh(refreshToken);
+    expect(first.status).toBe(200);
+    expect(first.body.refreshToken).not.toBe(refreshToken);
+
+    const second = await refresh(first.body.refreshToken);
+    expect(second.status).toBe(200);
+    expect((await listSessions(second.body.token)).status).toBe(200);
+  });
+
+  it('revokes the session when an exchanged refresh token is replayed', async () => {
+    const { refreshToken } = await login();
+    const rotated = await refresh(refreshToken);
+
+    const replayed = await refresh(refreshToken);
+    expect(replayed.status).toBe(401);
+
+    expect(db.documents(Session)[0]).toMatchObject({ revokedReason: 'refresh_token_reuse' });
+
+    // Neither the thief's nor the owner's tokens work any more
+    expect((await refresh(rotated.body.refreshToken)).status).toBe(401);
+    expect((await listSessions(rotated.body.token)).status).toBe(401);
+  });
+
+  it('signs out only the revoked device', async () => {
+    const phone = await login();
+    const laptop = await login();
+
+    const sessions = await listSessions(laptop.token);
+    expect(sessions.body.count).toBe(2);
+    const phoneSession = sessions.body.data.find(session => !session.isCurrent);
+
+    const revoked = await request(app)
+      .delete(`/api/v1/auth/sessions/${phoneSession._id}`)
+      .set('Authorization', `Bearer ${laptop.token}`);
+    expect(revoked.status).toBe(200);
+
+    expect((await listSessions(phone.token)).status).toBe(401);
+    expect((await refresh(phone.refreshToken)).status).toBe(401);
+    expect((await listSessions(laptop.token)).body.count).toBe(1);
+  });
+});
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Ride = require('../models/ride');
+const backfillRideRoutes = require('../migrations/backfillRideRoutes');
+const { createMemoryDb } = require('./support/memoryDb');
+
+const db = createMemoryDb();
+
+const point = (address, longitude) => ({
+  address,
+  location: { type: 'Point', coordinates: [longitude, 12.9] }
+});
+
+function createRide(data = {}) {
+  return Ride.create({
+    driver: new mongoose.Types.ObjectId(),
+    source: point('A', 77.5),
+    destination: point('D', 77.9),
+    departureTime: new Date(Date.now() + 24 * 3600000),
+    seatsAvailable: 3,
+    seatsTotal: 3,
+    pricePerSeat: 100,
+    ...data
+  });
+}
+
+describe('backfillRideRoutes', () => {
+  beforeEach(() => {
+    db.reset();
+    db.install(Ride);
+  });
+
+  it('stores the route of rides created without one', async () => {
+    const ride = await createRide({ intermediateStops: [point('B', 77.7)] });
+
+    const result = await backfillRideRoutes();
+
+    expect(result).toEqual({ ridesUpdated: 1, ridesSkipped: 0 });
+
+    const stored = db.documents(Ride).find(doc => doc._id === ride._id.toString());
+    expect(stored.route).toEqual({
+      type: 'LineString',
+      coordinates: [[77.5, 12.9], [77.7, 12.9], [77.9, 12.9]]
+    });
+  });
+
+  it('leaves rides that already have a route alone and can run again', async () => {
+    const route = { type: 'LineString', coordinates: [[77.5, 12.9], [77.6, 13.0], [77.9, 12.9]] };
+    const ride = await createRide({ route });
+    await createRide();
+
+    expect(await backfillRideRoutes()).toEqual({ ridesUpdated: 1, ridesSkipped: 0 });
+    expect(await backfillRideRoutes()).toEqual({ ridesUpdated: 0, ridesSkipped: 0 });
+
+    const stored = db.documents(Ride).find(doc => doc._id === ride._id.toString());
+    expect(stored.route).toEqual(route);
+  });
+
+  it('skips rides whose stops do not form a line', async () => {
+    await createRide({ destination: point('A again', 77.5) });
+
+    expect(await backfillRideRoutes()).toEqual({ ridesUpdated: 0, ridesSkipped: 1 });
+  });
+});
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/booking');
+const PromoCode = require('../models/promoCode');
+const PromoRedemption = require('../models/promoRedemption');
+const Ride = require('../models/ride');
+const WaitlistEntry = require('../models/waitlistEntry');
+const bookingChangeService = require('../services/bookingChangeService');
+const seatService = require('../services/seatService');
+const { createMemoryDb } = require('./support/memoryDb');
+const { BOOKING_CHANGE_STATUS } = require('../utils/constants');
+
+const db = createMemoryDb();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+describe('bookingChangeService', () => {
+  let ride;
+
+  async function createBooking(data = {}) {
+    return await Booking.create({
+      ride: ride._id,
+      passenger: objectId(),
+      driver: ride.driver,
+      seatsBooked: 2,
+      totalPrice: 200,
+      ...data
+    });
+  }
+
+  // Prepare a change and make it the way the booking controller does
+  async function change(booking, fields) {
+    const prepared = await bookingChangeService.prepare(booking, await Ride.findById(ride._id), fields);
+
+    if (!prepared.success) {
+      return prepared;
+    }
+
+    return prepared.needsApproval
+      ? await bookingChangeService.request(booking, prepared.change, prepared.changes, booking.passenger)
+      : await bookingChangeService.apply(booking, prepared.change, prepared.changes, booking.passenger);
+  }
+
+  beforeEach(async () => {
+    db.reset();
+    db.install(Booking, PromoCode, PromoRedemption, Ride, WaitlistEntry);
+
+    ride = await Ride.create({
+      driver: objectId(),
+      source: { address: 'A', location: { type: 'Point', coordinates: [77.5, 12.9] } },
+      destination: { address: 'B', location: { type: 'Point', coordinates: [77.9, 12.9] } },
+      departureTime: new Date(Date.now() + 24 * 3600000),
+      seatsAvailable: 4,
+      seatsTotal: 4,
+      pricePerSeat: 100
+    });
+  });
+
+  describe('a change waiting for the driver', () => {
+    async function approvedWithRequest() {
+      const { booking } = await seatService.approveBooking(await createBooking());
+      const requested = await change(booking, { seatsBooked: 3 });
+
+      expect(bookingChangeService.hasPendingChange(requested.booking)).toBe(true);
+
+      return requested.booking;
+    }
+
+    it('is dropped when the passenger makes another change', async () => {
+      const booking = await approvedWithRequest();
+
+      const applied = await change(booking, { seatsBooked: 1 });
+
+      expect(applied.success).toBe(true);
+      expect(applied.booking.seatsBooked).toBe(1);
+      expect(bookingChangeService.hasPendingChange(applied.booking)).toBe(false);
+      expect(applied.booking.changeLog.map(entry => entry.status)).toEqual([
+        BOOKING_CHANGE_STATUS.REQUESTED,
+        BOOKING_CHANGE_STATUS.SUPERSEDED,
+        BOOKING_CHANGE_STATUS.APPLIED
+      ]);
+
+      const approved = await bookingChangeService.approve(applied.booking, ride.driver);
+      expect(approved).toMatchObject({ success: false, status: 400 });
+    });
+
+    it('cannot be approved from a stale read after another change', async () => {
+      const stale = await approvedWithRequest();
+
+      await change(stale, { passengerNotes: 'Blue backpack' });
+
+      const approved = await bookingChangeService.approve(stale, ride.driver);
+
+      expect(approved).toMatchObject({ success: false, status: 409 });
+
+      const stored = await Booking.findById(stale._id);
+      expect(stored).toMatchObject({ seatsBooked: 2, seatsHeld: 2, totalPrice: 200 });
+      expect((await Ride.findById(ride._id)).seatsAvailable).toBe(2);
+    });
+  });
+
+  describe('promo discounts', () => {
+    async function createPromoBooking(promo) {
+      await PromoCode.create({ code: 'SAVE', ...promo });
+      const booking = await createBooking({ promoCode: 'SAVE', discount: 20, totalPrice: 180 });
+      await PromoRedemption.create({ promoCode: objectId(), user: booking.passenger, booking: booking._id, discount: 20 });
+      return booking;
+    }
+
+    it('are worked out again for a new number of seats', async () => {
+      const booking = await createPromoBooking({ discountType: 'percentage', discountValue: 10 });
+
+      const result = await change(booking, { seatsBooked: 3 });
+
+      expect(result.booking).toMatchObject({ seatsBooked: 3, discount: 30, totalPrice: 270 });
+      expect(db.documents(PromoRedemption)[0].discount).toBe(30);
+    });
+
+    it('keep to the cap of the code', async () => {
+      const booking = await createPromoBooking({ discountType: 'percentage', discountValue: 10, maxDiscount: 25 });
+
+      const result = await change(booking, { seatsBooked: 4 });
+
+      expect(result.booking).toMatchObject({ discount: 25, totalPrice: 375 });
+    });
+
+    it('are dropped when the fare falls below the minimum of the code', async () => {
+      const booking = await createPromoBooking({ discountType: 'fixed', discountValue: 20, minFare: 150 });
+
+      const result = await change(booking, { seatsBooked: 1 });
+
+      expect(result.booking).toMatchObject({ discount: 0, totalPrice: 100 });
+      expect(db.documents(PromoRedemption)[0].discount).toBe(0);
+    });
+  });
+});
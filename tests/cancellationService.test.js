@@ -0,0 +1,52 @@
+const cancellationService = require('../services/cancellationService');
+const { BOOKING_STATUS, CANCELLATION_POLICY } = require('../utils/constants');
+
+describe('cancellationService policy', () => {
+  const now = new Date('2026-01-01T10:00:00Z');
+
+  const ride = (minutesBefore) => ({ departureTime: new Date(now.getTime() + minutesBefore * 60000) });
+  const booking = { status: BOOKING_STATUS.APPROVED, totalPrice: 200 };
+
+  afterEach(() => {
+    cancellationService.configurePolicy({});
+  });
+
+  it('keeps the defaults when nothing is configured', () => {
+    expect(cancellationService.configurePolicy({})).toEqual(CANCELLATION_POLICY);
+  });
+
+  it('applies passenger tiers from the environment', () => {
+    cancellationService.configurePolicy({ CANCELLATION_PASSENGER_TIERS: '0:25, 120:100' });
+
+    const evaluate = (minutesBefore) =>
+      cancellationService.evaluate(booking, ride(minutesBefore), 'passenger', now).refundPercent;
+
+    expect(evaluate(180)).toBe(100);
+    expect(evaluate(60)).toBe(25);
+    expect(evaluate(-10)).toBe(0);
+  });
+
+  it('applies refund percentages from the environment', () => {
+    cancellationService.configurePolicy({
+      CANCELLATION_DRIVER_REFUND_PERCENT: '90',
+      CANCELLATION_UNCONFIRMED_REFUND_PERCENT: '80'
+    });
+
+    expect(cancellationService.evaluate(booking, ride(10), 'driver', now))
+      .toMatchObject({ refundPercent: 90, refundAmount: 180, chargeAmount: 20 });
+    expect(cancellationService.evaluate({ ...booking, status: BOOKING_STATUS.PENDING }, ride(10), 'passenger', now).refundPercent)
+      .toBe(80);
+    expect(cancellationService.evaluate(booking, ride(10), 'admin', now).refundPercent)
+      .toBe(CANCELLATION_POLICY.ADMIN_REFUND_PERCENT);
+  });
+
+  it.each([
+    [{ CANCELLATION_ADMIN_REFUND_PERCENT: '150' }, /CANCELLATION_ADMIN_REFUND_PERCENT/],
+    [{ CANCELLATION_DRIVER_REFUND_PERCENT: 'all' }, /CANCELLATION_DRIVER_REFUND_PERCENT/],
+    [{ CANCELLATION_PASSENGER_TIERS: '120=100' }, /CANCELLATION_PASSENGER_TIERS/],
+    [{ CANCELLATION_PASSENGER_TIERS: '120:-5' }, /CANCELLATION_PASSENGER_TIERS/]
+  ])('refuses an invalid setting %o', (env, message) => {
+    expect(() => cancellationService.configurePolicy(env)).toThrow(message);
+    expect(cancellationService.getPolicy()).toEqual(CANCELLATION_POLICY);
+  });
+});
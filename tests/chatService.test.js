@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/conversation');
+const Message = require('../models/message');
+const chatService = require('../services/chatService');
+const socketService = require('../services/socketService');
+const { createMemoryDb } = require('./support/memoryDb');
+const { BOOKING_STATUS, CHAT_SETTINGS, SOCKET_EVENTS } = require('../utils/constants');
+
+const db = createMemoryDb();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+const HOUR = 3600000;
+
+describe('chatService', () => {
+  let booking;
+
+  beforeEach(() => {
+    db.reset();
+    db.install(Conversation, Message);
+
+    booking = {
+      _id: objectId(),
+      ride: objectId(),
+      driver: objectId(),
+      passenger: objectId(),
+      status: BOOKING_STATUS.APPROVED
+    };
+  });
+
+  describe('maskPhoneNumbers', () => {
+    it('hides phone numbers written in common formats', () => {
+      ['9876543210', '+91 98765 43210', '(987) 654-3210', '98.765.432.10'].forEach(number => {
+        expect(chatService.maskPhoneNumbers(`Call me on ${number} please`)).toEqual({
+          text: 'Call me on [phone number hidden] please',
+          masked: true
+        });
+      });
+    });
+
+    it('leaves short numbers alone', () => {
+      expect(chatService.maskPhoneNumbers('Gate 12, see you at 10:30 with 2 bags')).toEqual({
+        text: 'Gate 12, see you at 10:30 with 2 bags',
+        masked: false
+      });
+    });
+  });
+
+  describe('maskPhone', () => {
+    it('shows only the last two digits', () => {
+      expect(chatService.maskPhone('+919876543210')).toBe('+**********10');
+      expect(chatService.maskPhone(undefined)).toBeUndefined();
+    });
+  });
+
+  describe('getLockReason', () => {
+    it('keeps the chat open until the lock period after completion has passed', () => {
+      const completedAt = new Date('2026-06-01T10:00:00Z');
+      const completed = { ...booking, status: BOOKING_STATUS.COMPLETED, completedAt };
+      const lockHours = CHAT_SETTINGS.LOCK_AFTER_COMPLETION_HOURS;
+
+      expect(chatService.getLockReason(completed, new Date(completedAt.getTime() + (lockHours - 1) * HOUR))).toBeNull();
+      expect(chatService.getLockReason(completed, new Date(completedAt.getTime() + lockHours * HOUR)))
+        .toBe(`Chat closed ${lockHours} hours after the ride`);
+    });
+
+    it('closes the chat of bookings that will not happen', () => {
+      [BOOKING_STATUS.REJECTED, BOOKING_STATUS.CANCELLED, BOOKING_STATUS.EXPIRED].forEach(status => {
+        expect(chatService.getLockReason({ ...booking, status })).toBe(`Chat is closed because the booking is ${status}`);
+      });
+    });
+  });
+
+  describe('sendMessage', () => {
+    it('stores and delivers the message with phone numbers hidden', async () => {
+      const emit = jest.spyOn(socketService, 'emitToUser').mockImplementation(() => {});
+
+      const result = await chatService.sendMessage(booking, booking.passenger, 'My number is 98765 43210');
+
+      expect(result).toMatchObject({ success: true, message: 'Message sent. Phone numbers are hidden.' });
+      expect(db.documents(Message)).toEqual([
+        expect.objectContaining({ body: 'My number is [phone number hidden]', phoneMasked: true, recipient: booking.driver })
+      ]);
+      expect(emit).toHaveBeenCalledWith(booking.driver, SOCKET_EVENTS.CHAT_MESSAGE, expect.anything());
+    });
+
+    it('refuses messages once the chat is locked after the ride', async () => {
+      const completed = {
+        ...booking,
+        status: BOOKING_STATUS.COMPLETED,
+        completedAt: new Date(Date.now() - (CHAT_SETTINGS.LOCK_AFTER_COMPLETION_HOURS + 1) * HOUR)
+      };
+
+      const result = await chatService.sendMessage(completed, completed.driver, 'Thanks for riding');
+
+      expect(result.success).toBe(false);
+      expect(db.documents(Message)).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const DriverDocument = require('../models/driverDocument');
+const User = require('../models/user');
+const driverVerificationService = require('../services/driverVerificationService');
+const storageService = require('../services/storageService');
+const notificationController = require('../controllers/notificationController');
+const expireDriverDocuments = require('../jobs/expireDriverDocuments');
+const setDriverDocumentDeadlines = require('../migrations/setDriverDocumentDeadlines');
+const { createMemoryDb } = require('./support/memoryDb');
+const { DRIVER_DOCUMENT_STATUS, DRIVER_DOCUMENT_TYPES, JOB_SETTINGS } = require('../utils/constants');
+
+const db = createMemoryDb();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+const PDF = Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n1 0 obj\n');
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d]);
+
+describe('driver documents', () => {
+  let saved;
+
+  beforeEach(() => {
+    db.reset();
+    db.install(DriverDocument, User);
+
+    saved = [];
+    storageService.useStorage({
+      name: 'test',
+      save: async ({ buffer, folder, extension }) => {
+        saved.push({ folder, extension });
+        return { key: `${folder}/file${extension}`, size: buffer.length };
+      },
+      remove: async () => {}
+    });
+
+    jest.spyOn(notificationController, 'createNotification').mockResolvedValue({});
+  });
+
+  afterAll(() => {
+    storageService.useStorage(storageService.createLocalStorage());
+  });
+
+  describe('submitDocument', () => {
+    const upload = (buffer, mimetype, originalname) => driverVerificationService.submitDocument(
+      objectId(),
+      { buffer, mimetype, originalname },
+      { type: DRIVER_DOCUMENT_TYPES.LICENSE }
+    );
+
+    it('names the stored file after the type of its content', async () => {
+      const result = await upload(PDF, 'application/pdf', 'license.exe');
+
+      expect(result.success).toBe(true);
+      expect(saved[0].extension).toBe('.pdf');
+      expect(result.document.file).toMatchObject({ key: expect.stringMatching(/\.pdf$/), mimeType: 'application/pdf' });
+    });
+
+    it('refuses content that is not an allowed type', async () => {
+      const result = await upload(Buffer.from('<html><script>alert(1)</script>'), 'application/pdf', 'license.pdf');
+
+      expect(result).toMatchObject({ success: false, status: 400 });
+      expect(saved).toHaveLength(0);
+      expect(db.documents(DriverDocument)).toHaveLength(0);
+    });
+
+    it('refuses content that does not match the declared type', async () => {
+      const result = await upload(PNG, 'application/pdf', 'license.pdf');
+
+      expect(result).toMatchObject({ success: false, status: 400, message: 'File content is image/png, not application/pdf' });
+      expect(saved).toHaveLength(0);
+    });
+  });
+
+  describe('drivers verified without documents', () => {
+    async function createDriver() {
+      return await User.create({
+        firstName: 'Dee',
+        lastName: 'Driver',
+        email: `${objectId()}@example.com`,
+        phone: `+1555${Math.floor(Math.random() * 10000000).toString().padStart(7, '0')}`,
+        password: 'secret123',
+        role: 'driver',
+        driverDetails: { isVerified: true }
+      });
+    }
+
+    async function approveAll(driver) {
+      for (const type of Object.values(DRIVER_DOCUMENT_TYPES)) {
+        await DriverDocument.create({
+          driver: driver._id,
+          type,
+          status: DRIVER_DOCUMENT_STATUS.APPROVED,
+          file: { key: `driver-documents/${driver._id}/${type}.pdf` }
+        });
+      }
+    }
+
+    const storedDriver = (driver) => db.documents(User).find(user => user._id === driver._id.toString());
+
+    it('get a deadline once at startup, without a notification', async () => {
+      const undocumented = await createDriver();
+      const documented = await createDriver();
+      await approveAll(documented);
+
+      expect(await setDriverDocumentDeadlines()).toEqual({ driversFlagged: 1 });
+      expect(await setDriverDocumentDeadlines()).toEqual({ driversFlagged: 0 });
+
+      expect(storedDriver(undocumented).driverDetails.documentsDueBy.getTime()).toBeGreaterThan(Date.now());
+      expect(storedDriver(documented).driverDetails.documentsDueBy).toBeUndefined();
+      expect(notificationController.createNotification).not.toHaveBeenCalled();
+    });
+
+    it('are notified of their deadline by the job, once and a batch per run', async () => {
+      jest.replaceProperty(JOB_SETTINGS, 'DOCUMENT_DEADLINE_NOTICES_PER_RUN', 1);
+      const first = await createDriver();
+      const second = await createDriver();
+      await setDriverDocumentDeadlines();
+
+      expect((await expireDriverDocuments()).deadlineNoticesSent).toBe(1);
+      expect((await expireDriverDocuments()).deadlineNoticesSent).toBe(1);
+      expect((await expireDriverDocuments()).deadlineNoticesSent).toBe(0);
+
+      const recipients = notificationController.createNotification.mock.calls.map(([notification]) => notification.recipient.toString());
+      expect(recipients.sort()).toEqual([first._id.toString(), second._id.toString()].sort());
+      expect(notificationController.createNotification.mock.calls[0][0].message).toContain('license');
+    });
+
+    it('stay verified until the deadline and are unverified after it', async () => {
+      const driver = await createDriver();
+      await setDriverDocumentDeadlines();
+
+      await expireDriverDocuments();
+      expect(storedDriver(driver).driverDetails.isVerified).toBe(true);
+
+      await User.updateOne({ _id: driver._id }, { 'driverDetails.documentsDueBy': new Date(Date.now() - 1000) });
+      const result = await expireDriverDocuments();
+
+      expect(result.driversUnverified).toBe(1);
+      expect(storedDriver(driver).driverDetails).toMatchObject({ isVerified: false });
+      expect(storedDriver(driver).driverDetails.documentsDueBy).toBeUndefined();
+    });
+
+    it('stay verified when their documents were approved in time', async () => {
+      const driver = await createDriver();
+      await setDriverDocumentDeadlines();
+      await approveAll(driver);
+
+      await User.updateOne({ _id: driver._id }, { 'driverDetails.documentsDueBy': new Date(Date.now() - 1000) });
+      const result = await expireDriverDocuments();
+
+      expect(result.driversUnverified).toBe(0);
+      expect(storedDriver(driver).driverDetails.isVerified).toBe(true);
+      expect(storedDriver(driver).driverDetails.documentsDueBy).toBeUndefined();
+    });
+  });
+});
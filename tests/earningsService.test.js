@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/booking');
+const LedgerTransaction = require('../models/ledgerTransaction');
+const Ride = require('../models/ride');
+const Wallet = require('../models/wallet');
+const earningsService = require('../services/earningsService');
+const walletService = require('../services/walletService');
+const { createMemoryDb } = require('./support/memoryDb');
+const { BOOKING_STATUS, EARNINGS_PERIODS, LEDGER_ACCOUNTS } = require('../utils/constants');
+
+const db = createMemoryDb();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+describe('earningsService', () => {
+  let driver;
+  let ride;
+
+  async function createBooking(totalPrice, paymentMethod, status, discount) {
+    return await Booking.create({
+      ride: ride._id,
+      passenger: objectId(),
+      driver,
+      seatsBooked: 1,
+      totalPrice,
+      paymentMethod,
+      status,
+      promoCode: discount ? 'SAVE' : undefined,
+      discount
+    });
+  }
+
+  beforeEach(async () => {
+    db.reset();
+    db.install(Booking, LedgerTransaction, Ride, Wallet);
+
+    driver = objectId();
+    ride = await Ride.create({
+      driver,
+      source: { address: 'A', location: { type: 'Point', coordinates: [77.5, 12.9] } },
+      destination: { address: 'B', location: { type: 'Point', coordinates: [77.9, 12.9] } },
+      departureTime: new Date('2026-03-02T08:00:00Z'),
+      seatsAvailable: 4,
+      seatsTotal: 4,
+      pricePerSeat: 100
+    });
+
+    // Settled card fare of 200: 180 to the driver, 20 commission
+    const settled = await createBooking(200, 'card', BOOKING_STATUS.COMPLETED);
+    await walletService.creditDriver(settled, 200, LEDGER_ACCOUNTS.CARD);
+
+    // Card fare not settled yet
+    await createBooking(150, 'card', BOOKING_STATUS.COMPLETED);
+
+    // Cash fare, collected by the driver in full
+    await createBooking(100, 'cash', BOOKING_STATUS.COMPLETED);
+
+    // Cancellation fee of 50 on a 300 fare: 45 to the driver, 5 commission
+    const cancelled = await createBooking(300, 'card', BOOKING_STATUS.CANCELLED);
+    await walletService.creditDriver(cancelled, 50, LEDGER_ACCOUNTS.CARD);
+
+    // Cancelled without a fee: no earnings
+    await createBooking(100, 'card', BOOKING_STATUS.CANCELLED);
+  });
+
+  it('reports net and commission from the ledger', async () => {
+    const report = await earningsService.getDriverEarnings(driver, { period: EARNINGS_PERIODS.WEEK });
+
+    expect(report.totals).toEqual({
+      gross: 500,
+      promotion: 0,
+      commission: 25,
+      net: 325,
+      pending: 150,
+      bookings: 4,
+      seats: 4,
+      rides: 1
+    });
+    expect(report.byPeriod).toEqual([expect.objectContaining({ period: '2026-W10', net: 325 })]);
+
+    const card = report.byPaymentMethod.find(group => group.paymentMethod === 'card');
+    expect(card).toMatchObject({ gross: 400, commission: 25, net: 225, pending: 150 });
+  });
+
+  it('lists fares and cancellation fees for the CSV export', async () => {
+    const lines = await earningsService.getDriverEarningLines(driver, {});
+
+    expect(lines).toHaveLength(4);
+    expect(lines.filter(line => line.kind === 'cancellation_fee')).toEqual([
+      expect.objectContaining({ gross: 50, commission: 5, net: 45, pending: 0 })
+    ]);
+  });
+
+  it('reports the same totals per driver for payout runs', async () => {
+    const { drivers, total } = await earningsService.getEarningsByDriver({});
+
+    expect(total).toBe(1);
+    expect(drivers[0]).toMatchObject({ driver, gross: 500, commission: 25, net: 325, pending: 150, rides: 1 });
+  });
+
+  it('counts promo discounts paid by the platform', async () => {
+    // Card fare of 80 after a 20 discount: settled on 100, 90 to the driver
+    const discounted = await createBooking(80, 'card', BOOKING_STATUS.COMPLETED, 20);
+    await walletService.creditDriver(discounted, 80, LEDGER_ACCOUNTS.CARD, 20);
+
+    // Cash fare of 90 after a 10 discount, the discount not paid yet
+    await createBooking(90, 'cash', BOOKING_STATUS.COMPLETED, 10);
+
+    const lines = await earningsService.getDriverEarningLines(driver, {});
+
+    expect(lines.find(line => line.booking === discounted._id.toString()))
+      .toMatchObject({ gross: 100, promotion: 20, commission: 10, net: 90, pending: 0 });
+    expect(lines.find(line => line.paymentMethod === 'cash' && line.promotion))
+      .toMatchObject({ gross: 100, promotion: 10, net: 90, pending: 10 });
+  });
+
+    it('only counts rides departing in the requested range', async () => {
+    const report = await earningsService.getDriverEarnings(driver, { from: '2026-03-03' });
+
+    expect(report.totals).toMatchObject({ gross: 0, bookings: 0 });
+  });
+});
@@ -0,0 +1,82 @@
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const app = require('../app');
+const EmailVerification = require('../models/emailVerification');
+const Session = require('../models/session');
+const User = require('../models/user');
+const { createMemoryDb } = require('./support/memoryDb');
+
+const db = createMemoryDb();
+
+const PASSWORD = 'Secret123!';
+
+describe('email verification gate', () => {
+  let passwordHash;
+  let user;
+  let token;
+
+  beforeAll(async () => {
+    passwordHash = await bcrypt.hash(PASSWORD, 4);
+  });
+
+  beforeEach(async () => {
+    db.reset();
+    db.install(EmailVerification, Session, User);
+    process.env.REQUIRE_EMAIL_VERIFICATION = 'booking, ride';
+
+    user = await User.create({
+      firstName: 'Asha',
+      lastName: 'Rao',
+      email: 'asha@example.com',
+      phone: '+919876543210',
+      password: passwordHash
+    });
+
+    const res = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'asha@example.com', password: PASSWORD });
+
+    token = res.body.token;
+  });
+
+  afterEach(() => {
+    delete process.env.REQUIRE_EMAIL_VERIFICATION;
+  });
+
+  // The gate runs before validation, so an empty request shows which one answered
+  const post = (path) => request(app)
+    .post(path)
+    .set('Authorization', `Bearer ${token}`)
+    .send({});
+
+  const postTripRequest = () => post('/api/v1/trip-requests');
+
+  it('refuses gated actions until the email address is verified', async () => {
+    for (const path of ['/api/v1/bookings', '/api/v1/bookings/series', '/api/v1/trip-requests']) {
+      const refused = await post(path);
+
+      expect(refused.status).toBe(403);
+      expect(refused.body.message).toBe('Please verify your email address before continuing');
+    }
+
+    const verificationToken = await EmailVerification.generateToken(user);
+    const verified = await request(app).get(`/api/v1/auth/verify-email/${verificationToken}`);
+    expect(verified.status).toBe(200);
+
+    for (const path of ['/api/v1/bookings', '/api/v1/bookings/series', '/api/v1/trip-requests']) {
+      expect((await post(path)).status).toBe(400);
+    }
+  });
+
+  it('lets unverified users through when their action is not listed', async () => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = 'ride';
+
+    expect((await postTripRequest()).status).toBe(400);
+  });
+
+  it('lets unverified users through when nothing is listed', async () => {
+    delete process.env.REQUIRE_EMAIL_VERIFICATION;
+
+    expect((await postTripRequest()).status).toBe(400);
+  });
+});
@@ -0,0 +1,25 @@
+const { toCsv } = require('../utils/helpers');
+
+describe('toCsv', () => {
+  const columns = [{ key: 'name', header: 'Name' }, { key: 'amount', header: 'Amount' }];
+
+  it('quotes cells with separators and quotes', () => {
+    const csv = toCsv(columns, [{ name: 'Smith, "Jo"', amount: 12.5 }]);
+
+    expect(csv).toBe('Name,Amount\r\n"Smith, ""Jo""",12.5');
+  });
+
+  it('keeps spreadsheets from running text as a formula', () => {
+    const rows = ['=HYPERLINK("x")', '+1', '-2+3', '@SUM(A1)', '\tcmd'].map(name => ({ name, amount: -5 }));
+
+    const lines = toCsv(columns, rows).split('\r\n').slice(1);
+
+    expect(lines).toEqual([
+      '"\'=HYPERLINK(""x"")",-5',
+      '\'+1,-5',
+      '\'-2+3,-5',
+      '\'@SUM(A1),-5',
+      '\'\tcmd,-5'
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const User = require('../models/user');
+const imageService = require('../services/imageService');
+const storageService = require('../services/storageService');
+const { createMemoryDb } = require('./support/memoryDb');
+const { PROFILE_PHOTO_SIZES } = require('../utils/constants');
+
+const db = createMemoryDb();
+
+const createImage = (width, height, format = 'png') => sharp({
+  create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } }
+})[format]().toBuffer();
+
+describe('imageService', () => {
+  let files;
+
+  beforeEach(() => {
+    db.reset();
+    db.install(User);
+
+    files = new Map();
+    storageService.useStorage({
+      name: 'test',
+      save: async ({ buffer, folder, extension }) => {
+        const key = `${folder}/${files.size}${extension}`;
+        files.set(key, buffer);
+        return { key, size: buffer.length };
+      },
+      remove: async (key) => {
+        files.delete(key);
+      },
+      url: (key) => `/uploads/${key}`
+    });
+  });
+
+  afterAll(() => {
+    storageService.useStorage(storageService.createLocalStorage());
+  });
+
+  describe('createThumbnails', () => {
+    it('resizes an image to square webp thumbnails of every size', async () => {
+      const result = await imageService.createThumbnails(await createImage(800, 600, 'jpeg'));
+
+      expect(result.success).toBe(true);
+      expect(Object.keys(result.thumbnails)).toEqual(Object.keys(PROFILE_PHOTO_SIZES));
+
+      for (const [size, pixels] of Object.entries(PROFILE_PHOTO_SIZES)) {
+        const metadata = await sharp(result.thumbnails[size]).metadata();
+        expect(metadata).toMatchObject({ format: 'webp', width: pixels, height: pixels });
+      }
+    });
+
+    it('refuses a file that is not an image', async () => {
+      const result = await imageService.createThumbnails(Buffer.from('%PDF-1.7 not an image'));
+
+      expect(result).toEqual({ success: false, message: 'File is not a valid image' });
+    });
+  });
+
+  describe('saveProfilePhoto', () => {
+    async function createUser() {
+      return await User.create({
+        firstName: 'Pat',
+        lastName: 'Passenger',
+        email: `${new mongoose.Types.ObjectId()}@example.com`,
+        phone: '+15550000001',
+        password: 'secret123'
+      });
+    }
+
+    it('stores the thumbnails and removes the previous photo', async () => {
+      const user = await createUser();
+
+      const first = await imageService.saveProfilePhoto(user._id, { buffer: await createImage(300, 300) });
+      const firstKeys = Object.keys(PROFILE_PHOTO_SIZES).map(size => first.user.profilePhoto[size]);
+
+      const second = await imageService.saveProfilePhoto(user._id, { buffer: await createImage(400, 200) });
+
+      expect(second.success).toBe(true);
+      expect(files.size).toBe(Object.keys(PROFILE_PHOTO_SIZES).length);
+      firstKeys.forEach(key => expect(files.has(key)).toBe(false));
+      expect(second.user.profileImage).toBe(`/uploads/${second.user.profilePhoto.medium}`);
+      expect(imageService.getProfilePhotoUrls(second.user)).toEqual({
+        small: `/uploads/${second.user.profilePhoto.small}`,
+        medium: `/uploads/${second.user.profilePhoto.medium}`,
+        large: `/uploads/${second.user.profilePhoto.large}`
+      });
+    });
+
+    it('keeps the current photo when the upload is not an image', async () => {
+      const user = await createUser();
+      await imageService.saveProfilePhoto(user._id, { buffer: await createImage(300, 300) });
+
+      const result = await imageService.saveProfilePhoto(user._id, { buffer: Buffer.from('not an image') });
+
+      expect(result.success).toBe(false);
+      expect(files.size).toBe(Object.keys(PROFILE_PHOTO_SIZES).length);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/booking');
+const Ride = require('../models/ride');
+const WaitlistEntry = require('../models/waitlistEntry');
+const bookingController = require('../controllers/bookingController');
+const notificationController = require('../controllers/notificationController');
+const socketService = require('../services/socketService');
+const { createMemoryDb } = require('./support/memoryDb');
+const { BOOKING_STATUS, DEFAULT_RATING, NOTIFICATION_TYPES } = require('../utils/constants');
+
+const db = createMemoryDb();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+const passenger = (details = {}) => ({
+  id: objectId(),
+  avgRating: 0,
+  totalRatings: 0,
+  isPhoneVerified: false,
+  isEmailVerified: false,
+  ...details
+});
+
+function createRide(data = {}) {
+  return Ride.create({
+    driver: objectId(),
+    source: { address: 'A', location: { type: 'Point', coordinates: [77.5, 12.9] } },
+    destination: { address: 'B', location: { type: 'Point', coordinates: [77.9, 12.9] } },
+    departureTime: new Date(Date.now() + 24 * 3600000),
+    seatsAvailable: 3,
+    seatsTotal: 3,
+    pricePerSeat: 100,
+    ...data
+  });
+}
+
+async function book(ride, user, body = {}) {
+  const req = { user, body: { ride: ride._id.toString(), seatsBooked: 1, ...body } };
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn(() => res)
+  };
+  const next = jest.fn();
+
+  await bookingController.createBooking(req, res, next);
+
+  if (next.mock.calls.length) {
+    throw next.mock.calls[0][0];
+  }
+
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+}
+
+describe('instant booking', () => {
+  describe('Ride.allowsInstantBookingFor', () => {
+    it('refuses rides without instant booking', () => {
+      const ride = new Ride({ instantBooking: false });
+
+      expect(ride.allowsInstantBookingFor(passenger()).allowed).toBe(false);
+    });
+
+    it('allows any passenger when the ride sets no requirements', () => {
+      const ride = new Ride({ instantBooking: true });
+
+      expect(ride.allowsInstantBookingFor(passenger())).toEqual({ allowed: true });
+    });
+
+    it('compares the minimum rating with the passenger rating', () => {
+      const ride = new Ride({ instantBooking: true, instantBookingRequirements: { minRating: 4.5 } });
+
+      expect(ride.allowsInstantBookingFor(passenger({ avgRating: 4.2, totalRatings: 10 }))).toEqual({
+        allowed: false,
+        reason: 'Instant booking requires a rating of at least 4.5'
+      });
+      expect(ride.allowsInstantBookingFor(passenger({ avgRating: 4.8, totalRatings: 10 })).allowed).toBe(true);
+    });
+
+    it('treats passengers without ratings as having the default rating', () => {
+      const lenient = new Ride({ instantBooking: true, instantBookingRequirements: { minRating: DEFAULT_RATING } });
+      const strict = new Ride({ instantBooking: true, instantBookingRequirements: { minRating: DEFAULT_RATING + 0.5 } });
+
+      expect(lenient.allowsInstantBookingFor(passenger({ avgRating: 1 })).allowed).toBe(true);
+      expect(strict.allowsInstantBookingFor(passenger()).allowed).toBe(false);
+    });
+
+    it('requires a verified phone or email when the ride asks for one', () => {
+      const ride = new Ride({
+        instantBooking: true,
+        instantBookingRequirements: { requireVerifiedPhone: true, requireVerifiedEmail: true }
+      });
+
+      expect(ride.allowsInstantBookingFor(passenger({ isEmailVerified: true })).reason)
+        .toBe('Instant booking requires a verified phone number');
+      expect(ride.allowsInstantBookingFor(passenger({ isPhoneVerified: true })).reason)
+        .toBe('Instant booking requires a verified email address');
+      expect(ride.allowsInstantBookingFor(passenger({ isPhoneVerified: true, isEmailVerified: true })).allowed).toBe(true);
+    });
+  });
+
+  describe('bookingController.createBooking', () => {
+    beforeEach(() => {
+      db.reset();
+      db.install(Booking, Ride, WaitlistEntry);
+
+      jest.spyOn(notificationController, 'createNotification').mockResolvedValue(null);
+      jest.spyOn(socketService, 'emitToUser').mockImplementation(() => {});
+      jest.spyOn(socketService, 'emitToRide').mockImplementation(() => {});
+    });
+
+    it('approves the booking and reserves its seats for a qualifying passenger', async () => {
+      const ride = await createRide({ instantBooking: true, instantBookingRequirements: { requireVerifiedPhone: true } });
+
+      const { status, body } = await book(ride, passenger({ isPhoneVerified: true }), { seatsBooked: 2 });
+
+      expect(status).toBe(201);
+      expect(body.message).toBe('Booking confirmed');
+      expect(db.documents(Booking)[0]).toMatchObject({ status: BOOKING_STATUS.APPROVED, seatsHeld: 2 });
+      expect(db.documents(Ride)[0].seatsAvailable).toBe(1);
+      expect(notificationController.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+        recipient: ride.driver,
+        title: 'New Instant Booking'
+      }));
+    });
+
+    it('leaves the booking for the driver to approve when the passenger does not qualify', async () => {
+      const ride = await createRide({ instantBooking: true, instantBookingRequirements: { requireVerifiedPhone: true } });
+
+      const { status, body } = await book(ride, passenger());
+
+      expect(status).toBe(201);
+      expect(body.message).toBe('Booking created, awaiting driver approval. Instant booking requires a verified phone number');
+      expect(db.documents(Booking)[0].status).toBe(BOOKING_STATUS.PENDING);
+      expect(db.documents(Ride)[0].seatsAvailable).toBe(3);
+      expect(notificationController.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+        type: NOTIFICATION_TYPES.BOOKING_REQUEST
+      }));
+    });
+
+    it('waits for the driver when the passenger makes a price offer', async () => {
+      const ride = await createRide({ instantBooking: true, priceNegotiation: { enabled: true, minPercent: 80, maxPercent: 120 } });
+
+      const { status } = await book(ride, passenger(), { offeredPrice: 90 });
+
+      expect(status).toBe(201);
+      expect(db.documents(Booking)[0].status).toBe(BOOKING_STATUS.PENDING);
+      expect(db.documents(Ride)[0].seatsAvailable).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const Job = require('../models/job');
+const jobScheduler = require('../services/jobScheduler');
+const logger = require('../utils/logger');
+const { createMemoryDb } = require('./support/memoryDb');
+
+const db = createMemoryDb();
+
+const storedJob = (name) => db.documents(Job).find(job => job.name === name);
+
+describe('jobScheduler', () => {
+  const handlers = {
+    first: jest.fn(),
+    second: jest.fn()
+  };
+
+  beforeAll(() => {
+    jobScheduler.register('test-first', 5, () => handlers.first());
+    jobScheduler.register('test-second', 5, () => handlers.second());
+  });
+
+  beforeEach(async () => {
+    db.reset();
+    db.install(Job);
+
+    handlers.first = jest.fn().mockResolvedValue({ done: 1 });
+    handlers.second = jest.fn().mockResolvedValue({ done: 2 });
+
+    await jobScheduler.start();
+    jobScheduler.stop();
+  });
+
+  it('runs a due job and schedules its next run', async () => {
+    const ran = await jobScheduler.runJob('test-first');
+
+    expect(ran).toBe(true);
+    expect(handlers.first).toHaveBeenCalledTimes(1);
+
+    const job = storedJob('test-first');
+    expect(job.runCount).toBe(1);
+    expect(job.lastResult).toEqual({ done: 1 });
+    expect(job.lockedBy).toBeNull();
+    expect(job.nextRunAt.getTime()).toBeGreaterThan(Date.now() + 4 * 60000);
+  });
+
+  it('does not run a job before it is due unless forced', async () => {
+    await jobScheduler.runJob('test-first');
+
+    expect(await jobScheduler.runJob('test-first')).toBe(false);
+    expect(await jobScheduler.runJob('test-first', { force: true })).toBe(true);
+    expect(handlers.first).toHaveBeenCalledTimes(2);
+  });
+
+  it('runs a job on only one of several instances at a time', async () => {
+    let finish;
+    handlers.first = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+
+    const running = jobScheduler.runJob('test-first');
+
+    // Wait until the lock is taken and the handler started
+    while (!finish) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    expect(await jobScheduler.runJob('test-first', { force: true })).toBe(false);
+
+    finish({});
+    expect(await running).toBe(true);
+    expect(handlers.first).toHaveBeenCalledTimes(1);
+  });
+
+  it('takes over the lock of an instance that died', async () => {
+    await Job.updateOne(
+      { name: 'test-first' },
+      { lockedBy: 'crashed-instance', lockedUntil: new Date(Date.now() - 1000) }
+    );
+
+    expect(await jobScheduler.runJob('test-first')).toBe(true);
+    expect(storedJob('test-first').lockedBy).toBeNull();
+  });
+
+  it('records a failing job and releases its lock', async () => {
+    handlers.first = jest.fn().mockRejectedValue(new Error('boom'));
+
+    expect(await jobScheduler.runJob('test-first')).toBe(true);
+
+    const job = storedJob('test-first');
+    expect(job.lastError).toBe('boom');
+    expect(job.lockedBy).toBeNull();
+  });
+
+  it('keeps ticking when the job collection cannot be reached', async () => {
+    const findOneAndUpdate = Job.findOneAndUpdate.getMockImplementation();
+
+    Job.findOneAndUpdate.mockImplementation((filter, ...args) => {
+      if (filter.name === 'test-first') {
+        return Promise.reject(new Error('connection refused'));
+      }
+      return findOneAndUpdate(filter, ...args);
+    });
+
+    await expect(jobScheduler.tick()).resolves.toBeUndefined();
+
+    expect(logger.error).toHaveBeenCalledWith('Error running job test-first:', expect.any(Error));
+    expect(handlers.first).not.toHaveBeenCalled();
+    expect(handlers.second).toHaveBeenCalledTimes(1);
+  });
+});
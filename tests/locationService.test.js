@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/booking');
+const RideLocation = require('../models/rideLocation');
+const locationService = require('../services/locationService');
+const socketService = require('../services/socketService');
+const { createMemoryDb } = require('./support/memoryDb');
+const { BOOKING_STATUS, SOCKET_EVENTS } = require('../utils/constants');
+
+const db = createMemoryDb();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+describe('locationService', () => {
+  let ride;
+
+  beforeEach(() => {
+    db.reset();
+    db.install(Booking, RideLocation);
+
+    ride = { _id: objectId(), driver: objectId() };
+  });
+
+  it('stamps points with the server time, not the time the client sends', async () => {
+    const start = Date.now();
+    const future = new Date(start + 24 * 3600000);
+    jest.spyOn(Date, 'now').mockReturnValue(start);
+
+    const location = await locationService.recordLocation(ride, { coordinates: [77.6, 12.9], recordedAt: future });
+    expect(location.recordedAt.getTime()).toBe(start);
+
+    // A point claiming to be from the future cannot pin the latest position
+    Date.now.mockReturnValue(start + 5000);
+    await locationService.recordLocation(ride, { coordinates: [77.7, 12.9] });
+    const latest = await locationService.getLatestLocation(ride._id);
+
+    expect(latest.location.coordinates).toEqual([77.7, 12.9]);
+  });
+
+  it('pushes each point to the approved passengers', async () => {
+    const emit = jest.spyOn(socketService, 'emitToUser').mockImplementation(() => {});
+    const passenger = objectId();
+
+    await Booking.create([
+      { ride: ride._id, passenger, driver: ride.driver, seatsBooked: 1, totalPrice: 100, status: BOOKING_STATUS.APPROVED },
+      { ride: ride._id, passenger: objectId(), driver: ride.driver, seatsBooked: 1, totalPrice: 100, status: BOOKING_STATUS.CANCELLED }
+    ]);
+
+    await locationService.recordLocation(ride, { coordinates: [77.5, 12.9] });
+
+    expect(emit).toHaveBeenCalledTimes(1);
+    expect(emit.mock.calls[0][0].toString()).toBe(passenger);
+    expect(emit.mock.calls[0][1]).toBe(SOCKET_EVENTS.RIDE_LOCATION);
+  });
+});
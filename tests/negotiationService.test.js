@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/booking');
+const Payment = require('../models/payment');
+const Ride = require('../models/ride');
+const notificationController = require('../controllers/notificationController');
+const negotiationService = require('../services/negotiationService');
+const paymentService = require('../services/paymentService');
+const socketService = require('../services/socketService');
+const { createMemoryDb } = require('./support/memoryDb');
+const { BOOKING_STATUS, NEGOTIATION_STATUS, PAYMENT_INTENT_STATUS } = require('../utils/constants');
+
+const db = createMemoryDb();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+const storedPayment = () => db.documents(Payment)[0];
+const storedBooking = () => Booking.findOne({});
+
+/**
+ * Card booking of two seats, opened with an offer of 100 per seat on a
+ * ride listed at 120 (band 96 to 150 per seat)
+ */
+async function openCardBooking() {
+  const ride = await Ride.create({
+    driver: objectId(),
+    source: { address: 'A', location: { type: 'Point', coordinates: [77.5, 12.9] } },
+    destination: { address: 'B', location: { type: 'Point', coordinates: [77.9, 12.9] } },
+    departureTime: new Date(Date.now() + 48 * 3600000),
+    seatsAvailable: 3,
+    seatsTotal: 3,
+    pricePerSeat: 120,
+    priceNegotiation: { enabled: true, minPercent: 80, maxPercent: 125 }
+  });
+
+  const { negotiation } = negotiationService.open(ride, { farePerSeat: 120 }, 100);
+
+  const booking = await Booking.create({
+    ride: ride._id,
+    passenger: objectId(),
+    driver: ride.driver,
+    seatsBooked: 2,
+    totalPrice: 200,
+    paymentMethod: 'card',
+    negotiation
+  });
+
+  await paymentService.authorizeBooking(booking, 'tok_visa');
+
+  return await storedBooking();
+}
+
+describe('negotiationService', () => {
+  beforeEach(() => {
+    db.reset();
+    db.install(Booking, Payment, Ride);
+
+    paymentService.useGateway(paymentService.createFakeGateway('whsec_test'));
+    jest.spyOn(notificationController, 'createNotification').mockResolvedValue(null);
+    jest.spyOn(socketService, 'emitToUser').mockImplementation(() => {});
+  });
+
+  describe('card bookings', () => {
+    it('rejects a counter-offer above the authorized amount', async () => {
+      const booking = await openCardBooking();
+
+      const result = await negotiationService.counter(booking, 'driver', 110);
+
+      expect(result).toMatchObject({ success: false, status: 400 });
+      expect((await storedBooking()).totalPrice).toBe(200);
+      expect((await storedBooking()).negotiation.offers).toHaveLength(1);
+    });
+
+    it('captures the price of a lower counter-offer once accepted', async () => {
+      const booking = await openCardBooking();
+
+      const countered = await negotiationService.counter(booking, 'driver', 98);
+      expect(countered.success).toBe(true);
+      expect(storedPayment()).toMatchObject({ amount: 196, amountAuthorized: 200 });
+
+      const accepted = await negotiationService.accept(countered.booking, 'passenger');
+      expect(accepted.booking.totalPrice).toBe(196);
+      expect(accepted.booking.negotiation.status).toBe(NEGOTIATION_STATUS.AGREED);
+
+      await paymentService.captureBooking(accepted.booking);
+      expect(storedPayment()).toMatchObject({ status: PAYMENT_INTENT_STATUS.CAPTURED, amountCaptured: 196 });
+    });
+
+    it('voids the authorization when the offer expires', async () => {
+      await openCardBooking();
+
+      const result = await negotiationService.expireOffers(new Date(Date.now() + 13 * 3600000));
+
+      expect(result.offersExpired).toBe(1);
+      expect((await storedBooking()).status).toBe(BOOKING_STATUS.EXPIRED);
+      expect(storedPayment().status).toBe(PAYMENT_INTENT_STATUS.VOIDED);
+    });
+  });
+});
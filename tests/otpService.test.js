@@ -0,0 +1,138 @@
+const Otp = require('../models/otp');
+const otpService = require('../services/otpService');
+const { createMemoryDb } = require('./support/memoryDb');
+const { OTP_SETTINGS } = require('../utils/constants');
+
+const PHONE = '+15550000001';
+
+const stores = {
+  memory: () => otpService.createMemoryStore(),
+  mongo: () => {
+    const db = createMemoryDb();
+    db.install(Otp);
+    return otpService.createMongoStore();
+  }
+};
+
+describe.each(Object.keys(stores))('otpService with the %s store', (storeName) => {
+  beforeEach(() => {
+    otpService.useStore(stores[storeName]());
+  });
+
+  describe('verifyOTP', () => {
+    it('accepts the stored code once', async () => {
+      await otpService.storeOTP(PHONE, '123456');
+
+      const first = await otpService.verifyOTP(PHONE, '123456');
+      const second = await otpService.verifyOTP(PHONE, '123456');
+
+      expect(first.success).toBe(true);
+      expect(second).toMatchObject({ success: false, reason: 'not_found' });
+    });
+
+    it('rejects a code for another phone number', async () => {
+      await otpService.storeOTP(PHONE, '123456');
+
+      const result = await otpService.verifyOTP('+15550000002', '123456');
+
+      expect(result).toMatchObject({ success: false, reason: 'not_found' });
+    });
+
+    it('rejects an expired code', async () => {
+      await otpService.storeOTP(PHONE, '123456', -1);
+
+      const result = await otpService.verifyOTP(PHONE, '123456');
+
+      expect(result).toMatchObject({ success: false, reason: 'expired' });
+    });
+
+    it('counts wrong guesses and locks the number at the limit', async () => {
+      await otpService.storeOTP(PHONE, '123456');
+
+      for (let attempt = 1; attempt < OTP_SETTINGS.MAX_ATTEMPTS; attempt++) {
+        const result = await otpService.verifyOTP(PHONE, '000000');
+        expect(result).toMatchObject({
+          success: false,
+          reason: 'invalid',
+          attemptsRemaining: OTP_SETTINGS.MAX_ATTEMPTS - attempt
+        });
+      }
+
+      const locked = await otpService.verifyOTP(PHONE, '000000');
+      expect(locked).toMatchObject({ success: false, reason: 'locked' });
+      expect(locked.retryAfter).toBeGreaterThan(0);
+
+      // The code is burnt, even the right one no longer works
+      const correct = await otpService.verifyOTP(PHONE, '123456');
+      expect(correct).toMatchObject({ success: false, reason: 'locked' });
+    });
+
+    it('never counts more than the attempt limit for concurrent guesses', async () => {
+      await otpService.storeOTP(PHONE, '123456');
+
+      const guesses = Array.from({ length: 20 }, (value, index) => String(100000 + index));
+      const results = await Promise.all(guesses.map(guess => otpService.verifyOTP(PHONE, guess)));
+
+      const invalid = results.filter(result => result.reason === 'invalid');
+      const locked = results.filter(result => result.reason === 'locked');
+
+      expect(invalid).toHaveLength(OTP_SETTINGS.MAX_ATTEMPTS - 1);
+      expect(locked).toHaveLength(20 - (OTP_SETTINGS.MAX_ATTEMPTS - 1));
+      expect(results.some(result => result.success)).toBe(false);
+
+      const correct = await otpService.verifyOTP(PHONE, '123456');
+      expect(correct).toMatchObject({ success: false, reason: 'locked' });
+    });
+
+    it('lets only one of two concurrent correct verifications succeed', async () => {
+      await otpService.storeOTP(PHONE, '123456');
+
+      const results = await Promise.all([
+        otpService.verifyOTP(PHONE, '123456'),
+        otpService.verifyOTP(PHONE, '123456')
+      ]);
+
+      expect(results.filter(result => result.success)).toHaveLength(1);
+    });
+  });
+
+  describe('issueOTP', () => {
+    it('sends a code that can be verified', async () => {
+      const generate = jest.spyOn(otpService, 'generateOTP').mockReturnValue('654321');
+      const send = jest.spyOn(otpService, 'sendOTP');
+
+      const issued = await otpService.issueOTP(PHONE);
+
+      expect(issued.success).toBe(true);
+      expect(generate).toHaveBeenCalled();
+      expect(send).toHaveBeenCalledWith(PHONE, '654321');
+
+      const verified = await otpService.verifyOTP(PHONE, '654321');
+      expect(verified.success).toBe(true);
+    });
+
+    it('enforces the resend cooldown', async () => {
+      await otpService.issueOTP(PHONE);
+
+      const again = await otpService.issueOTP(PHONE);
+
+      expect(again).toMatchObject({ success: false, reason: 'cooldown' });
+      expect(again.retryAfter).toBeGreaterThan(0);
+    });
+
+    it('locks the number after too many sends in one window', async () => {
+      const now = Date.now();
+      const clock = jest.spyOn(Date, 'now');
+
+      for (let send = 0; send < OTP_SETTINGS.MAX_SENDS; send++) {
+        clock.mockReturnValue(now + send * (OTP_SETTINGS.RESEND_COOLDOWN + 1) * 1000);
+        expect((await otpService.issueOTP(PHONE)).success).toBe(true);
+      }
+
+      clock.mockReturnValue(now + OTP_SETTINGS.MAX_SENDS * (OTP_SETTINGS.RESEND_COOLDOWN + 1) * 1000);
+      const locked = await otpService.issueOTP(PHONE);
+
+      expect(locked).toMatchObject({ success: false, reason: 'locked' });
+    });
+  });
+});
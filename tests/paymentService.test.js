@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/booking');
+const Payment = require('../models/payment');
+const Refund = require('../models/refund');
+const paymentService = require('../services/paymentService');
+const { createMemoryDb } = require('./support/memoryDb');
+const { PAYMENT_INTENT_STATUS, PAYMENT_STATUS } = require('../utils/constants');
+
+const db = createMemoryDb();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+const storedPayment = () => db.documents(Payment)[0];
+const storedBooking = (booking) => db.documents(Booking).find(doc => doc._id === booking._id.toString());
+
+function createBooking(totalPrice = 300) {
+  return Booking.create({
+    ride: objectId(),
+    passenger: objectId(),
+    driver: objectId(),
+    seatsBooked: 1,
+    totalPrice,
+    paymentMethod: 'card'
+  });
+}
+
+describe('paymentService', () => {
+  let gateway;
+
+  beforeEach(() => {
+    db.reset();
+    db.install(Booking, Payment, Refund);
+
+    gateway = paymentService.createFakeGateway('whsec_test');
+    paymentService.useGateway(gateway);
+  });
+
+  describe('configureGateway', () => {
+    it('switches card payments off without a gateway', async () => {
+      expect(paymentService.configureGateway({ NODE_ENV: 'production' })).toBeNull();
+      expect(paymentService.cardPaymentsEnabled()).toBe(false);
+
+      const booking = await createBooking();
+      const authorized = await paymentService.authorizeBooking(booking, 'tok_visa');
+
+      expect(authorized).toMatchObject({ success: false, message: 'Card payments are not enabled' });
+      expect(db.documents(Payment)).toHaveLength(0);
+      expect(await paymentService.handleWebhook('{}', '')).toMatchObject({ success: false, reason: 'disabled' });
+    });
+
+    it('uses the fake gateway outside production', () => {
+      const configured = paymentService.configureGateway({ NODE_ENV: 'development', PAYMENT_GATEWAY: 'fake' });
+
+      expect(configured.name).toBe('fake');
+      expect(paymentService.cardPaymentsEnabled()).toBe(true);
+      expect(paymentService.isLiveGateway()).toBe(false);
+    });
+
+    it('refuses the fake gateway in production', () => {
+      expect(() => paymentService.configureGateway({ NODE_ENV: 'production', PAYMENT_GATEWAY: 'fake' }))
+        .toThrow('cannot be used in production');
+    });
+
+    it('refuses a provider adapter without a webhook secret', () => {
+      expect(() => paymentService.configureGateway({ NODE_ENV: 'production', PAYMENT_GATEWAY: 'test-payment-provider' }))
+        .toThrow('PAYMENT_WEBHOOK_SECRET must be set');
+    });
+
+    it('loads the adapter module named in PAYMENT_GATEWAY', () => {
+      const createGateway = jest.fn(() => ({ ...paymentService.createFakeGateway('unused'), name: 'provider', live: true }));
+      jest.doMock('test-payment-provider', () => createGateway, { virtual: true });
+
+      const configured = paymentService.configureGateway({
+        NODE_ENV: 'production',
+        PAYMENT_WEBHOOK_SECRET: 'whsec_live',
+        PAYMENT_GATEWAY: 'test-payment-provider'
+      });
+
+      expect(createGateway).toHaveBeenCalledWith({ webhookSecret: 'whsec_live' });
+      expect(configured.name).toBe('provider');
+      expect(paymentService.isLiveGateway()).toBe(true);
+    });
+
+    it('rejects an adapter that is missing operations', () => {
+      expect(() => paymentService.useGateway({ name: 'partial', createPayment: () => {} }))
+        .toThrow('capture, void, refund, verifyWebhook');
+      expect(paymentService.getGateway()).toBe(gateway);
+    });
+  });
+
+  it('does not take payments before a gateway is configured', async () => {
+    let unconfigured;
+    jest.isolateModules(() => {
+      unconfigured = require('../services/paymentService');
+    });
+
+    expect(unconfigured.getGateway()).toBeNull();
+    expect(unconfigured.cardPaymentsEnabled()).toBe(false);
+    await expect(unconfigured.handleWebhook('{}', '')).resolves.toMatchObject({ success: false, reason: 'disabled' });
+  });
+
+  describe('card bookings', () => {
+    it('authorizes, then captures the fare', async () => {
+      const booking = await createBooking();
+
+      const authorized = await paymentService.authorizeBooking(booking, 'tok_visa');
+      expect(authorized.success).toBe(true);
+      expect(storedBooking(booking).paymentStatus).toBe(PAYMENT_STATUS.PENDING);
+
+      const captured = await paymentService.captureBooking(storedBooking(booking));
+      expect(captured.success).toBe(true);
+      expect(storedPayment()).toMatchObject({ status: PAYMENT_INTENT_STATUS.CAPTURED, amountCaptured: 300 });
+      expect(storedBooking(booking).paymentStatus).toBe(PAYMENT_STATUS.PAID);
+    });
+
+    it('records a declined card', async () => {
+      const booking = await createBooking();
+
+      const result = await paymentService.authorizeBooking(booking, 'tok_decline');
+
+      expect(result.success).toBe(false);
+      expect(storedPayment()).toMatchObject({ status: PAYMENT_INTENT_STATUS.FAILED, failureReason: 'Your card was declined' });
+    });
+
+    it('creates one payment for a retried authorization', async () => {
+      const booking = await createBooking();
+
+      await Promise.all([
+        paymentService.authorizeBooking(booking, 'tok_visa'),
+        paymentService.authorizeBooking(booking, 'tok_visa')
+      ]);
+
+      expect(db.documents(Payment)).toHaveLength(1);
+    });
+
+    it('voids the authorization of a booking that will not be charged', async () => {
+      const booking = await createBooking();
+      await paymentService.authorizeBooking(booking, 'tok_visa');
+
+      const result = await paymentService.voidBooking(storedBooking(booking));
+
+      expect(result.success).toBe(true);
+      expect(storedPayment().status).toBe(PAYMENT_INTENT_STATUS.VOIDED);
+      expect(storedBooking(booking).paymentStatus).toBe(PAYMENT_STATUS.VOIDED);
+
+      const capture = await paymentService.captureBooking(storedBooking(booking));
+      expect(capture.success).toBe(false);
+    });
+
+    it('changes the amount to capture only within the authorization', async () => {
+      const booking = await createBooking();
+      await paymentService.authorizeBooking(booking, 'tok_visa');
+
+      const above = await paymentService.adjustBookingAmount(storedBooking(booking), 400);
+      expect(above.success).toBe(false);
+
+      const below = await paymentService.adjustBookingAmount(storedBooking(booking), 250);
+      expect(below.success).toBe(true);
+      expect(storedPayment()).toMatchObject({ amount: 250, amountAuthorized: 300 });
+
+      // Going back up to the original fare is still covered
+      expect((await paymentService.adjustBookingAmount(storedBooking(booking), 300)).success).toBe(true);
+    });
+  });
+
+  describe('handleWebhook', () => {
+    async function authorizedPayment() {
+      const booking = await createBooking();
+      await paymentService.authorizeBooking(booking, 'tok_visa');
+      return storedPayment();
+    }
+
+    it('applies a signed event once', async () => {
+      const payment = await authorizedPayment();
+      const body = JSON.stringify({ id: 'evt_1', type: 'payment.captured', data: { id: payment.gatewayPaymentId, amountCaptured: 300 } });
+
+      const first = await paymentService.handleWebhook(body, gateway.signWebhook(body));
+      const again = await paymentService.handleWebhook(body, gateway.signWebhook(body));
+
+      expect(first.success).toBe(true);
+      expect(storedPayment()).toMatchObject({ status: PAYMENT_INTENT_STATUS.CAPTURED, processedEvents: ['evt_1'] });
+      expect(again).toMatchObject({ success: true, reason: 'duplicate' });
+    });
+
+    it('rejects an event signed with another secret', async () => {
+      const payment = await authorizedPayment();
+      const body = JSON.stringify({ id: 'evt_1', type: 'payment.voided', data: { id: payment.gatewayPaymentId } });
+      const forged = paymentService.createFakeGateway('fake_webhook_secret').signWebhook(body);
+
+      const result = await paymentService.handleWebhook(body, forged);
+
+      expect(result).toMatchObject({ success: false, reason: 'signature' });
+      expect(storedPayment().status).toBe(PAYMENT_INTENT_STATUS.REQUIRES_CAPTURE);
+    });
+
+    it('requires a secret to build the fake gateway', () => {
+      expect(() => paymentService.createFakeGateway()).toThrow('secret');
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/booking');
+const PromoCode = require('../models/promoCode');
+const PromoRedemption = require('../models/promoRedemption');
+const promoService = require('../services/promoService');
+const { createMemoryDb } = require('./support/memoryDb');
+const { BOOKING_STATUS, PROMO_REDEMPTION_STATUS } = require('../utils/constants');
+
+const db = createMemoryDb();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+describe('promoService.redeem', () => {
+  const passenger = objectId();
+
+  async function createBooking(status = BOOKING_STATUS.PENDING) {
+    return await Booking.create({
+      ride: objectId(),
+      passenger,
+      driver: objectId(),
+      seatsBooked: 1,
+      totalPrice: 90,
+      promoCode: 'SAVE',
+      discount: 10,
+      status
+    });
+  }
+
+  async function createPromo(data = {}) {
+    return await PromoCode.create({ code: 'SAVE', discountType: 'fixed', discountValue: 10, ...data });
+  }
+
+  // Make several bookings first, then redeem the code on all of them at once
+  async function redeemConcurrently(promo, count) {
+    const bookings = [];
+    for (let index = 0; index < count; index++) {
+      bookings.push(await createBooking());
+    }
+
+    return await Promise.all(bookings.map(booking => promoService.redeem(promo, booking)));
+  }
+
+  const activeUses = () => db.documents(PromoRedemption).filter(use => use.status === PROMO_REDEMPTION_STATUS.ACTIVE);
+
+  beforeEach(() => {
+    db.reset();
+    db.install(Booking, PromoCode, PromoRedemption);
+  });
+
+  describe('per user limit', () => {
+    it('holds when the same user books several times at once', async () => {
+      const promo = await createPromo({ perUserLimit: 2 });
+
+      const results = await redeemConcurrently(promo, 4);
+
+      expect(results.filter(result => result.success)).toHaveLength(2);
+      expect(results.filter(result => !result.success).map(result => result.message))
+        .toEqual(['You have already used this promo code', 'You have already used this promo code']);
+      expect(activeUses()).toHaveLength(2);
+      expect(db.documents(PromoCode)[0].usageCount).toBe(2);
+    });
+
+    it('frees a use when its booking does not go ahead', async () => {
+      const promo = await createPromo();
+      const first = await createBooking();
+      await promoService.redeem(promo, first);
+
+      await promoService.releaseForBooking(first);
+      const second = await promoService.redeem(promo, await createBooking());
+
+      expect(second.success).toBe(true);
+      expect(activeUses()).toHaveLength(1);
+      expect(db.documents(PromoCode)[0].usageCount).toBe(1);
+    });
+
+    it('counts uses recorded before use slots existed', async () => {
+      const promo = await createPromo({ perUserLimit: 2 });
+      const legacy = await createBooking();
+      await PromoRedemption.create({ promoCode: promo._id, user: passenger, booking: legacy._id, discount: 10 });
+
+      const results = await redeemConcurrently(promo, 2);
+
+      expect(results.filter(result => result.success)).toHaveLength(1);
+      expect(activeUses()).toHaveLength(2);
+    });
+  });
+
+  describe('first ride only codes', () => {
+    it('are refused with another booking that is still going ahead', async () => {
+      const promo = await createPromo({ firstRideOnly: true });
+      await createBooking(BOOKING_STATUS.APPROVED);
+
+      const result = await promoService.redeem(promo, await createBooking());
+
+      expect(result).toMatchObject({ success: false, message: 'This promo code is only valid on your first ride' });
+      expect(db.documents(PromoCode)[0].usageCount).toBe(0);
+    });
+
+    it('ignore bookings that did not go ahead', async () => {
+      const promo = await createPromo({ firstRideOnly: true });
+      await createBooking(BOOKING_STATUS.CANCELLED);
+      await createBooking(BOOKING_STATUS.REJECTED);
+
+      const result = await promoService.redeem(promo, await createBooking());
+
+      expect(result.success).toBe(true);
+    });
+
+    it('are used on at most one of two first bookings made at once', async () => {
+      const promo = await createPromo({ firstRideOnly: true, perUserLimit: 5 });
+
+      const results = await redeemConcurrently(promo, 2);
+
+      expect(results.filter(result => result.success).length).toBeLessThanOrEqual(1);
+      expect(activeUses().length).toBeLessThanOrEqual(1);
+    });
+
+    it('are refused by evaluate for a passenger with a pending booking', async () => {
+      await createPromo({ firstRideOnly: true });
+      await createBooking();
+
+      const result = await promoService.evaluate('save', passenger, 100);
+
+      expect(result).toMatchObject({ success: false, message: 'This promo code is only valid on your first ride' });
+    });
+  });
+});
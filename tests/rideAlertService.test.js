@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Ride = require('../models/ride');
+const RideAlert = require('../models/rideAlert');
+const RideAlertMatch = require('../models/rideAlertMatch');
+const notificationController = require('../controllers/notificationController');
+const rideAlertService = require('../services/rideAlertService');
+const { createMemoryDb } = require('./support/memoryDb');
+const { RIDE_STATUS } = require('../utils/constants');
+
+const db = createMemoryDb();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+const point = (address, longitude, latitude = 12.9) => ({
+  address,
+  location: { type: 'Point', coordinates: [longitude, latitude] }
+});
+
+// Tomorrow at 9:00, server time
+const departureTime = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  date.setHours(9, 0, 0, 0);
+  return date;
+};
+
+describe('rideAlertService', () => {
+  let ride;
+
+  beforeEach(async () => {
+    db.reset();
+    db.install(Ride, RideAlert, RideAlertMatch);
+    jest.spyOn(notificationController, 'createNotification').mockResolvedValue(null);
+
+    ride = await Ride.create({
+      driver: objectId(),
+      source: point('MG Road', 77.5),
+      destination: point('ITPL', 77.9),
+      route: { type: 'LineString', coordinates: [[77.5, 12.9], [77.9, 12.9]] },
+      departureTime: departureTime(),
+      seatsAvailable: 3,
+      seatsTotal: 3,
+      segmentSeatsAvailable: [3],
+      pricePerSeat: 100
+    });
+  });
+
+  // An alert for a trip along the ride's route
+  function createAlert(data = {}) {
+    return RideAlert.create({
+      user: objectId(),
+      source: point('Indiranagar', 77.6),
+      destination: point('Whitefield', 77.8),
+      radius: 2,
+      ...data
+    });
+  }
+
+  describe('matchAlert', () => {
+    it('matches an alert along the route and quotes its part of the ride', async () => {
+      const result = rideAlertService.matchAlert(await createAlert(), ride);
+
+      expect(result).toMatchObject({ seatsAvailable: 3 });
+      expect(result.farePerSeat).toBeGreaterThan(0);
+      expect(result.farePerSeat).toBeLessThanOrEqual(100);
+    });
+
+    it('does not match points away from the route or a trip against its direction', async () => {
+      expect(rideAlertService.matchAlert(await createAlert({ source: point('Elsewhere', 77.6, 13.2) }), ride)).toBeNull();
+      expect(rideAlertService.matchAlert(await createAlert({
+        source: point('Whitefield', 77.8),
+        destination: point('Indiranagar', 77.6)
+      }), ride)).toBeNull();
+    });
+
+    it('checks the date, weekday and time of day window', async () => {
+      const day = ride.departureTime.getDay();
+      const nextWeek = new Date(ride.departureTime.getTime() + 7 * 24 * 3600000);
+
+      expect(rideAlertService.matchAlert(await createAlert({ dateFrom: nextWeek }), ride)).toBeNull();
+      expect(rideAlertService.matchAlert(await createAlert({ dateTo: ride.departureTime }), ride)).not.toBeNull();
+      expect(rideAlertService.matchAlert(await createAlert({ weekdays: [(day + 1) % 7] }), ride)).toBeNull();
+      expect(rideAlertService.matchAlert(await createAlert({ weekdays: [day] }), ride)).not.toBeNull();
+      expect(rideAlertService.matchAlert(await createAlert({ timeFrom: '07:00', timeTo: '08:30' }), ride)).toBeNull();
+      expect(rideAlertService.matchAlert(await createAlert({ timeFrom: '08:30', timeTo: '09:30' }), ride)).not.toBeNull();
+      expect(rideAlertService.matchAlert(await createAlert({ timeFrom: '22:00', timeTo: '09:00' }), ride)).not.toBeNull();
+    });
+
+    it('checks the price and the seats wanted', async () => {
+      expect(rideAlertService.matchAlert(await createAlert({ maxPrice: 1 }), ride)).toBeNull();
+      expect(rideAlertService.matchAlert(await createAlert({ maxPrice: 100 }), ride)).not.toBeNull();
+      expect(rideAlertService.matchAlert(await createAlert({ seats: 4 }), ride)).toBeNull();
+    });
+
+    it('ignores inactive alerts and alerts of the driver', async () => {
+      expect(rideAlertService.matchAlert(await createAlert({ isActive: false }), ride)).toBeNull();
+      expect(rideAlertService.matchAlert(await createAlert({ user: ride.driver }), ride)).toBeNull();
+    });
+  });
+
+  describe('notifyMatchingAlerts', () => {
+    it('notifies the passengers of matching alerts once per ride', async () => {
+      const alert = await createAlert({ name: 'Commute' });
+      await createAlert({ maxPrice: 1 });
+      await createAlert({ source: point('Far away', 78.5), destination: point('Further', 78.7) });
+
+      expect(await rideAlertService.notifyMatchingAlerts(ride)).toBe(1);
+      expect(await rideAlertService.notifyMatchingAlerts(ride)).toBe(0);
+
+      expect(notificationController.createNotification).toHaveBeenCalledTimes(1);
+      expect(notificationController.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+        recipient: alert.user,
+        title: 'New Ride Matches Your Alert',
+        relatedResource: { resourceType: 'ride', resourceId: ride._id }
+      }));
+      expect(db.documents(RideAlertMatch)).toHaveLength(1);
+      expect(db.documents(RideAlert).find(stored => stored._id === alert._id.toString()).matchCount).toBe(1);
+    });
+
+    it('does not match rides that are not scheduled or have no route', async () => {
+      await createAlert();
+
+      ride.status = RIDE_STATUS.CANCELLED;
+      expect(await rideAlertService.notifyMatchingAlerts(ride)).toBe(0);
+
+      ride.status = RIDE_STATUS.SCHEDULED;
+      ride.route = undefined;
+      expect(await rideAlertService.notifyMatchingAlerts(ride)).toBe(0);
+
+      expect(notificationController.createNotification).not.toHaveBeenCalled();
+    });
+  });
+});
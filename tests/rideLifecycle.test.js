@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/booking');
+const Ride = require('../models/ride');
+const notificationController = require('../controllers/notificationController');
+const rideController = require('../controllers/rideController');
+const locationService = require('../services/locationService');
+const paymentService = require('../services/paymentService');
+const referralService = require('../services/referralService');
+const walletService = require('../services/walletService');
+const { createMemoryDb } = require('./support/memoryDb');
+const { BOOKING_STATUS, RIDE_STATUS } = require('../utils/constants');
+
+const db = createMemoryDb();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+const point = (address, longitude) => ({
+  address,
+  location: { type: 'Point', coordinates: [longitude, 12.9] }
+});
+
+// Run a controller the way Express would and resolve with the response
+function call(handler, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      }
+    };
+
+    handler(req, res, reject);
+  });
+}
+
+describe('ride lifecycle', () => {
+  let ride;
+  let settle;
+
+  beforeEach(async () => {
+    db.reset();
+    db.install(Booking, Ride);
+
+    jest.spyOn(notificationController, 'createNotification').mockResolvedValue(null);
+    jest.spyOn(locationService, 'stopTracking').mockResolvedValue();
+    jest.spyOn(paymentService, 'captureBooking').mockResolvedValue({ success: true });
+    jest.spyOn(referralService, 'rewardReferral').mockResolvedValue();
+    settle = jest.spyOn(walletService, 'settleBooking').mockResolvedValue({ success: true });
+
+    ride = await Ride.create({
+      driver: objectId(),
+      source: point('A', 77.5),
+      destination: point('B', 77.9),
+      departureTime: new Date(Date.now() + 3600000),
+      seatsAvailable: 2,
+      seatsTotal: 3,
+      pricePerSeat: 100,
+      status: RIDE_STATUS.IN_PROGRESS
+    });
+
+    await Booking.create({
+      ride: ride._id,
+      passenger: objectId(),
+      driver: ride.driver,
+      seatsBooked: 1,
+      seatsHeld: 1,
+      totalPrice: 100,
+      status: BOOKING_STATUS.APPROVED
+    });
+  });
+
+  const request = () => ({ params: { id: ride._id.toString() }, user: { id: ride.driver.toString() } });
+
+  describe('completeRide', () => {
+    it('settles the fares once when the ride is completed twice at the same time', async () => {
+      const responses = await Promise.all([
+        call(rideController.completeRide, request()),
+        call(rideController.completeRide, request())
+      ]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+      expect(settle).toHaveBeenCalledTimes(1);
+      expect(db.documents(Ride)[0].status).toBe(RIDE_STATUS.COMPLETED);
+      expect(db.documents(Booking)[0].status).toBe(BOOKING_STATUS.COMPLETED);
+    });
+
+    it('refuses rides that are not in progress', async () => {
+      await Ride.updateOne({ _id: ride._id }, { status: RIDE_STATUS.SCHEDULED });
+
+      const response = await call(rideController.completeRide, request());
+
+      expect(response.status).toBe(400);
+      expect(settle).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startRide', () => {
+    it('does not start a ride cancelled in the meantime', async () => {
+      await Ride.updateOne({ _id: ride._id }, { status: RIDE_STATUS.SCHEDULED });
+
+      // The ride is cancelled between the status check and the update
+      const findById = Ride.findById;
+      jest.spyOn(Ride, 'findById').mockImplementationOnce(async (id) => {
+        const found = await findById(id);
+        await Ride.updateOne({ _id: id }, { status: RIDE_STATUS.CANCELLED });
+        return found;
+      });
+
+      const response = await call(rideController.startRide, request());
+
+      expect(response.status).toBe(409);
+      expect(db.documents(Ride)[0].status).toBe(RIDE_STATUS.CANCELLED);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const Ride = require('../models/ride');
+const rideSeriesService = require('../services/rideSeriesService');
+const { getOccurrenceDates, startOfDay } = require('../utils/recurrence');
+const { createMemoryDb } = require('./support/memoryDb');
+const { RIDE_STATUS } = require('../utils/constants');
+
+const db = createMemoryDb();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Monday 8:00, server time
+const MONDAY = new Date(2030, 0, 7, 8, 0);
+
+const daysAfter = (date, days) => {
+  const later = new Date(date);
+  later.setDate(later.getDate() + days);
+  return later;
+};
+
+describe('recurring rides', () => {
+  describe('getOccurrenceDates', () => {
+    it('expands weekdays, keeps the time of day and ends on the end date', () => {
+      const dates = getOccurrenceDates(MONDAY, { frequency: 'weekdays', endDate: daysAfter(MONDAY, 7) });
+
+      expect(dates.map(date => date.getDay())).toEqual([2, 3, 4, 5, 1]);
+      expect(dates.every(date => date.getHours() === 8 && date.getMinutes() === 0)).toBe(true);
+    });
+
+    it('expands weekends and custom days', () => {
+      expect(getOccurrenceDates(MONDAY, { frequency: 'weekends', endDate: daysAfter(MONDAY, 7) })
+        .map(date => date.getDay())).toEqual([6, 0]);
+      expect(getOccurrenceDates(MONDAY, { frequency: 'custom', days: [3], endDate: daysAfter(MONDAY, 14) })
+        .map(date => date.getDate())).toEqual([9, 16]);
+    });
+
+    it('repeats weekly rides on the weekday of the first ride', () => {
+      const dates = getOccurrenceDates(MONDAY, { frequency: 'weekly' }, { until: daysAfter(MONDAY, 21) });
+
+      expect(dates).toEqual([daysAfter(MONDAY, 7), daysAfter(MONDAY, 14), daysAfter(MONDAY, 21)]);
+    });
+
+    it('returns only dates after the last generated one, up to the limit', () => {
+      const dates = getOccurrenceDates(MONDAY, { frequency: 'daily' }, {
+        after: daysAfter(MONDAY, 2),
+        until: daysAfter(MONDAY, 30),
+        limit: 2
+      });
+
+      expect(dates).toEqual([daysAfter(MONDAY, 3), daysAfter(MONDAY, 4)]);
+    });
+
+    it('never expands an open-ended pattern without a bound', () => {
+      expect(getOccurrenceDates(MONDAY, { frequency: 'daily' })).toEqual([]);
+    });
+  });
+
+  describe('rideSeriesService', () => {
+    let parentRide;
+
+    beforeEach(async () => {
+      db.reset();
+      db.install(Ride);
+
+      const departureTime = new Date(startOfDay(Date.now()).getTime() + DAY + 8 * 60 * 60 * 1000);
+
+      parentRide = await Ride.create({
+        driver: objectId(),
+        source: { address: 'A', location: { type: 'Point', coordinates: [77.5, 12.9] } },
+        destination: { address: 'B', location: { type: 'Point', coordinates: [77.9, 12.9] } },
+        departureTime,
+        estimatedArrivalTime: new Date(departureTime.getTime() + 45 * 60 * 1000),
+        seatsAvailable: 2,
+        seatsTotal: 3,
+        pricePerSeat: 100,
+        instantBooking: true,
+        isRecurring: true,
+        recurringDetails: { frequency: 'daily', endDate: daysAfter(departureTime, 5) }
+      });
+    });
+
+    const occurrences = () => db.documents(Ride)
+      .filter(ride => ride.parentRide)
+      .sort((a, b) => a.departureTime - b.departureTime);
+
+    describe('materializeOccurrences', () => {
+      it('creates the later trips of the series with the details of the first ride', async () => {
+        expect(await rideSeriesService.materializeOccurrences(parentRide)).toBe(5);
+
+        const created = occurrences();
+        expect(created).toHaveLength(5);
+        expect(created[0]).toMatchObject({
+          parentRide: parentRide._id.toString(),
+          departureTime: daysAfter(parentRide.departureTime, 1),
+          estimatedArrivalTime: new Date(daysAfter(parentRide.departureTime, 1).getTime() + 45 * 60 * 1000),
+          occurrenceDate: startOfDay(daysAfter(parentRide.departureTime, 1)),
+          seatsAvailable: 3,
+          pricePerSeat: 100,
+          instantBooking: true,
+          isRecurring: false,
+          status: RIDE_STATUS.SCHEDULED
+        });
+      });
+
+      it('never recreates or overwrites occurrences that were skipped or edited', async () => {
+        await rideSeriesService.materializeOccurrences(parentRide);
+        const [skipped, edited] = occurrences();
+
+        await Ride.updateOne({ _id: skipped._id }, { status: RIDE_STATUS.CANCELLED, isSeriesException: true });
+        await Ride.updateOne({ _id: edited._id }, { pricePerSeat: 150, isSeriesException: true });
+        await Ride.updateOne({ _id: parentRide._id }, { $unset: { 'recurringDetails.generatedUntil': 1 } });
+
+        expect(await rideSeriesService.materializeOccurrences(await Ride.findById(parentRide._id))).toBe(0);
+
+        const [skippedAfter, editedAfter] = occurrences();
+        expect(occurrences()).toHaveLength(5);
+        expect(skippedAfter.status).toBe(RIDE_STATUS.CANCELLED);
+        expect(editedAfter.pricePerSeat).toBe(150);
+      });
+
+      it('creates nothing for a cancelled series or for an occurrence', async () => {
+        await rideSeriesService.materializeOccurrences(parentRide);
+        const [occurrence] = await rideSeriesService.getSeriesRides(parentRide, { parentRide: parentRide._id });
+
+        expect(await rideSeriesService.materializeOccurrences(occurrence)).toBe(0);
+
+        await Ride.updateOne({ _id: parentRide._id }, {
+          'recurringDetails.cancelledAt': Date.now(),
+          $unset: { 'recurringDetails.generatedUntil': 1 }
+        });
+        await Ride.deleteMany({ parentRide: parentRide._id });
+
+        expect(await rideSeriesService.materializeOccurrences(await Ride.findById(parentRide._id))).toBe(0);
+        expect(occurrences()).toHaveLength(0);
+      });
+    });
+
+    describe('finding the rides of a series', () => {
+      beforeEach(async () => {
+        await rideSeriesService.materializeOccurrences(parentRide);
+      });
+
+      it('finds the first ride from any of its occurrences', async () => {
+        const [occurrence] = occurrences();
+
+        expect((await rideSeriesService.getSeriesParent(Ride.hydrate(occurrence)))._id).toEqual(parentRide._id);
+        expect(await rideSeriesService.getSeriesParent(parentRide)).toBe(parentRide);
+        expect(await rideSeriesService.getSeriesParent(new Ride({ isRecurring: false }))).toBeNull();
+      });
+
+      it('lists every ride of the series in departure order', async () => {
+        const rides = await rideSeriesService.getSeriesRides(parentRide);
+
+        expect(rides).toHaveLength(6);
+        expect(rides[0]._id).toEqual(parentRide._id);
+        expect(rides.map(ride => ride.departureTime.getTime())).toEqual(
+          rides.map(ride => ride.departureTime.getTime()).sort((a, b) => a - b)
+        );
+      });
+
+      it('finds the ride that runs on a given day', async () => {
+        const thirdDay = daysAfter(parentRide.departureTime, 2);
+
+        expect(await rideSeriesService.findOccurrenceOnDate(parentRide, parentRide.departureTime)).toBe(parentRide);
+        expect((await rideSeriesService.findOccurrenceOnDate(parentRide, thirdDay)).departureTime).toEqual(thirdDay);
+        expect(await rideSeriesService.findOccurrenceOnDate(parentRide, daysAfter(parentRide.departureTime, 10))).toBeNull();
+      });
+    });
+  });
+});
@@ -0,0 +1,334 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/booking');
+const Ride = require('../models/ride');
+const WaitlistEntry = require('../models/waitlistEntry');
+const seatService = require('../services/seatService');
+const socketService = require('../services/socketService');
+const backfillBookingSeatsHeld = require('../migrations/backfillBookingSeatsHeld');
+const { createMemoryDb } = require('./support/memoryDb');
+const { BOOKING_STATUS, RIDE_STATUS, WAITLIST_STATUS } = require('../utils/constants');
+
+const db = createMemoryDb();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+const point = (address, longitude) => ({
+  address,
+  location: { type: 'Point', coordinates: [longitude, 12.9] }
+});
+
+// A ride from A to D with `stops` intermediate stops, so `stops + 1` legs
+async function createRide(seats, stops = 0) {
+  return await Ride.create({
+    driver: objectId(),
+    source: point('A', 77.5),
+    destination: point('D', 77.9),
+    intermediateStops: Array.from({ length: stops }, (value, index) => point(`Stop ${index + 1}`, 77.6 + index * 0.1)),
+    departureTime: new Date(Date.now() + 24 * 3600000),
+    seatsAvailable: seats,
+    seatsTotal: seats,
+    pricePerSeat: 100
+  });
+}
+
+// Seats freed for a waitlisted passenger, who can book them for a while
+async function offerSeats(ride, seats, data = {}) {
+  return await WaitlistEntry.create({
+    ride: ride._id,
+    passenger: objectId(),
+    seatsWanted: seats,
+    status: WAITLIST_STATUS.OFFERED,
+    offeredAt: new Date(),
+    offerExpiresAt: new Date(Date.now() + 15 * 60000),
+    ...data
+  });
+}
+
+async function createBooking(ride, seats, segment) {
+  return await Booking.create({
+    ride: ride._id,
+    passenger: objectId(),
+    driver: ride.driver,
+    seatsBooked: seats,
+    totalPrice: 100 * seats,
+    segment
+  });
+}
+
+/**
+ * Seats missing on each leg must equal the seats held by bookings on it,
+ * and no leg may ever go below zero or above the total
+ */
+function expectSeatInvariants(rideId) {
+  const ride = db.documents(Ride).find(doc => doc._id === rideId.toString());
+  const bookings = db.documents(Booking).filter(doc => doc.ride === ride._id);
+  const legCount = ride.segmentSeatsAvailable.length;
+
+  for (let leg = 0; leg < legCount; leg++) {
+    const held = bookings
+      .filter(booking => {
+        const from = booking.segment && booking.segment.to > booking.segment.from ? booking.segment.from : 0;
+        const to = booking.segment && booking.segment.to > booking.segment.from ? booking.segment.to : legCount;
+        return leg >= from && leg < to;
+      })
+      .reduce((sum, booking) => sum + booking.seatsHeld, 0);
+
+    expect(ride.segmentSeatsAvailable[leg]).toBeGreaterThanOrEqual(0);
+    expect(ride.segmentSeatsAvailable[leg]).toBeLessThanOrEqual(ride.seatsTotal);
+    expect(ride.seatsTotal - ride.segmentSeatsAvailable[leg]).toBe(held);
+  }
+
+  expect(ride.seatsAvailable).toBe(Math.min(...ride.segmentSeatsAvailable));
+
+  bookings.forEach(booking => {
+    if (booking.status !== BOOKING_STATUS.APPROVED) {
+      expect(booking.seatsHeld).toBe(0);
+    }
+  });
+
+  return ride;
+}
+
+describe('seatService', () => {
+  beforeEach(() => {
+    db.reset();
+    db.install(Booking, Ride, WaitlistEntry);
+  });
+
+  describe('approveBooking', () => {
+    it('never oversells a ride when many approvals race', async () => {
+      const ride = await createRide(3);
+      const bookings = await Promise.all(Array.from({ length: 10 }, () => createBooking(ride, 1)));
+
+      const results = await Promise.all(bookings.map(booking => seatService.approveBooking(booking)));
+
+      expect(results.filter(result => result.booking)).toHaveLength(3);
+      expect(results.filter(result => result.reason === 'seats')).toHaveLength(7);
+
+      const stored = expectSeatInvariants(ride._id);
+      expect(stored.seatsAvailable).toBe(0);
+
+      // Bookings that did not get seats are back to pending
+      const statuses = db.documents(Booking).map(booking => booking.status);
+      expect(statuses.filter(status => status === BOOKING_STATUS.APPROVED)).toHaveLength(3);
+      expect(statuses.filter(status => status === BOOKING_STATUS.PENDING)).toHaveLength(7);
+    });
+
+    it('never oversells with bookings of different sizes', async () => {
+      const ride = await createRide(5);
+      const bookings = await Promise.all([3, 2, 2, 1, 3, 1].map(seats => createBooking(ride, seats)));
+
+      await Promise.all(bookings.map(booking => seatService.approveBooking(booking)));
+
+      const stored = expectSeatInvariants(ride._id);
+      const held = db.documents(Booking).reduce((sum, booking) => sum + booking.seatsHeld, 0);
+
+      expect(held).toBeLessThanOrEqual(5);
+      expect(stored.seatsAvailable).toBe(5 - held);
+    });
+
+    it('approves a booking only once when the same approval is sent twice', async () => {
+      const ride = await createRide(3);
+      const booking = await createBooking(ride, 2);
+
+      const results = await Promise.all([
+        seatService.approveBooking(booking),
+        seatService.approveBooking(booking)
+      ]);
+
+      expect(results.filter(result => result.booking)).toHaveLength(1);
+      expect(results.filter(result => result.reason === 'status')).toHaveLength(1);
+      expect(expectSeatInvariants(ride._id).seatsAvailable).toBe(1);
+    });
+
+    it('takes no seats from a ride that is no longer scheduled', async () => {
+      const ride = await createRide(3);
+      const booking = await createBooking(ride, 1);
+
+      await Ride.updateOne({ _id: ride._id }, { status: RIDE_STATUS.CANCELLED });
+
+      const result = await seatService.approveBooking(booking);
+
+      expect(result.reason).toBe('seats');
+      expect(expectSeatInvariants(ride._id).seatsAvailable).toBe(3);
+    });
+
+    it('sells one seat on legs that do not overlap', async () => {
+      const ride = await createRide(1, 1);
+      const first = await createBooking(ride, 1, { from: 0, to: 1 });
+      const second = await createBooking(ride, 1, { from: 1, to: 2 });
+      const whole = await createBooking(ride, 1);
+
+      const results = await Promise.all([
+        seatService.approveBooking(first),
+        seatService.approveBooking(second),
+        seatService.approveBooking(whole)
+      ]);
+
+      expectSeatInvariants(ride._id);
+
+      // Either both legs went to the segment bookings, or the whole route to the third one
+      const approved = results.map(result => Boolean(result.booking));
+      expect([[true, true, false], [false, false, true]]).toContainEqual(approved);
+    });
+
+    it('keeps seats offered to the waitlist for the passenger they were offered to', async () => {
+      const ride = await createRide(3);
+      const offer = await offerSeats(ride, 2);
+
+      const older = await createBooking(ride, 2);
+      expect(await seatService.approveBooking(older)).toEqual({ reason: 'seats' });
+
+      const offered = await Booking.create({
+        ride: ride._id,
+        passenger: offer.passenger,
+        driver: ride.driver,
+        seatsBooked: 2,
+        totalPrice: 200
+      });
+      expect((await seatService.approveBooking(offered)).booking.seatsHeld).toBe(2);
+
+      expect(expectSeatInvariants(ride._id).seatsAvailable).toBe(1);
+    });
+
+    it('does not keep seats for offers that expired', async () => {
+      const ride = await createRide(3);
+      await offerSeats(ride, 2, { offerExpiresAt: new Date(Date.now() - 60000) });
+
+      const result = await seatService.approveBooking(await createBooking(ride, 2));
+
+      expect(result.booking.seatsHeld).toBe(2);
+    });
+
+    it('never takes offered seats when approvals race', async () => {
+      const ride = await createRide(4);
+      await offerSeats(ride, 1);
+      const bookings = await Promise.all(Array.from({ length: 5 }, () => createBooking(ride, 1)));
+
+      const results = await Promise.all(bookings.map(booking => seatService.approveBooking(booking)));
+
+      expect(results.filter(result => result.booking)).toHaveLength(3);
+      expect(expectSeatInvariants(ride._id).seatsAvailable).toBe(1);
+    });
+  });
+
+  describe('cancelBooking', () => {
+    it('gives seats back only once when cancelled twice at the same time', async () => {
+      const ride = await createRide(3);
+      const booking = await createBooking(ride, 2);
+      await seatService.approveBooking(booking);
+
+      const results = await Promise.all([
+        seatService.cancelBooking(booking),
+        seatService.cancelBooking(booking)
+      ]);
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+      expect(expectSeatInvariants(ride._id).seatsAvailable).toBe(3);
+    });
+
+    it('stops the passenger following the ride', async () => {
+      const leave = jest.spyOn(socketService, 'leaveRide').mockResolvedValue();
+      const ride = await createRide(3);
+      const booking = await createBooking(ride, 1);
+      await seatService.approveBooking(booking);
+
+      await seatService.cancelBooking(booking);
+      await seatService.cancelBooking(booking);
+
+      expect(leave).toHaveBeenCalledTimes(1);
+      expect(leave.mock.calls[0].map(String)).toEqual([ride._id.toString(), booking.passenger.toString()]);
+    });
+
+    it('keeps seat counts right when cancellations race approvals', async () => {
+      const ride = await createRide(2);
+      const approved = await Promise.all([createBooking(ride, 1), createBooking(ride, 1)]);
+
+      for (const booking of approved) {
+        await seatService.approveBooking(booking);
+      }
+
+      const waiting = await Promise.all(Array.from({ length: 6 }, () => createBooking(ride, 1)));
+
+      await Promise.all([
+        ...approved.map(booking => seatService.cancelBooking(booking)),
+        ...waiting.map(booking => seatService.approveBooking(booking))
+      ]);
+
+      const stored = expectSeatInvariants(ride._id);
+      const held = db.documents(Booking).reduce((sum, booking) => sum + booking.seatsHeld, 0);
+
+      expect(held).toBeLessThanOrEqual(2);
+      expect(stored.seatsAvailable).toBe(2 - held);
+    });
+  });
+
+  describe('resizeBooking', () => {
+    it('never oversells when two bookings grow at the same time', async () => {
+      const ride = await createRide(4);
+      const first = await createBooking(ride, 1);
+      const second = await createBooking(ride, 1);
+
+      const { booking: firstApproved } = await seatService.approveBooking(first);
+      const { booking: secondApproved } = await seatService.approveBooking(second);
+
+      // Two seats are left; each booking asks for two more
+      const results = await Promise.all([
+        seatService.resizeBooking(firstApproved, 3, firstApproved.segment),
+        seatService.resizeBooking(secondApproved, 3, secondApproved.segment)
+      ]);
+
+      expect(results.filter(result => result.booking)).toHaveLength(1);
+      expect(results.filter(result => result.reason === 'seats')).toHaveLength(1);
+      expect(expectSeatInvariants(ride._id).seatsAvailable).toBe(0);
+    });
+
+    it('gives seats back when a booking shrinks', async () => {
+      const ride = await createRide(4);
+      const { booking } = await seatService.approveBooking(await createBooking(ride, 3));
+
+      const result = await seatService.resizeBooking(booking, 1, booking.segment);
+
+      expect(result.booking.seatsHeld).toBe(1);
+      expect(expectSeatInvariants(ride._id).seatsAvailable).toBe(3);
+    });
+
+    it('does not grow into seats offered to the waitlist', async () => {
+      const ride = await createRide(4);
+      const { booking } = await seatService.approveBooking(await createBooking(ride, 1));
+      await offerSeats(ride, 2);
+
+      expect(await seatService.resizeBooking(booking, 3, booking.segment)).toEqual({ reason: 'seats' });
+
+      const result = await seatService.resizeBooking(booking, 2, booking.segment);
+      expect(result.booking.seatsHeld).toBe(2);
+      expect(expectSeatInvariants(ride._id).seatsAvailable).toBe(2);
+    });
+  });
+
+  describe('bookings approved before seats were tracked per booking', () => {
+    it('get their seats back on cancellation once backfilled', async () => {
+      const ride = await createRide(3);
+      const legacy = await createBooking(ride, 2);
+
+      // Approved by the old code: seats taken from the ride, nothing held on the booking
+      await Ride.updateOne({ _id: ride._id }, { seatsAvailable: 1, segmentSeatsAvailable: [1] });
+      await Booking.updateOne(
+        { _id: legacy._id },
+        { status: BOOKING_STATUS.APPROVED, $unset: { seatsHeld: 1 }, updatedAt: new Date(Date.now() - 24 * 3600000) }
+      );
+
+      // An approval in progress is left alone
+      const inFlight = await createBooking(ride, 1);
+      await Booking.updateOne({ _id: inFlight._id }, { status: BOOKING_STATUS.APPROVED, updatedAt: new Date() });
+
+      const result = await backfillBookingSeatsHeld();
+      expect(result.bookingsUpdated).toBe(1);
+
+      await Booking.updateOne({ _id: inFlight._id }, { status: BOOKING_STATUS.PENDING });
+      await seatService.cancelBooking(legacy);
+
+      expect(expectSeatInvariants(ride._id).seatsAvailable).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/booking');
+const LedgerTransaction = require('../models/ledgerTransaction');
+const Payment = require('../models/payment');
+const Ride = require('../models/ride');
+const Wallet = require('../models/wallet');
+const WaitlistEntry = require('../models/waitlistEntry');
+const bookingController = require('../controllers/bookingController');
+const notificationController = require('../controllers/notificationController');
+const paymentService = require('../services/paymentService');
+const rideSeriesService = require('../services/rideSeriesService');
+const socketService = require('../services/socketService');
+const walletService = require('../services/walletService');
+const { createMemoryDb } = require('./support/memoryDb');
+const { PAYMENT_INTENT_STATUS, SOCKET_EVENTS, WAITLIST_STATUS } = require('../utils/constants');
+
+const db = createMemoryDb();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+const passenger = { id: objectId(), totalRatings: 0 };
+
+function createTrips(count, data = {}) {
+  const driver = objectId();
+
+  return Promise.all(Array.from({ length: count }, (value, index) => Ride.create({
+    driver,
+    source: { address: 'A', location: { type: 'Point', coordinates: [77.5, 12.9] } },
+    destination: { address: 'B', location: { type: 'Point', coordinates: [77.9, 12.9] } },
+    departureTime: new Date(Date.now() + (index + 1) * 24 * 3600000),
+    seatsAvailable: 3,
+    seatsTotal: 3,
+    pricePerSeat: 100,
+    ...data
+  })));
+}
+
+async function bookSeries(trips, body = {}) {
+  jest.spyOn(rideSeriesService, 'getSeriesParent').mockResolvedValue(trips[0]);
+  jest.spyOn(rideSeriesService, 'materializeOccurrences').mockResolvedValue(0);
+  jest.spyOn(rideSeriesService, 'getSeriesRides').mockResolvedValue(trips);
+
+  const req = { user: passenger, body: { ride: trips[0]._id.toString(), seatsBooked: 1, ...body } };
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn(() => res)
+  };
+  const next = jest.fn();
+
+  await bookingController.createSeriesBooking(req, res, next);
+
+  if (next.mock.calls.length) {
+    throw next.mock.calls[0][0];
+  }
+
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+}
+
+const seatsLeft = () => db.documents(Ride).map(ride => ride.seatsAvailable);
+
+describe('bookingController.createSeriesBooking', () => {
+  beforeEach(() => {
+    db.reset();
+    db.install(Booking, LedgerTransaction, Payment, Ride, Wallet, WaitlistEntry);
+
+    paymentService.useGateway({ ...paymentService.createFakeGateway('whsec_test'), live: true });
+    jest.spyOn(notificationController, 'createNotification').mockResolvedValue(null);
+    jest.spyOn(socketService, 'emitToUser').mockImplementation(() => {});
+    jest.spyOn(socketService, 'emitToRide').mockImplementation(() => {});
+  });
+
+  it('books every trip, marks waitlist entries booked and tells the driver', async () => {
+    const trips = await createTrips(3, { instantBooking: true });
+    await WaitlistEntry.create({ ride: trips[1]._id, passenger: passenger.id, seatsWanted: 1 });
+
+    const { status, body } = await bookSeries(trips);
+
+    expect(status).toBe(201);
+    expect(body.count).toBe(3);
+    expect(seatsLeft()).toEqual([2, 2, 2]);
+    expect(db.documents(WaitlistEntry)[0].status).toBe(WAITLIST_STATUS.BOOKED);
+    expect(socketService.emitToUser).toHaveBeenCalledTimes(3);
+    expect(socketService.emitToUser).toHaveBeenCalledWith(trips[0].driver, SOCKET_EVENTS.BOOKING_APPROVED, expect.anything());
+    expect(socketService.emitToRide).toHaveBeenCalledWith(trips[2]._id, SOCKET_EVENTS.RIDE_UPDATED, {
+      rideId: trips[2]._id,
+      seatsAvailable: 2
+    });
+  });
+
+  it('books nothing when the wallet does not cover every trip', async () => {
+    const trips = await createTrips(3);
+    await walletService.grantCredit(passenger.id, 250, {
+      type: 'referral_credit',
+      description: 'Test credit',
+      idempotencyKey: `test:${objectId()}`
+    });
+
+    const { status } = await bookSeries(trips, { paymentMethod: 'wallet' });
+
+    expect(status).toBe(402);
+    expect(db.documents(Booking)).toHaveLength(0);
+  });
+
+  it('undoes the trips already booked when a card authorization fails', async () => {
+    const trips = await createTrips(3, { instantBooking: true });
+    const authorize = paymentService.authorizeBooking;
+    let calls = 0;
+
+    jest.spyOn(paymentService, 'authorizeBooking').mockImplementation((booking, token) => {
+      calls++;
+      return authorize(booking, calls === 2 ? 'tok_decline' : token);
+    });
+
+    const { status, body } = await bookSeries(trips, { paymentMethod: 'card', paymentToken: 'tok_visa' });
+
+    expect(status).toBe(402);
+    expect(body.message).toMatch('No trips were booked');
+    expect(db.documents(Booking)).toHaveLength(0);
+    expect(seatsLeft()).toEqual([3, 3, 3]);
+
+    const statuses = db.documents(Payment).map(payment => payment.status).sort();
+    expect(statuses).toEqual([PAYMENT_INTENT_STATUS.FAILED, PAYMENT_INTENT_STATUS.VOIDED]);
+    expect(socketService.emitToUser).not.toHaveBeenCalled();
+  });
+
+  it('undoes the trips already booked when a trip fills up meanwhile', async () => {
+    const trips = await createTrips(2, { instantBooking: true });
+
+    // The second trip sells out after the trips were read and checked
+    await Ride.updateOne({ _id: trips[1]._id }, { seatsAvailable: 0, segmentSeatsAvailable: [0] });
+
+    const { status } = await bookSeries(trips);
+
+    expect(status).toBe(409);
+    expect(db.documents(Booking)).toHaveLength(0);
+    expect(seatsLeft()).toEqual([3, 0]);
+  });
+});
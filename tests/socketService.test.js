@@ -0,0 +1,78 @@
+const http = require('http');
+const mongoose = require('mongoose');
+const Booking = require('../models/booking');
+const Ride = require('../models/ride');
+const socketService = require('../services/socketService');
+const { createMemoryDb } = require('./support/memoryDb');
+const { BOOKING_STATUS } = require('../utils/constants');
+
+const db = createMemoryDb();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+describe('socketService', () => {
+  let io;
+
+  beforeAll(() => {
+    io = socketService.init(http.createServer());
+  });
+
+  afterAll(() => {
+    io.close();
+  });
+
+  beforeEach(() => {
+    db.reset();
+    db.install(Booking, Ride);
+  });
+
+  describe('leaveRide', () => {
+    let ride;
+    let socketsLeave;
+
+    beforeEach(async () => {
+      ride = await Ride.create({
+        driver: objectId(),
+        source: { address: 'A', location: { type: 'Point', coordinates: [77.5, 12.9] } },
+        destination: { address: 'B', location: { type: 'Point', coordinates: [77.9, 12.9] } },
+        departureTime: new Date(Date.now() + 24 * 3600000),
+        seatsAvailable: 3,
+        seatsTotal: 3,
+        pricePerSeat: 100
+      });
+
+      socketsLeave = jest.fn();
+      jest.spyOn(io, 'in').mockReturnValue({ socketsLeave });
+    });
+
+    const book = (passenger, status) => Booking.create({
+      ride: ride._id,
+      passenger,
+      driver: ride.driver,
+      seatsBooked: 1,
+      totalPrice: 100,
+      status
+    });
+
+    it('removes a passenger whose booking was cancelled from the ride room', async () => {
+      const passenger = objectId();
+      await book(passenger, BOOKING_STATUS.CANCELLED);
+
+      await socketService.leaveRide(ride._id, passenger);
+
+      expect(io.in).toHaveBeenCalledWith(`user:${passenger}`);
+      expect(socketsLeave).toHaveBeenCalledWith(`ride:${ride._id}`);
+    });
+
+    it('keeps users who still take part in the ride', async () => {
+      const passenger = objectId();
+      await book(passenger, BOOKING_STATUS.CANCELLED);
+      await book(passenger, BOOKING_STATUS.APPROVED);
+
+      await socketService.leaveRide(ride._id, passenger);
+      await socketService.leaveRide(ride._id, ride.driver);
+
+      expect(socketsLeave).not.toHaveBeenCalled();
+    });
+  });
+});
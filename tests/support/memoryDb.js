@@ -0,0 +1,507 @@
+const mongoose = require('mongoose');
+const mingo = require('mingo');
+
+/*
+ * In-memory stand-in for the MongoDB collections behind Mongoose models, so
+ * services can be tested without a database server. Queries and updates are
+ * evaluated with mingo, which implements the MongoDB query, update and
+ * aggregation languages.
+ *
+ * Every operation runs atomically on a later turn of the event loop, like a
+ * round trip to the server, so concurrent calls interleave the way they would
+ * against MongoDB and conditional updates are what keeps them consistent.
+ */
+
+/**
+ * Create an empty in-memory database
+ * @returns {Object} - { install(...models), documents(model), reset() }
+ */
+exports.createMemoryDb = () => {
+  const collections = new Map();
+  const modelNames = new Map();
+
+  const collectionOf = (Model) => {
+    if (!collections.has(Model.modelName)) {
+      collections.set(Model.modelName, []);
+    }
+
+    return collections.get(Model.modelName);
+  };
+
+  return {
+    /**
+     * Route the static query methods of models to the in-memory collections
+     */
+    install(...models) {
+      // $lookup names collections, not models
+      const resolve = (name) => (modelNames.has(name) ? collections.get(modelNames.get(name)) || [] : []);
+
+      models.forEach(Model => {
+        modelNames.set(Model.collection.name, Model.modelName);
+        installModel(Model, () => collectionOf(Model), resolve);
+      });
+    },
+
+    /**
+     * Stored documents of a model, as plain objects
+     */
+    documents(Model) {
+      return collectionOf(Model).map(clone);
+    },
+
+    reset() {
+      collections.clear();
+      modelNames.clear();
+    }
+  };
+};
+
+function installModel(Model, collection, resolveCollection) {
+  // Unique indexes, including compound and partial ones
+  const uniqueIndexes = Model.schema.indexes()
+    .filter(([, options]) => options.unique)
+    .map(([fields, options]) => ({
+      paths: Object.keys(fields),
+      partial: options.partialFilterExpression && new mingo.Query(normalize(options.partialFilterExpression))
+    }));
+
+  const criteria = (filter) => castFilterDates(Model, geoFilters(normalize(filter || {})));
+
+  const matching = (filter) => {
+    const query = new mingo.Query(criteria(filter));
+    return collection().filter(doc => query.test(doc));
+  };
+
+  const output = (doc, lean) => {
+    if (!doc) {
+      return null;
+    }
+
+    return lean ? clone(doc) : Model.hydrate(clone(doc));
+  };
+
+  const checkUnique = (doc, ignore) => {
+    uniqueIndexes.forEach(({ paths, partial }) => {
+      const indexed = (other) => !partial || partial.test(other);
+      const key = (other) => JSON.stringify(paths.map(path => valueAt(other, path) ?? null));
+
+      if (!indexed(doc) || (paths.length === 1 && (valueAt(doc, paths[0]) ?? null) === null)) {
+        return;
+      }
+
+      if (collection().some(other => other !== ignore && indexed(other) && key(other) === key(doc))) {
+        const err = new Error(`E11000 duplicate key error collection: ${Model.collection.name} index: ${paths.join('_1_')}_1`);
+        err.code = 11000;
+        err.keyPattern = Object.fromEntries(paths.map(path => [path, 1]));
+        throw err;
+      }
+    });
+  };
+
+  const insert = async (data) => {
+    const doc = new Model(data);
+    await doc.validate();
+
+    const stored = normalize(doc.toObject({ depopulate: true }));
+    checkUnique(stored);
+    collection().push(stored);
+
+    return stored;
+  };
+
+  const update = async (filter, changes, options, many) => {
+    const docs = matching(filter);
+    const targets = many ? docs : docs.slice(0, 1);
+
+    if (!targets.length && options.upsert) {
+      const base = applyUpdate(Model, equalityFields(normalize(filter)), changes, true);
+      const stored = await insert(base);
+
+      return { before: [null], after: [stored], upserted: true };
+    }
+
+    const before = targets.map(clone);
+    const after = targets.map(doc => {
+      const updated = applyUpdate(Model, doc, changes, false);
+      checkUnique(updated, doc);
+
+      // Replace the stored document in place
+      Object.keys(doc).forEach(key => delete doc[key]);
+      Object.assign(doc, updated);
+
+      return doc;
+    });
+
+    return { before, after, upserted: false };
+  };
+
+  const remove = (filter, many) => {
+    const docs = matching(filter);
+    const targets = many ? docs : docs.slice(0, 1);
+    const all = collection();
+
+    targets.forEach(doc => all.splice(all.indexOf(doc), 1));
+
+    return targets;
+  };
+
+  const statics = {
+    find: (filter) => createQuery(async ({ sort, skip, limit, lean, distinct }) => {
+      let cursor = mingo.find(collection(), criteria(filter));
+
+      if (sort) cursor = cursor.sort(sort);
+      if (skip) cursor = cursor.skip(skip);
+      if (limit) cursor = cursor.limit(limit);
+
+      if (distinct) {
+        return distinctValues(Model, cursor.all(), distinct);
+      }
+
+      return cursor.all().map(doc => output(doc, lean));
+    }),
+
+    findOne: (filter) => createQuery(async ({ sort, lean }) => {
+      const docs = sort ? mingo.find(collection(), criteria(filter)).sort(sort).all() : matching(filter);
+      return output(docs[0], lean);
+    }),
+
+    findById: (id) => statics.findOne({ _id: id }),
+
+    exists: (filter) => createQuery(async () => {
+      const doc = matching(filter)[0];
+      return doc ? { _id: doc._id } : null;
+    }),
+
+    countDocuments: (filter) => createQuery(async () => matching(filter).length),
+
+    create: async (data) => {
+      await nextTurn();
+
+      if (Array.isArray(data)) {
+        const docs = [];
+        for (const item of data) {
+          docs.push(output(await insert(item)));
+        }
+        return docs;
+      }
+
+      return output(await insert(data));
+    },
+
+    insertMany: (data) => statics.create(data),
+
+    findOneAndUpdate: (filter, changes, options = {}) => createQuery(async ({ lean }) => {
+      const result = await update(filter, changes, options, false);
+      const doc = options.new ? result.after[0] : result.before[0];
+      return output(doc, lean || options.lean);
+    }),
+
+    findByIdAndUpdate: (id, changes, options) => statics.findOneAndUpdate({ _id: id }, changes, options),
+
+    updateOne: (filter, changes, options = {}) => createQuery(async () => {
+      const result = await update(filter, changes, options, false);
+      return updateResult(result);
+    }),
+
+    updateMany: (filter, changes, options = {}) => createQuery(async () => {
+      const result = await update(filter, changes, options, true);
+      return updateResult(result);
+    }),
+
+    // Only update operations, run one after the other like an unordered bulk write
+    bulkWrite: (operations) => createQuery(async () => {
+      const totals = { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+
+      for (const operation of operations) {
+        const [[type, { filter, update: changes, upsert }]] = Object.entries(operation);
+
+        if (type !== 'updateOne' && type !== 'updateMany') {
+          throw new Error(`bulkWrite ${type} is not supported in memory`);
+        }
+
+        const result = updateResult(await update(filter, changes, { upsert }, type === 'updateMany'));
+        totals.matchedCount += result.matchedCount;
+        totals.modifiedCount += result.modifiedCount;
+        totals.upsertedCount += result.upsertedCount;
+      }
+
+      return totals;
+    }),
+
+    deleteOne: (filter) => createQuery(async () => ({ deletedCount: remove(filter, false).length })),
+
+    deleteMany: (filter) => createQuery(async () => ({ deletedCount: remove(filter, true).length })),
+
+    findOneAndDelete: (filter) => createQuery(async ({ lean }) => output(remove(filter, false)[0], lean)),
+
+    findByIdAndDelete: (id) => statics.findOneAndDelete({ _id: id }),
+
+    aggregate: (pipeline) => createQuery(async () =>
+      mingo.aggregate(collection(), normalize(pipeline), { collectionResolver: resolveCollection })
+    )
+  };
+
+  Object.entries(statics).forEach(([name, implementation]) => {
+    jest.spyOn(Model, name).mockImplementation(implementation);
+  });
+
+  // Document#save inserts new documents and writes loaded ones back.
+  // Schema middleware does not run.
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+    await nextTurn();
+    await this.validate();
+
+    const stored = normalize(this.toObject({ depopulate: true }));
+    const current = collection().find(doc => doc._id === stored._id);
+
+    if (!current) {
+      checkUnique(stored);
+      collection().push(stored);
+    } else {
+      const updated = { ...current, ...stored };
+      checkUnique(updated, current);
+      Object.assign(current, updated);
+    }
+
+    this.isNew = false;
+    return this;
+  });
+}
+
+/**
+ * Chainable, thenable query like the ones Mongoose returns
+ */
+function createQuery(run) {
+  const options = {};
+  let promise = null;
+
+  const query = {
+    select: () => query,
+    populate: () => query,
+    session: () => query,
+    sort: (sort) => { options.sort = sort; return query; },
+    skip: (skip) => { options.skip = skip; return query; },
+    limit: (limit) => { options.limit = limit; return query; },
+    lean: () => { options.lean = true; return query; },
+    distinct: (path) => { options.distinct = path; return query; },
+    exec: () => {
+      if (!promise) {
+        promise = nextTurn().then(() => run(options));
+      }
+      return promise;
+    },
+    then: (resolve, reject) => query.exec().then(resolve, reject),
+    catch: (reject) => query.exec().catch(reject)
+  };
+
+  return query;
+}
+
+/**
+ * Apply a Mongoose-style update (plain keys are $set) or an update pipeline
+ */
+function applyUpdate(Model, doc, changes, isInsert) {
+  const copy = clone(doc);
+
+  if (Array.isArray(changes)) {
+    return mingo.aggregate([copy], normalize(changes))[0];
+  }
+
+  const operators = {};
+  const set = {};
+
+  Object.entries(normalize(changes)).forEach(([key, value]) => {
+    if (key.startsWith('$')) {
+      operators[key] = value;
+    } else {
+      set[key] = value;
+    }
+  });
+
+  if (operators.$setOnInsert) {
+    if (isInsert) {
+      Object.assign(set, operators.$setOnInsert);
+    }
+    delete operators.$setOnInsert;
+  }
+
+  if (Object.keys(set).length) {
+    operators.$set = { ...(operators.$set || {}), ...set };
+  }
+
+  if (operators.$set) {
+    operators.$set = castDates(Model, operators.$set);
+  }
+
+  if (Object.keys(operators).length) {
+    mingo.updateOne([copy], {}, operators);
+  }
+
+  return copy;
+}
+
+/**
+ * Timestamps are often written as Date.now(); store them as dates like Mongoose does
+ */
+function castDates(Model, fields) {
+  const cast = {};
+
+  Object.entries(fields).forEach(([path, value]) => {
+    const schemaType = Model.schema.path(path);
+    cast[path] = schemaType && schemaType.instance === 'Date' && typeof value === 'number'
+      ? new Date(value)
+      : value;
+  });
+
+  return cast;
+}
+
+/**
+ * Timestamps in filters are often Date.now() too; compare them as dates
+ */
+function castFilterDates(Model, filter) {
+  const cast = (value) => (typeof value === 'number' ? new Date(value) : value);
+  const result = {};
+
+  Object.entries(filter).forEach(([path, value]) => {
+    const schemaType = !path.startsWith('$') && Model.schema.path(path);
+
+    if (!schemaType || schemaType.instance !== 'Date') {
+      result[path] = value;
+    } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+      result[path] = Object.fromEntries(Object.entries(value).map(([operator, operand]) => [operator, cast(operand)]));
+    } else {
+      result[path] = cast(value);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * mingo has no geospatial operators. $geoWithin a polygon becomes a range on
+ * the point's coordinates: its bounding box, which is exact for the
+ * rectangles utils/geo.pathArea builds.
+ */
+function geoFilters(filter) {
+  const result = {};
+
+  Object.entries(filter).forEach(([path, value]) => {
+    const polygon = value && value.$geoWithin && value.$geoWithin.$geometry;
+
+    if (!polygon) {
+      result[path] = value;
+      return;
+    }
+
+    const ring = polygon.coordinates[0];
+    [0, 1].forEach(axis => {
+      const values = ring.map(point => point[axis]);
+      result[`${path}.coordinates.${axis}`] = { $gte: Math.min(...values), $lte: Math.max(...values) };
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Fields a filter pins to one value, the starting point of an upserted document
+ */
+function equalityFields(filter) {
+  const fields = {};
+
+  Object.entries(filter).forEach(([key, value]) => {
+    const isOperator = key.startsWith('$') ||
+      (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+        Object.keys(value).some(inner => inner.startsWith('$')));
+
+    if (!isOperator) {
+      fields[key] = value;
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * Distinct values of a path, cast back to ObjectIds where the schema has them
+ */
+function distinctValues(Model, docs, path) {
+  const values = new Map();
+
+  docs.forEach(doc => {
+    [].concat(valueAt(doc, path)).forEach(value => {
+      if (value !== undefined && value !== null) {
+        values.set(String(value), value);
+      }
+    });
+  });
+
+  const schemaType = Model.schema.path(path);
+  const isObjectId = schemaType && (schemaType.instance === 'ObjectId' ||
+    (schemaType.caster && schemaType.caster.instance === 'ObjectId'));
+
+  return Array.from(values.values()).map(value => (isObjectId ? new mongoose.Types.ObjectId(value) : value));
+}
+
+function updateResult({ before, after, upserted }) {
+  return {
+    acknowledged: true,
+    matchedCount: upserted ? 0 : before.length,
+    modifiedCount: upserted ? 0 : after.length,
+    upsertedCount: upserted ? 1 : 0
+  };
+}
+
+/**
+ * ObjectIds become hex strings so they compare by value; documents become plain objects
+ */
+function normalize(value) {
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value.toString();
+  }
+
+  if (value instanceof mongoose.Document) {
+    return normalize(value.toObject({ depopulate: true }));
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+    const result = {};
+    Object.entries(value).forEach(([key, inner]) => {
+      if (inner !== undefined) {
+        result[key] = normalize(inner);
+      }
+    });
+    return result;
+  }
+
+  return value;
+}
+
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+    const result = {};
+    Object.entries(value).forEach(([key, inner]) => {
+      result[key] = clone(inner);
+    });
+    return result;
+  }
+
+  return value instanceof Date ? new Date(value) : value;
+}
+
+function valueAt(doc, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), doc);
+}
+
+function nextTurn() {
+  return new Promise(resolve => setImmediate(resolve));
+}
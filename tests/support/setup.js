@@ -0,0 +1,13 @@
+// Keep test output clean and avoid writing log files
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+// Signing secret for access tokens
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jwt_test_secret';
+
+// Signing secret for webhooks built with the fake payment gateway
+process.env.PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'whsec_test';
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/booking');
+const Ride = require('../models/ride');
+const TripRequest = require('../models/tripRequest');
+const User = require('../models/user');
+const Vehicle = require('../models/vehicle');
+const WaitlistEntry = require('../models/waitlistEntry');
+const notificationController = require('../controllers/notificationController');
+const rideAlertService = require('../services/rideAlertService');
+const seatService = require('../services/seatService');
+const tripRequestService = require('../services/tripRequestService');
+const walletService = require('../services/walletService');
+const { createMemoryDb } = require('./support/memoryDb');
+const { PAYMENT_METHODS, TRIP_REQUEST_STATUS, WAITLIST_STATUS } = require('../utils/constants');
+
+const db = createMemoryDb();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+const HOUR = 3600000;
+
+const point = (address, longitude) => ({
+  address,
+  location: { type: 'Point', coordinates: [longitude, 12.9] }
+});
+
+describe('tripRequestService', () => {
+  let driver;
+  let request;
+
+  beforeEach(async () => {
+    db.reset();
+    db.install(Booking, Ride, TripRequest, User, Vehicle, WaitlistEntry);
+    jest.spyOn(notificationController, 'createNotification').mockResolvedValue(null);
+    jest.spyOn(rideAlertService, 'notifyMatchingAlerts').mockResolvedValue(0);
+
+    const driverId = objectId();
+    driver = { _id: driverId, id: driverId, firstName: 'Ravi' };
+
+    request = await TripRequest.create({
+      passenger: objectId(),
+      source: point('Indiranagar', 77.6),
+      destination: point('Whitefield', 77.8),
+      departureFrom: new Date(Date.now() + 2 * HOUR),
+      departureTo: new Date(Date.now() + 6 * HOUR),
+      seats: 2,
+      offeredPrice: 150
+    });
+  });
+
+  // A scheduled ride of the driver passing both points of the request
+  async function createRide(seats) {
+    return await Ride.create({
+      driver: driver._id,
+      source: point('MG Road', 77.5),
+      destination: point('ITPL', 77.9),
+      route: { type: 'LineString', coordinates: [[77.5, 12.9], [77.9, 12.9]] },
+      departureTime: new Date(Date.now() + 3 * HOUR),
+      seatsAvailable: seats,
+      seatsTotal: seats,
+      segmentSeatsAvailable: [seats],
+      pricePerSeat: 100
+    });
+  }
+
+  describe('accept', () => {
+    it('books the passenger on an existing ride', async () => {
+      const ride = await createRide(3);
+
+      const result = await tripRequestService.accept(request, driver, { rideId: ride._id });
+
+      expect(result.success).toBe(true);
+      expect(result.booking).toMatchObject({ status: 'approved', seatsHeld: 2, totalPrice: 300 });
+      expect(db.documents(Ride)[0].seatsAvailable).toBe(1);
+      expect(db.documents(TripRequest)[0]).toMatchObject({ status: TRIP_REQUEST_STATUS.ACCEPTED, ride: ride._id.toString() });
+    });
+
+    it('does not take seats offered to the ride\'s waitlist', async () => {
+      const ride = await createRide(3);
+      await WaitlistEntry.create({
+        ride: ride._id,
+        passenger: objectId(),
+        seatsWanted: 2,
+        status: WAITLIST_STATUS.OFFERED,
+        offeredAt: new Date(),
+        offerExpiresAt: new Date(Date.now() + 15 * 60000)
+      });
+
+      const result = await tripRequestService.accept(request, driver, { rideId: ride._id });
+
+      expect(result).toMatchObject({ success: false, status: 400, message: 'Not enough seats available on this ride' });
+      expect(db.documents(Booking)).toHaveLength(0);
+      expect(db.documents(Ride)[0].seatsAvailable).toBe(3);
+      expect(db.documents(TripRequest)[0].status).toBe(TRIP_REQUEST_STATUS.OPEN);
+    });
+
+    it('creates a ride for the request when no ride is given', async () => {
+      const departureTime = new Date(Date.now() + 4 * HOUR);
+
+      const result = await tripRequestService.accept(request, driver, { departureTime, seatsAvailable: 3 });
+
+      expect(result.success).toBe(true);
+      expect(db.documents(Ride)).toHaveLength(1);
+      expect(db.documents(Ride)[0]).toMatchObject({ departureTime, seatsTotal: 3, seatsAvailable: 1, pricePerSeat: 150 });
+      expect(db.documents(TripRequest)[0]).toMatchObject({
+        status: TRIP_REQUEST_STATUS.ACCEPTED,
+        ride: result.ride._id.toString(),
+        booking: result.booking._id.toString()
+      });
+      expect(rideAlertService.notifyMatchingAlerts).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not touch anything when another request claimed the trip request first', async () => {
+      await TripRequest.updateOne({ _id: request._id }, { status: TRIP_REQUEST_STATUS.CANCELLED });
+
+      const result = await tripRequestService.accept(request, driver, { departureTime: new Date(Date.now() + 4 * HOUR) });
+
+      expect(result).toMatchObject({ success: false, status: 409 });
+      expect(db.documents(Ride)).toHaveLength(0);
+      expect(db.documents(Booking)).toHaveLength(0);
+      expect(db.documents(TripRequest)[0].status).toBe(TRIP_REQUEST_STATUS.CANCELLED);
+    });
+
+    describe('when the booking cannot be approved', () => {
+      beforeEach(() => {
+        request.paymentMethod = PAYMENT_METHODS.WALLET;
+        jest.spyOn(walletService, 'releaseForBooking').mockResolvedValue({ success: true });
+      });
+
+      const expectReopened = () => {
+        const stored = db.documents(TripRequest)[0];
+
+        expect(stored.status).toBe(TRIP_REQUEST_STATUS.OPEN);
+        expect(stored.driver).toBeUndefined();
+        expect(stored.acceptedAt).toBeUndefined();
+        expect(db.documents(Booking)).toHaveLength(0);
+      };
+
+      it('removes the booking and reopens the request when the wallet cannot cover the fare', async () => {
+        jest.spyOn(walletService, 'holdForBooking').mockResolvedValue({ success: false, message: 'Insufficient wallet balance' });
+        await createRide(3);
+
+        const result = await tripRequestService.accept(request, driver, { rideId: db.documents(Ride)[0]._id });
+
+        expect(result).toEqual({
+          success: false,
+          status: 402,
+          message: 'The passenger\'s wallet cannot cover the fare: Insufficient wallet balance'
+        });
+        expectReopened();
+        expect(db.documents(Ride)[0].seatsAvailable).toBe(3);
+        expect(walletService.releaseForBooking).not.toHaveBeenCalled();
+      });
+
+      it('removes the ride it created when the wallet cannot cover the fare', async () => {
+        jest.spyOn(walletService, 'holdForBooking').mockResolvedValue({ success: false, message: 'Insufficient wallet balance' });
+
+        const result = await tripRequestService.accept(request, driver, { departureTime: new Date(Date.now() + 4 * HOUR) });
+
+        expect(result).toMatchObject({ success: false, status: 402 });
+        expectReopened();
+        expect(db.documents(Ride)).toHaveLength(0);
+        expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+        expect(notificationController.createNotification).not.toHaveBeenCalled();
+      });
+
+      it('releases the wallet hold and removes the new ride when the seats are gone', async () => {
+        jest.spyOn(walletService, 'holdForBooking').mockResolvedValue({ success: true });
+        jest.spyOn(seatService, 'approveBooking').mockResolvedValue({ booking: null, ride: null });
+
+        const result = await tripRequestService.accept(request, driver, { departureTime: new Date(Date.now() + 4 * HOUR) });
+
+        expect(result).toEqual({ success: false, status: 400, message: 'Not enough seats available on this ride' });
+        expectReopened();
+        expect(db.documents(Ride)).toHaveLength(0);
+        expect(walletService.releaseForBooking).toHaveBeenCalledWith(expect.objectContaining({ paymentMethod: PAYMENT_METHODS.WALLET }));
+      });
+    });
+  });
+});
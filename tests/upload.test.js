@@ -0,0 +1,48 @@
+const express = require('express');
+const request = require('supertest');
+const { singleFile, requireFile } = require('../middlewares/upload');
+
+describe('upload middleware', () => {
+  const app = express();
+
+  app.put(
+    '/photo',
+    singleFile('photo', { maxSize: 1024 * 1024, mimeTypes: ['image/png', 'image/jpeg'] }),
+    requireFile,
+    (req, res) => res.status(200).json({ success: true, size: req.file.size })
+  );
+
+  it('accepts a file of an allowed type within the size limit', async () => {
+    const res = await request(app)
+      .put('/photo')
+      .attach('photo', Buffer.alloc(512), { filename: 'photo.png', contentType: 'image/png' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, size: 512 });
+  });
+
+  it('refuses a file over the size limit', async () => {
+    const res = await request(app)
+      .put('/photo')
+      .attach('photo', Buffer.alloc(1024 * 1024 + 1), { filename: 'photo.png', contentType: 'image/png' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('File is too large. Maximum size is 1 MB');
+  });
+
+  it('refuses a file of a type that is not allowed', async () => {
+    const res = await request(app)
+      .put('/photo')
+      .attach('photo', Buffer.from('<svg/>'), { filename: 'photo.svg', contentType: 'image/svg+xml' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Upload a single file in "photo". Allowed types: image/png, image/jpeg');
+  });
+
+  it('refuses a request without a file', async () => {
+    const res = await request(app).put('/photo');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('A file is required');
+  });
+});
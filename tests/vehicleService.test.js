@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const Ride = require('../models/ride');
+const User = require('../models/user');
+const Vehicle = require('../models/vehicle');
+const rideController = require('../controllers/rideController');
+const rideAlertService = require('../services/rideAlertService');
+const vehicleService = require('../services/vehicleService');
+const { createMemoryDb } = require('./support/memoryDb');
+
+const db = createMemoryDb();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+let plates = 0;
+
+function createVehicle(owner, data = {}) {
+  plates++;
+
+  return Vehicle.create({
+    owner,
+    make: 'Maruti',
+    model: 'Ertiga',
+    color: 'White',
+    licensePlate: `ka01ab${plates}`,
+    seatingCapacity: 6,
+    isVerified: true,
+    ...data
+  });
+}
+
+// Run a controller the way Express would and resolve with the response
+function call(handler, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      }
+    };
+
+    handler(req, res, reject);
+  });
+}
+
+describe('vehicles', () => {
+  let driver;
+
+  beforeEach(() => {
+    db.reset();
+    db.install(Ride, User, Vehicle);
+
+    const id = objectId();
+    driver = {
+      _id: id,
+      id,
+      role: 'driver',
+      driverDetails: {
+        isVerified: true,
+        vehicleModel: 'Swift',
+        vehicleColor: 'Red',
+        licensePlate: 'KA01XY0001',
+        seatingCapacity: 4
+      }
+    };
+  });
+
+  describe('resolveRideVehicle', () => {
+    it('uses the vehicle requested for the ride', async () => {
+      await createVehicle(driver._id, { isDefault: true });
+      const van = await createVehicle(driver._id, { model: 'Eeco', seatingCapacity: 7 });
+
+      const selection = await vehicleService.resolveRideVehicle(driver, van._id.toString());
+
+      expect(selection.vehicle._id).toEqual(van._id);
+      expect(selection.vehicleDetails).toEqual({
+        model: 'Maruti Eeco',
+        color: 'White',
+        licensePlate: van.licensePlate,
+        seatingCapacity: 7
+      });
+    });
+
+    it('does not use vehicles of other drivers or removed ones', async () => {
+      const other = await createVehicle(objectId());
+      const removed = await createVehicle(driver._id, { isActive: false });
+
+      expect(await vehicleService.resolveRideVehicle(driver, other._id.toString()))
+        .toEqual({ status: 404, message: 'Vehicle not found' });
+      expect(await vehicleService.resolveRideVehicle(driver, removed._id.toString()))
+        .toEqual({ status: 404, message: 'Vehicle not found' });
+    });
+
+    it('uses the default vehicle, or the only one, when none is requested', async () => {
+      const car = await createVehicle(driver._id);
+      expect((await vehicleService.resolveRideVehicle(driver)).vehicle._id).toEqual(car._id);
+
+      const van = await createVehicle(driver._id, { isDefault: true });
+      expect((await vehicleService.resolveRideVehicle(driver)).vehicle._id).toEqual(van._id);
+    });
+
+    it('asks for a vehicle when the driver has several and no default', async () => {
+      await createVehicle(driver._id);
+      await createVehicle(driver._id);
+
+      expect(await vehicleService.resolveRideVehicle(driver)).toEqual({
+        status: 400,
+        message: 'Choose a vehicle for this ride (vehicleId) or set a default vehicle'
+      });
+    });
+
+    it('refuses a vehicle that is not verified yet', async () => {
+      const car = await createVehicle(driver._id, { isDefault: true, isVerified: false });
+
+      expect(await vehicleService.resolveRideVehicle(driver)).toEqual({
+        status: 400,
+        message: `Vehicle ${car.licensePlate} is not verified yet`
+      });
+    });
+
+    it('falls back to the profile details of drivers without vehicles', async () => {
+      expect(await vehicleService.resolveRideVehicle(driver)).toEqual({
+        vehicle: null,
+        vehicleDetails: { model: 'Swift', color: 'Red', licensePlate: 'KA01XY0001', seatingCapacity: 4 }
+      });
+    });
+  });
+
+  describe('checkCapacity', () => {
+    it('refuses more seats than the vehicle has', () => {
+      expect(vehicleService.checkCapacity({ seatingCapacity: 4 }, 5))
+        .toBe('This vehicle has 4 passenger seats, cannot offer 5');
+      expect(vehicleService.checkCapacity({ seatingCapacity: 4 }, 4)).toBeNull();
+      expect(vehicleService.checkCapacity({ seatingCapacity: undefined }, 8)).toBeNull();
+    });
+  });
+
+  describe('setDefault', () => {
+    it('leaves the driver with one default vehicle', async () => {
+      await createVehicle(driver._id, { isDefault: true });
+      const van = await createVehicle(driver._id);
+      const others = await createVehicle(objectId(), { isDefault: true });
+
+      await vehicleService.setDefault(van);
+
+      const defaults = db.documents(Vehicle).filter(vehicle => vehicle.isDefault).map(vehicle => vehicle._id);
+      expect(defaults.sort()).toEqual([van._id.toString(), others._id.toString()].sort());
+    });
+  });
+
+  describe('rideController.createRide', () => {
+    const request = (body = {}) => ({
+      user: driver,
+      body: {
+        source: { address: 'A', location: { type: 'Point', coordinates: [77.5, 12.9] } },
+        destination: { address: 'B', location: { type: 'Point', coordinates: [77.9, 12.9] } },
+        departureTime: new Date(Date.now() + 24 * 3600000),
+        seatsAvailable: 3,
+        pricePerSeat: 100,
+        ...body
+      }
+    });
+
+    beforeEach(() => {
+      jest.spyOn(rideAlertService, 'notifyMatchingAlerts').mockResolvedValue(0);
+    });
+
+    it('does not create the ride when the default vehicle is not verified', async () => {
+      const car = await createVehicle(driver._id, { isDefault: true, isVerified: false });
+
+      const { status, body } = await call(rideController.createRide, request());
+
+      expect(status).toBe(400);
+      expect(body.message).toBe(`Vehicle ${car.licensePlate} is not verified yet`);
+      expect(db.documents(Ride)).toHaveLength(0);
+    });
+
+    it('refuses more seats than the chosen vehicle has', async () => {
+      const car = await createVehicle(driver._id, { seatingCapacity: 2 });
+
+      const { status, body } = await call(rideController.createRide, request({ vehicleId: car._id.toString() }));
+
+      expect(status).toBe(400);
+      expect(body.message).toBe('This vehicle has 2 passenger seats, cannot offer 3');
+      expect(db.documents(Ride)).toHaveLength(0);
+    });
+
+    it('creates the ride with the details of the chosen vehicle', async () => {
+      const van = await createVehicle(driver._id, { model: 'Eeco', seatingCapacity: 7 });
+
+      const { status } = await call(rideController.createRide, request({ vehicleId: van._id.toString() }));
+
+      expect(status).toBe(201);
+      expect(db.documents(Ride)[0]).toMatchObject({
+        vehicle: van._id.toString(),
+        vehicleDetails: { model: 'Maruti Eeco', licensePlate: van.licensePlate, seatingCapacity: 7 }
+      });
+    });
+  });
+});
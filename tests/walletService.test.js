@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/booking');
+const LedgerTransaction = require('../models/ledgerTransaction');
+const Payment = require('../models/payment');
+const Payout = require('../models/payout');
+const Refund = require('../models/refund');
+const Wallet = require('../models/wallet');
+const paymentService = require('../services/paymentService');
+const walletService = require('../services/walletService');
+const { createMemoryDb } = require('./support/memoryDb');
+const { LEDGER_ACCOUNTS, LEDGER_TRANSACTION_TYPES, PAYOUT_STATUS } = require('../utils/constants');
+
+const db = createMemoryDb();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+const storedWallet = (userId) => db.documents(Wallet).find(wallet => wallet.user === userId);
+
+const credit = (userId, amount) => walletService.grantCredit(userId, amount, {
+  type: LEDGER_TRANSACTION_TYPES.REFERRAL_CREDIT,
+  description: 'Test credit',
+  idempotencyKey: `test:${objectId()}`
+});
+
+async function expectReconciled(userId) {
+  const result = await walletService.reconcile(userId);
+  expect(result.difference).toEqual({ available: 0, held: 0 });
+  return result;
+}
+
+describe('walletService', () => {
+  let userId;
+
+  beforeEach(() => {
+    db.reset();
+    db.install(Booking, LedgerTransaction, Payment, Payout, Refund, Wallet);
+
+    paymentService.useGateway({ ...paymentService.createFakeGateway('whsec_test'), live: true });
+    userId = objectId();
+  });
+
+  describe('topUp and withdraw', () => {
+    it('are refused while only the fake gateway is configured', async () => {
+      paymentService.useGateway(paymentService.createFakeGateway('whsec_test'));
+      await credit(userId, 100);
+
+      const topUp = await walletService.topUp(userId, 500, 'tok_visa', 'key-1');
+      const withdrawal = await walletService.withdraw(userId, 50, 'key-2');
+
+      expect(topUp).toMatchObject({ success: false, status: 503 });
+      expect(withdrawal).toMatchObject({ success: false, status: 503 });
+      expect(db.documents(LedgerTransaction)).toHaveLength(1);
+      expect((await expectReconciled(userId)).ledger.available).toBe(100);
+    });
+
+    it('credits a top-up once when the request is retried', async () => {
+      const charge = jest.spyOn(paymentService, 'chargeCard');
+
+      await walletService.topUp(userId, 500, 'tok_visa', 'key-1');
+      await walletService.topUp(userId, 500, 'tok_visa', 'key-1');
+
+      expect(charge).toHaveBeenCalledTimes(1);
+      expect((await expectReconciled(userId)).ledger.available).toBe(500);
+    });
+
+    it('does not credit a declined card', async () => {
+      const result = await walletService.topUp(userId, 500, 'tok_decline');
+
+      expect(result.success).toBe(false);
+      expect(db.documents(LedgerTransaction)).toHaveLength(0);
+    });
+
+    it('never overdraws a wallet when withdrawals race', async () => {
+      await credit(userId, 100);
+
+      const results = await Promise.all(Array.from({ length: 5 }, () => walletService.withdraw(userId, 40)));
+
+      expect(results.filter(result => result.success)).toHaveLength(2);
+      expect(results.filter(result => result.message === 'Insufficient wallet balance')).toHaveLength(3);
+
+      // Refused withdrawals leave no trace in the ledger
+      const withdrawals = db.documents(LedgerTransaction).filter(row => row.type === LEDGER_TRANSACTION_TYPES.WITHDRAWAL);
+      expect(withdrawals).toHaveLength(2);
+
+      expect((await expectReconciled(userId)).ledger.available).toBe(20);
+      expect(storedWallet(userId).pendingTransactions).toEqual([]);
+      expect(db.documents(Payout).map(payout => payout.status)).toEqual([PAYOUT_STATUS.PAID, PAYOUT_STATUS.PAID]);
+    });
+
+    it('pays a withdrawal out through the gateway once when the request is retried', async () => {
+      await credit(userId, 100);
+      const send = jest.spyOn(paymentService, 'sendPayout');
+
+      const first = await walletService.withdraw(userId, 40, 'key-1');
+      const retry = await walletService.withdraw(userId, 40, 'key-1');
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(first.payout).toMatchObject({ status: PAYOUT_STATUS.PAID, amount: 40 });
+      expect(first.payout.gatewayPayoutId).toMatch(/^fake_po_/);
+      expect(retry.payout._id.toString()).toBe(first.payout._id.toString());
+      expect((await expectReconciled(userId)).ledger.available).toBe(60);
+    });
+
+    it('returns the money to the wallet when the payout fails', async () => {
+      await credit(userId, 100);
+      jest.spyOn(paymentService, 'sendPayout').mockResolvedValue({ success: false, message: 'Bank account closed' });
+
+      const result = await walletService.withdraw(userId, 40);
+
+      expect(result).toMatchObject({ success: false, status: 502 });
+      expect(result.payout).toMatchObject({ status: PAYOUT_STATUS.FAILED, failureReason: 'Bank account closed' });
+      expect(db.documents(LedgerTransaction).map(row => row.type)).toEqual([
+        LEDGER_TRANSACTION_TYPES.REFERRAL_CREDIT,
+        LEDGER_TRANSACTION_TYPES.WITHDRAWAL,
+        LEDGER_TRANSACTION_TYPES.WITHDRAWAL_REVERSAL
+      ]);
+      expect((await expectReconciled(userId)).ledger.available).toBe(100);
+    });
+
+    it('are refused when the gateway cannot pay out', async () => {
+      const gateway = { ...paymentService.createFakeGateway('whsec_test'), live: true };
+      delete gateway.payout;
+      paymentService.useGateway(gateway);
+      await credit(userId, 100);
+
+      expect(await walletService.withdraw(userId, 40)).toMatchObject({ success: false, status: 503 });
+      expect(db.documents(Payout)).toHaveLength(0);
+    });
+
+    it('finishes payouts left pending', async () => {
+      await credit(userId, 100);
+
+      // The process dies after debiting the wallet, before the gateway answers
+      jest.spyOn(paymentService, 'sendPayout').mockRejectedValueOnce(new Error('process died'));
+      await expect(walletService.withdraw(userId, 40)).rejects.toThrow('process died');
+
+      // ...and another one before the wallet was debited
+      jest.spyOn(LedgerTransaction, 'create').mockRejectedValueOnce(new Error('process died'));
+      jest.spyOn(Wallet, 'updateOne').mockRejectedValueOnce(new Error('process died'));
+      await expect(walletService.withdraw(userId, 30)).rejects.toThrow('process died');
+      await walletService.recoverPendingTransactions(new Date(Date.now() + 1000));
+
+      expect(await walletService.recoverPendingPayouts(new Date(Date.now() - 60000)))
+        .toEqual({ payoutsPaid: 0, payoutsFailed: 0 });
+
+      expect(await walletService.recoverPendingPayouts(new Date(Date.now() + 1000)))
+        .toEqual({ payoutsPaid: 1, payoutsFailed: 1 });
+
+      const payouts = db.documents(Payout);
+      expect(payouts.find(payout => payout.amount === 40).status).toBe(PAYOUT_STATUS.PAID);
+      expect(payouts.find(payout => payout.amount === 30).status).toBe(PAYOUT_STATUS.FAILED);
+      expect((await expectReconciled(userId)).ledger.available).toBe(60);
+    });
+  });
+
+  describe('booking holds', () => {
+    async function createBooking(totalPrice, data = {}) {
+      return await Booking.create({
+        ride: objectId(),
+        passenger: userId,
+        driver: objectId(),
+        seatsBooked: 1,
+        totalPrice,
+        paymentMethod: 'wallet',
+        ...data
+      });
+    }
+
+    it('holds a fare once and gives it back once', async () => {
+      await credit(userId, 300);
+      const booking = await createBooking(200);
+
+      await Promise.all([walletService.holdForBooking(booking), walletService.holdForBooking(booking)]);
+      expect((await expectReconciled(userId)).ledger).toEqual({ available: 100, held: 200 });
+
+      await Promise.all([walletService.releaseForBooking(booking), walletService.releaseForBooking(booking)]);
+      expect((await expectReconciled(userId)).ledger).toEqual({ available: 300, held: 0 });
+    });
+
+    it('does not hold more than the balance', async () => {
+      await credit(userId, 100);
+      const booking = await createBooking(200);
+
+      const result = await walletService.holdForBooking(booking);
+
+      expect(result.success).toBe(false);
+      expect(db.documents(Booking)[0].walletHeld).toBe(0);
+      expect((await expectReconciled(userId)).ledger).toEqual({ available: 100, held: 0 });
+    });
+
+    it('pays the driver the fare minus commission', async () => {
+      await credit(userId, 300);
+      const booking = await createBooking(200);
+      await walletService.holdForBooking(booking);
+
+      await walletService.settleBooking(db.documents(Booking)[0]);
+
+      expect((await expectReconciled(userId)).ledger).toEqual({ available: 100, held: 0 });
+      expect((await expectReconciled(booking.driver.toString())).ledger.available).toBe(180);
+    });
+
+    it('pays the promo discount of a fare from the promotions account', async () => {
+      await credit(userId, 300);
+      const booking = await createBooking(150, { promoCode: 'SAVE50', discount: 50 });
+      await walletService.holdForBooking(booking);
+
+      await walletService.settleBooking(db.documents(Booking)[0]);
+
+      // The driver is paid on the fare before the discount: 200 minus 10% commission
+      expect((await expectReconciled(userId)).ledger).toEqual({ available: 150, held: 0 });
+      expect((await expectReconciled(booking.driver.toString())).ledger.available).toBe(180);
+
+      const settlement = db.documents(LedgerTransaction).find(tx => tx.type === LEDGER_TRANSACTION_TYPES.SETTLEMENT);
+      expect(settlement.entries).toEqual(expect.arrayContaining([
+        expect.objectContaining({ account: LEDGER_ACCOUNTS.PROMOTIONS, amount: -50 }),
+        expect.objectContaining({ account: LEDGER_ACCOUNTS.PLATFORM_COMMISSION, amount: 20 })
+      ]));
+    });
+
+    it('pays the promo discount of a cash fare to the driver', async () => {
+      const booking = await createBooking(150, { promoCode: 'SAVE50', discount: 50, paymentMethod: 'cash' });
+
+      await walletService.settleBooking(booking);
+      await walletService.settleBooking(booking);
+
+      expect((await expectReconciled(booking.driver.toString())).ledger.available).toBe(50);
+    });
+  });
+
+  describe('interrupted transactions', () => {
+    it('moves the counters back if the ledger cannot be written', async () => {
+      await credit(userId, 100);
+      jest.spyOn(LedgerTransaction, 'create').mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(walletService.withdraw(userId, 40)).rejects.toThrow('connection lost');
+
+      expect(storedWallet(userId)).toMatchObject({ available: 100, pendingTransactions: [] });
+      await expectReconciled(userId);
+    });
+
+    it('are undone when the ledger row was never written', async () => {
+      await credit(userId, 100);
+
+      // The process dies after moving the counters: neither the ledger write nor the undo happens
+      jest.spyOn(LedgerTransaction, 'create').mockRejectedValueOnce(new Error('process died'));
+      jest.spyOn(Wallet, 'updateOne').mockRejectedValueOnce(new Error('process died'));
+
+      await expect(walletService.withdraw(userId, 40)).rejects.toThrow('process died');
+      expect(storedWallet(userId).available).toBe(60);
+
+      // Reconciliation does not report a transaction in progress as a mismatch
+      await expectReconciled(userId);
+
+      const recent = await walletService.recoverPendingTransactions(new Date(Date.now() - 60000));
+      expect(recent).toEqual({ transactionsCompleted: 0, transactionsReverted: 0 });
+
+      const result = await walletService.recoverPendingTransactions(new Date(Date.now() + 1000));
+      expect(result).toEqual({ transactionsCompleted: 0, transactionsReverted: 1 });
+      expect(storedWallet(userId)).toMatchObject({ available: 100, pendingTransactions: [] });
+      await expectReconciled(userId);
+    });
+
+    it('are completed when the ledger row was written', async () => {
+      await credit(userId, 100);
+      jest.spyOn(Wallet, 'updateMany').mockRejectedValueOnce(new Error('process died'));
+
+      await expect(walletService.withdraw(userId, 40)).rejects.toThrow('process died');
+      expect(storedWallet(userId).pendingTransactions).toHaveLength(1);
+
+      const result = await walletService.recoverPendingTransactions(new Date(Date.now() + 1000));
+      expect(result).toEqual({ transactionsCompleted: 1, transactionsReverted: 0 });
+      expect(storedWallet(userId)).toMatchObject({ available: 60, pendingTransactions: [] });
+      expect((await expectReconciled(userId)).ledger.available).toBe(60);
+    });
+  });
+});
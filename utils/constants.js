@@ -19,7 +19,8 @@ exports.BOOKING_STATUS = {
   APPROVED: 'approved',
   REJECTED: 'rejected',
   CANCELLED: 'cancelled',
-  COMPLETED: 'completed'
+  COMPLETED: 'completed',
+  EXPIRED: 'expired'
 };
 
 // Payment status
@@ -27,7 +28,24 @@ exports.PAYMENT_STATUS = {
   PENDING: 'pending',
   PAID: 'paid',
   REFUNDED: 'refunded',
-  FAILED: 'failed'
+  FAILED: 'failed',
+  VOIDED: 'voided'
+};
+
+// Status of a payment with the gateway
+exports.PAYMENT_INTENT_STATUS = {
+  REQUIRES_CAPTURE: 'requires_capture', // authorized, money not taken yet
+  CAPTURED: 'captured',
+  VOIDED: 'voided',
+  FAILED: 'failed',
+  REFUNDED: 'refunded'
+};
+
+// Payment gateway settings
+exports.PAYMENT_SETTINGS = {
+  CURRENCY: 'inr',
+  SIGNATURE_HEADER: 'x-payment-signature',
+  SIGNATURE_TOLERANCE: 5 * 60 // seconds a signed webhook stays valid
 };
 
 // Payment methods
@@ -51,6 +69,41 @@ exports.NOTIFICATION_TYPES = {
   SYSTEM_NOTIFICATION: 'system_notification'
 };
 
+// Real-time events pushed over WebSockets
+exports.SOCKET_EVENTS = {
+  NOTIFICATION_NEW: 'notification:new',
+  NOTIFICATIONS_SYNC: 'notifications:sync',
+  RIDE_JOIN: 'ride:join',
+  RIDE_LEAVE: 'ride:leave',
+  BOOKING_REQUESTED: 'booking:requested',
+  BOOKING_APPROVED: 'booking:approved',
+  BOOKING_REJECTED: 'booking:rejected',
+  BOOKING_CANCELLED: 'booking:cancelled',
+  RIDE_UPDATED: 'ride:updated',
+  RIDE_STARTED: 'ride:started',
+  RIDE_COMPLETED: 'ride:completed',
+  RIDE_CANCELLED: 'ride:cancelled',
+  RIDE_LOCATION: 'ride:location',
+  CHAT_MESSAGE: 'chat:message',
+  CHAT_READ: 'chat:read',
+  WAITLIST_OFFERED: 'waitlist:offered',
+  BOOKING_OFFER: 'booking:offer',
+  BOOKING_CHANGED: 'booking:changed',
+  SESSION_ENDED: 'session:ended'
+};
+
+// Live location tracking settings
+exports.LOCATION_TRACKING = {
+  TTL_HOURS: 24, // GPS points are deleted after this long
+  AVG_SPEED: 40 // km/h used for ETA estimates
+};
+
+// Max notifications returned by one WebSocket backfill
+exports.SOCKET_BACKFILL_LIMIT = 100;
+
+// Seconds between checks that connected sockets still have an active session
+exports.SOCKET_SESSION_CHECK_INTERVAL = 60;
+
 // Notification delivery methods
 exports.NOTIFICATION_DELIVERY = {
   IN_APP: 'in_app',
@@ -66,21 +119,305 @@ exports.BOOKING_THRESHOLDS = {
   CANCELLATION_PENALTY_THRESHOLD: 60 // minutes before departure
 };
 
+// Refund rules applied when a booking is cancelled. Passenger tiers are
+// checked in order; the first one whose minimum notice is met applies.
+exports.CANCELLATION_POLICY = {
+  PASSENGER: [
+    { minMinutesBefore: exports.BOOKING_THRESHOLDS.CANCELLATION_PENALTY_THRESHOLD, refundPercent: 100 },
+    { minMinutesBefore: 0, refundPercent: 50 },
+    { minMinutesBefore: -Infinity, refundPercent: 0 }
+  ],
+  DRIVER_REFUND_PERCENT: 100, // driver cancelled the booking or the ride
+  ADMIN_REFUND_PERCENT: 100,
+  UNCONFIRMED_REFUND_PERCENT: 100 // booking was never approved
+};
+
+// Wallet settings
+exports.WALLET_SETTINGS = {
+  DEFAULT_COMMISSION_PERCENT: 10, // platform share of each settled fare (PLATFORM_COMMISSION_PERCENT)
+  MIN_TOP_UP: 1,
+  MAX_TOP_UP: 100000,
+  PENDING_TRANSACTION_MINUTES: 10, // interrupted wallet transactions are recovered after this
+  PENDING_PAYOUT_MINUTES: 15 // withdrawals still pending after this are retried
+};
+
+// Types of wallet ledger transactions
+exports.LEDGER_TRANSACTION_TYPES = {
+  TOP_UP: 'top_up',
+  WITHDRAWAL: 'withdrawal',
+  WITHDRAWAL_REVERSAL: 'withdrawal_reversal', // failed payout returned to the wallet
+  HOLD: 'hold', // fare reserved when a booking is approved
+  RELEASE: 'release', // held fare returned to the passenger
+  SETTLEMENT: 'settlement', // fare paid to the driver minus commission
+  REFERRAL_CREDIT: 'referral_credit'
+};
+
+// Ledger accounts that do not belong to a user
+exports.LEDGER_ACCOUNTS = {
+  PLATFORM_COMMISSION: 'platform:commission',
+  PROMOTIONS: 'platform:promotions', // referral credits and promo discounts are paid from here
+  CARD: 'external:card',
+  PAYOUT: 'external:payout'
+};
+
+// Periods earnings reports can be grouped by
+exports.EARNINGS_PERIODS = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month'
+};
+
+// Columns of earnings CSV exports
+exports.EARNING_CSV_COLUMNS = [
+  { key: 'date', header: 'Date' },
+  { key: 'ride', header: 'Ride' },
+  { key: 'source', header: 'From' },
+  { key: 'destination', header: 'To' },
+  { key: 'booking', header: 'Booking' },
+  { key: 'kind', header: 'Type' },
+  { key: 'seats', header: 'Seats' },
+  { key: 'paymentMethod', header: 'Payment method' },
+  { key: 'gross', header: 'Gross' },
+  { key: 'promotion', header: 'Promo discount' },
+  { key: 'commission', header: 'Commission' },
+  { key: 'net', header: 'Net' },
+  { key: 'pending', header: 'Pending' }
+];
+
+exports.DRIVER_EARNING_CSV_COLUMNS = [
+  { key: 'driver', header: 'Driver' },
+  { key: 'name', header: 'Name' },
+  { key: 'email', header: 'Email' },
+  { key: 'rides', header: 'Rides' },
+  { key: 'bookings', header: 'Bookings' },
+  { key: 'gross', header: 'Gross' },
+  { key: 'promotion', header: 'Promo discounts' },
+  { key: 'commission', header: 'Commission' },
+  { key: 'net', header: 'Net' },
+  { key: 'pending', header: 'Pending' },
+  { key: 'walletAvailable', header: 'Wallet balance' }
+];
+
+// Promo code discount types
+exports.PROMO_DISCOUNT_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed'
+};
+
+// Promo code redemption status
+exports.PROMO_REDEMPTION_STATUS = {
+  ACTIVE: 'active',
+  RELEASED: 'released' // booking did not go ahead, the use is given back
+};
+
+// Referral program
+exports.REFERRAL_SETTINGS = {
+  REFERRER_CREDIT: 100, // wallet credit for the user who referred
+  REFEREE_CREDIT: 50 // wallet credit for the new user
+};
+
+// Documents drivers upload for verification
+exports.DRIVER_DOCUMENT_TYPES = {
+  LICENSE: 'license',
+  REGISTRATION: 'registration',
+  INSURANCE: 'insurance'
+};
+
+// Driver document review status
+exports.DRIVER_DOCUMENT_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired'
+};
+
+// File upload limits
+exports.UPLOAD_SETTINGS = {
+  DIRECTORY: 'uploads', // local storage root (UPLOAD_DIR)
+  PUBLIC_URL: '/uploads', // where public files are served from (UPLOAD_BASE_URL)
+  DOCUMENT_MAX_SIZE: 5 * 1024 * 1024, // bytes
+  DOCUMENT_MIME_TYPES: ['image/jpeg', 'image/png', 'application/pdf'],
+  PHOTO_MAX_SIZE: 5 * 1024 * 1024, // bytes
+  PHOTO_MIME_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
+  PHOTO_MAX_PIXELS: 40000000 // reject larger images before decoding them
+};
+
+// Square thumbnails generated from profile photos (pixels)
+exports.PROFILE_PHOTO_SIZES = {
+  small: 64,
+  medium: 200,
+  large: 512
+};
+
+// Vehicle types
+exports.VEHICLE_TYPES = {
+  CAR: 'car',
+  SUV: 'suv',
+  VAN: 'van',
+  OTHER: 'other'
+};
+
+// Vehicle settings
+exports.VEHICLE_SETTINGS = {
+  MAX_SEATING_CAPACITY: 20,
+  MAX_VEHICLES_PER_DRIVER: 5
+};
+
+// Booking chat settings
+exports.CHAT_SETTINGS = {
+  LOCK_AFTER_COMPLETION_HOURS: 24, // chat turns read-only this long after the ride
+  MAX_MESSAGE_LENGTH: 1000,
+  MIN_PHONE_DIGITS: 9 // digit runs this long are masked as phone numbers
+};
+
+// Waitlist entry status
+exports.WAITLIST_STATUS = {
+  WAITING: 'waiting',
+  OFFERED: 'offered',
+  BOOKED: 'booked',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+};
+
+// Waitlist settings
+exports.WAITLIST_SETTINGS = {
+  OFFER_MINUTES: 15, // time a promoted passenger has to book the freed seats
+  MAX_ENTRIES_PER_RIDE: 50
+};
+
+// Saved ride alert settings
+exports.RIDE_ALERT_SETTINGS = {
+  MAX_ALERTS_PER_USER: 10
+};
+
+// Passenger trip request status
+exports.TRIP_REQUEST_STATUS = {
+  OPEN: 'open',
+  ACCEPTED: 'accepted',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired'
+};
+
+// Passenger trip request settings
+exports.TRIP_REQUEST_SETTINGS = {
+  MAX_OPEN_PER_PASSENGER: 5,
+  MAX_WINDOW_HOURS: 24, // longest departure window a passenger can ask for
+  MAX_DRIVERS_NOTIFIED: 20 // drivers with a matching ride told about a new request
+};
+
+// Status of an entry in a booking's change log
+exports.BOOKING_CHANGE_STATUS = {
+  APPLIED: 'applied', // made straight away
+  REQUESTED: 'requested', // waiting for the driver
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  SUPERSEDED: 'superseded' // dropped because the booking changed before the driver answered
+};
+
+// Price offer status on a booking under negotiation
+exports.PRICE_OFFER_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  COUNTERED: 'countered',
+  WITHDRAWN: 'withdrawn',
+  EXPIRED: 'expired'
+};
+
+// Price negotiation status of a booking
+exports.NEGOTIATION_STATUS = {
+  OPEN: 'open',
+  AGREED: 'agreed',
+  CLOSED: 'closed'
+};
+
+// Price negotiation settings
+exports.NEGOTIATION_SETTINGS = {
+  OFFER_HOURS: 12, // an offer must be answered within this time (and before departure)
+  MAX_OFFERS: 6, // offers and counter-offers per booking
+  DEFAULT_MIN_PERCENT: 80, // lowest offer as a percentage of the listed fare
+  MAX_PERCENT: 150 // highest band top drivers can set
+};
+
+// Refund status
+exports.REFUND_STATUS = {
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// Status of a wallet withdrawal paid out through the gateway
+exports.PAYOUT_STATUS = {
+  PENDING: 'pending', // wallet debited, payout not confirmed yet
+  PAID: 'paid',
+  FAILED: 'failed' // the money went back to the wallet
+};
+
+// Recurring ride settings
+exports.RECURRING_RIDES = {
+  GENERATION_HORIZON: 28, // days ahead to create occurrences for
+  MAX_OCCURRENCES: 100 // occurrences created per generation run
+};
+
 // Default search radius in kilometers
 exports.DEFAULT_SEARCH_RADIUS = 5;
 
+// How a ride's fare is split when passengers ride part of the route
+exports.PRICING_MODES = {
+  FIXED: 'fixed', // every passenger pays pricePerSeat
+  DISTANCE: 'distance', // pricePerSeat scaled by the share of the route ridden
+  SEGMENT: 'segment' // sum of the driver's price for each leg ridden
+};
+
+// Pickup/dropoff points within this distance (km) of a stop board/leave there
+exports.STOP_SNAP_DISTANCE = 0.2;
+
+// Route matching settings
+exports.RIDE_MATCHING = {
+  MAX_SEARCH_RADIUS: 50, // km
+  MAX_CANDIDATES: 500, // rides near the route checked per search, earliest first
+  WALKING_WEIGHT: 0.6, // share of the score based on walking distance
+  DETOUR_WEIGHT: 0.4 // share of the score based on the driver's detour
+};
+
 // Default rating if user has no ratings
 exports.DEFAULT_RATING = 3;
 
 // Password reset token expiry time (in minutes)
 exports.PASSWORD_RESET_EXPIRY = 10;
 
+// Access token lifetime (used when ACCESS_TOKEN_EXPIRE is not set)
+exports.ACCESS_TOKEN_EXPIRY = '15m';
+
+// Refresh token / session expiry time (in days)
+exports.REFRESH_TOKEN_EXPIRY = 30;
+
 // Email verification token expiry time (in hours)
 exports.EMAIL_VERIFICATION_EXPIRY = 24;
 
 // OTP expiry time (in minutes)
 exports.OTP_EXPIRY = 5;
 
+// OTP verification limits
+exports.OTP_SETTINGS = {
+  LENGTH: 6,
+  MAX_ATTEMPTS: 5, // wrong guesses before lockout
+  RESEND_COOLDOWN: 60, // seconds between two sends
+  MAX_SENDS: 5, // sends allowed per lockout window
+  LOCKOUT_DURATION: 30 // minutes
+};
+
+// Background job settings
+exports.JOB_SETTINGS = {
+  TICK_INTERVAL: 30, // seconds between scheduler checks
+  LOCK_DURATION: 10, // minutes a job lock is held before it is considered stale
+  RIDE_REMINDER_MINUTES: 60, // remind passengers this long before departure
+  UNSTARTED_RIDE_GRACE: 60, // minutes after departure before a ride is flagged
+  NOTIFICATION_RETENTION_DAYS: 90,
+  DOCUMENT_EXPIRY_WARNING_DAYS: 14, // warn drivers this long before a document expires
+  UNDOCUMENTED_DRIVER_GRACE_DAYS: 30, // time drivers verified without documents get to upload them
+  DOCUMENT_DEADLINE_NOTICES_PER_RUN: 200 // deadline notices sent per job run
+};
+
 // Admin dashboard settings
 exports.ADMIN_DASHBOARD = {
   RECENT_ACTIVITIES_LIMIT: 10,
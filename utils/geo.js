@@ -0,0 +1,178 @@
+const { calculateDistance } = require('./helpers');
+
+const KM_PER_DEGREE_LAT = 110.574;
+const KM_PER_DEGREE_LNG = 111.32;
+
+/**
+ * Build the path a ride follows: source, intermediate stops, destination
+ * @param {Object} ride - Ride data with source, destination and intermediateStops
+ * @returns {Array} - [longitude, latitude] points, consecutive duplicates removed
+ */
+exports.buildRoutePath = (ride) => {
+  const points = [ride.source && ride.source.location && ride.source.location.coordinates];
+
+  (ride.intermediateStops || []).forEach(stop => {
+    points.push(stop.location && stop.location.coordinates);
+  });
+
+  points.push(ride.destination && ride.destination.location && ride.destination.location.coordinates);
+
+  return exports.cleanPath(points);
+};
+
+/**
+ * Drop invalid and repeated points from a list of coordinates
+ * @param {Array} points - [longitude, latitude] points
+ * @returns {Array} - Usable points
+ */
+exports.cleanPath = (points) => {
+  const path = [];
+
+  points.forEach(point => {
+    if (!point || point.length !== 2) {
+      return;
+    }
+
+    const last = path[path.length - 1];
+
+    if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+      path.push([Number(point[0]), Number(point[1])]);
+    }
+  });
+
+  return path;
+};
+
+/**
+ * Square polygon around a point, used to find routes passing nearby
+ * @param {Array} point - [longitude, latitude]
+ * @param {number} radiusKm - Half the side of the square in kilometers
+ * @returns {Object} - GeoJSON Polygon
+ */
+exports.searchArea = (point, radiusKm) => {
+  const [lng, lat] = point;
+  const dLat = radiusKm / KM_PER_DEGREE_LAT;
+  const dLng = radiusKm / (KM_PER_DEGREE_LNG * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+
+  const minLat = Math.max(lat - dLat, -90);
+  const maxLat = Math.min(lat + dLat, 90);
+
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [lng - dLng, minLat],
+      [lng + dLng, minLat],
+      [lng + dLng, maxLat],
+      [lng - dLng, maxLat],
+      [lng - dLng, minLat]
+    ]]
+  };
+};
+
+/**
+ * Rectangle around a whole path, used to find points that may lie near it
+ * @param {Array} path - [longitude, latitude] points
+ * @param {number} radiusKm - Margin around the path in kilometers
+ * @returns {Object} - GeoJSON Polygon
+ */
+exports.pathArea = (path, radiusKm) => {
+  const lngs = path.map(point => point[0]);
+  const lats = path.map(point => point[1]);
+  const maxAbsLat = Math.max(...lats.map(Math.abs));
+  const dLat = radiusKm / KM_PER_DEGREE_LAT;
+  const dLng = radiusKm / (KM_PER_DEGREE_LNG * Math.max(Math.cos(maxAbsLat * Math.PI / 180), 0.01));
+
+  const minLng = Math.min(...lngs) - dLng;
+  const maxLng = Math.max(...lngs) + dLng;
+  const minLat = Math.max(Math.min(...lats) - dLat, -90);
+  const maxLat = Math.min(Math.max(...lats) + dLat, 90);
+
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [minLng, minLat],
+      [maxLng, minLat],
+      [maxLng, maxLat],
+      [minLng, maxLat],
+      [minLng, minLat]
+    ]]
+  };
+};
+
+/**
+ * Find where a point is closest to a path
+ * @param {Array} point - [longitude, latitude]
+ * @param {Array} path - [longitude, latitude] points of the route
+ * @returns {Object} - { distance, offset, detour } in kilometers: distance from
+ * the route, position along the route, and extra driving to stop at the point
+ */
+exports.locateOnRoute = (point, path) => {
+  let best = null;
+  let travelled = 0;
+
+  for (let i = 0; i < path.length - 1; i++) {
+    const start = path[i];
+    const end = path[i + 1];
+    const segmentLength = calculateDistance(start, end);
+    const projected = projectOnSegment(point, start, end);
+    const distance = calculateDistance(point, projected.coordinates);
+
+    if (!best || distance < best.distance) {
+      best = {
+        distance,
+        offset: travelled + projected.fraction * segmentLength,
+        detour: Math.max(
+          calculateDistance(start, point) + calculateDistance(point, end) - segmentLength,
+          0
+        )
+      };
+    }
+
+    travelled += segmentLength;
+  }
+
+  return best;
+};
+
+/**
+ * Total length of a path in kilometers
+ * @param {Array} path - [longitude, latitude] points
+ * @returns {number} - Length in kilometers
+ */
+exports.pathLength = (path) => {
+  let length = 0;
+
+  for (let i = 0; i < path.length - 1; i++) {
+    length += calculateDistance(path[i], path[i + 1]);
+  }
+
+  return length;
+};
+
+/**
+ * Closest point of a segment, on a local flat projection
+ * (accurate enough for the short distances used in matching)
+ */
+function projectOnSegment(point, start, end) {
+  const scale = Math.cos(((start[1] + end[1]) / 2) * Math.PI / 180);
+  const toXY = ([lng, lat]) => [lng * KM_PER_DEGREE_LNG * scale, lat * KM_PER_DEGREE_LAT];
+
+  const [px, py] = toXY(point);
+  const [ax, ay] = toXY(start);
+  const [bx, by] = toXY(end);
+
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+
+  let fraction = lengthSquared === 0 ? 0 : ((px - ax) * dx + (py - ay) * dy) / lengthSquared;
+  fraction = Math.min(Math.max(fraction, 0), 1);
+
+  return {
+    fraction,
+    coordinates: [
+      start[0] + fraction * (end[0] - start[0]),
+      start[1] + fraction * (end[1] - start[1])
+    ]
+  };
+}
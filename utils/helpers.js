@@ -125,3 +125,34 @@ exports.createPaginationResult = (paginationOptions, total) => {
   
   return pagination;
 };
+
+/**
+ * Build a CSV document
+ * @param {Array} columns - [{ key, header }] in output order
+ * @param {Array} rows - Objects holding the column values
+ * @returns {String} - CSV text with a header line
+ */
+exports.toCsv = (columns, rows) => {
+  const escape = (value) => {
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+
+    // Spreadsheets run text starting with these as a formula; numbers are safe
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.map(column => escape(column.header)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => escape(row[column.key])).join(','));
+  });
+
+  return lines.join('\r\n');
+};
@@ -0,0 +1,79 @@
+/**
+ * Days of the week (0 = Sunday) a recurring ride runs on
+ * @param {Date} startDate - Departure time of the first ride
+ * @param {Object} recurringDetails - { frequency, days }
+ * @returns {Array} - Weekday numbers
+ */
+exports.getRecurringDays = (startDate, recurringDetails = {}) => {
+  const { frequency, days } = recurringDetails;
+
+  switch (frequency) {
+    case 'daily':
+      return [0, 1, 2, 3, 4, 5, 6];
+    case 'weekdays':
+      return [1, 2, 3, 4, 5];
+    case 'weekends':
+      return [0, 6];
+    case 'weekly':
+      return days && days.length ? days : [new Date(startDate).getDay()];
+    case 'custom':
+      return days || [];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Expand a recurrence pattern into departure times
+ * @param {Date} startDate - Departure time of the first ride (time of day is kept)
+ * @param {Object} recurringDetails - { frequency, days, endDate }
+ * @param {Object} options - { after, until, limit }
+ * @returns {Array} - Departure times strictly after `after` and up to `until`
+ */
+exports.getOccurrenceDates = (startDate, recurringDetails = {}, options = {}) => {
+  const start = new Date(startDate);
+  const days = exports.getRecurringDays(start, recurringDetails);
+  const limit = options.limit || Infinity;
+
+  let until = options.until ? new Date(options.until) : null;
+  if (recurringDetails.endDate) {
+    // The end date is inclusive
+    const endOfDay = new Date(recurringDetails.endDate);
+    endOfDay.setHours(23, 59, 59, 999);
+    until = until && until < endOfDay ? until : endOfDay;
+  }
+
+  // Never expand an open-ended pattern without a bound
+  if (!until || !days.length) {
+    return [];
+  }
+
+  const after = options.after && new Date(options.after) > start ? new Date(options.after) : start;
+  const dates = [];
+  const current = new Date(start);
+
+  while (dates.length < limit) {
+    current.setDate(current.getDate() + 1);
+
+    if (current > until) {
+      break;
+    }
+
+    if (current > after && days.includes(current.getDay())) {
+      dates.push(new Date(current));
+    }
+  }
+
+  return dates;
+};
+
+/**
+ * Midnight (server time) of the day a date falls on
+ * @param {Date} date - Any date
+ * @returns {Date} - Start of that day
+ */
+exports.startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};